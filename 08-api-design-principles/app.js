@@ -12,16 +12,20 @@ const PORT = process.env.PORT || 3000
 console.log("🌐 API Design Principles & Best Practices Demo")
 console.log("=".repeat(50))
 
-// Import routes
-const userRoutes = require("./routes/users")
-const productRoutes = require("./routes/products")
-const orderRoutes = require("./routes/orders")
-const authRoutes = require("./routes/auth")
+// Import routes (one router per API version)
+const apiRouters = require("./routes")
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler")
 const requestLogger = require("./middleware/requestLogger")
-const apiValidator = require("./middleware/apiValidator")
+const audit = require("./middleware/audit")
+const { apiValidator } = require("./middleware/apiValidator")
+const apiVersion = require("./middleware/apiVersion")
+const cacheHeaders = require("./middleware/cacheHeaders")
+const apiDocs = require("./utils/apiDocs")
+const config = require("./config/config")
+const webhookService = require("./services/webhookService")
+const { AppError, NotFoundError, UnsupportedApiVersionError } = require("./utils/errors")
 
 // Security middleware
 app.use(helmet())
@@ -29,6 +33,7 @@ app.use(
   cors({
     origin: process.env.CORS_ORIGIN || "*",
     credentials: true,
+    exposedHeaders: config.cors.exposedHeaders,
   }),
 )
 
@@ -36,13 +41,8 @@ app.use(
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: {
-      code: "RATE_LIMIT_EXCEEDED",
-      message: "Too many requests from this IP, please try again later",
-    },
-  },
+  handler: (req, res, next) =>
+    next(new AppError("Too many requests from this IP, please try again later", 429, "RATE_LIMIT_EXCEEDED")),
   standardHeaders: true,
   legacyHeaders: false,
 })
@@ -59,9 +59,15 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 // Request logging
 app.use(requestLogger)
 
+// Audit log of every POST, PUT, PATCH and DELETE call (GET /api/admin/audit)
+app.use("/api", audit)
+
 // API validation middleware
 app.use("/api", apiValidator)
 
+// X-Cache: HIT / MISS for responses built from cached service results
+app.use("/api", cacheHeaders)
+
 // API Documentation
 app.get("/", (req, res) => {
   res.json({
@@ -69,19 +75,35 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     description: "Demonstration of REST API design principles and best practices",
     documentation: {
-      swagger: "/api/docs",
+      index: "/api/docs",
+      openapi: "/api/docs/openapi.json",
       postman: "/api/postman",
       examples: "/api/examples",
     },
+    versioning: {
+      default: config.api.defaultVersion,
+      supported: Object.keys(config.api.versions),
+      url: "/api/v2/orders",
+      header: "API-Version: 2",
+      accept: "application/vnd.api+json;version=2",
+    },
     endpoints: {
       authentication: {
         "POST /api/auth/login": "User authentication",
         "POST /api/auth/register": "User registration",
         "POST /api/auth/refresh": "Token refresh",
-        "DELETE /api/auth/logout": "User logout",
+        "POST /api/auth/logout": "User logout",
+        "POST /api/auth/logout-all": "Logout from all devices",
+        "POST /api/auth/change-password": "Change password",
+        "POST /api/auth/forgot-password": "Request password reset",
+        "POST /api/auth/reset-password": "Reset password with token",
+        "POST /api/auth/verify-token": "Verify access token",
+        "POST /api/auth/revoke-token": "Revoke access token",
+        "GET /api/auth/me": "Current user profile",
       },
       users: {
         "GET /api/users": "List users with pagination and filtering",
+        "GET /api/users/stats": "User statistics",
         "GET /api/users/:id": "Get user by ID",
         "POST /api/users": "Create new user",
         "PUT /api/users/:id": "Update user (full replacement)",
@@ -93,17 +115,60 @@ app.get("/", (req, res) => {
         "GET /api/products/:id": "Get product details",
         "POST /api/products": "Create new product",
         "PUT /api/products/:id": "Update product",
+        "PATCH /api/products/:id": "Update product (partial)",
         "DELETE /api/products/:id": "Delete product",
         "GET /api/products/categories": "Get product categories",
+        "GET /api/products/stats": "Product statistics",
         "GET /api/products/search": "Advanced product search",
       },
       orders: {
-        "GET /api/orders": "List user orders",
+        "GET /api/orders": "List orders (customers see their own)",
+        "GET /api/orders/stats": "Order statistics",
+        "GET /api/orders/recent": "Recent orders",
+        "GET /api/orders/user/:userId": "List orders of a user",
         "GET /api/orders/:id": "Get order details",
+        "GET /api/orders/:id/history": "Get order status history",
+        "GET /api/orders/:id/payments": "Get order payment ledger",
+        "POST /api/orders/:id/payments/captures": "Capture payment",
+        "POST /api/orders/:id/payments/refunds": "Refund payment (full or partial)",
         "POST /api/orders": "Create new order",
         "PATCH /api/orders/:id/status": "Update order status",
+        "PATCH /api/orders/:id/payment": "Update payment status",
+        "POST /api/orders/:id/items": "Add item to order",
+        "DELETE /api/orders/:id/items/:productId": "Remove item from order",
         "DELETE /api/orders/:id": "Cancel order",
       },
+      webhooks: {
+        "GET /api/webhooks": "List webhooks",
+        "POST /api/webhooks": "Register webhook",
+        "GET /api/webhooks/:id": "Get webhook",
+        "PATCH /api/webhooks/:id": "Update webhook",
+        "DELETE /api/webhooks/:id": "Delete webhook",
+        "POST /api/webhooks/:id/ping": "Send test event",
+        "POST /api/webhooks/:id/rotate-secret": "Rotate signing secret",
+        "GET /api/webhooks/:id/deliveries": "Delivery log",
+        "GET /api/webhooks/:id/deliveries/:deliveryId": "Get delivery with attempts",
+        "POST /api/webhooks/:id/deliveries/:deliveryId/replay": "Replay delivery",
+      },
+      apiKeys: {
+        "GET /api/api-keys": "List my API keys",
+        "POST /api/api-keys": "Issue API key",
+        "GET /api/api-keys/:id": "Get API key",
+        "PATCH /api/api-keys/:id": "Update API key scopes, quota or expiry",
+        "POST /api/api-keys/:id/rotate": "Rotate API key",
+        "DELETE /api/api-keys/:id": "Revoke API key",
+      },
+      admin: {
+        "GET /api/admin/audit": "Audit log of mutating calls",
+        "GET /api/admin/audit/export": "Export audit log as NDJSON",
+        "GET /api/admin/permissions": "List permissions",
+        "GET /api/admin/roles": "List roles",
+        "GET /api/admin/roles/:name": "Get role",
+        "POST /api/admin/roles": "Create role",
+        "PATCH /api/admin/roles/:name": "Update role permissions",
+        "DELETE /api/admin/roles/:name": "Delete role",
+        "GET /api/admin/api-keys": "API key activity",
+      },
     },
     features: [
       "RESTful URL design",
@@ -144,6 +209,11 @@ app.get("/api/info", (req, res) => {
       name: "RESTful API Demo",
       version: "1.0.0",
       environment: process.env.NODE_ENV || "development",
+      apiVersions: {
+        default: config.api.defaultVersion,
+        supported: Object.keys(config.api.versions),
+        deprecated: Object.keys(config.api.versions).filter((version) => config.api.versions[version].deprecatedAt),
+      },
       features: {
         authentication: true,
         rateLimit: true,
@@ -160,6 +230,7 @@ app.get("/api/info", (req, res) => {
           default: 10,
           maximum: 100,
         },
+        apiKeyDailyQuota: config.apiKeys.defaultDailyQuota,
       },
     },
     message: "API information retrieved successfully",
@@ -196,118 +267,98 @@ app.get("/api/examples", (req, res) => {
   })
 })
 
-// API Routes
-app.use("/api/v1/auth", authRoutes)
-app.use("/api/v1/users", userRoutes)
-app.use("/api/v1/products", productRoutes)
-app.use("/api/v1/orders", orderRoutes)
-
-// Version-less routes (redirect to latest version)
-app.use("/api/auth", authRoutes)
-app.use("/api/users", userRoutes)
-app.use("/api/products", productRoutes)
-app.use("/api/orders", orderRoutes)
-
-// API Documentation routes
+// API Documentation (generated from the route metadata, see utils/apiDocs)
+const docsVersion = (req, res, next) => {
+  const versions = Object.keys(config.api.versions)
+  const version = req.query.version || versions[versions.length - 1]
+
+  if (!apiRouters[version]) {
+    return next(new UnsupportedApiVersionError(version, versions))
+  }
+
+  req.docsVersion = version
+  next()
+}
+
 app.get("/api/docs", (req, res) => {
+  const versions = Object.keys(config.api.versions)
+
   res.json({
     success: true,
-    data: {
-      openapi: "3.0.0",
-      info: {
-        title: "RESTful API Demo",
-        version: "1.0.0",
-        description: "Comprehensive API demonstrating REST principles",
-      },
-      servers: [
+    data: Object.fromEntries(
+      versions.map((version) => [
+        version,
         {
-          url: `http://localhost:${PORT}/api/v1`,
-          description: "Development server",
-        },
-      ],
-      paths: {
-        "/users": {
-          get: {
-            summary: "Get all users",
-            parameters: [
-              {
-                name: "page",
-                in: "query",
-                schema: { type: "integer", default: 1 },
-              },
-              {
-                name: "limit",
-                in: "query",
-                schema: { type: "integer", default: 10, maximum: 100 },
-              },
-              {
-                name: "search",
-                in: "query",
-                schema: { type: "string" },
-              },
-              {
-                name: "sort",
-                in: "query",
-                schema: { type: "string", example: "name,-createdAt" },
-              },
-            ],
-            responses: {
-              200: {
-                description: "Successful response",
-                content: {
-                  "application/json": {
-                    schema: {
-                      type: "object",
-                      properties: {
-                        success: { type: "boolean" },
-                        data: { type: "array" },
-                        pagination: { type: "object" },
-                      },
-                    },
-                  },
-                },
-              },
-            },
-          },
+          openapi: `/api/docs/openapi.json?version=${version}`,
+          postman: `/api/postman?version=${version}`,
         },
-      },
-    },
-    message: "OpenAPI documentation",
+      ]),
+    ),
+    message: "API documentation formats",
   })
 })
 
+app.get("/api/docs/openapi.json", docsVersion, (req, res) => {
+  const version = req.docsVersion
+
+  const { title, description, version: docsRevision, contact, license } = config.documentation
+  res.json(
+    apiDocs.toOpenApi(apiRouters[version], {
+      info: { title, description, version: `${docsRevision}-${version}`, contact, license },
+      serverUrl: `${req.protocol}://${req.get("host")}/api/${version}`,
+    }),
+  )
+})
+
+app.get("/api/postman", docsVersion, (req, res) => {
+  const version = req.docsVersion
+
+  res.attachment(`api-${version}.postman_collection.json`)
+  res.json(
+    apiDocs.toPostman(apiRouters[version], {
+      name: `${config.documentation.title} (${version})`,
+      description: config.documentation.description,
+      baseUrl: `${req.protocol}://${req.get("host")}/api/${version}`,
+    }),
+  )
+})
+
+// API Routes
+for (const [version, router] of Object.entries(apiRouters)) {
+  app.use(`/api/${version}`, apiVersion(version), router)
+}
+
+// Version-less routes (version negotiated from API-Version or Accept headers)
+app.use("/api", apiVersion(), (req, res, next) => apiRouters[req.apiVersion](req, res, next))
+
+// 404 NOT_FOUND problems, with a hint where to look instead
+const notFound = (resource, message, suggestion) =>
+  Object.assign(new NotFoundError(resource, message), { details: { suggestion } })
+
 // 404 handler for API routes
-app.use("/api/*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: {
-      code: "ENDPOINT_NOT_FOUND",
-      message: `API endpoint ${req.method} ${req.originalUrl} not found`,
-      suggestion: "Check the API documentation at /api/docs",
-    },
-    meta: {
-      timestamp: new Date().toISOString(),
-      method: req.method,
-      url: req.originalUrl,
-    },
-  })
+app.use("/api/*", (req, res, next) => {
+  next(
+    notFound(
+      "Endpoint",
+      `API endpoint ${req.method} ${req.originalUrl} not found`,
+      "Check the API documentation at /api/docs",
+    ),
+  )
 })
 
 // Global 404 handler
-app.use("*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: {
-      code: "ROUTE_NOT_FOUND",
-      message: `Route ${req.method} ${req.originalUrl} not found`,
-      suggestion: "Visit / for API documentation",
-    },
-  })
+app.use("*", (req, res, next) => {
+  next(notFound("Route", `Route ${req.method} ${req.originalUrl} not found`, "Visit / for API documentation"))
 })
 
 // Global error handler
 app.use(errorHandler)
 
+// Deliver domain events to webhooks, resuming retries of an earlier run
+webhookService.start().catch((error) => {
+  console.error("Failed to start webhook delivery:", error.message)
+})
+
 // Start server
 app.listen(PORT, () => {
   console.log(`\n🌐 Server running at http://localhost:${PORT}`)
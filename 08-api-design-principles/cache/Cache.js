@@ -0,0 +1,126 @@
+// Cache
+// Read-through caching of service results on top of a cache driver
+//
+//   const categories = await cache.wrap("products", ["categories"], () =>
+//     loadCategories()
+//   );
+//   await cache.invalidate("products"); // after every product write
+//
+// Keys are grouped in namespaces. Every namespace has a version token that is
+// part of its keys, so invalidate() replaces the token instead of finding and
+// deleting keys, and a result loaded before an invalidation can never be
+// stored under the new token. Values are stored as JSON.
+//
+// Driver errors never fail a request: the value is loaded as if the cache
+// were empty. Lookups made while handling a request are recorded for the
+// X-Cache response header (see middleware/cacheHeaders).
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+class Cache {
+  constructor(driver, { enabled = true, ttl = 3600, prefix = "" } = {}) {
+    this.driver = driver;
+    this.enabled = enabled;
+    this.ttlMs = ttl * 1000;
+    this.prefix = prefix;
+    this.requests = new AsyncLocalStorage();
+  }
+
+  // Return the cached result for key, or load, store and return it
+  async wrap(namespace, key, load, { ttl } = {}) {
+    if (!this.enabled) {
+      return load();
+    }
+
+    let entryKey;
+    try {
+      entryKey = this.entryKey(namespace, await this.version(namespace), key);
+      const cached = await this.driver.get(entryKey);
+      if (cached !== null) {
+        this.record(true);
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      this.report(error);
+    }
+
+    this.record(false);
+    const value = await load();
+
+    if (entryKey && value !== undefined) {
+      const ttlMs = ttl !== undefined ? ttl * 1000 : this.ttlMs;
+      try {
+        await this.driver.set(entryKey, JSON.stringify(value), ttlMs);
+      } catch (error) {
+        this.report(error);
+      }
+    }
+    return value;
+  }
+
+  // Forget everything cached in a namespace
+  async invalidate(namespace) {
+    if (!this.enabled) return;
+
+    try {
+      await this.driver.set(this.versionKey(namespace), newToken());
+    } catch (error) {
+      this.report(error);
+    }
+  }
+
+  async version(namespace) {
+    const versionKey = this.versionKey(namespace);
+    const current = await this.driver.get(versionKey);
+    if (current !== null) {
+      return current;
+    }
+
+    // A missing token (never set, or evicted) gets a fresh one, so entries
+    // stored under an earlier token stay unreachable
+    const token = newToken();
+    await this.driver.set(versionKey, token);
+    return token;
+  }
+
+  versionKey(namespace) {
+    return `${this.prefix}${namespace}:version`;
+  }
+
+  entryKey(namespace, version, key) {
+    const digest = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(key))
+      .digest("base64url");
+    return `${this.prefix}${namespace}:${version}:${digest}`;
+  }
+
+  // Run work(lookups) with its cache lookups counted in lookups, which
+  // fills in as work and everything it starts runs: { hits, misses }
+  track(work) {
+    const lookups = { hits: 0, misses: 0 };
+    return this.requests.run(lookups, () => work(lookups));
+  }
+
+  record(hit) {
+    const lookups = this.requests.getStore();
+    if (!lookups) return;
+
+    if (hit) {
+      lookups.hits++;
+    } else {
+      lookups.misses++;
+    }
+  }
+
+  report(error) {
+    console.error("Cache error:", error.message);
+  }
+}
+
+function newToken() {
+  return crypto.randomBytes(6).toString("base64url");
+}
+
+module.exports = Cache;
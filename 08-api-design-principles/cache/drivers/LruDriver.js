@@ -0,0 +1,52 @@
+// LRU Driver
+// In-process cache holding at most maxSize entries; the least recently used
+// entry is evicted first. Entries are not shared between API instances.
+
+class LruDriver {
+  constructor({ maxSize = 100 } = {}) {
+    this.maxSize = maxSize;
+    // Map iteration order is insertion order, so the first key is the
+    // least recently used one
+    this.entries = new Map();
+  }
+
+  async connect() {}
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  // ttlMs: omit to keep the entry until it is evicted
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LruDriver;
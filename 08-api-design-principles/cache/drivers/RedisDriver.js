@@ -0,0 +1,224 @@
+// Redis Driver
+// Talks the Redis protocol (RESP) over a plain TCP socket, so any
+// Redis-compatible server works: Redis, Valkey, KeyDB or a local stand-in
+// that implements GET, SET (with PX), DEL and, when configured, AUTH and
+// SELECT.
+//
+// Commands are pipelined on one connection and answered in order. A dropped
+// connection fails the pending commands and is reopened on the next one. A
+// command unanswered after commandTimeout ms fails, and so does its
+// connection: replies are matched to commands by their order, so a stalled
+// connection cannot be trusted with the next command.
+
+const net = require("net");
+
+const CRLF = "\r\n";
+
+class RedisDriver {
+  constructor({
+    host = "localhost",
+    port = 6379,
+    password,
+    db = 0,
+    connectTimeout = 1000,
+    commandTimeout = 1000,
+  } = {}) {
+    this.host = host;
+    this.port = Number(port);
+    this.password = password;
+    this.db = Number(db);
+    this.connectTimeout = connectTimeout;
+    this.commandTimeout = commandTimeout;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.open()
+        .then(() => this.handshake())
+        .catch((error) => {
+          if (this.socket) this.socket.destroy();
+          this.connecting = null;
+          throw error;
+        });
+    }
+    return this.connecting;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      socket.setTimeout(this.connectTimeout, () => {
+        socket.destroy(new Error("Redis connection timed out"));
+      });
+      socket.once("connect", () => {
+        this.socket = socket;
+        socket.setTimeout(0);
+        socket.removeListener("error", reject);
+        // Errors are followed by "close", which fails pending commands
+        socket.on("error", () => {});
+        resolve();
+      });
+      socket.once("error", reject);
+      socket.on("data", (chunk) => this.receive(chunk));
+      socket.on("close", () => this.disconnected(socket));
+    });
+  }
+
+  async handshake() {
+    if (this.password) {
+      await this.send(["AUTH", this.password]);
+    }
+    if (this.db) {
+      await this.send(["SELECT", this.db]);
+    }
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  send(args) {
+    const socket = this.socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Redis command timed out: ${args[0]}`));
+        socket.destroy();
+        // Before "close" arrives, so the next command opens a new connection
+        this.disconnected(socket);
+      }, this.commandTimeout);
+
+      this.pending.push({
+        resolve: (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      socket.write(encode(args));
+    });
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    try {
+      let parsed;
+      while (this.pending.length > 0 && (parsed = decode(this.buffer, 0))) {
+        const [reply, end] = parsed;
+        this.buffer = this.buffer.subarray(end);
+
+        const { resolve, reject } = this.pending.shift();
+        if (reply instanceof Error) {
+          reject(reply);
+        } else {
+          resolve(reply);
+        }
+      }
+    } catch (error) {
+      // Not a Redis server; drop the connection and fail what is pending
+      this.socket.destroy(error);
+    }
+  }
+
+  disconnected(socket) {
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+
+    const error = new Error("Redis connection closed");
+    this.pending.splice(0).forEach(({ reject }) => reject(error));
+  }
+
+  async get(key) {
+    return this.command("GET", key);
+  }
+
+  // ttlMs: omit to keep the entry until it is evicted
+  async set(key, value, ttlMs) {
+    if (ttlMs) {
+      await this.command("SET", key, value, "PX", ttlMs);
+    } else {
+      await this.command("SET", key, value);
+    }
+  }
+
+  async del(key) {
+    await this.command("DEL", key);
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+}
+
+// ["SET", "k", 1] -> "*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$1\r\n1\r\n"
+function encode(args) {
+  const parts = args.map((arg) => {
+    const value = Buffer.from(String(arg));
+    return Buffer.concat([
+      Buffer.from(`$${value.length}${CRLF}`),
+      value,
+      Buffer.from(CRLF),
+    ]);
+  });
+  return Buffer.concat([Buffer.from(`*${args.length}${CRLF}`), ...parts]);
+}
+
+// Returns [reply, offset after it], or null while the reply is incomplete
+function decode(buffer, start) {
+  const lineEnd = buffer.indexOf(CRLF, start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString("utf8", start + 1, lineEnd);
+  const next = lineEnd + CRLF.length;
+
+  switch (type) {
+    case "+":
+      return [line, next];
+    case "-":
+      return [new Error(line), next];
+    case ":":
+      return [Number(line), next];
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buffer.length < next + length + CRLF.length) return null;
+      return [
+        buffer.toString("utf8", next, next + length),
+        next + length + CRLF.length,
+      ];
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = decode(buffer, offset);
+        if (!item) return null;
+        items.push(item[0]);
+        offset = item[1];
+      }
+      return [items, offset];
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+module.exports = RedisDriver;
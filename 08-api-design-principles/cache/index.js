@@ -0,0 +1,28 @@
+// Cache
+// Chooses the cache driver from config.cache.driver
+//
+//   lru      in-process LRU of config.cache.maxSize entries (default)
+//   redis    any Redis-compatible server at config.cache.redis
+
+const config = require("../config/config");
+const Cache = require("./Cache");
+const LruDriver = require("./drivers/LruDriver");
+const RedisDriver = require("./drivers/RedisDriver");
+
+function createDriver(settings) {
+  switch (settings.driver) {
+    case "lru":
+      return new LruDriver({ maxSize: settings.maxSize });
+    case "redis":
+      return new RedisDriver(settings.redis);
+    default:
+      throw new Error(`Unsupported cache driver: ${settings.driver}`);
+  }
+}
+
+const cache = new Cache(createDriver(config.cache), config.cache);
+
+module.exports = {
+  cache,
+  createDriver,
+};
@@ -13,9 +13,22 @@ const config = {
   api: {
     version: "1.0.0",
     prefix: "/api",
-    defaultVersion: "v1",
+    defaultVersion: "v1", // for requests that name no version
+    // Oldest first; the last entry is the current version
+    versions: {
+      v1: {
+        deprecatedAt: "2026-10-01",
+        sunsetAt: "2027-10-01",
+      },
+      v2: {},
+    },
     timeout: 30000, // 30 seconds
     maxRequestSize: "10mb",
+    // Accepted besides JSON, by bulk product import and export
+    mediaTypes: {
+      csv: "text/csv",
+      ndjson: "application/x-ndjson",
+    },
   },
 
   // Pagination defaults
@@ -23,6 +36,7 @@ const config = {
     defaultPage: 1,
     defaultLimit: 10,
     maxLimit: 100,
+    cursorSecret: process.env.CURSOR_SECRET || "your-cursor-secret",
   },
 
   // Rate limiting
@@ -37,7 +51,49 @@ const config = {
     origin: process.env.CORS_ORIGIN || "*",
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "Idempotency-Key",
+      "API-Version",
+      "If-Match",
+      "If-None-Match",
+      "X-Cart-Token",
+      "X-API-Key",
+    ],
+    exposedHeaders: [
+      "Link",
+      "X-Total-Count",
+      "ETag",
+      "X-Cache",
+      "Idempotent-Replayed",
+      "API-Version",
+      "Deprecation",
+      "Sunset",
+      "Content-Disposition",
+      "X-Cart-Token",
+      "X-Quota-Limit",
+      "X-Quota-Remaining",
+      "X-Quota-Reset",
+    ],
+  },
+
+  // Idempotent POST requests (see middleware/idempotency)
+  idempotency: {
+    header: "Idempotency-Key",
+    windowMs:
+      parseInt(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    // How long a key stays locked by a request that has not answered yet;
+    // after that (a crashed process, say) a retry runs the request again
+    processingLeaseMs:
+      parseInt(process.env.IDEMPOTENCY_LEASE_MS) || 60 * 1000, // 1 minute
+  },
+
+  // Shopping carts (see services/cartService)
+  cart: {
+    // Header carrying the token of a guest cart
+    tokenHeader: "X-Cart-Token",
   },
 
   // Security configuration
@@ -67,6 +123,7 @@ const config = {
   },
 
   // Database configuration
+  // Supported URLs: "sqlite://<path>" (file-backed) and "memory://" (no persistence)
   database: {
     url: process.env.DATABASE_URL || "sqlite://./database.sqlite",
     options: {
@@ -109,24 +166,91 @@ const config = {
     logDir: process.env.LOG_DIR || "./logs",
   },
 
-  // Cache configuration
+  // Cache configuration (see cache/)
   cache: {
+    enabled: process.env.CACHE_ENABLED !== "false",
+    driver: process.env.CACHE_DRIVER || "lru", // "lru" or "redis"
+    maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 100, // lru entries
+    prefix: process.env.REDIS_PREFIX || "api_demo:",
     redis: {
       host: process.env.REDIS_HOST || "localhost",
       port: process.env.REDIS_PORT || 6379,
       password: process.env.REDIS_PASSWORD,
       db: process.env.REDIS_DB || 0,
+      // ms to wait for a reply before reading from the database instead
+      commandTimeout: parseInt(process.env.REDIS_COMMAND_TIMEOUT) || 1000,
+    },
+    ttl: parseInt(process.env.CACHE_TTL) || 3600, // 1 hour
+  },
+
+  // Inventory (see services/inventoryService); a product's own
+  // lowStockThreshold overrides the default
+  inventory: {
+    lowStockThreshold: process.env.LOW_STOCK_THRESHOLD
+      ? parseInt(process.env.LOW_STOCK_THRESHOLD)
+      : 5, // 0: only out-of-stock events
+  },
+
+  // API keys (see services/apiKeyService): machine credentials sent in
+  // header instead of an access token. Each key may make dailyQuota requests
+  // per UTC day unless it was issued with its own quota
+  apiKeys: {
+    header: "X-API-Key",
+    defaultDailyQuota: process.env.API_KEY_DAILY_QUOTA
+      ? parseInt(process.env.API_KEY_DAILY_QUOTA)
+      : 10000,
+    usageHistoryDays: 30, // days of request counts kept per key
+  },
+
+  // Outbound webhooks (see services/webhookService). A failed delivery is
+  // tried again after retryBaseDelayMs, doubling each time up to
+  // retryMaxDelayMs, until maxAttempts attempts have been made
+  webhooks: {
+    timeoutMs: 10000,
+    maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS
+      ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS)
+      : 6,
+    retryBaseDelayMs: process.env.WEBHOOK_RETRY_BASE_DELAY_MS
+      ? parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS)
+      : 30 * 1000,
+    retryMaxDelayMs: 60 * 60 * 1000,
+  },
+
+  // Order pricing (see utils/pricing). Countries and states are matched as
+  // written in the shipping address, ignoring case; "default" covers the rest
+  pricing: {
+    // Tax rate of the shipping country, or of its states
+    taxRates: {
+      USA: { default: 0, CA: 0.0725, NY: 0.08875, TX: 0.0625 },
+      CAN: 0.05,
+      GBR: 0.2,
+      DEU: 0.19,
+      default: 0,
+    },
+    shipping: {
+      fees: { USA: 5.99, default: 19.99 },
+      // Discounted subtotal from which shipping is free (null: never)
+      freeOver: process.env.FREE_SHIPPING_OVER
+        ? parseFloat(process.env.FREE_SHIPPING_OVER)
+        : 100,
     },
-    ttl: 3600, // 1 hour
   },
 
   // Validation configuration
   validation: {
+    coerce: true,
     stripUnknown: true,
     abortEarly: false,
     allowUnknown: false,
   },
 
+  // Error responses (RFC 7807 problem details); the problem "type" is
+  // <typeBaseUrl>/<error code in kebab-case>
+  errors: {
+    typeBaseUrl:
+      process.env.ERROR_TYPE_BASE_URL || "https://api.example.com/problems",
+  },
+
   // API documentation
   documentation: {
     title: "RESTful API Design Demo",
@@ -0,0 +1,187 @@
+// API Key Controller
+// HTTP request handlers for API keys: a user's own keys, and the listing of
+// every key's activity for admins
+
+const apiKeyService = require("../services/apiKeyService");
+const { AppError, NotFoundError } = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+const permissionUtils = require("../utils/permissions");
+
+const apiKeyController = {
+  // GET /api/api-keys - Get the signed-in user's keys
+  async getMyKeys(req, res, next) {
+    await listKeys(req, res, next, (options) =>
+      apiKeyService.findKeysByOwner(req.user.id, options)
+    );
+  },
+
+  // GET /api/admin/api-keys - Get every key with its usage, with pagination
+  // and filtering
+  async getKeys(req, res, next) {
+    await listKeys(req, res, next, (options) =>
+      apiKeyService.findKeys(options)
+    );
+  },
+
+  // GET /api/api-keys/:id - Get key by ID
+  async getKeyById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(invalidId());
+      }
+
+      const apiKey = await apiKeyService.findKeyById(id);
+
+      if (!apiKey) {
+        return next(new NotFoundError("API key"));
+      }
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: "API key retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/api-keys - Issue a key; users with api-keys:manage:any may
+  // issue one for another user (ownerId)
+  async createKey(req, res, next) {
+    try {
+      const keyData = {
+        ...req.body,
+        ownerId:
+          can(req, "api-keys:manage:any") && req.body.ownerId
+            ? req.body.ownerId
+            : req.user.id,
+      };
+
+      const newKey = await apiKeyService.createKey(keyData, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: newKey,
+        message: "API key created successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PATCH /api/api-keys/:id - Update key
+  async updateKey(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(invalidId());
+      }
+
+      const updatedKey = await apiKeyService.updateKey(id, req.body);
+
+      res.json({
+        success: true,
+        data: updatedKey,
+        message: "API key updated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/api-keys/:id/rotate - Replace the key
+  async rotateKey(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(invalidId());
+      }
+
+      const apiKey = await apiKeyService.rotateKey(id);
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: "API key rotated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/api-keys/:id - Revoke key
+  async revokeKey(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(invalidId());
+      }
+
+      const revokedKey = await apiKeyService.revokeKey(id);
+
+      if (!revokedKey) {
+        return next(new NotFoundError("API key"));
+      }
+
+      res.json({
+        success: true,
+        data: revokedKey,
+        message: "API key revoked successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+// Respond with the page of keys find(options) returns
+async function listKeys(req, res, next, find) {
+  try {
+    // Filters, sort and fields are parsed by the service
+    const options = {
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
+      cursor: req.query.cursor || "",
+    };
+
+    const result = await find(options);
+    paginationUtils.setPaginationHeaders(
+      req,
+      res,
+      result.pagination,
+      result.pagination.totalApiKeys
+    );
+
+    res.json({
+      success: true,
+      data: result.apiKeys,
+      pagination: result.pagination,
+      message: "API keys retrieved successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+function invalidId() {
+  return new AppError(
+    "Valid API key ID is required",
+    400,
+    "INVALID_API_KEY_ID"
+  );
+}
+
+// Whether the signed-in user's role allows permission (req.permissions is
+// set by middleware/auth)
+function can(req, permission) {
+  return permissionUtils.allows(req.permissions, permission);
+}
+
+module.exports = apiKeyController;
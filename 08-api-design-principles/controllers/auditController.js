@@ -0,0 +1,71 @@
+// Audit Controller
+// HTTP request handlers for the audit log
+
+const { once } = require("events");
+const config = require("../config/config");
+const auditService = require("../services/auditService");
+const paginationUtils = require("../utils/paginationUtils");
+
+const auditController = {
+  // GET /api/admin/audit - Get audit entries with pagination and filtering
+  async getEntries(req, res, next) {
+    try {
+      // Filters, sort and fields are parsed by the service
+      const options = {
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
+        cursor: req.query.cursor || "",
+      };
+
+      const result = await auditService.findEntries(options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalEntries
+      );
+
+      res.json({
+        success: true,
+        data: result.entries,
+        pagination: result.pagination,
+        message: "Audit entries retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/admin/audit/export - Stream the entries matching the filters
+  // of GET /api/admin/audit as NDJSON
+  async exportEntries(req, res, next) {
+    const lines = auditService.exportEntries(req.query);
+
+    try {
+      // Read the first line before sending anything, so an invalid filter
+      // still gets an error response
+      let line = await lines.next();
+
+      res.set({
+        "Content-Type": `${config.api.mediaTypes.ndjson}; charset=utf-8`,
+        "Content-Disposition": 'attachment; filename="audit.ndjson"',
+      });
+      while (!line.done && !res.destroyed) {
+        if (!res.write(line.value)) {
+          await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+        line = await lines.next();
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    }
+  },
+};
+
+module.exports = auditController;
@@ -1,7 +1,10 @@
 // Auth Controller
 // HTTP request handlers for authentication operations
 
+const config = require("../config/config");
 const authService = require("../services/authService");
+const cartService = require("../services/cartService");
+const { AppError, NotFoundError } = require("../utils/errors");
 
 const authController = {
   // POST /api/auth/login - User login
@@ -10,35 +13,24 @@ const authController = {
       const { email, password } = req.body;
 
       if (!email || !password) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_CREDENTIALS",
-            message: "Email and password are required",
-          },
-        });
+        return next(
+          new AppError(
+            "Email and password are required",
+            400,
+            "MISSING_CREDENTIALS"
+          )
+        );
       }
 
       const result = await authService.login(email, password);
+      const cart = await mergeGuestCart(req, result.user.id);
 
       res.json({
         success: true,
-        data: result,
+        data: { ...result, ...(cart && { cart }) },
         message: "Login successful",
       });
     } catch (error) {
-      if (
-        error.message === "Invalid credentials" ||
-        error.message === "Account is deactivated"
-      ) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: "AUTHENTICATION_FAILED",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -49,27 +41,14 @@ const authController = {
       const userData = req.body;
 
       const result = await authService.register(userData);
+      const cart = await mergeGuestCart(req, result.user.id);
 
       res.status(201).json({
         success: true,
-        data: result,
+        data: { ...result, ...(cart && { cart }) },
         message: "Registration successful",
       });
     } catch (error) {
-      if (
-        error.message.includes("required") ||
-        error.message.includes("do not match") ||
-        error.message.includes("must be at least") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -80,13 +59,13 @@ const authController = {
       const { refreshToken } = req.body;
 
       if (!refreshToken) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_REFRESH_TOKEN",
-            message: "Refresh token is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Refresh token is required",
+            400,
+            "MISSING_REFRESH_TOKEN"
+          )
+        );
       }
 
       const result = await authService.refreshToken(refreshToken);
@@ -97,18 +76,6 @@ const authController = {
         message: "Token refreshed successfully",
       });
     } catch (error) {
-      if (
-        error.message.includes("Invalid") ||
-        error.message.includes("not found")
-      ) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: "INVALID_REFRESH_TOKEN",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -133,7 +100,7 @@ const authController = {
   // POST /api/auth/logout-all - Logout from all devices
   async logoutAll(req, res, next) {
     try {
-      const { userId } = req.user; // Assuming user is attached by auth middleware
+      const userId = req.user.id; // Set by middleware/auth
 
       const result = await authService.logoutAll(userId);
 
@@ -151,16 +118,16 @@ const authController = {
   async changePassword(req, res, next) {
     try {
       const { currentPassword, newPassword } = req.body;
-      const { userId } = req.user; // Assuming user is attached by auth middleware
+      const userId = req.user.id; // Set by middleware/auth
 
       if (!currentPassword || !newPassword) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_PASSWORDS",
-            message: "Current password and new password are required",
-          },
-        });
+        return next(
+          new AppError(
+            "Current password and new password are required",
+            400,
+            "MISSING_PASSWORDS"
+          )
+        );
       }
 
       const result = await authService.changePassword(
@@ -175,19 +142,6 @@ const authController = {
         message: "Password changed successfully",
       });
     } catch (error) {
-      if (
-        error.message.includes("Current password") ||
-        error.message.includes("must be at least") ||
-        error.message === "User not found"
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -198,16 +152,10 @@ const authController = {
       const { email } = req.body;
 
       if (!email) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_EMAIL",
-            message: "Email is required",
-          },
-        });
+        return next(new AppError("Email is required", 400, "MISSING_EMAIL"));
       }
 
-      const result = await authService.resetPassword(email);
+      const result = await authService.requestPasswordReset(email);
 
       res.json({
         success: true,
@@ -225,16 +173,16 @@ const authController = {
       const { token, newPassword } = req.body;
 
       if (!token || !newPassword) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_DATA",
-            message: "Reset token and new password are required",
-          },
-        });
+        return next(
+          new AppError(
+            "Reset token and new password are required",
+            400,
+            "MISSING_DATA"
+          )
+        );
       }
 
-      const result = await authService.verifyResetToken(token, newPassword);
+      const result = await authService.resetPassword(token, newPassword);
 
       res.json({
         success: true,
@@ -242,19 +190,6 @@ const authController = {
         message: "Password reset successful",
       });
     } catch (error) {
-      if (
-        error.message.includes("Invalid") ||
-        error.message.includes("expired") ||
-        error.message.includes("must be at least")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -265,13 +200,9 @@ const authController = {
       const token = req.headers.authorization?.replace("Bearer ", "");
 
       if (!token) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_TOKEN",
-            message: "Access token is required",
-          },
-        });
+        return next(
+          new AppError("Access token is required", 400, "MISSING_TOKEN")
+        );
       }
 
       const user = await authService.verifyAccessToken(token);
@@ -282,19 +213,6 @@ const authController = {
         message: "Token is valid",
       });
     } catch (error) {
-      if (
-        error.message.includes("Invalid") ||
-        error.message.includes("expired") ||
-        error.message.includes("revoked")
-      ) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: "INVALID_TOKEN",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -305,13 +223,9 @@ const authController = {
       const token = req.headers.authorization?.replace("Bearer ", "");
 
       if (!token) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "MISSING_TOKEN",
-            message: "Access token is required",
-          },
-        });
+        return next(
+          new AppError("Access token is required", 400, "MISSING_TOKEN")
+        );
       }
 
       const result = await authService.revokeToken(token);
@@ -329,19 +243,13 @@ const authController = {
   // GET /api/auth/me - Get current user profile
   async getCurrentUser(req, res, next) {
     try {
-      const { userId } = req.user; // Assuming user is attached by auth middleware
+      const userId = req.user.id; // Set by middleware/auth
 
       const userService = require("../services/userService");
       const user = await userService.findUserById(userId);
 
       if (!user) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "USER_NOT_FOUND",
-            message: "User not found",
-          },
-        });
+        return next(new NotFoundError("User"));
       }
 
       res.json({
@@ -355,4 +263,11 @@ const authController = {
   },
 };
 
+// Move the guest cart sent with a login or registration into the user's
+// cart; returns that cart, or null without a guest cart
+async function mergeGuestCart(req, userId) {
+  const token = req.get(config.cart.tokenHeader);
+  return token ? cartService.mergeGuestCart(userId, token) : null;
+}
+
 module.exports = authController;
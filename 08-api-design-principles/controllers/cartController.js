@@ -0,0 +1,154 @@
+// Cart Controller
+// HTTP request handlers for the shopping cart of the caller: the signed-in
+// user's cart, or the guest cart named by the cart token header
+
+const config = require("../config/config");
+const cartService = require("../services/cartService");
+const { AppError } = require("../utils/errors");
+
+const cartController = {
+  // GET /api/cart - Get the cart
+  async getCart(req, res, next) {
+    try {
+      const cart = await cartService.getCart(cartOwner(req));
+      sendCart(res, cart, "Cart retrieved successfully");
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/cart/items - Add an item to the cart
+  async addItem(req, res, next) {
+    try {
+      const { productId, variantId, quantity } = req.body;
+
+      const cart = await cartService.addItem(cartOwner(req), {
+        productId,
+        variantId,
+        quantity,
+      });
+      sendCart(res, cart, "Item added to cart successfully");
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PATCH /api/cart/items/:itemId - Change the quantity of an item
+  async updateItem(req, res, next) {
+    try {
+      const { itemId } = req.params;
+
+      if (!itemId || isNaN(itemId)) {
+        return next(
+          new AppError(
+            "Valid cart item ID is required",
+            400,
+            "INVALID_CART_ITEM_ID"
+          )
+        );
+      }
+
+      const cart = await cartService.updateItem(cartOwner(req), itemId, {
+        quantity: req.body.quantity,
+      });
+      sendCart(res, cart, "Cart item updated successfully");
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/cart/items/:itemId - Remove an item from the cart
+  async removeItem(req, res, next) {
+    try {
+      const { itemId } = req.params;
+
+      if (!itemId || isNaN(itemId)) {
+        return next(
+          new AppError(
+            "Valid cart item ID is required",
+            400,
+            "INVALID_CART_ITEM_ID"
+          )
+        );
+      }
+
+      const cart = await cartService.removeItem(cartOwner(req), itemId);
+      sendCart(res, cart, "Item removed from cart successfully");
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/cart - Empty the cart
+  async clearCart(req, res, next) {
+    try {
+      const cart = await cartService.clearCart(cartOwner(req));
+      sendCart(res, cart, "Cart cleared successfully");
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/cart/merge - Move the guest cart of the token into the
+  // user's cart
+  async mergeCart(req, res, next) {
+    try {
+      const token = req.get(config.cart.tokenHeader);
+      const merged = token
+        ? await cartService.mergeGuestCart(req.user.id, token)
+        : null;
+
+      const cart = merged || (await cartService.getCart(cartOwner(req)));
+      sendCart(
+        res,
+        cart,
+        merged ? "Guest cart merged successfully" : "No guest cart to merge"
+      );
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/cart/checkout - Place an order for the cart
+  async checkout(req, res, next) {
+    try {
+      const { shippingAddress, paymentMethod, couponCode } = req.body;
+
+      const order = await cartService.checkout(req.user.id, {
+        shippingAddress,
+        paymentMethod,
+        couponCode,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: order,
+        message: "Order placed successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+// A signed-in caller uses their own cart, whatever token they send
+function cartOwner(req) {
+  return req.user
+    ? { userId: req.user.id }
+    : { token: req.get(config.cart.tokenHeader) || null };
+}
+
+// Guests get the token of their cart back in the header as well
+function sendCart(res, cart, message) {
+  if (cart.token) {
+    res.set(config.cart.tokenHeader, cart.token);
+  }
+
+  res.json({
+    success: true,
+    data: cart,
+    message,
+  });
+}
+
+module.exports = cartController;
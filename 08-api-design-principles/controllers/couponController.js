@@ -0,0 +1,132 @@
+// Coupon Controller
+// HTTP request handlers for coupon and promotion management
+
+const couponService = require("../services/couponService");
+const { AppError, NotFoundError } = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+
+const couponController = {
+  // GET /api/coupons - Get all coupons with pagination and filtering
+  async getCoupons(req, res, next) {
+    try {
+      // Filters, sort and fields are parsed by the service
+      const options = {
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
+        cursor: req.query.cursor || "",
+      };
+
+      const result = await couponService.findCoupons(options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalCoupons
+      );
+
+      res.json({
+        success: true,
+        data: result.coupons,
+        pagination: result.pagination,
+        message: "Coupons retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/coupons/:id - Get coupon by ID
+  async getCouponById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid coupon ID is required", 400, "INVALID_COUPON_ID")
+        );
+      }
+
+      const coupon = await couponService.findCouponById(id);
+
+      if (!coupon) {
+        return next(new NotFoundError("Coupon"));
+      }
+
+      res.json({
+        success: true,
+        data: coupon,
+        message: "Coupon retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/coupons - Create new coupon
+  async createCoupon(req, res, next) {
+    try {
+      const newCoupon = await couponService.createCoupon(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: newCoupon,
+        message: "Coupon created successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PATCH /api/coupons/:id - Update coupon
+  async updateCoupon(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid coupon ID is required", 400, "INVALID_COUPON_ID")
+        );
+      }
+
+      const updatedCoupon = await couponService.updateCoupon(id, req.body);
+
+      res.json({
+        success: true,
+        data: updatedCoupon,
+        message: "Coupon updated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/coupons/:id - Delete coupon
+  async deleteCoupon(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid coupon ID is required", 400, "INVALID_COUPON_ID")
+        );
+      }
+
+      const deletedCoupon = await couponService.deleteCoupon(id);
+
+      if (!deletedCoupon) {
+        return next(new NotFoundError("Coupon"));
+      }
+
+      res.json({
+        success: true,
+        data: deletedCoupon,
+        message: "Coupon deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = couponController;
@@ -0,0 +1,55 @@
+// Inventory Controller
+// HTTP request handlers for the stock ledger and low-stock report
+
+const inventoryService = require("../services/inventoryService");
+const productService = require("../services/productService");
+const paginationUtils = require("../utils/paginationUtils");
+
+const inventoryController = {
+  // GET /api/inventory/movements - Query stock movements
+  async getMovements(req, res, next) {
+    try {
+      // Filters, sort and fields are parsed by the service
+      const options = {
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
+        cursor: req.query.cursor || "",
+      };
+
+      const result = await inventoryService.findMovements(options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalMovements
+      );
+
+      res.json({
+        success: true,
+        data: result.movements,
+        pagination: result.pagination,
+        message: "Stock movements retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/inventory/low-stock - Products and variants running low
+  async getLowStock(req, res, next) {
+    try {
+      const items = await productService.getLowStock();
+
+      res.json({
+        success: true,
+        data: items,
+        message: "Low-stock products retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = inventoryController;
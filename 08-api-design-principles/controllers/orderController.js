@@ -2,23 +2,32 @@
 // HTTP request handlers for order operations
 
 const orderService = require("../services/orderService");
+const { AppError, NotFoundError } = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+const permissionUtils = require("../utils/permissions");
 
 const orderController = {
-  // GET /api/orders - Get all orders with pagination and filtering
+  // GET /api/orders - Get all orders with pagination and filtering; users
+  // without orders:read:any get their own orders
   async getOrders(req, res, next) {
     try {
+      // Filters, sort and fields are parsed by the service
       const options = {
+        ...req.query,
         page: parseInt(req.query.page) || 1,
         limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
-        userId: req.query.userId || "",
-        status: req.query.status || "",
-        paymentStatus: req.query.paymentStatus || "",
-        sort: req.query.sort || "-createdAt",
-        startDate: req.query.startDate || "",
-        endDate: req.query.endDate || "",
+        cursor: req.query.cursor || "",
       };
 
-      const result = await orderService.findOrders(options);
+      const result = can(req, "orders:read:any")
+        ? await orderService.findOrders(options)
+        : await orderService.findOrdersByUser(req.user.id, options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalOrders
+      );
 
       res.json({
         success: true,
@@ -37,25 +46,15 @@ const orderController = {
       const { id } = req.params;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ORDER_ID",
-            message: "Valid order ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
 
       const order = await orderService.findOrderById(id);
 
       if (!order) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "ORDER_NOT_FOUND",
-            message: "Order not found",
-          },
-        });
+        return next(new NotFoundError("Order"));
       }
 
       res.json({
@@ -68,10 +67,17 @@ const orderController = {
     }
   },
 
-  // POST /api/orders - Create new order
+  // POST /api/orders - Create new order; users with orders:create:any may
+  // place one for another user (userId)
   async createOrder(req, res, next) {
     try {
-      const orderData = req.body;
+      const orderData = {
+        ...req.body,
+        userId:
+          can(req, "orders:create:any") && req.body.userId
+            ? req.body.userId
+            : req.user.id,
+      };
 
       const newOrder = await orderService.createOrder(orderData);
 
@@ -81,19 +87,6 @@ const orderController = {
         message: "Order created successfully",
       });
     } catch (error) {
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("not found") ||
-        error.message.includes("Insufficient stock")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -102,29 +95,24 @@ const orderController = {
   async updateOrderStatus(req, res, next) {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ORDER_ID",
-            message: "Valid order ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
 
       if (!status) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_STATUS",
-            message: "Status is required",
-          },
-        });
+        return next(new AppError("Status is required", 400, "INVALID_STATUS"));
       }
 
-      const updatedOrder = await orderService.updateOrderStatus(id, status);
+      const updatedOrder = await orderService.updateOrderStatus(id, status, {
+        changedBy: req.user ? req.user.id : null,
+        reason,
+        ifMatch: req.get("If-Match"),
+        representation: req.apiVersion,
+      });
 
       res.json({
         success: true,
@@ -132,27 +120,33 @@ const orderController = {
         message: "Order status updated successfully",
       });
     } catch (error) {
-      if (error.message === "Order not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "ORDER_NOT_FOUND",
-            message: "Order not found",
-          },
-        });
+      next(error);
+    }
+  },
+
+  // GET /api/orders/:id/history - Get order status history
+  async getOrderHistory(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
-      if (
-        error.message.includes("Cannot transition") ||
-        error.message.includes("Invalid")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_STATUS_TRANSITION",
-            message: error.message,
-          },
-        });
+
+      const history = await orderService.getOrderHistory(id);
+
+      if (!history) {
+        return next(new NotFoundError("Order"));
       }
+
+      res.json({
+        success: true,
+        data: history,
+        message: "Order history retrieved successfully",
+      });
+    } catch (error) {
       next(error);
     }
   },
@@ -164,28 +158,25 @@ const orderController = {
       const { paymentStatus } = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ORDER_ID",
-            message: "Valid order ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
 
       if (!paymentStatus) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PAYMENT_STATUS",
-            message: "Payment status is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Payment status is required",
+            400,
+            "INVALID_PAYMENT_STATUS"
+          )
+        );
       }
 
       const updatedOrder = await orderService.updatePaymentStatus(
         id,
-        paymentStatus
+        paymentStatus,
+        { createdBy: req.user ? req.user.id : null }
       );
 
       res.json({
@@ -194,24 +185,112 @@ const orderController = {
         message: "Payment status updated successfully",
       });
     } catch (error) {
-      if (error.message === "Order not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "ORDER_NOT_FOUND",
-            message: "Order not found",
-          },
-        });
+      next(error);
+    }
+  },
+
+  // GET /api/orders/:id/payments - Get payment ledger
+  async getPayments(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
-      if (error.message.includes("Invalid")) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PAYMENT_STATUS",
-            message: error.message,
-          },
-        });
+
+      const payments = await orderService.getPayments(id);
+
+      if (!payments) {
+        return next(new NotFoundError("Order"));
       }
+
+      res.json({
+        success: true,
+        data: payments,
+        message: "Payments retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/orders/:id/payments/captures - Capture payment
+  async capturePayment(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { amount } = req.body;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
+      }
+
+      if (amount !== undefined && isNaN(amount)) {
+        return next(
+          new AppError("Amount must be a number", 400, "INVALID_PAYMENT_AMOUNT")
+        );
+      }
+
+      const payments = await orderService.capturePayment(id, {
+        amount: amount === undefined ? undefined : Number(amount),
+        createdBy: req.user ? req.user.id : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: payments,
+        message: "Payment captured successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/orders/:id/payments/refunds - Refund payment (full or partial)
+  async refundPayment(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { amount, items, reason, restock } = req.body;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
+      }
+
+      if (amount !== undefined && isNaN(amount)) {
+        return next(
+          new AppError("Amount must be a number", 400, "INVALID_PAYMENT_AMOUNT")
+        );
+      }
+
+      if (items !== undefined && !Array.isArray(items)) {
+        return next(
+          new AppError(
+            "Items must be an array of { productId, quantity }",
+            400,
+            "INVALID_REFUND_ITEMS"
+          )
+        );
+      }
+
+      const payments = await orderService.refundPayment(id, {
+        amount: amount === undefined ? undefined : Number(amount),
+        items,
+        reason,
+        restock: restock !== false,
+        createdBy: req.user ? req.user.id : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: payments,
+        message: "Refund recorded successfully",
+      });
+    } catch (error) {
       next(error);
     }
   },
@@ -223,16 +302,16 @@ const orderController = {
       const { reason } = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ORDER_ID",
-            message: "Valid order ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
 
-      const cancelledOrder = await orderService.cancelOrder(id, reason);
+      const cancelledOrder = await orderService.cancelOrder(
+        id,
+        reason,
+        req.user ? req.user.id : null
+      );
 
       res.json({
         success: true,
@@ -240,27 +319,6 @@ const orderController = {
         message: "Order cancelled successfully",
       });
     } catch (error) {
-      if (error.message === "Order not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "ORDER_NOT_FOUND",
-            message: "Order not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Cannot cancel") ||
-        error.message.includes("already cancelled")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "CANNOT_CANCEL_ORDER",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -271,24 +329,25 @@ const orderController = {
       const { userId } = req.params;
 
       if (!userId || isNaN(userId)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_USER_ID",
-            message: "Valid user ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid user ID is required", 400, "INVALID_USER_ID")
+        );
       }
 
       const options = {
+        ...req.query,
         page: parseInt(req.query.page) || 1,
         limit: Math.min(parseInt(req.query.limit) || 10, 100),
-        status: req.query.status || "",
-        paymentStatus: req.query.paymentStatus || "",
-        sort: req.query.sort || "-createdAt",
+        cursor: req.query.cursor || "",
       };
 
       const result = await orderService.findOrdersByUser(userId, options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalOrders
+      );
 
       res.json({
         success: true,
@@ -342,16 +401,14 @@ const orderController = {
       const itemData = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ORDER_ID",
-            message: "Valid order ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
 
-      const updatedOrder = await orderService.addItemToOrder(id, itemData);
+      const updatedOrder = await orderService.addItemToOrder(id, itemData, {
+        actorId: req.user ? req.user.id : null,
+      });
 
       res.json({
         success: true,
@@ -359,60 +416,38 @@ const orderController = {
         message: "Item added to order successfully",
       });
     } catch (error) {
-      if (error.message === "Order not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "ORDER_NOT_FOUND",
-            message: "Order not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Cannot modify") ||
-        error.message.includes("not found") ||
-        error.message.includes("Insufficient stock")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
 
   // DELETE /api/orders/:id/items/:productId - Remove item from order
+  // (?variantId= for a product ordered in variants)
   async removeItemFromOrder(req, res, next) {
     try {
       const { id, productId } = req.params;
+      const { variantId = null } = req.query;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_ORDER_ID",
-            message: "Valid order ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid order ID is required", 400, "INVALID_ORDER_ID")
+        );
       }
 
       if (!productId || isNaN(productId)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PRODUCT_ID",
-            message: "Valid product ID is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
 
       const updatedOrder = await orderService.removeItemFromOrder(
         id,
-        productId
+        productId,
+        variantId,
+        { actorId: req.user ? req.user.id : null }
       );
 
       res.json({
@@ -421,30 +456,15 @@ const orderController = {
         message: "Item removed from order successfully",
       });
     } catch (error) {
-      if (error.message === "Order not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "ORDER_NOT_FOUND",
-            message: "Order not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Cannot modify") ||
-        error.message.includes("not found")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
 };
 
+// Whether the signed-in user's role allows permission (req.permissions is
+// set by middleware/auth)
+function can(req, permission) {
+  return permissionUtils.allows(req.permissions, permission);
+}
+
 module.exports = orderController;
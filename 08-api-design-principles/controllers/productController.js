@@ -1,24 +1,36 @@
 // Product Controller
 // HTTP request handlers for product operations
 
+const { once } = require("events");
+const config = require("../config/config");
 const productService = require("../services/productService");
+const productTransferService = require("../services/productTransferService");
+const {
+  AppError,
+  NotFoundError,
+  UnsupportedMediaTypeError,
+} = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
 
 const productController = {
   // GET /api/products - Get all products with pagination and filtering
   async getProducts(req, res, next) {
     try {
+      // Filters, sort and fields are parsed by the service
       const options = {
+        ...req.query,
         page: parseInt(req.query.page) || 1,
         limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
-        search: req.query.search || "",
-        category: req.query.category || "",
-        minPrice: parseFloat(req.query.minPrice) || 0,
-        maxPrice: parseFloat(req.query.maxPrice) || Infinity,
-        sort: req.query.sort || "id",
-        inStock: req.query.inStock || "",
+        cursor: req.query.cursor || "",
       };
 
       const result = await productService.findProducts(options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalProducts
+      );
 
       res.json({
         success: true,
@@ -37,25 +49,19 @@ const productController = {
       const { id } = req.params;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PRODUCT_ID",
-            message: "Valid product ID is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
 
       const product = await productService.findProductById(id);
 
       if (!product) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "PRODUCT_NOT_FOUND",
-            message: "Product not found",
-          },
-        });
+        return next(new NotFoundError("Product"));
       }
 
       res.json({
@@ -73,7 +79,9 @@ const productController = {
     try {
       const productData = req.body;
 
-      const newProduct = await productService.createProduct(productData);
+      const newProduct = await productService.createProduct(productData, {
+        actorId: req.user ? req.user.id : null,
+      });
 
       res.status(201).json({
         success: true,
@@ -81,18 +89,6 @@ const productController = {
         message: "Product created successfully",
       });
     } catch (error) {
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -104,18 +100,23 @@ const productController = {
       const productData = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PRODUCT_ID",
-            message: "Valid product ID is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
 
       const updatedProduct = await productService.updateProduct(
         id,
-        productData
+        productData,
+        {
+          ifMatch: req.get("If-Match"),
+          representation: req.apiVersion,
+          actorId: req.user ? req.user.id : null,
+        }
       );
 
       res.json({
@@ -124,27 +125,6 @@ const productController = {
         message: "Product updated successfully",
       });
     } catch (error) {
-      if (error.message === "Product not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "PRODUCT_NOT_FOUND",
-            message: "Product not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -156,18 +136,23 @@ const productController = {
       const productData = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PRODUCT_ID",
-            message: "Valid product ID is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
 
       const updatedProduct = await productService.updateProduct(
         id,
-        productData
+        productData,
+        {
+          ifMatch: req.get("If-Match"),
+          representation: req.apiVersion,
+          actorId: req.user ? req.user.id : null,
+        }
       );
 
       res.json({
@@ -176,27 +161,6 @@ const productController = {
         message: "Product updated successfully",
       });
     } catch (error) {
-      if (error.message === "Product not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "PRODUCT_NOT_FOUND",
-            message: "Product not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -207,13 +171,13 @@ const productController = {
       const { id } = req.params;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PRODUCT_ID",
-            message: "Valid product ID is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
 
       const deletedProduct = await productService.deleteProduct(id);
@@ -224,15 +188,6 @@ const productController = {
         message: "Product deleted successfully",
       });
     } catch (error) {
-      if (error.message === "Product not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "PRODUCT_NOT_FOUND",
-            message: "Product not found",
-          },
-        });
-      }
       next(error);
     }
   },
@@ -252,36 +207,26 @@ const productController = {
     }
   },
 
-  // GET /api/products/search - Search products
+  // GET /api/products/search - Full-text search with facets
+  // (query validated against schemas/ProductSearchQuery)
   async searchProducts(req, res, next) {
     try {
-      const { q: query } = req.query;
-
-      if (!query || query.trim().length < 2) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_SEARCH_QUERY",
-            message: "Search query must be at least 2 characters long",
-          },
-        });
-      }
-
-      const options = {
-        category: req.query.category || "",
-        minPrice: parseFloat(req.query.minPrice) || 0,
-        maxPrice: parseFloat(req.query.maxPrice) || Infinity,
-        sort: req.query.sort || "relevance",
-      };
+      const { q: query, price = {}, ...options } = req.query;
 
-      const result = await productService.searchProducts(query, options);
+      const result = await productService.searchProducts(query, {
+        ...options,
+        minPrice: price.gte !== undefined ? price.gte : options.minPrice,
+        maxPrice: price.lte !== undefined ? price.lte : options.maxPrice,
+      });
 
       res.json({
         success: true,
         data: result.results,
+        pagination: result.pagination,
         meta: {
           query: result.query,
           totalFound: result.totalFound,
+          facets: result.facets,
         },
         message: "Search completed successfully",
       });
@@ -290,33 +235,101 @@ const productController = {
     }
   },
 
-  // PATCH /api/products/:id/stock - Update product stock
+  // POST /api/products/import - Create or update products from a CSV or
+  // NDJSON body (query validated against schemas/ProductImportQuery)
+  async importProducts(req, res, next) {
+    try {
+      const { mediaTypes } = config.api;
+      const format = productTransferService.FORMATS.find((name) =>
+        req.is(mediaTypes[name])
+      );
+      if (!format) {
+        throw new UnsupportedMediaTypeError(Object.values(mediaTypes));
+      }
+
+      const report = await productTransferService.importProducts(req, {
+        format,
+        dryRun: req.query.dryRun === true,
+        actorId: req.user ? req.user.id : null,
+      });
+
+      res.json({
+        success: true,
+        data: report,
+        message: report.dryRun
+          ? "Import checked; nothing was saved"
+          : "Import completed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/products/export - Stream the products matching the filters of
+  // GET /api/products as CSV or NDJSON (?format=)
+  async exportProducts(req, res, next) {
+    const { format = "csv", ...options } = req.query;
+    const lines = productTransferService.exportProducts(options, format);
+
+    try {
+      // Read the first line before sending anything, so an invalid filter
+      // still gets an error response
+      let line = await lines.next();
+
+      res.set({
+        "Content-Type": `${config.api.mediaTypes[format]}; charset=utf-8`,
+        "Content-Disposition": `attachment; filename="products.${format}"`,
+      });
+      while (!line.done && !res.destroyed) {
+        if (!res.write(line.value)) {
+          await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+        line = await lines.next();
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        next(error);
+      }
+    }
+  },
+
+  // PATCH /api/products/:id/stock - Add to or take from product stock
+  // (body validated against schemas/StockAdjustment; variantId names the
+  // variant of a product with variants)
   async updateStock(req, res, next) {
     try {
       const { id } = req.params;
-      const { quantity } = req.body;
+      const { quantity, variantId = null, reason, note } = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_PRODUCT_ID",
-            message: "Valid product ID is required",
-          },
-        });
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
 
       if (quantity === undefined || isNaN(quantity)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_QUANTITY",
-            message: "Valid quantity is required",
-          },
-        });
+        return next(
+          new AppError("Valid quantity is required", 400, "INVALID_QUANTITY")
+        );
       }
 
-      const updatedProduct = await productService.updateStock(id, quantity);
+      const updatedProduct = await productService.updateStock(
+        id,
+        Number(quantity),
+        variantId,
+        {
+          ...(reason && { reason }),
+          note,
+          actorId: req.user ? req.user.id : null,
+        }
+      );
 
       res.json({
         success: true,
@@ -324,15 +337,126 @@ const productController = {
         message: "Stock updated successfully",
       });
     } catch (error) {
-      if (error.message === "Product not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "PRODUCT_NOT_FOUND",
-            message: "Product not found",
-          },
-        });
+      next(error);
+    }
+  },
+
+  // GET /api/products/:id/variants - List variants (?attributes[size]=M)
+  async getVariants(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
       }
+
+      const variants = await productService.getVariants(
+        id,
+        req.query.attributes || null
+      );
+
+      res.json({
+        success: true,
+        data: variants,
+        message: "Variants retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/products/:id/variants - Add a variant
+  async createVariant(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
+      }
+
+      const variant = await productService.addVariant(id, req.body, {
+        actorId: req.user ? req.user.id : null,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: variant,
+        message: "Variant created successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PATCH /api/products/:id/variants/:variantId - Update a variant
+  async updateVariant(req, res, next) {
+    try {
+      const { id, variantId } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
+      }
+
+      const variant = await productService.updateVariant(
+        id,
+        variantId,
+        req.body,
+        { actorId: req.user ? req.user.id : null }
+      );
+
+      res.json({
+        success: true,
+        data: variant,
+        message: "Variant updated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/products/:id/variants/:variantId - Remove a variant
+  async deleteVariant(req, res, next) {
+    try {
+      const { id, variantId } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid product ID is required",
+            400,
+            "INVALID_PRODUCT_ID"
+          )
+        );
+      }
+
+      const variant = await productService.deleteVariant(id, variantId, {
+        actorId: req.user ? req.user.id : null,
+      });
+
+      res.json({
+        success: true,
+        data: variant,
+        message: "Variant deleted successfully",
+      });
+    } catch (error) {
       next(error);
     }
   },
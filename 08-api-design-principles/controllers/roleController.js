@@ -0,0 +1,108 @@
+// Role Controller
+// HTTP request handlers for roles and their permissions
+
+const roleService = require("../services/roleService");
+const { NotFoundError } = require("../utils/errors");
+
+const roleController = {
+  // GET /api/admin/permissions - Every permission a role can hold
+  async getPermissions(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: roleService.listPermissions(),
+        message: "Permissions retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/admin/roles - Get all roles
+  async getRoles(req, res, next) {
+    try {
+      const roles = await roleService.findRoles();
+
+      res.json({
+        success: true,
+        data: roles,
+        message: "Roles retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/admin/roles/:name - Get role by name
+  async getRoleByName(req, res, next) {
+    try {
+      const role = await roleService.findRoleByName(req.params.name);
+
+      if (!role) {
+        return next(new NotFoundError("Role"));
+      }
+
+      res.json({
+        success: true,
+        data: role,
+        message: "Role retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/admin/roles - Create new role
+  async createRole(req, res, next) {
+    try {
+      const newRole = await roleService.createRole(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: newRole,
+        message: "Role created successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PATCH /api/admin/roles/:name - Update role
+  async updateRole(req, res, next) {
+    try {
+      const updatedRole = await roleService.updateRole(
+        req.params.name,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        data: updatedRole,
+        message: "Role updated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/admin/roles/:name - Delete role
+  async deleteRole(req, res, next) {
+    try {
+      const deletedRole = await roleService.deleteRole(req.params.name);
+
+      if (!deletedRole) {
+        return next(new NotFoundError("Role"));
+      }
+
+      res.json({
+        success: true,
+        data: deletedRole,
+        message: "Role deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = roleController;
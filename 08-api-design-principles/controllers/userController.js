@@ -2,21 +2,28 @@
 // HTTP request handlers for user operations
 
 const userService = require("../services/userService");
+const { AppError, NotFoundError } = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
 
 const userController = {
   // GET /api/users - Get all users with pagination and filtering
   async getUsers(req, res, next) {
     try {
+      // Filters, sort and fields are parsed by the service
       const options = {
+        ...req.query,
         page: parseInt(req.query.page) || 1,
         limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
-        search: req.query.search || "",
-        sort: req.query.sort || "id",
-        role: req.query.role || "",
-        isActive: req.query.isActive || "",
+        cursor: req.query.cursor || "",
       };
 
       const result = await userService.findUsers(options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalUsers
+      );
 
       res.json({
         success: true,
@@ -35,25 +42,15 @@ const userController = {
       const { id } = req.params;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_USER_ID",
-            message: "Valid user ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid user ID is required", 400, "INVALID_USER_ID")
+        );
       }
 
       const user = await userService.findUserById(id);
 
       if (!user) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "USER_NOT_FOUND",
-            message: "User not found",
-          },
-        });
+        return next(new NotFoundError("User"));
       }
 
       res.json({
@@ -79,18 +76,6 @@ const userController = {
         message: "User created successfully",
       });
     } catch (error) {
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -102,13 +87,9 @@ const userController = {
       const userData = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_USER_ID",
-            message: "Valid user ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid user ID is required", 400, "INVALID_USER_ID")
+        );
       }
 
       const updatedUser = await userService.updateUser(id, userData);
@@ -119,27 +100,6 @@ const userController = {
         message: "User updated successfully",
       });
     } catch (error) {
-      if (error.message === "User not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "USER_NOT_FOUND",
-            message: "User not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -151,16 +111,15 @@ const userController = {
       const userData = req.body;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_USER_ID",
-            message: "Valid user ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid user ID is required", 400, "INVALID_USER_ID")
+        );
       }
 
-      const updatedUser = await userService.updateUser(id, userData);
+      const updatedUser = await userService.updateUser(id, userData, {
+        ifMatch: req.get("If-Match"),
+        representation: req.apiVersion,
+      });
 
       res.json({
         success: true,
@@ -168,27 +127,6 @@ const userController = {
         message: "User updated successfully",
       });
     } catch (error) {
-      if (error.message === "User not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "USER_NOT_FOUND",
-            message: "User not found",
-          },
-        });
-      }
-      if (
-        error.message.includes("Validation failed") ||
-        error.message.includes("already exists")
-      ) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "VALIDATION_ERROR",
-            message: error.message,
-          },
-        });
-      }
       next(error);
     }
   },
@@ -199,13 +137,9 @@ const userController = {
       const { id } = req.params;
 
       if (!id || isNaN(id)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: "INVALID_USER_ID",
-            message: "Valid user ID is required",
-          },
-        });
+        return next(
+          new AppError("Valid user ID is required", 400, "INVALID_USER_ID")
+        );
       }
 
       const deletedUser = await userService.deleteUser(id);
@@ -216,15 +150,6 @@ const userController = {
         message: "User deleted successfully",
       });
     } catch (error) {
-      if (error.message === "User not found") {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: "USER_NOT_FOUND",
-            message: "User not found",
-          },
-        });
-      }
       next(error);
     }
   },
@@ -0,0 +1,318 @@
+// Webhook Controller
+// HTTP request handlers for webhook subscriptions and their delivery log
+
+const webhookService = require("../services/webhookService");
+const { AppError, NotFoundError } = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+
+const webhookController = {
+  // GET /api/webhooks - Get all webhooks with pagination and filtering
+  async getWebhooks(req, res, next) {
+    try {
+      // Filters, sort and fields are parsed by the service
+      const options = {
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
+        cursor: req.query.cursor || "",
+      };
+
+      const result = await webhookService.findWebhooks(options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalWebhooks
+      );
+
+      res.json({
+        success: true,
+        data: result.webhooks,
+        pagination: result.pagination,
+        message: "Webhooks retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/webhooks/:id - Get webhook by ID
+  async getWebhookById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      const webhook = await webhookService.findWebhookById(id);
+
+      if (!webhook) {
+        return next(new NotFoundError("Webhook"));
+      }
+
+      res.json({
+        success: true,
+        data: webhook,
+        message: "Webhook retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/webhooks - Create new webhook
+  async createWebhook(req, res, next) {
+    try {
+      const newWebhook = await webhookService.createWebhook(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: newWebhook,
+        message: "Webhook created successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // PATCH /api/webhooks/:id - Update webhook
+  async updateWebhook(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      const updatedWebhook = await webhookService.updateWebhook(id, req.body);
+
+      res.json({
+        success: true,
+        data: updatedWebhook,
+        message: "Webhook updated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // DELETE /api/webhooks/:id - Delete webhook
+  async deleteWebhook(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      const deletedWebhook = await webhookService.deleteWebhook(id);
+
+      if (!deletedWebhook) {
+        return next(new NotFoundError("Webhook"));
+      }
+
+      res.json({
+        success: true,
+        data: deletedWebhook,
+        message: "Webhook deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+  async rotateSecret(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      const webhook = await webhookService.rotateSecret(id);
+
+      res.json({
+        success: true,
+        data: webhook,
+        message: "Webhook secret rotated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/webhooks/:id/ping - Send a test event
+  async pingWebhook(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      const delivery = await webhookService.ping(id);
+
+      res.json({
+        success: true,
+        data: delivery,
+        message: "Ping sent",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/webhooks/:id/deliveries - Delivery log of a webhook
+  async getDeliveries(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      // Filters, sort and fields are parsed by the service
+      const options = {
+        ...req.query,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 100), // Max 100 per page
+        cursor: req.query.cursor || "",
+      };
+
+      const result = await webhookService.findDeliveries(id, options);
+      paginationUtils.setPaginationHeaders(
+        req,
+        res,
+        result.pagination,
+        result.pagination.totalDeliveries
+      );
+
+      res.json({
+        success: true,
+        data: result.deliveries,
+        pagination: result.pagination,
+        message: "Deliveries retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // GET /api/webhooks/:id/deliveries/:deliveryId - Get delivery by ID
+  async getDeliveryById(req, res, next) {
+    try {
+      const { id, deliveryId } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      if (!deliveryId || isNaN(deliveryId)) {
+        return next(
+          new AppError(
+            "Valid delivery ID is required",
+            400,
+            "INVALID_DELIVERY_ID"
+          )
+        );
+      }
+
+      const delivery = await webhookService.findDeliveryById(id, deliveryId);
+
+      if (!delivery) {
+        return next(new NotFoundError("Delivery"));
+      }
+
+      res.json({
+        success: true,
+        data: delivery,
+        message: "Delivery retrieved successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  // POST /api/webhooks/:id/deliveries/:deliveryId/replay - Send again
+  async replayDelivery(req, res, next) {
+    try {
+      const { id, deliveryId } = req.params;
+
+      if (!id || isNaN(id)) {
+        return next(
+          new AppError(
+            "Valid webhook ID is required",
+            400,
+            "INVALID_WEBHOOK_ID"
+          )
+        );
+      }
+
+      if (!deliveryId || isNaN(deliveryId)) {
+        return next(
+          new AppError(
+            "Valid delivery ID is required",
+            400,
+            "INVALID_DELIVERY_ID"
+          )
+        );
+      }
+
+      const delivery = await webhookService.replayDelivery(id, deliveryId);
+
+      res.status(201).json({
+        success: true,
+        data: delivery,
+        message: "Delivery replayed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+};
+
+module.exports = webhookController;
@@ -0,0 +1,6 @@
+// Jest setup
+// Every test file starts from the seed data, in memory, with the in-process
+// cache, whatever the environment configures
+
+process.env.DATABASE_URL = "memory://"
+process.env.CACHE_DRIVER = "lru"
@@ -1,166 +1,75 @@
+const config = require("../config/config")
+const schemaValidator = require("../utils/schemaValidator")
+const { AppError, ValidationError } = require("../utils/errors")
+
+// CSV and NDJSON, read by bulk import and written by bulk export; the
+// endpoints themselves reject bodies they cannot read
+const BULK_MEDIA_TYPES = Object.values(config.api.mediaTypes)
+
+// Whether a body follows the headers; actions such as POST /auth/logout-all
+// or /webhooks/:id/ping are sent without one
+const hasBody = (req) =>
+  req.headers["transfer-encoding"] !== undefined || Number.parseInt(req.headers["content-length"]) > 0
+
 const apiValidator = (req, res, next) => {
-  // Content-Type validation for POST/PUT/PATCH requests
-  if (["POST", "PUT", "PATCH"].includes(req.method)) {
+  // Content-Type validation for POST/PUT/PATCH requests with a body
+  if (["POST", "PUT", "PATCH"].includes(req.method) && hasBody(req)) {
     const contentType = req.headers["content-type"]
+    const accepted = ["application/json", ...BULK_MEDIA_TYPES]
 
-    if (!contentType || !contentType.includes("application/json")) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "INVALID_CONTENT_TYPE",
-          message: "Content-Type must be application/json",
-        },
-      })
+    if (!contentType || !accepted.some((type) => contentType.includes(type))) {
+      return next(new AppError("Content-Type must be application/json", 400, "INVALID_CONTENT_TYPE"))
     }
   }
 
-  // Accept header validation
+  // Accept header validation (application/vnd.api+json carries the API version)
   const acceptHeader = req.headers.accept
-  if (acceptHeader && !acceptHeader.includes("application/json") && !acceptHeader.includes("*/*")) {
-    return res.status(406).json({
-      success: false,
-      error: {
-        code: "NOT_ACCEPTABLE",
-        message: "API only supports application/json responses",
-      },
-    })
+  if (
+    acceptHeader &&
+    !acceptHeader.includes("application/json") &&
+    !acceptHeader.includes("application/vnd.api+json") &&
+    !acceptHeader.includes("*/*") &&
+    !BULK_MEDIA_TYPES.some((type) => acceptHeader.includes(type))
+  ) {
+    return next(new AppError("API only supports application/json responses", 406, "NOT_ACCEPTABLE"))
   }
 
-  // API version validation (if versioned)
-  const apiVersion = req.headers["api-version"]
-  if (apiVersion && !["1.0", "1"].includes(apiVersion)) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: "UNSUPPORTED_API_VERSION",
-        message: "Unsupported API version",
-      },
-    })
-  }
+  // The API version is negotiated by middleware/apiVersion
 
   next()
 }
 
-const validatePagination = (req, res, next) => {
-  const { page, limit } = req.query
-
-  if (page && (isNaN(page) || Number.parseInt(page) < 1)) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: "INVALID_PAGE_PARAMETER",
-        message: "Page must be a positive integer",
-      },
-    })
-  }
-
-  if (limit && (isNaN(limit) || Number.parseInt(limit) < 1 || Number.parseInt(limit) > 100)) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: "INVALID_LIMIT_PARAMETER",
-        message: "Limit must be between 1 and 100",
-      },
-    })
-  }
-
-  next()
-}
-
-const validateProduct = (req, res, next) => {
-  const { name, description, price, category, stock } = req.body
-  const errors = []
-
-  if (!name || typeof name !== "string" || name.trim().length < 2) {
-    errors.push({
-      field: "name",
-      message: "Name must be at least 2 characters long",
-    })
-  }
-
-  if (!description || typeof description !== "string" || description.trim().length < 10) {
-    errors.push({
-      field: "description",
-      message: "Description must be at least 10 characters long",
-    })
-  }
-
-  if (!price || isNaN(price) || Number.parseFloat(price) <= 0) {
-    errors.push({
-      field: "price",
-      message: "Price must be a positive number",
-    })
-  }
-
-  if (!category || typeof category !== "string" || category.trim().length < 2) {
-    errors.push({
-      field: "category",
-      message: "Category must be at least 2 characters long",
-    })
-  }
-
-  if (stock === undefined || isNaN(stock) || Number.parseInt(stock) < 0) {
-    errors.push({
-      field: "stock",
-      message: "Stock must be a non-negative integer",
-    })
-  }
+// Validates req[source] against a schema from schemas/ and replaces it with the
+// normalized value: strings coerced, unknown fields stripped or rejected as set
+// in config.validation. Errors reach the error handler as a 400
+// VALIDATION_ERROR with one { field, message } per failing path.
+const validate = (schemaName, { source = "body", ...options } = {}) => {
+  const middleware = (req, res, next) => {
+    const { value, errors } = schemaValidator.validate(req[source] || {}, schemaName, options)
+    if (errors.length > 0) {
+      return next(new ValidationError(errors))
+    }
 
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Validation failed",
-        details: errors,
-      },
-    })
+    req[source] = value
+    next()
   }
 
-  next()
+  // Route metadata read by utils/apiDocs
+  middleware.apiDoc = source === "body" ? { body: schemaName } : {}
+  return middleware
 }
 
-const validateUserUpdate = (req, res, next) => {
-  const { name, email, role } = req.body
-  const errors = []
-
-  if (name && (typeof name !== "string" || name.trim().length < 2)) {
-    errors.push({
-      field: "name",
-      message: "Name must be at least 2 characters long",
-    })
-  }
-
-  if (email && (typeof email !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
-    errors.push({
-      field: "email",
-      message: "Valid email address is required",
-    })
-  }
-
-  if (role && !["user", "admin", "moderator"].includes(role)) {
-    errors.push({
-      field: "role",
-      message: "Role must be one of: user, admin, moderator",
-    })
-  }
+// Other query parameters (filters, sort) pass through untouched
+const validatePagination = validate("PaginationQuery", { source: "query", stripUnknown: false, allowUnknown: true })
+validatePagination.apiDoc = { paginated: true }
 
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Validation failed",
-        details: errors,
-      },
-    })
-  }
+const validateProduct = validate("ProductInput")
 
-  next()
-}
+const validateUserUpdate = validate("UserUpdate", { partial: true })
 
 module.exports = {
   apiValidator,
+  validate,
   validatePagination,
   validateProduct,
   validateUserUpdate,
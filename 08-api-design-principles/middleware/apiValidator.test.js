@@ -0,0 +1,44 @@
+const express = require("express")
+const request = require("supertest")
+const { apiValidator } = require("./apiValidator")
+const errorHandler = require("./errorHandler")
+
+const app = express()
+app.use(express.json())
+app.use(apiValidator)
+app.post("/webhooks/:id/ping", (req, res) => res.json({ body: req.body }))
+app.use(errorHandler)
+
+describe("apiValidator Content-Type", () => {
+  test("accepts POST requests without a body", async () => {
+    const empty = await request(app).post("/webhooks/1/ping")
+    const bare = await request(app).post("/webhooks/1/ping").unset("Content-Length")
+
+    expect(empty.status).toBe(200)
+    expect(bare.status).toBe(200)
+  })
+
+  test("accepts JSON bodies", async () => {
+    const res = await request(app).post("/webhooks/1/ping").send({ note: "hello" })
+
+    expect(res.status).toBe(200)
+    expect(res.body.body).toEqual({ note: "hello" })
+  })
+
+  test("rejects bodies that are not JSON", async () => {
+    const res = await request(app).post("/webhooks/1/ping").set("Content-Type", "text/plain").send("hello")
+
+    expect(res.status).toBe(400)
+    expect(res.body.code).toBe("INVALID_CONTENT_TYPE")
+  })
+
+  test("rejects chunked bodies without a Content-Type", async () => {
+    const req = request(app).post("/webhooks/1/ping").set("Transfer-Encoding", "chunked")
+    req.write("hello")
+
+    const res = await req
+
+    expect(res.status).toBe(400)
+    expect(res.body.code).toBe("INVALID_CONTENT_TYPE")
+  })
+})
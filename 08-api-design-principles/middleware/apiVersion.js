@@ -0,0 +1,59 @@
+// API Version Middleware
+// Resolves the API version of a request and announces deprecated versions
+//
+// The version is taken from, in order:
+//   1. the URL prefix          /api/v2/orders
+//   2. the API-Version header  API-Version: 2
+//   3. the Accept header       Accept: application/vnd.api+json;version=2
+//   4. config.api.defaultVersion
+
+const config = require("../config/config")
+const { UnsupportedApiVersionError } = require("../utils/errors")
+
+const { prefix, versions, defaultVersion } = config.api
+const latestVersion = Object.keys(versions).pop()
+
+// "2", "2.0" and "v2" all mean "v2"
+const normalizeVersion = (value) => {
+  const match = /^v?(\d+)(?:\.0)?$/i.exec(String(value).trim())
+  return match ? `v${match[1]}` : null
+}
+
+const versionFromAccept = (accept = "") => {
+  const match = /application\/vnd\.api\+json[^,]*;\s*version=([\w.]+)/i.exec(accept)
+  return match ? match[1] : undefined
+}
+
+// pinned: version fixed by the URL prefix; negotiated from headers otherwise
+const apiVersion = (pinned) => (req, res, next) => {
+  // Reached for version prefixes without a router, e.g. /api/v9/orders
+  const prefixed = !pinned && /^\/(v\d+)(?:\/|$)/.exec(req.path)
+  const requested =
+    pinned || (prefixed && prefixed[1]) || req.get("API-Version") || versionFromAccept(req.get("Accept"))
+  const version = requested === undefined ? defaultVersion : normalizeVersion(requested)
+
+  if (!version || !versions[version]) {
+    return next(new UnsupportedApiVersionError(requested, Object.keys(versions)))
+  }
+
+  req.apiVersion = version
+  res.set("API-Version", version)
+  if (!pinned) {
+    res.vary("API-Version")
+    res.vary("Accept")
+  }
+
+  // Deprecation (RFC 9745), Sunset (RFC 8594) and the successor version
+  const { deprecatedAt, sunsetAt } = versions[version]
+  if (deprecatedAt) {
+    res.set("Deprecation", `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`)
+    res.append("Link", `<${prefix}/${latestVersion}${req.path}>; rel="successor-version"`)
+  }
+  if (sunsetAt) {
+    res.set("Sunset", new Date(sunsetAt).toUTCString())
+  }
+
+  next()
+}
+
+module.exports = apiVersion
@@ -0,0 +1,98 @@
+// Audit Middleware
+// Records every mutating API call (POST, PUT, PATCH, DELETE) in the audit
+// log (services/auditService) once it has been answered, failed or not.
+// PUT, PATCH and DELETE calls on an existing user, product or order (or one
+// of their sub-resources, e.g. /orders/:id/status) also record the fields
+// that changed. They are taken from the writes the call committed (see
+// repositories/Database trackChanges): the resource as it was just before
+// its first write and just after its last, so writes of concurrent calls are
+// never attributed to this one. Recording never holds up or fails the
+// response.
+
+const auditService = require("../services/auditService")
+const AuditEntry = require("../models/AuditEntry")
+const { trackChanges } = require("../repositories")
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"]
+const DIFFED_METHODS = ["PUT", "PATCH", "DELETE"]
+
+// Collection of each diffed resource type, by the first path segment
+const DIFFED_COLLECTIONS = {
+  users: "users",
+  products: "products",
+  orders: "orders",
+}
+
+// "/api", and the version when the URL names one
+const API_PREFIX = /^\/api(\/v\d+)?(?=\/|$)/
+
+const audit = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next()
+  }
+
+  const path = req.originalUrl.split("?")[0]
+  const segments = path.replace(API_PREFIX, "").split("/").filter(Boolean)
+  const [resourceType = null, id] = segments
+  const resourceId = /^\d+$/.test(id) ? Number(id) : null
+  const collection = DIFFED_METHODS.includes(req.method) && resourceId && DIFFED_COLLECTIONS[resourceType]
+
+  // The ID of a resource the call created
+  let createdId = null
+  const originalJson = res.json
+  res.json = function (body) {
+    const data = body && body.success && body.data
+    if (res.statusCode === 201 && data && !Array.isArray(data) && "id" in data) {
+      createdId = data.id
+    }
+    return originalJson.call(this, body)
+  }
+
+  // Writes made anywhere down the middleware chain are collected
+  trackChanges((changes) => {
+    res.on("finish", async () => {
+      try {
+        await auditService.record({
+          actorId: req.user ? req.user.id : null,
+          actorRole: req.user ? req.user.role : null,
+          apiKeyId: req.apiKey ? req.apiKey.id : null,
+          action: `${req.method} ${routePath(req, segments)}`,
+          method: req.method,
+          path,
+          resourceType,
+          resourceId: resourceId || createdId,
+          statusCode: res.statusCode,
+          changes: collection && res.statusCode < 400 ? resourceChanges(changes, collection, resourceId) : null,
+          ip: req.ip,
+        })
+      } catch (error) {
+        console.error("Failed to record audit entry:", error.message)
+      }
+    })
+
+    next()
+  })
+}
+
+// Fields of one record changed by the tracked writes: from before the first
+// write to after the last (none when the call did not write it)
+const resourceChanges = (changes, collection, id) => {
+  const writes = changes.filter((change) => change.collection === collection && change.id === id)
+  if (writes.length === 0) return []
+
+  return AuditEntry.diff(view(writes[0].before), view(writes[writes.length - 1].after))
+}
+
+// What the API shows of a record (models hide fields such as passwords)
+const view = (entity) => (entity && typeof entity.toJSON === "function" ? entity.toJSON() : entity)
+
+// The pattern of the route that answered, without the API prefix
+// ("/products/:id"), or the path called when no route matched. Built from the
+// URL because req.baseUrl no longer names the router once an error left it
+const routePath = (req, segments) => {
+  const routeSegments = req.route ? req.route.path.split("/").filter(Boolean) : []
+  const routerSegments = segments.slice(0, segments.length - routeSegments.length)
+  return `/${[...routerSegments, ...routeSegments].join("/")}`
+}
+
+module.exports = audit
@@ -1,71 +1,132 @@
-const jwt = require("jsonwebtoken")
+const config = require("../config/config")
+const apiKeyService = require("../services/apiKeyService")
+const authService = require("../services/authService")
+const roleService = require("../services/roleService")
+const { AuthenticationError, ForbiddenError, QuotaExceededError } = require("../utils/errors")
+const permissionUtils = require("../utils/permissions")
 
-const authenticateToken = (req, res, next) => {
+// Sets req.user to the user of the access token (see services/authService) and req.permissions to
+// the permissions of their role; expired, revoked or forged tokens and deactivated accounts are
+// rejected with 401. Without a token, an API key in the X-API-Key header is accepted instead
+// (see authenticateApiKey)
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers.authorization
   const token = authHeader && authHeader.split(" ")[1]
+  const apiKey = req.get(config.apiKeys.header)
+
+  if (!token && apiKey) {
+    return authenticateApiKey(req, res, next, apiKey)
+  }
 
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: "ACCESS_TOKEN_REQUIRED",
-        message: "Access token is required",
-      },
-    })
+    return next(new AuthenticationError("Access token or API key is required", "ACCESS_TOKEN_REQUIRED"))
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "fallback-secret")
-    req.user = decoded
-    next()
+    req.user = await authService.verifyAccessToken(token)
+    req.permissions = await roleService.permissionsOf(req.user.role)
   } catch (error) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: "INVALID_TOKEN",
-        message: "Invalid or expired token",
-      },
-    })
+    return next(error)
+  }
+
+  next()
+}
+
+// Route metadata read by utils/apiDocs
+authenticateToken.apiDoc = { auth: true }
+
+// Sets req.user to the owner of the API key (see services/apiKeyService), req.permissions to the
+// key's scopes that the owner's role allows and req.apiKey to the key. Every answer reports the
+// key's quota for the day in X-Quota-Limit, X-Quota-Remaining and X-Quota-Reset (Unix time of
+// the next UTC midnight); once it is used up, requests are rejected with 429 QUOTA_EXCEEDED
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const { user, permissions, apiKey, quota } = await apiKeyService.authenticate(key, req.ip)
+    setQuotaHeaders(res, quota)
+    req.user = user
+    req.permissions = permissions
+    req.apiKey = apiKey
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      setQuotaHeaders(res, { ...error.details, remaining: 0 })
+      res.set("Retry-After", String(Math.ceil((error.details.resetAt - Date.now()) / 1000)))
+    }
+    return next(error)
+  }
+
+  next()
+}
+
+const setQuotaHeaders = (res, { limit, remaining, resetAt }) => {
+  res.set({
+    "X-Quota-Limit": String(limit),
+    "X-Quota-Remaining": String(remaining),
+    "X-Quota-Reset": String(Math.floor(resetAt.getTime() / 1000)),
+  })
+}
+
+// Sets req.user when a token or API key is sent, so a route can serve guests and users alike;
+// a token or key that does not verify is still rejected
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization
+  if (!authHeader && !req.get(config.apiKeys.header)) {
+    return next()
   }
+
+  return authenticateToken(req, res, next)
 }
 
-const requireRole = (role) => {
-  return (req, res, next) => {
+optionalAuth.apiDoc = { auth: "optional" }
+
+// Whether the signed-in user's role allows permission (see utils/permissions)
+const can = (req, permission) => permissionUtils.allows(req.permissions, permission)
+
+// Rejects users whose role lacks permission with 403 PERMISSION_DENIED.
+// With options.owner, permission is scoped ("orders:read"): :any allows every record, and :own
+// only the records of the user, as named by owner(req), the ID of the user owning the record in
+// the URL (null when there is no such record, which is left to the handler's 404). Records of
+// other users are rejected with 403 ACCESS_DENIED.
+const requirePermission = (permission, options = {}) => {
+  const { owner } = options
+  const scopes = owner && permissionUtils.scopes(permission)
+
+  const checkPermission = async (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "AUTHENTICATION_REQUIRED",
-          message: "Authentication required",
-        },
-      })
+      return next(new AuthenticationError("Authentication required", "AUTHENTICATION_REQUIRED"))
     }
 
-    if (role === "admin" && req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: "ADMIN_ACCESS_REQUIRED",
-          message: "Admin access required",
-        },
-      })
+    if (!owner) {
+      return can(req, permission) ? next() : next(permissionDenied(permission))
+    }
+    if (can(req, scopes.any)) {
+      return next()
+    }
+    if (!can(req, scopes.own)) {
+      return next(permissionDenied(scopes.own))
     }
 
-    if (role === "moderator" && !["admin", "moderator"].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: "MODERATOR_ACCESS_REQUIRED",
-          message: "Moderator access required",
-        },
-      })
+    try {
+      const ownerId = await owner(req)
+      if (ownerId !== null && ownerId !== undefined && ownerId !== req.user.id) {
+        return next(new ForbiddenError("You do not have permission to access this resource", "ACCESS_DENIED"))
+      }
+    } catch (error) {
+      return next(error)
     }
 
     next()
   }
+
+  // Route metadata read by utils/apiDocs
+  checkPermission.apiDoc = { auth: true, permission: owner ? scopes.own : permission }
+  return checkPermission
 }
 
+const permissionDenied = (permission) =>
+  new ForbiddenError(`Permission ${permission} is required`, "PERMISSION_DENIED")
+
 module.exports = {
   authenticateToken,
-  requireRole,
+  optionalAuth,
+  requirePermission,
 }
@@ -0,0 +1,105 @@
+const express = require("express")
+const request = require("supertest")
+const { requirePermission } = require("./auth")
+const errorHandler = require("./errorHandler")
+
+// Orders 1 and 2 belong to users 1 and 2; there is no order 3
+const orderOwners = { 1: 1, 2: 2 }
+const orderOwner = (req) => (req.params.id in orderOwners ? orderOwners[req.params.id] : null)
+
+// An app signed in as user 1 with the given permissions (no user for null), as authenticateToken would
+const createApp = (permissions) => {
+  const app = express()
+  app.use((req, res, next) => {
+    if (permissions) {
+      req.user = { id: 1, role: "test" }
+      req.permissions = permissions
+    }
+    next()
+  })
+  app.get("/stats", requirePermission("stats:read"), (req, res) => res.json({ ok: true }))
+  app.get("/orders/:id", requirePermission("orders:read", { owner: orderOwner }), (req, res) =>
+    req.params.id in orderOwners ? res.json({ id: req.params.id }) : res.status(404).json({}),
+  )
+  app.use(errorHandler)
+  return app
+}
+
+// errorHandler logs the server errors it renders
+beforeAll(() => jest.spyOn(console, "error").mockImplementation(() => {}))
+afterAll(() => console.error.mockRestore())
+
+describe("requirePermission", () => {
+  test("requires a signed-in user", async () => {
+    const res = await request(createApp(null)).get("/stats")
+
+    expect(res.status).toBe(401)
+    expect(res.headers["content-type"]).toMatch(/^application\/problem\+json/)
+    expect(res.body.code).toBe("AUTHENTICATION_REQUIRED")
+  })
+
+  test("allows roles holding the permission or *", async () => {
+    expect((await request(createApp(["stats:read"])).get("/stats")).status).toBe(200)
+    expect((await request(createApp(["*"])).get("/stats")).status).toBe(200)
+  })
+
+  test("rejects roles lacking the permission", async () => {
+    const res = await request(createApp(["orders:read:any"])).get("/stats")
+
+    expect(res.status).toBe(403)
+    expect(res.body).toMatchObject({ code: "PERMISSION_DENIED", detail: "Permission stats:read is required" })
+  })
+
+  test(":any allows the records of every user", async () => {
+    const app = createApp(["orders:read:any"])
+
+    expect((await request(app).get("/orders/1")).status).toBe(200)
+    expect((await request(app).get("/orders/2")).status).toBe(200)
+  })
+
+  test(":own allows only the user's own records", async () => {
+    const app = createApp(["orders:read:own"])
+
+    const own = await request(app).get("/orders/1")
+    const other = await request(app).get("/orders/2")
+
+    expect(own.status).toBe(200)
+    expect(other.status).toBe(403)
+    expect(other.body.code).toBe("ACCESS_DENIED")
+  })
+
+  test("leaves records that do not exist to the handler's 404", async () => {
+    const res = await request(createApp(["orders:read:own"])).get("/orders/3")
+
+    expect(res.status).toBe(404)
+  })
+
+  test("scoped routes need at least the :own permission", async () => {
+    const res = await request(createApp(["stats:read"])).get("/orders/1")
+
+    expect(res.status).toBe(403)
+    expect(res.body).toMatchObject({ code: "PERMISSION_DENIED", detail: "Permission orders:read:own is required" })
+  })
+
+  test("passes errors of the owner lookup on", async () => {
+    const app = express()
+    app.use((req, res, next) => {
+      req.user = { id: 1 }
+      req.permissions = ["orders:read:own"]
+      next()
+    })
+    const failingOwner = () => Promise.reject(new Error("database down"))
+    app.get("/orders/:id", requirePermission("orders:read", { owner: failingOwner }), (req, res) => res.json({}))
+    app.use(errorHandler)
+
+    expect((await request(app).get("/orders/1")).status).toBe(500)
+  })
+
+  test("describes the permission for the generated documentation", () => {
+    expect(requirePermission("stats:read").apiDoc).toEqual({ auth: true, permission: "stats:read" })
+    expect(requirePermission("orders:read", { owner: orderOwner }).apiDoc).toEqual({
+      auth: true,
+      permission: "orders:read:own",
+    })
+  })
+})
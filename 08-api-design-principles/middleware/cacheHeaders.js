@@ -0,0 +1,24 @@
+// Cache Headers Middleware
+// Reports whether a response was served from the cache (see cache/):
+// X-Cache: HIT when every cache lookup made for the request was a hit,
+// MISS when any of them was not. Responses that made no lookups get no header.
+
+const { cache } = require("../cache")
+
+const cacheHeaders = (req, res, next) => {
+  // Lookups made anywhere down the middleware chain are counted
+  cache.track((lookups) => {
+    const originalJson = res.json
+    res.json = function (body) {
+      if (lookups.hits + lookups.misses > 0) {
+        res.set("X-Cache", lookups.misses > 0 ? "MISS" : "HIT")
+      }
+
+      return originalJson.call(this, body)
+    }
+
+    next()
+  })
+}
+
+module.exports = cacheHeaders
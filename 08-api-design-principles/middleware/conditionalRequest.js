@@ -0,0 +1,53 @@
+// Conditional Request Middleware
+// etag: tags single-resource responses with a strong ETag (utils/etag) of the
+// resource in the request's API version; a GET or HEAD whose If-None-Match
+// names the current tag is answered by Express with 304 Not Modified and no
+// body.
+// ifMatch(findResource): optimistic concurrency for writes. A request whose
+// If-Match does not name the current version of findResource(req) is
+// rejected with 412 PRECONDITION_FAILED; requests without If-Match proceed.
+
+const etagUtils = require("../utils/etag")
+
+const etag = (req, res, next) => {
+  const originalJson = res.json
+  res.json = function (body) {
+    const data = body && body.success && body.data
+    if (res.statusCode < 300 && data && !Array.isArray(data) && "id" in data) {
+      res.set("ETag", etagUtils.forResource(data, req.apiVersion))
+    }
+
+    return originalJson.call(this, body)
+  }
+
+  next()
+}
+
+// Route metadata read by utils/apiDocs
+etag.apiDoc = { etag: true }
+
+const ifMatch = (findResource) => {
+  const checkIfMatch = async (req, res, next) => {
+    const header = req.get("If-Match")
+    if (header === undefined) {
+      return next()
+    }
+
+    try {
+      // A missing resource is left to the handler's 404
+      const resource = await findResource(req)
+      if (resource) {
+        etagUtils.assertMatch(header, resource, req.apiVersion)
+      }
+    } catch (error) {
+      return next(error)
+    }
+
+    next()
+  }
+
+  checkIfMatch.apiDoc = { conditional: true }
+  return checkIfMatch
+}
+
+module.exports = { etag, ifMatch }
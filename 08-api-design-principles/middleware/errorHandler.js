@@ -1,14 +1,35 @@
-const errorHandler = (err, req, res, next) => {
-  console.error("Error:", err)
-
-  let error = {
-    success: false,
-    error: {
-      code: "INTERNAL_SERVER_ERROR",
-      message: "Something went wrong on our end",
-    },
-  }
+// Renders errors as RFC 7807 problem details (application/problem+json).
+// AppErrors from utils/errors carry their own status and a stable code; the
+// success/error members are kept for clients of the original error envelope.
+
+const http = require("http")
+const config = require("../config/config")
+
+// INSUFFICIENT_STOCK -> <typeBaseUrl>/insufficient-stock
+const problemType = (code) => `${config.errors.typeBaseUrl}/${code.toLowerCase().replace(/_/g, "-")}`
 
+// errors: field-level validation errors, details: anything else the error carries
+const problem = (req, status, { type, code, message, errors, details }) => ({
+  type: type || problemType(code),
+  title: http.STATUS_CODES[status],
+  status,
+  detail: message,
+  instance: req.originalUrl,
+  code,
+  ...(errors && { errors }),
+  ...(details && { details }),
+  success: false,
+  error: {
+    code,
+    message,
+    ...((errors || details) && { details: errors || details }),
+  },
+})
+
+const send = (res, body) => res.status(body.status).type("application/problem+json").json(body)
+
+// The problem details of err
+const toProblem = (err, req) => {
   // Validation errors
   if (err.name === "ValidationError") {
     const errors = Object.values(err.errors).map((e) => ({
@@ -16,66 +37,58 @@ const errorHandler = (err, req, res, next) => {
       message: e.message,
     }))
 
-    error = {
-      success: false,
-      error: {
-        code: "VALIDATION_ERROR",
-        message: "Validation failed",
-        details: errors,
-      },
-    }
-    return res.status(400).json(error)
+    return problem(req, 400, { code: "VALIDATION_ERROR", message: err.message, errors })
   }
 
   // JWT errors
   if (err.name === "JsonWebTokenError") {
-    error = {
-      success: false,
-      error: {
-        code: "INVALID_TOKEN",
-        message: "Invalid token",
-      },
-    }
-    return res.status(401).json(error)
+    return problem(req, 401, { code: "INVALID_TOKEN", message: "Invalid token" })
   }
 
   if (err.name === "TokenExpiredError") {
-    error = {
-      success: false,
-      error: {
-        code: "TOKEN_EXPIRED",
-        message: "Token has expired",
-      },
-    }
-    return res.status(401).json(error)
+    return problem(req, 401, { code: "TOKEN_EXPIRED", message: "Token has expired" })
   }
 
   // Custom application errors
   if (err.statusCode) {
-    error = {
-      success: false,
-      error: {
-        code: err.code || "APPLICATION_ERROR",
-        message: err.message,
-      },
-    }
-    return res.status(err.statusCode).json(error)
+    return problem(req, err.statusCode, {
+      code: err.code || "APPLICATION_ERROR",
+      message: err.message,
+      ...(err.details && { details: err.details }),
+    })
   }
 
+  const body = problem(req, 500, {
+    type: "about:blank",
+    code: "INTERNAL_SERVER_ERROR",
+    message: "Something went wrong on our end",
+  })
+
   // Add stack trace in development
   if (process.env.NODE_ENV === "development") {
-    error.error.stack = err.stack
+    body.error.stack = err.stack
   }
 
   // Add request context
-  error.meta = {
+  body.meta = {
     timestamp: new Date().toISOString(),
     method: req.method,
     url: req.originalUrl,
     userAgent: req.headers["user-agent"],
   }
 
-  res.status(500).json(error)
+  return body
+}
+
+const errorHandler = (err, req, res, next) => {
+  const body = toProblem(err, req)
+
+  // 4xx errors are answered, not logged: only server errors need a stack
+  if (body.status >= 500) {
+    console.error("Error:", err)
+  }
+
+  send(res, body)
 }
 
 module.exports = errorHandler
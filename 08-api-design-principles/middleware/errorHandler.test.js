@@ -0,0 +1,48 @@
+const express = require("express")
+const request = require("supertest")
+const errorHandler = require("./errorHandler")
+const { NotFoundError, ValidationError } = require("../utils/errors")
+
+// An app whose only route fails with error
+const createApp = (error) => {
+  const app = express()
+  app.get("/", (req, res, next) => next(error))
+  app.use(errorHandler)
+  return app
+}
+
+beforeEach(() => jest.spyOn(console, "error").mockImplementation(() => {}))
+afterEach(() => console.error.mockRestore())
+
+describe("errorHandler", () => {
+  test("renders validation errors with their own message", async () => {
+    const error = new ValidationError([{ path: "sort", message: "Unknown field" }], "Invalid query parameters")
+
+    const res = await request(createApp(error)).get("/")
+
+    expect(res.status).toBe(400)
+    expect(res.headers["content-type"]).toMatch(/^application\/problem\+json/)
+    expect(res.body).toMatchObject({
+      code: "VALIDATION_ERROR",
+      detail: "Invalid query parameters",
+      errors: [{ field: "sort", message: "Unknown field" }],
+    })
+  })
+
+  test("does not log client errors", async () => {
+    const res = await request(createApp(new NotFoundError("Order"))).get("/")
+
+    expect(res.status).toBe(404)
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  test("logs server errors and hides their message", async () => {
+    const error = new Error("database down")
+
+    const res = await request(createApp(error)).get("/")
+
+    expect(res.status).toBe(500)
+    expect(res.body.detail).toBe("Something went wrong on our end")
+    expect(console.error).toHaveBeenCalledWith("Error:", error)
+  })
+})
@@ -0,0 +1,185 @@
+// Idempotency Middleware
+// Makes POST requests safe to retry: the first response for an Idempotency-Key
+// is stored, with its status and the headers in REPLAYED_HEADERS, and replayed
+// for every repeat of the same request within the window. A key being
+// processed is locked for a lease only, so a request that never answers does
+// not block it for the whole window.
+
+const crypto = require("crypto")
+const config = require("../config/config")
+const { createRepository, transaction } = require("../repositories")
+const { AppError, ConflictError } = require("../utils/errors")
+
+const records = createRepository("idempotency_keys", { dateFields: ["createdAt"] })
+
+const MAX_KEY_LENGTH = 255
+
+// Headers describing the stored response itself; the others (rate limits,
+// deprecation, request IDs) belong to the retry and are set again by it
+const REPLAYED_HEADERS = ["Content-Type", "ETag", "Last-Modified", "Location", "Link"]
+
+const idempotency = (options = {}) => {
+  const header = options.header || config.idempotency.header
+  const windowMs = options.windowMs || config.idempotency.windowMs
+  const leaseMs = options.processingLeaseMs || config.idempotency.processingLeaseMs
+
+  const middleware = async (req, res, next) => {
+    const key = req.get(header)
+    if (req.method !== "POST" || key === undefined) {
+      return next()
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return next(
+        new AppError(`${header} must be between 1 and ${MAX_KEY_LENGTH} characters`, 400, "INVALID_IDEMPOTENCY_KEY"),
+      )
+    }
+
+    // Keys are scoped to the endpoint and the caller
+    const caller = req.user ? `user:${req.user.id}` : `ip:${req.ip}`
+    const scope = [req.method, req.baseUrl + req.path, caller, key].join(" ")
+    const fingerprint = hashBody(req.body)
+
+    let existing
+    let recordId
+    try {
+      existing = await transaction(async () => {
+        const now = Date.now()
+        const record = await records.findOne((r) => r.scope === scope)
+        if (record && isLive(record, now)) {
+          return record
+        }
+
+        if (record) {
+          await records.delete(record.id)
+        }
+        await sweepExpired(now)
+
+        const inserted = await records.insert({
+          scope,
+          fingerprint,
+          status: "processing",
+          createdAt: new Date(now),
+          expiresAt: now + windowMs,
+          leaseExpiresAt: now + leaseMs,
+        })
+        recordId = inserted.id
+        return null
+      })
+    } catch (error) {
+      return next(error)
+    }
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return next(
+          new AppError(`${header} has already been used with a different request body`, 422, "IDEMPOTENCY_KEY_REUSED"),
+        )
+      }
+
+      if (existing.status === "processing") {
+        return next(
+          new ConflictError(
+            `A request with this ${header} is still being processed`,
+            "IDEMPOTENCY_REQUEST_IN_PROGRESS",
+          ),
+        )
+      }
+
+      res.set(existing.headers || {})
+      res.set("Idempotent-Replayed", "true")
+      return res.status(existing.statusCode).json(existing.body)
+    }
+
+    // Store the response before sending it, so a retry arriving right after
+    // the client got its answer is already replayed
+    let stored = false
+    const originalJson = res.json
+    res.json = function (body) {
+      stored = true
+      completeRecord(recordId, res.statusCode, responseHeaders(res), body)
+        .catch((error) => console.error("Failed to store idempotent response:", error.message))
+        .finally(() => originalJson.call(this, body))
+      return this
+    }
+
+    // Responses that never went through res.json cannot be replayed
+    res.on("close", () => {
+      if (!stored) {
+        releaseRecord(recordId).catch(() => {})
+      }
+    })
+
+    next()
+  }
+
+  // Route metadata read by utils/apiDocs
+  middleware.apiDoc = { idempotent: true }
+  return middleware
+}
+
+// A completed record until the window ends; a processing one until its lease
+// ends
+const isLive = (record, now) =>
+  record.expiresAt > now && (record.status !== "processing" || record.leaseExpiresAt > now)
+
+// Drop the records of every key whose window has ended
+const sweepExpired = async (now) => {
+  const all = await records.findAll()
+  for (const record of all.filter((r) => r.expiresAt <= now)) {
+    await records.delete(record.id)
+  }
+}
+
+const responseHeaders = (res) =>
+  Object.fromEntries(
+    REPLAYED_HEADERS.map((name) => [name, res.get(name)]).filter(([, value]) => value !== undefined),
+  )
+
+// Server errors are not stored so the client can retry them. The record is
+// gone, or belongs to a retry, when the lease ran out before the response
+const completeRecord = async (id, statusCode, headers, body) => {
+  const record = await records.findById(id)
+  if (!record || record.status !== "processing") return
+
+  if (statusCode >= 500) {
+    await records.delete(record.id)
+    return
+  }
+
+  record.status = "completed"
+  record.statusCode = statusCode
+  record.headers = headers
+  record.body = body
+  await records.save(record)
+}
+
+const releaseRecord = async (id) => {
+  const record = await records.findById(id)
+  if (record && record.status === "processing") {
+    await records.delete(record.id)
+  }
+}
+
+// Hash of the body with object keys sorted, so key order does not matter
+const hashBody = (body) => {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(body === undefined ? null : body))
+    .digest("hex")
+}
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    return `{${entries.join(",")}}`
+  }
+  return JSON.stringify(value)
+}
+
+module.exports = idempotency
@@ -0,0 +1,141 @@
+const express = require("express")
+const request = require("supertest")
+const idempotency = require("./idempotency")
+const errorHandler = require("./errorHandler")
+
+// An app whose POST /:path handlers count their calls; each test uses its own path, as keys are
+// scoped to the endpoint
+const createApp = (handler, options) => {
+  const app = express()
+  app.use(express.json())
+  app.post("/:path", idempotency(options), handler)
+  app.use(errorHandler)
+  return app
+}
+
+const handler = jest.fn((req, res) => {
+  const id = handler.mock.calls.length
+  res.status(201).location(`/items/${id}`).json({ id, ...req.body })
+})
+const app = createApp(handler)
+
+beforeEach(() => handler.mockClear())
+
+describe("idempotency", () => {
+  test("replays the stored response to a retry", async () => {
+    const first = await request(app).post("/replay").set("Idempotency-Key", "k1").send({ name: "a" })
+    const retry = await request(app).post("/replay").set("Idempotency-Key", "k1").send({ name: "a" })
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(first.status).toBe(201)
+    expect(first.headers["idempotent-replayed"]).toBeUndefined()
+    expect(retry.status).toBe(201)
+    expect(retry.body).toEqual(first.body)
+    expect(retry.headers.location).toBe(first.headers.location)
+    expect(retry.headers["idempotent-replayed"]).toBe("true")
+  })
+
+  test("matches bodies whatever their key order", async () => {
+    await request(app).post("/order").set("Idempotency-Key", "k1").send({ a: 1, b: { c: 2, d: 3 } })
+    const retry = await request(app)
+      .post("/order")
+      .set("Idempotency-Key", "k1")
+      .send({ b: { d: 3, c: 2 }, a: 1 })
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(retry.headers["idempotent-replayed"]).toBe("true")
+  })
+
+  test("rejects a key reused with another body", async () => {
+    await request(app).post("/reuse").set("Idempotency-Key", "k1").send({ name: "a" })
+    const reused = await request(app).post("/reuse").set("Idempotency-Key", "k1").send({ name: "b" })
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(reused.status).toBe(422)
+    expect(reused.headers["content-type"]).toMatch(/^application\/problem\+json/)
+    expect(reused.body.code).toBe("IDEMPOTENCY_KEY_REUSED")
+  })
+
+  test("keys are scoped to the endpoint", async () => {
+    await request(app).post("/scope-a").set("Idempotency-Key", "k1").send({})
+    await request(app).post("/scope-b").set("Idempotency-Key", "k1").send({})
+
+    expect(handler).toHaveBeenCalledTimes(2)
+  })
+
+  test("requests without a key are not stored", async () => {
+    await request(app).post("/unkeyed").send({})
+    await request(app).post("/unkeyed").send({})
+
+    expect(handler).toHaveBeenCalledTimes(2)
+  })
+
+  test("rejects keys that are blank or too long", async () => {
+    const blank = await request(app).post("/invalid").set("Idempotency-Key", " ").send({})
+    const long = await request(app).post("/invalid").set("Idempotency-Key", "k".repeat(256)).send({})
+
+    expect(handler).not.toHaveBeenCalled()
+    expect([blank.status, blank.body.code]).toEqual([400, "INVALID_IDEMPOTENCY_KEY"])
+    expect([long.status, long.body.code]).toEqual([400, "INVALID_IDEMPOTENCY_KEY"])
+  })
+
+  test("server errors are not stored, so the client can retry", async () => {
+    const failing = jest.fn((req, res) => res.status(failing.mock.calls.length === 1 ? 503 : 201).json({}))
+    const failingApp = createApp(failing)
+
+    const first = await request(failingApp).post("/retry").set("Idempotency-Key", "k1").send({})
+    const retry = await request(failingApp).post("/retry").set("Idempotency-Key", "k1").send({})
+
+    expect(failing).toHaveBeenCalledTimes(2)
+    expect([first.status, retry.status]).toEqual([503, 201])
+  })
+})
+
+describe("idempotency of requests still being processed", () => {
+  // A handler that answers once release() is called
+  const createSlowApp = (options) => {
+    let release
+    const answered = new Promise((resolve) => {
+      release = resolve
+    })
+    const slow = jest.fn(async (req, res) => {
+      await answered
+      res.status(201).json({ done: true })
+    })
+    return { app: createApp(slow, options), slow, release }
+  }
+
+  // Wait until the handler has been called count times
+  const called = async (mock, count = 1) => {
+    while (mock.mock.calls.length < count) {
+      await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+  }
+
+  test("rejects a retry while the first request is processed", async () => {
+    const { app, slow, release } = createSlowApp()
+    const first = request(app).post("/slow").set("Idempotency-Key", "k1").send({}).then((res) => res)
+    await called(slow)
+
+    const retry = await request(app).post("/slow").set("Idempotency-Key", "k1").send({})
+    release()
+
+    expect(retry.status).toBe(409)
+    expect(retry.body.code).toBe("IDEMPOTENCY_REQUEST_IN_PROGRESS")
+    expect((await first).status).toBe(201)
+  })
+
+  test("a key is processed again once its lease runs out", async () => {
+    const { app, slow, release } = createSlowApp({ processingLeaseMs: 20 })
+    const first = request(app).post("/lease").set("Idempotency-Key", "k1").send({}).then((res) => res)
+    await called(slow)
+    await new Promise((resolve) => setTimeout(resolve, 30))
+
+    const retry = request(app).post("/lease").set("Idempotency-Key", "k1").send({}).then((res) => res)
+    await called(slow, 2)
+    release()
+
+    expect((await first).status).toBe(201)
+    expect((await retry).status).toBe(201)
+  })
+})
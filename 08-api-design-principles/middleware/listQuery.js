@@ -0,0 +1,24 @@
+// List Query Middleware
+// Parses filter, sort and field-selection parameters against a resource
+// schema (see utils/queryParser) into req.listQuery; invalid parameters are
+// passed to the error handler as a 400 VALIDATION_ERROR
+
+const queryParser = require("../utils/queryParser")
+
+const listQuery = (schema) => {
+  const parseListQuery = (req, res, next) => {
+    try {
+      req.listQuery = queryParser.parse(req.query, schema)
+    } catch (error) {
+      return next(error)
+    }
+
+    next()
+  }
+
+  // Route metadata read by utils/apiDocs
+  parseListQuery.apiDoc = { listQuery: schema }
+  return parseListQuery
+}
+
+module.exports = listQuery
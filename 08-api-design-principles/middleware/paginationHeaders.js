@@ -0,0 +1,20 @@
+// Pagination Headers Middleware
+// Mirrors the pagination block of a list response into a Link header
+// (RFC 5988) and X-Total-Count, so clients can page without reading the body
+
+const paginationUtils = require("../utils/paginationUtils")
+
+const paginationHeaders = (req, res, next) => {
+  const originalJson = res.json
+  res.json = function (body) {
+    if (res.statusCode < 400 && body && body.pagination) {
+      paginationUtils.setPaginationHeaders(req, res, body.pagination)
+    }
+
+    return originalJson.call(this, body)
+  }
+
+  next()
+}
+
+module.exports = paginationHeaders
@@ -1,3 +1,6 @@
+// Request body fields never written to the log
+const SECRET_FIELDS = ["password", "confirmPassword", "currentPassword", "newPassword", "token", "refreshToken"]
+
 const requestLogger = (req, res, next) => {
   const start = Date.now()
 
@@ -5,8 +8,7 @@ const requestLogger = (req, res, next) => {
 
   if (["POST", "PUT", "PATCH"].includes(req.method)) {
     const logBody = { ...req.body }
-    delete logBody.password
-    delete logBody.token
+    SECRET_FIELDS.forEach((field) => delete logBody[field])
 
     if (Object.keys(logBody).length > 0) {
       console.log("Request Body:", JSON.stringify(logBody, null, 2))
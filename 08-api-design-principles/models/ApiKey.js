@@ -0,0 +1,198 @@
+// API Key Model
+// A long-lived machine credential (see services/apiKeyService): it acts as
+// its owner, a user, with only the permissions of its scopes that the
+// owner's role also allows
+//
+// Only the SHA-256 hash of the key is stored; the key itself is shown once,
+// when it is issued or rotated. prefix, its first characters, tells keys
+// apart in listings. usage counts the requests made on each UTC day
+// ("2026-10-19": 120) against dailyQuota.
+
+const crypto = require("crypto");
+const permissionUtils = require("../utils/permissions");
+const schemaValidator = require("../utils/schemaValidator");
+
+class ApiKey {
+  constructor(data) {
+    this.id = data.id || null;
+    this.name = data.name;
+    this.ownerId = data.ownerId;
+    this.organization = data.organization || null;
+    this.prefix = data.prefix || null;
+    this.keyHash = data.keyHash || null;
+    this.scopes = data.scopes || [];
+    this.dailyQuota = data.dailyQuota;
+    this.usage = data.usage || {};
+    this.totalRequests = data.totalRequests || 0;
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.lastUsedIp = data.lastUsedIp || null;
+    this.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    this.revokedAt = data.revokedAt || null;
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static KEY_PREFIX = "ak_";
+
+  // Characters of a key kept as its prefix
+  static PREFIX_LENGTH = 11;
+
+  static STATUS = {
+    ACTIVE: "active",
+    EXPIRED: "expired",
+    REVOKED: "revoked",
+  };
+
+  static generateKey() {
+    const secret = crypto.randomBytes(32).toString("base64url");
+    return `${ApiKey.KEY_PREFIX}${secret}`;
+  }
+
+  static hash(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+  }
+
+  // The UTC day of date, as counted in usage ("2026-10-19")
+  static day(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Validation against schemas/ApiKeyInput. Keys cannot hold "*" or manage
+  // API keys, so a leaked key cannot issue others
+  static validate(keyData, options) {
+    const { value, errors } = schemaValidator.validate(
+      keyData,
+      "ApiKeyInput",
+      options
+    );
+    if (value && value.scopes) {
+      value.scopes.forEach((scope, index) => {
+        if (!permissionUtils.isKnown(scope)) {
+          errors.push({
+            path: `scopes[${index}]`,
+            message: `Unknown permission ${scope}`,
+          });
+        } else if (
+          scope === permissionUtils.ALL_PERMISSIONS ||
+          scope.startsWith("api-keys:")
+        ) {
+          errors.push({
+            path: `scopes[${index}]`,
+            message: `API keys cannot be given ${scope}`,
+          });
+        }
+      });
+    }
+    if (value && value.expiresAt && new Date(value.expiresAt) <= new Date()) {
+      errors.push({
+        path: "expiresAt",
+        message: "expiresAt must be in the future",
+      });
+    }
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  // Business logic methods
+
+  get status() {
+    if (this.revokedAt) return ApiKey.STATUS.REVOKED;
+    if (this.expiresAt && new Date() >= this.expiresAt) {
+      return ApiKey.STATUS.EXPIRED;
+    }
+    return ApiKey.STATUS.ACTIVE;
+  }
+
+  get requestsToday() {
+    return this.usage[ApiKey.day(new Date())] || 0;
+  }
+
+  // Replace the key; returns the new key, which is not stored
+  issue() {
+    const key = ApiKey.generateKey();
+    this.prefix = key.slice(0, ApiKey.PREFIX_LENGTH);
+    this.keyHash = ApiKey.hash(key);
+    this.updatedAt = new Date();
+    return key;
+  }
+
+  // Quota of the day of now: { limit, remaining, resetAt }, resetAt being
+  // the next UTC midnight
+  quotaAt(now) {
+    const resetAt = new Date(now);
+    resetAt.setUTCHours(24, 0, 0, 0);
+
+    return {
+      limit: this.dailyQuota,
+      remaining: Math.max(
+        this.dailyQuota - (this.usage[ApiKey.day(now)] || 0),
+        0
+      ),
+      resetAt,
+    };
+  }
+
+  // Count a request made at now, keeping the counts of the last historyDays
+  // days
+  recordRequest(now, ip, historyDays) {
+    const today = ApiKey.day(now);
+    const oldest = ApiKey.day(
+      new Date(now.getTime() - (historyDays - 1) * 24 * 60 * 60 * 1000)
+    );
+
+    this.usage = Object.fromEntries(
+      Object.entries(this.usage).filter(([day]) => day >= oldest)
+    );
+    this.usage[today] = (this.usage[today] || 0) + 1;
+    this.totalRequests++;
+    this.lastUsedAt = now;
+    this.lastUsedIp = ip || null;
+  }
+
+  revoke() {
+    if (!this.revokedAt) {
+      this.revokedAt = new Date();
+      this.updatedAt = new Date();
+    }
+  }
+
+  // Transform for API response; the key hash is never shown
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      ownerId: this.ownerId,
+      organization: this.organization,
+      prefix: this.prefix,
+      scopes: this.scopes,
+      status: this.status,
+      dailyQuota: this.dailyQuota,
+      requestsToday: this.requestsToday,
+      totalRequests: this.totalRequests,
+      usage: this.usage,
+      lastUsedAt: this.lastUsedAt,
+      lastUsedIp: this.lastUsedIp,
+      expiresAt: this.expiresAt,
+      revokedAt: this.revokedAt,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Update key data; the owner is set when the key is issued
+  update(newData) {
+    ["name", "organization", "dailyQuota", "expiresAt"].forEach((field) => {
+      if (newData[field] !== undefined) this[field] = newData[field];
+    });
+    if (newData.expiresAt) {
+      this.expiresAt = new Date(newData.expiresAt);
+    }
+    if (newData.scopes !== undefined) {
+      this.scopes = [...new Set(newData.scopes)];
+    }
+    this.updatedAt = new Date();
+  }
+}
+
+module.exports = ApiKey;
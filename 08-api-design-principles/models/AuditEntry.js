@@ -0,0 +1,66 @@
+// Audit Entry Model
+// One mutating API call (see middleware/audit): who made it, what it did and
+// how it was answered
+//
+// action is the route called ("PATCH /products/:id"). Calls that change an
+// existing user, product or order also hold changes, the fields that differ
+// between the resource before and after the call.
+
+class AuditEntry {
+  constructor(data) {
+    this.id = data.id || null;
+    this.actorId = data.actorId || null; // null for anonymous calls
+    this.actorRole = data.actorRole || null;
+    this.apiKeyId = data.apiKeyId || null; // calls made with an API key
+    this.action = data.action;
+    this.method = data.method;
+    this.path = data.path;
+    this.resourceType = data.resourceType || null;
+    this.resourceId = data.resourceId || null;
+    this.statusCode = data.statusCode;
+    this.changes = data.changes || null;
+    this.ip = data.ip || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  // Fields that differ between two versions of a resource, as
+  // [{ field, from, to }]; a missing version (created or deleted) counts as
+  // having every field null
+  static diff(before, after) {
+    const fields = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {}),
+    ]);
+
+    return [...fields]
+      .map((field) => ({
+        field,
+        from: before && before[field] !== undefined ? before[field] : null,
+        to: after && after[field] !== undefined ? after[field] : null,
+      }))
+      .filter(
+        ({ from, to }) => JSON.stringify(from) !== JSON.stringify(to)
+      );
+  }
+
+  // Transform for API response
+  toJSON() {
+    return {
+      id: this.id,
+      actorId: this.actorId,
+      actorRole: this.actorRole,
+      apiKeyId: this.apiKeyId,
+      action: this.action,
+      method: this.method,
+      path: this.path,
+      resourceType: this.resourceType,
+      resourceId: this.resourceId,
+      statusCode: this.statusCode,
+      changes: this.changes,
+      ip: this.ip,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+module.exports = AuditEntry;
@@ -0,0 +1,108 @@
+// Cart Model
+// A shopping cart: the items a user (or a guest) means to order
+//
+// A signed-in user has one cart, found by userId. A guest cart has no user
+// and is found by its token instead (see services/cartService); it joins the
+// user's cart when the guest logs in.
+//
+// Each line holds the price the item sold at when it was added (a snapshot),
+// so the cart shows what the customer saw; checkout compares the snapshots
+// with current prices before placing the order.
+
+class Cart {
+  constructor(data) {
+    this.id = data.id || null;
+    this.userId = data.userId || null;
+    this.token = data.token || null;
+    this.items = (data.items || []).map((item) => ({ ...item }));
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Business logic methods
+
+  isEmpty() {
+    return this.items.length === 0;
+  }
+
+  findItem(itemId) {
+    return this.items.find((item) => item.id === parseInt(itemId)) || null;
+  }
+
+  // The line of a product, or of one of its variants
+  findLine(productId, variantId = null) {
+    return (
+      this.items.find(
+        (item) =>
+          item.productId === productId && item.variantId === variantId
+      ) || null
+    );
+  }
+
+  // Add quantity of an item ({ productId, variantId, sku, name, price }),
+  // to its line when the cart has one; a line keeps its first price
+  addItem(details, quantity) {
+    let item = this.findLine(details.productId, details.variantId);
+    if (item) {
+      item.quantity += quantity;
+    } else {
+      const id = this.items.reduce((max, i) => Math.max(max, i.id), 0) + 1;
+      item = { id, ...details, quantity, addedAt: new Date() };
+      this.items.push(item);
+    }
+
+    this.updatedAt = new Date();
+    return item;
+  }
+
+  updateItem(itemId, changes) {
+    const item = this.findItem(itemId);
+    ["sku", "name", "price", "quantity"].forEach((field) => {
+      if (changes[field] !== undefined) item[field] = changes[field];
+    });
+
+    this.updatedAt = new Date();
+    return item;
+  }
+
+  removeItem(itemId) {
+    const item = this.findItem(itemId);
+    this.items = this.items.filter((i) => i !== item);
+    this.updatedAt = new Date();
+    return item;
+  }
+
+  clear() {
+    this.items = [];
+    this.updatedAt = new Date();
+  }
+
+  itemCount() {
+    return this.items.reduce((count, item) => count + item.quantity, 0);
+  }
+
+  // Total at the snapshot prices
+  subtotal() {
+    const subtotal = this.items.reduce(
+      (sum, item) => sum + item.price * item.quantity,
+      0
+    );
+    return Math.round(subtotal * 100) / 100;
+  }
+
+  // Transform for API response
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      token: this.token,
+      items: this.items,
+      itemCount: this.itemCount(),
+      subtotal: this.subtotal(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+module.exports = Cart;
@@ -0,0 +1,144 @@
+// Coupon Model
+// A discount on orders: a percentage off, or a fixed amount off, the items
+// of its categories (every item when it has none)
+//
+// A coupon applies when its code is given with the order. An automatic
+// coupon is a promotion instead: it applies to every order it qualifies
+// for, without a code. Either kind may have a start and an expiry date, a
+// minimum subtotal (of the items it applies to) and a usage limit counting
+// the orders it was used on.
+
+const schemaValidator = require("../utils/schemaValidator");
+
+class Coupon {
+  constructor(data) {
+    this.id = data.id || null;
+    this.code = Coupon.normalizeCode(data.code);
+    this.description = data.description || "";
+    this.type = data.type;
+    this.value = data.value;
+    this.categories = data.categories || [];
+    this.minSubtotal = data.minSubtotal || 0;
+    this.automatic = data.automatic || false;
+    this.startsAt = data.startsAt ? new Date(data.startsAt) : null;
+    this.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+    this.usageLimit = data.usageLimit !== undefined ? data.usageLimit : null;
+    this.usageCount = data.usageCount || 0;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static TYPE = {
+    PERCENTAGE: "percentage",
+    FIXED: "fixed",
+  };
+
+  // Codes are matched ignoring case
+  static normalizeCode(code) {
+    return typeof code === "string" ? code.trim().toUpperCase() : code;
+  }
+
+  // Validation against schemas/CouponInput
+  static validate(couponData, options) {
+    const { value, errors } = schemaValidator.validate(
+      couponData,
+      "CouponInput",
+      options
+    );
+    if (value) errors.push(...Coupon.ruleErrors(value));
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  // Rules spanning several fields, checked on the fields given (a whole
+  // coupon after a partial update)
+  static ruleErrors({ type, value, startsAt, expiresAt }) {
+    const errors = [];
+    if (type === Coupon.TYPE.PERCENTAGE && value > 100) {
+      errors.push({
+        path: "value",
+        message: "value of a percentage coupon must be at most 100",
+      });
+    }
+    if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+      errors.push({
+        path: "expiresAt",
+        message: "expiresAt must be after startsAt",
+      });
+    }
+    return errors;
+  }
+
+  // Business logic methods
+
+  // Why the coupon cannot be used at the moment, or null when it can
+  unavailableReason(now = new Date()) {
+    if (!this.isActive) return "is not valid";
+    if (this.startsAt && now < this.startsAt) return "is not valid yet";
+    if (this.expiresAt && now >= this.expiresAt) return "has expired";
+    if (this.usageLimit !== null && this.usageCount >= this.usageLimit) {
+      return "has reached its usage limit";
+    }
+    return null;
+  }
+
+  // The rule an order's pricing applies (see utils/pricing)
+  toDiscount() {
+    return {
+      couponId: this.id,
+      code: this.code,
+      description: this.description,
+      type: this.type,
+      value: this.value,
+      categories: this.categories,
+      minSubtotal: this.minSubtotal,
+    };
+  }
+
+  // Transform for API response
+  toJSON() {
+    return {
+      id: this.id,
+      code: this.code,
+      description: this.description,
+      type: this.type,
+      value: this.value,
+      categories: this.categories,
+      minSubtotal: this.minSubtotal,
+      automatic: this.automatic,
+      startsAt: this.startsAt,
+      expiresAt: this.expiresAt,
+      usageLimit: this.usageLimit,
+      usageCount: this.usageCount,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Update coupon data; usageCount only changes through orders
+  update(newData) {
+    [
+      "code",
+      "description",
+      "type",
+      "value",
+      "categories",
+      "minSubtotal",
+      "automatic",
+      "usageLimit",
+      "isActive",
+    ].forEach((field) => {
+      if (newData[field] !== undefined) this[field] = newData[field];
+    });
+    ["startsAt", "expiresAt"].forEach((field) => {
+      if (newData[field] !== undefined) {
+        this[field] = newData[field] ? new Date(newData[field]) : null;
+      }
+    });
+    this.code = Coupon.normalizeCode(this.code);
+    this.updatedAt = new Date();
+  }
+}
+
+module.exports = Coupon;
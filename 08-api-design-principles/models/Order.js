@@ -1,5 +1,20 @@
 // Order Model
 // Represents an order in the system with validation and business logic
+//
+// totalAmount is priced by utils/pricing: the items' subtotal less discounts
+// (coupons and promotions), plus shipping and tax. pricing holds the
+// breakdown, including the rule of each discount, so the order can be
+// priced again with the same discounts when its items change.
+
+const schemas = require("../schemas");
+const pricing = require("../utils/pricing");
+const StateMachine = require("../utils/stateMachine");
+const schemaValidator = require("../utils/schemaValidator");
+const {
+  AppError,
+  ConflictError,
+  ValidationError,
+} = require("../utils/errors");
 
 class Order {
   constructor(data) {
@@ -8,11 +23,14 @@ class Order {
     this.items = data.items || [];
     this.status = data.status || "pending";
     this.totalAmount = data.totalAmount || 0;
+    this.pricing = data.pricing || null;
     this.shippingAddress = data.shippingAddress;
     this.billingAddress = data.billingAddress;
     this.paymentMethod = data.paymentMethod;
     this.paymentStatus = data.paymentStatus || "pending";
     this.notes = data.notes || "";
+    this.payments = data.payments || [];
+    this.statusHistory = data.statusHistory || [];
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -31,90 +49,277 @@ class Order {
     PENDING: "pending",
     PAID: "paid",
     FAILED: "failed",
+    PARTIALLY_REFUNDED: "partially_refunded",
     REFUNDED: "refunded",
   };
 
+  static PAYMENT_TYPE = {
+    CAPTURE: "capture",
+    REFUND: "refund",
+  };
+
+  // Order lifecycle: which status may follow which
+  static lifecycle = new StateMachine({
+    initial: "pending",
+    transitions: {
+      pending: ["confirmed", "cancelled"],
+      confirmed: ["processing", "cancelled"],
+      processing: ["shipped", "cancelled"],
+      shipped: ["delivered"],
+      delivered: [],
+      cancelled: [],
+    },
+  });
+
+  // schemas/OrderInput; a stored order also needs its owner
+  static schema = {
+    ...schemas.OrderInput,
+    required: [...schemas.OrderInput.required, "userId"],
+  };
+
   // Validation methods
-  static validate(orderData) {
-    const errors = [];
+  static validate(orderData, options) {
+    const { value, errors } = schemaValidator.validate(
+      orderData,
+      Order.schema,
+      options
+    );
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  // Business logic methods
+
+  // Price the order with discounts (see utils/pricing), by default those it
+  // already has; items need their category for category-scoped discounts
+  calculateTotal(discounts = this.pricing ? this.pricing.discounts : []) {
+    this.pricing = pricing.calculate(this.items, {
+      discounts,
+      shippingAddress: this.shippingAddress,
+    });
+    this.totalAmount = this.pricing.total;
+    return this.totalAmount;
+  }
+
+  updateStatus(newStatus, { changedBy = null, reason = "" } = {}) {
+    Order.lifecycle.assertTransition(this.status, newStatus);
+
+    const previousStatus = this.status;
+    this.status = newStatus;
+    this.recordStatusChange(previousStatus, newStatus, { changedBy, reason });
+  }
+
+  // Append an entry to the status history (from is null for a new order)
+  recordStatusChange(from, to, { changedBy = null, reason = "" } = {}) {
+    const changedAt = new Date();
+    this.statusHistory.push({ from, to, changedBy, reason, changedAt });
+    this.updatedAt = changedAt;
+  }
 
-    if (!orderData.userId) {
-      errors.push("User ID is required");
+  // Only pending <-> failed may be set by hand; paid and refunded
+  // statuses follow from the payment ledger (see recordPayment)
+  updatePaymentStatus(newStatus) {
+    if (!Object.values(Order.PAYMENT_STATUS).includes(newStatus)) {
+      throw new AppError(
+        `Invalid payment status: ${newStatus}`,
+        400,
+        "INVALID_PAYMENT_STATUS"
+      );
     }
 
-    if (
-      !orderData.items ||
-      !Array.isArray(orderData.items) ||
-      orderData.items.length === 0
-    ) {
-      errors.push("Order must have at least one item");
+    const manualStatuses = [
+      Order.PAYMENT_STATUS.PENDING,
+      Order.PAYMENT_STATUS.FAILED,
+    ];
+    if (!manualStatuses.includes(newStatus)) {
+      throw new ConflictError(
+        `Invalid payment status change: ${newStatus} is set by recording a payment`,
+        "PAYMENT_STATUS_FROM_LEDGER"
+      );
+    }
+    if (this.getPaymentSummary().amountPaid > 0) {
+      throw new ConflictError(
+        "Invalid payment status change: payment has already been captured",
+        "PAYMENT_ALREADY_CAPTURED"
+      );
     }
 
-    if (orderData.items) {
-      orderData.items.forEach((item, index) => {
-        if (!item.productId) {
-          errors.push(`Item ${index + 1} must have a product ID`);
-        }
-        if (!item.quantity || item.quantity <= 0) {
-          errors.push(`Item ${index + 1} must have a valid quantity`);
+    this.paymentStatus = newStatus;
+    this.updatedAt = new Date();
+  }
+
+  // Totals derived from the payment ledger
+  getPaymentSummary() {
+    const sum = (type) =>
+      this.payments
+        .filter((payment) => payment.type === type)
+        .reduce((total, payment) => total + payment.amount, 0);
+
+    const amountPaid = roundMoney(sum(Order.PAYMENT_TYPE.CAPTURE));
+    const amountRefunded = roundMoney(sum(Order.PAYMENT_TYPE.REFUND));
+
+    return {
+      totalAmount: this.totalAmount,
+      amountPaid,
+      amountRefunded,
+      netPaid: roundMoney(amountPaid - amountRefunded),
+      balanceDue: roundMoney(Math.max(0, this.totalAmount - amountPaid)),
+    };
+  }
+
+  // Quantity of each product (or variant) that has not been refunded yet
+  getRefundableItems() {
+    const refunded = {};
+    this.payments
+      .filter((payment) => payment.type === Order.PAYMENT_TYPE.REFUND)
+      .forEach((payment) => {
+        (payment.items || []).forEach((item) => {
+          const key = lineKey(item);
+          refunded[key] = (refunded[key] || 0) + item.quantity;
+        });
+      });
+
+    return this.items
+      .map((item) => ({
+        productId: item.productId,
+        ...(item.variantId && { variantId: item.variantId }),
+        price: item.price,
+        quantity: item.quantity - (refunded[lineKey(item)] || 0),
+      }))
+      .filter((item) => item.quantity > 0);
+  }
+
+  // The line item for a product, or for one of its variants
+  findItem(productId, variantId = null) {
+    const key = lineKey({ productId, variantId });
+    return this.items.find((item) => lineKey(item) === key) || null;
+  }
+
+  // Append a capture or refund to the ledger and update paymentStatus.
+  // items (refunds only): [{ productId, variantId, quantity }] being returned
+  recordPayment({ type, amount, items = [], reason = "", createdBy = null }) {
+    if (!Object.values(Order.PAYMENT_TYPE).includes(type)) {
+      throw new AppError(
+        `Invalid payment type: ${type}`,
+        400,
+        "INVALID_PAYMENT_TYPE"
+      );
+    }
+
+    if (type === Order.PAYMENT_TYPE.REFUND) {
+      const refundable = this.getRefundableItems();
+      items.forEach((item) => {
+        const line = refundable.find((r) => lineKey(r) === lineKey(item));
+        if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+          throw new AppError(
+            `Refund quantity for product ${item.productId} must be a positive integer`,
+            400,
+            "INVALID_REFUND_QUANTITY"
+          );
         }
-        if (!item.price || item.price <= 0) {
-          errors.push(`Item ${index + 1} must have a valid price`);
+        if (!line || item.quantity > line.quantity) {
+          throw new ConflictError(
+            `Cannot refund ${item.quantity} of product ${item.productId}: only ${
+              line ? line.quantity : 0
+            } left to refund`,
+            "REFUND_EXCEEDS_QUANTITY"
+          );
         }
       });
     }
 
-    if (!orderData.shippingAddress) {
-      errors.push("Shipping address is required");
+    const value = roundMoney(Number(amount));
+    if (!(value > 0)) {
+      throw new AppError(
+        "Payment amount must be greater than 0",
+        400,
+        "INVALID_PAYMENT_AMOUNT"
+      );
     }
 
-    return {
-      isValid: errors.length === 0,
-      errors,
-    };
-  }
+    const summary = this.getPaymentSummary();
 
-  // Business logic methods
-  calculateTotal() {
-    this.totalAmount = this.items.reduce((total, item) => {
-      return total + item.price * item.quantity;
-    }, 0);
-    return this.totalAmount;
-  }
+    if (type === Order.PAYMENT_TYPE.CAPTURE && value > summary.balanceDue) {
+      throw new ConflictError(
+        `Capture of ${value} exceeds the balance due of ${summary.balanceDue}`,
+        "CAPTURE_EXCEEDS_BALANCE"
+      );
+    }
 
-  updateStatus(newStatus) {
-    if (Object.values(Order.STATUS).includes(newStatus)) {
-      this.status = newStatus;
-      this.updatedAt = new Date();
-    } else {
-      throw new Error("Invalid order status");
+    if (type === Order.PAYMENT_TYPE.REFUND && value > summary.netPaid) {
+      throw new ConflictError(
+        `Refund of ${value} exceeds the refundable amount of ${summary.netPaid}`,
+        "REFUND_EXCEEDS_PAID"
+      );
     }
+
+    const payment = {
+      id: this.payments.length + 1,
+      type,
+      amount: value,
+      items: items.map((item) => ({
+        productId: parseInt(item.productId),
+        ...(item.variantId && { variantId: parseInt(item.variantId) }),
+        quantity: item.quantity,
+      })),
+      reason,
+      createdBy,
+      createdAt: new Date(),
+    };
+
+    this.payments.push(payment);
+    this.paymentStatus = this.derivePaymentStatus();
+    this.updatedAt = payment.createdAt;
+    return payment;
   }
 
-  updatePaymentStatus(newStatus) {
-    if (Object.values(Order.PAYMENT_STATUS).includes(newStatus)) {
-      this.paymentStatus = newStatus;
-      this.updatedAt = new Date();
-    } else {
-      throw new Error("Invalid payment status");
+  derivePaymentStatus() {
+    const { amountPaid, amountRefunded, balanceDue } =
+      this.getPaymentSummary();
+
+    if (amountRefunded > 0) {
+      return amountRefunded >= amountPaid
+        ? Order.PAYMENT_STATUS.REFUNDED
+        : Order.PAYMENT_STATUS.PARTIALLY_REFUNDED;
     }
+    if (amountPaid > 0 && balanceDue === 0) {
+      return Order.PAYMENT_STATUS.PAID;
+    }
+    return Order.PAYMENT_STATUS.PENDING;
   }
 
   addItem(item) {
-    if (!item.productId || !item.quantity || !item.price) {
-      throw new Error("Item must have productId, quantity, and price");
+    const { errors } = schemaValidator.validate(item, "OrderItemInput");
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
     }
     this.items.push(item);
     this.calculateTotal();
     this.updatedAt = new Date();
   }
 
-  removeItem(productId) {
-    this.items = this.items.filter((item) => item.productId !== productId);
+  removeItem(productId, variantId = null) {
+    const item = this.findItem(productId, variantId);
+    this.items = this.items.filter((i) => i !== item);
     this.calculateTotal();
     this.updatedAt = new Date();
   }
 
+  // Breakdown of an order placed before pricing was recorded: its items'
+  // subtotal and the total it was charged, with no discounts, shipping or
+  // tax on record
+  recordedPricing() {
+    const { subtotal } = pricing.calculate(this.items);
+    return {
+      subtotal,
+      discounts: [],
+      discountTotal: 0,
+      shipping: 0,
+      taxRate: 0,
+      tax: 0,
+      total: this.totalAmount,
+    };
+  }
+
   // Transform for API response
   toJSON() {
     return {
@@ -123,6 +328,7 @@ class Order {
       items: this.items,
       status: this.status,
       totalAmount: this.totalAmount,
+      pricing: this.pricing || this.recordedPricing(),
       shippingAddress: this.shippingAddress,
       billingAddress: this.billingAddress,
       paymentMethod: this.paymentMethod,
@@ -134,4 +340,14 @@ class Order {
   }
 }
 
+// "3" for a product, "4:2" for variant 2 of product 4
+function lineKey({ productId, variantId }) {
+  const product = parseInt(productId);
+  return variantId ? `${product}:${parseInt(variantId)}` : String(product);
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
 module.exports = Order;
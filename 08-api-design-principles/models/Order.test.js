@@ -0,0 +1,150 @@
+const Order = require("./Order");
+
+// Two laptops and three mice, 2 * 1000 + 3 * 20 = 2060
+const createOrder = () =>
+  new Order({
+    id: 1,
+    userId: 1,
+    status: "confirmed",
+    items: [
+      { productId: 1, quantity: 2, price: 1000 },
+      { productId: 4, variantId: 2, quantity: 3, price: 20 },
+    ],
+    totalAmount: 2060,
+  });
+
+const capture = (order, amount = order.totalAmount) =>
+  order.recordPayment({ type: Order.PAYMENT_TYPE.CAPTURE, amount });
+
+const refund = (order, amount, items) =>
+  order.recordPayment({ type: Order.PAYMENT_TYPE.REFUND, amount, items });
+
+describe("Order payments", () => {
+  test("a full capture marks the order paid", () => {
+    const order = createOrder();
+
+    capture(order, 60);
+    expect(order.paymentStatus).toBe("pending");
+
+    capture(order, 2000);
+    expect(order.paymentStatus).toBe("paid");
+    expect(order.getPaymentSummary()).toEqual({
+      totalAmount: 2060,
+      amountPaid: 2060,
+      amountRefunded: 0,
+      netPaid: 2060,
+      balanceDue: 0,
+    });
+  });
+
+  test("captures cannot exceed the balance due", () => {
+    const order = createOrder();
+    capture(order, 2000);
+
+    expect(() => capture(order, 100)).toThrow(
+      expect.objectContaining({ code: "CAPTURE_EXCEEDS_BALANCE" })
+    );
+  });
+
+  test("amounts must be positive", () => {
+    const order = createOrder();
+
+    expect(() => capture(order, 0)).toThrow(
+      expect.objectContaining({ code: "INVALID_PAYMENT_AMOUNT" })
+    );
+    expect(() => capture(order, "abc")).toThrow(
+      expect.objectContaining({ code: "INVALID_PAYMENT_AMOUNT" })
+    );
+  });
+});
+
+describe("Order refunds", () => {
+  test("a partial refund returns some items", () => {
+    const order = createOrder();
+    capture(order);
+
+    const payment = refund(order, 1000, [{ productId: 1, quantity: 1 }]);
+
+    expect(payment).toMatchObject({
+      type: "refund",
+      amount: 1000,
+      items: [{ productId: 1, quantity: 1 }],
+    });
+    expect(order.paymentStatus).toBe("partially_refunded");
+    expect(order.getPaymentSummary().netPaid).toBe(1060);
+    expect(order.getRefundableItems()).toEqual([
+      { productId: 1, price: 1000, quantity: 1 },
+      { productId: 4, variantId: 2, price: 20, quantity: 3 },
+    ]);
+  });
+
+  test("refunding everything marks the order refunded", () => {
+    const order = createOrder();
+    capture(order);
+
+    refund(order, 1000, [{ productId: 1, quantity: 2 }]);
+    refund(order, 1060, [{ productId: 4, variantId: 2, quantity: 3 }]);
+
+    expect(order.paymentStatus).toBe("refunded");
+    expect(order.getRefundableItems()).toEqual([]);
+  });
+
+  test("variants are refunded separately from their product", () => {
+    const order = createOrder();
+    capture(order);
+
+    expect(() =>
+      refund(order, 20, [{ productId: 4, variantId: 1, quantity: 1 }])
+    ).toThrow(expect.objectContaining({ code: "REFUND_EXCEEDS_QUANTITY" }));
+    expect(() => refund(order, 20, [{ productId: 4, quantity: 1 }])).toThrow(
+      expect.objectContaining({ code: "REFUND_EXCEEDS_QUANTITY" })
+    );
+  });
+
+  test("items cannot be refunded more times than they were ordered", () => {
+    const order = createOrder();
+    capture(order);
+    refund(order, 1000, [{ productId: 1, quantity: 1 }]);
+
+    expect(() => refund(order, 2000, [{ productId: 1, quantity: 2 }])).toThrow(
+      expect.objectContaining({
+        statusCode: 409,
+        code: "REFUND_EXCEEDS_QUANTITY",
+        message: "Cannot refund 2 of product 1: only 1 left to refund",
+      })
+    );
+    expect(order.payments).toHaveLength(2);
+  });
+
+  test("refund quantities must be positive integers", () => {
+    const order = createOrder();
+    capture(order);
+
+    expect(() => refund(order, 10, [{ productId: 1, quantity: 0.5 }])).toThrow(
+      expect.objectContaining({ code: "INVALID_REFUND_QUANTITY" })
+    );
+  });
+
+  test("refunds cannot exceed what was paid", () => {
+    const order = createOrder();
+    capture(order, 500);
+
+    expect(() => refund(order, 600)).toThrow(
+      expect.objectContaining({ code: "REFUND_EXCEEDS_PAID" })
+    );
+    expect(order.paymentStatus).toBe("pending");
+  });
+
+  test("the payment status follows the ledger, not manual updates", () => {
+    const order = createOrder();
+
+    expect(() => order.updatePaymentStatus("refunded")).toThrow(
+      expect.objectContaining({ code: "PAYMENT_STATUS_FROM_LEDGER" })
+    );
+
+    capture(order, 100);
+    expect(() => order.updatePaymentStatus("failed")).toThrow(
+      expect.objectContaining({ code: "PAYMENT_ALREADY_CAPTURED" })
+    );
+  });
+});
@@ -1,5 +1,20 @@
 // Product Model
 // Represents a product in the system with validation and business logic
+//
+// A product may be sold in variants (sizes, colours, ...), each with its own
+// SKU, stock and optionally its own price:
+//
+//   { id: 1, sku: "TSH001-M-BLU", price: null, stock: 12,
+//     attributes: { size: "M", colour: "blue" } }
+//
+// The stock of a product with variants is the sum of its variants' stock and
+// only changes through them; a variant without a price sells at the
+// product's price.
+//
+// lowStockThreshold (null: config.inventory.lowStockThreshold) is the stock
+// at or below which the product, or each of its variants, counts as low.
+
+const schemaValidator = require("../utils/schemaValidator");
 
 class Product {
   constructor(data) {
@@ -12,49 +27,141 @@ class Product {
     this.sku = data.sku;
     this.images = data.images || [];
     this.specifications = data.specifications || {};
+    this.variants = (data.variants || []).map((variant) => ({ ...variant }));
+    this.lowStockThreshold =
+      data.lowStockThreshold !== undefined ? data.lowStockThreshold : null;
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
 
-  // Validation methods
-  static validate(productData) {
-    const errors = [];
+  // Validation against schemas/ProductInput, shared with request validation
+  static validate(productData, options) {
+    const { value, errors } = schemaValidator.validate(
+      productData,
+      "ProductInput",
+      options
+    );
+    ((value && value.variants) || []).forEach((variant, index) => {
+      errors.push(
+        ...attributeErrors(variant.attributes, `variants[${index}].attributes`)
+      );
+    });
+    return { isValid: errors.length === 0, errors, value };
+  }
 
-    if (!productData.name || productData.name.trim().length < 2) {
-      errors.push("Product name must be at least 2 characters long");
-    }
+  // Validation against schemas/ProductVariantInput
+  static validateVariant(variantData, options) {
+    const { value, errors } = schemaValidator.validate(
+      variantData,
+      "ProductVariantInput",
+      options
+    );
+    errors.push(...attributeErrors(value && value.attributes, "attributes"));
+    return { isValid: errors.length === 0, errors, value };
+  }
 
-    if (!productData.price || productData.price <= 0) {
-      errors.push("Product price must be greater than 0");
-    }
+  // Business logic methods
 
-    if (!productData.category || productData.category.trim().length < 1) {
-      errors.push("Product category is required");
+  // quantity is added to the variant's stock for products with variants
+  updateStock(quantity, variantId = null) {
+    const variant = this.findVariant(variantId);
+    if (variant) {
+      variant.stock += quantity;
+      this.syncStock();
+    } else {
+      this.stock += quantity;
     }
+    this.updatedAt = new Date();
+  }
 
-    if (!productData.sku || productData.sku.trim().length < 1) {
-      errors.push("Product SKU is required");
-    }
+  isInStock(quantity = 1, variantId = null) {
+    const variant = this.findVariant(variantId);
+    return (variant ? variant.stock : this.stock) >= quantity;
+  }
 
-    if (productData.stock !== undefined && productData.stock < 0) {
-      errors.push("Stock cannot be negative");
-    }
+  hasVariants() {
+    return this.variants.length > 0;
+  }
 
-    return {
-      isValid: errors.length === 0,
-      errors,
-    };
+  findVariant(variantId) {
+    if (variantId === null || variantId === undefined) return null;
+    return this.variants.find((v) => v.id === parseInt(variantId)) || null;
   }
 
-  // Business logic methods
-  updateStock(quantity) {
-    this.stock += quantity;
+  // The variant with exactly these attributes (names and values ignore case)
+  findVariantByAttributes(attributes) {
+    const key = attributeKey(attributes);
+    return this.variants.find((v) => attributeKey(v.attributes) === key);
+  }
+
+  // Variants having every wanted attribute; a wanted value may be a list
+  // ("M,L" or ["M", "L"]) of accepted values
+  variantsMatching(wanted) {
+    const conditions = Object.entries(wanted).map(([name, accepted]) => [
+      name.toLowerCase(),
+      []
+        .concat(accepted)
+        .flatMap((value) => String(value).split(","))
+        .map((value) => value.trim().toLowerCase()),
+    ]);
+
+    return this.variants.filter((variant) => {
+      const attributes = lowerCaseAttributes(variant.attributes);
+      return conditions.every(([name, accepted]) =>
+        accepted.includes(attributes[name])
+      );
+    });
+  }
+
+  // Price a variant sells at
+  priceOf(variant) {
+    return variant && variant.price !== null && variant.price !== undefined
+      ? variant.price
+      : this.price;
+  }
+
+  addVariant({ sku, price = null, attributes, stock = 0 }) {
+    const id = this.variants.reduce((max, v) => Math.max(max, v.id), 0) + 1;
+    const variant = { id, sku, price, attributes, stock };
+
+    this.variants.push(variant);
+    this.syncStock();
+    this.updatedAt = new Date();
+    return variant;
+  }
+
+  updateVariant(variantId, changes) {
+    const variant = this.findVariant(variantId);
+    ["sku", "price", "attributes", "stock"].forEach((field) => {
+      if (changes[field] !== undefined) variant[field] = changes[field];
+    });
+
+    this.syncStock();
+    this.updatedAt = new Date();
+    return variant;
+  }
+
+  removeVariant(variantId) {
+    const variant = this.findVariant(variantId);
+    this.variants = this.variants.filter((v) => v !== variant);
+    // Without variants left there is no stock to sum
+    this.stock = this.hasVariants() ? this.stock : 0;
+    this.syncStock();
     this.updatedAt = new Date();
+    return variant;
   }
 
-  isInStock(quantity = 1) {
-    return this.stock >= quantity;
+  // Stock valued at the price each unit sells at
+  stockValue() {
+    if (!this.hasVariants()) return this.price * this.stock;
+    return this.variants.reduce((sum, v) => sum + this.priceOf(v) * v.stock, 0);
+  }
+
+  syncStock() {
+    if (this.hasVariants()) {
+      this.stock = this.variants.reduce((sum, v) => sum + v.stock, 0);
+    }
   }
 
   // Transform for API response
@@ -69,6 +176,8 @@ class Product {
       sku: this.sku,
       images: this.images,
       specifications: this.specifications,
+      variants: this.variants,
+      lowStockThreshold: this.lowStockThreshold,
       isActive: this.isActive,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -85,9 +194,35 @@ class Product {
     if (newData.sku) this.sku = newData.sku;
     if (newData.images) this.images = newData.images;
     if (newData.specifications) this.specifications = newData.specifications;
+    if (newData.lowStockThreshold !== undefined) {
+      this.lowStockThreshold = newData.lowStockThreshold;
+    }
     if (newData.isActive !== undefined) this.isActive = newData.isActive;
     this.updatedAt = new Date();
   }
 }
 
+// Attribute values must be non-empty strings
+function attributeErrors(attributes, path) {
+  return Object.entries(attributes || {})
+    .filter(([, value]) => typeof value !== "string" || value.trim() === "")
+    .map(([name]) => ({
+      path: `${path}.${name}`,
+      message: `${path}.${name} must be a non-empty string`,
+    }));
+}
+
+function lowerCaseAttributes(attributes = {}) {
+  return Object.fromEntries(
+    Object.entries(attributes).map(([name, value]) => [
+      name.toLowerCase(),
+      String(value).toLowerCase(),
+    ])
+  );
+}
+
+function attributeKey(attributes) {
+  return JSON.stringify(Object.entries(lowerCaseAttributes(attributes)).sort());
+}
+
 module.exports = Product;
@@ -0,0 +1,81 @@
+// Role Model
+// A named set of permissions (see utils/permissions); every user has one
+// role, named by User.role
+//
+// The admin and user roles are built in: user is the role of new accounts,
+// and admin always holds every permission so the API cannot be locked out
+// of role management. Both can be described but not deleted.
+
+const permissionUtils = require("../utils/permissions");
+const schemaValidator = require("../utils/schemaValidator");
+
+class Role {
+  constructor(data) {
+    this.id = data.id || null;
+    this.name = data.name;
+    this.description = data.description || "";
+    this.permissions = data.permissions || [];
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static ADMIN = "admin";
+  static DEFAULT = "user";
+
+  // Validation against schemas/RoleInput
+  static validate(roleData, options) {
+    const { value, errors } = schemaValidator.validate(
+      roleData,
+      "RoleInput",
+      options
+    );
+    if (value && value.permissions) {
+      value.permissions.forEach((permission, index) => {
+        if (!permissionUtils.isKnown(permission)) {
+          errors.push({
+            path: `permissions[${index}]`,
+            message: `Unknown permission ${permission}`,
+          });
+        }
+      });
+    }
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  // Business logic methods
+
+  isBuiltIn() {
+    return this.name === Role.ADMIN || this.name === Role.DEFAULT;
+  }
+
+  allows(permission) {
+    return permissionUtils.allows(this.permissions, permission);
+  }
+
+  // Transform for API response
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions,
+      builtIn: this.isBuiltIn(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Update role data; roles are not renamed
+  update(newData) {
+    if (newData.description !== undefined) {
+      this.description = newData.description;
+    }
+    if (newData.permissions !== undefined) {
+      // Without duplicates, in the order given
+      this.permissions = [...new Set(newData.permissions)];
+    }
+    this.updatedAt = new Date();
+  }
+}
+
+module.exports = Role;
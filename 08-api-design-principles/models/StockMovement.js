@@ -0,0 +1,53 @@
+// Stock Movement Model
+// One entry of the inventory ledger: a change to the stock of a product, or
+// of one of its variants, with why it happened and who made it
+//
+// quantity is signed (-2: two units left stock) and stockAfter is the stock
+// of the product or variant once the movement was applied, so the ledger of
+// one product reads like a bank statement.
+
+class StockMovement {
+  constructor(data) {
+    this.id = data.id || null;
+    this.productId = data.productId;
+    this.variantId = data.variantId || null;
+    this.sku = data.sku;
+    this.quantity = data.quantity;
+    this.stockAfter = data.stockAfter;
+    this.reason = data.reason;
+    this.orderId = data.orderId || null;
+    this.actorId = data.actorId || null;
+    this.note = data.note || "";
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  static REASON = {
+    INITIAL: "initial", // stock a product or variant was created with
+    ORDER: "order",
+    ORDER_CANCELLED: "order_cancelled",
+    ORDER_ITEM_REMOVED: "order_item_removed",
+    REFUND: "refund",
+    RESTOCK: "restock",
+    ADJUSTMENT: "adjustment", // corrections, shrinkage, stock counts
+    VARIANT_REMOVED: "variant_removed",
+  };
+
+  // Transform for API response
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      variantId: this.variantId,
+      sku: this.sku,
+      quantity: this.quantity,
+      stockAfter: this.stockAfter,
+      reason: this.reason,
+      orderId: this.orderId,
+      actorId: this.actorId,
+      note: this.note,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+module.exports = StockMovement;
@@ -1,43 +1,31 @@
 // User Model
 // Represents a user in the system with validation and business logic
 
+const crypto = require("crypto");
+const passwordUtils = require("../utils/password");
+const schemaValidator = require("../utils/schemaValidator");
+
 class User {
   constructor(data) {
     this.id = data.id || null;
     this.name = data.name;
     this.email = data.email;
-    this.password = data.password;
+    this.password = data.password; // Hashed, see setPassword()
     this.role = data.role || "user";
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
 
-  // Validation methods
-  static validate(userData) {
-    const errors = [];
-
-    if (!userData.name || userData.name.trim().length < 2) {
-      errors.push("Name must be at least 2 characters long");
-    }
-
-    if (!userData.email || !this.isValidEmail(userData.email)) {
-      errors.push("Valid email is required");
-    }
-
-    if (!userData.password || userData.password.length < 6) {
-      errors.push("Password must be at least 6 characters long");
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors,
-    };
-  }
-
-  static isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  // Validation against schemas/UserInput, shared with request validation;
+  // value is the normalized data (see utils/schemaValidator for options)
+  static validate(userData, options) {
+    const { value, errors } = schemaValidator.validate(
+      userData,
+      "UserInput",
+      options
+    );
+    return { isValid: errors.length === 0, errors, value };
   }
 
   // Transform for API response (exclude sensitive data)
@@ -53,10 +41,30 @@ class User {
     };
   }
 
+  // Store the hash of a new password
+  setPassword(plain) {
+    this.password = passwordUtils.hash(plain);
+  }
+
+  checkPassword(plain) {
+    return passwordUtils.verify(plain, this.password);
+  }
+
+  // Short digest of the password hash; it changes with the password, so a
+  // token carrying it (password reset) can be used once
+  passwordStamp() {
+    return crypto
+      .createHash("sha256")
+      .update(this.password || "")
+      .digest("base64url")
+      .slice(0, 16);
+  }
+
   // Update user data
   update(newData) {
     if (newData.name) this.name = newData.name;
     if (newData.email) this.email = newData.email;
+    if (newData.password) this.setPassword(newData.password);
     if (newData.role) this.role = newData.role;
     if (newData.isActive !== undefined) this.isActive = newData.isActive;
     this.updatedAt = new Date();
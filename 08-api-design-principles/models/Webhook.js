@@ -0,0 +1,98 @@
+// Webhook Model
+// A subscription of an outside system to domain events: every event of one
+// of its types is POSTed to its URL, signed with its secret (see
+// services/webhookService)
+
+const crypto = require("crypto");
+const schemaValidator = require("../utils/schemaValidator");
+
+class Webhook {
+  constructor(data) {
+    this.id = data.id || null;
+    this.url = data.url;
+    this.events = data.events || [];
+    this.description = data.description || "";
+    this.secret = data.secret || Webhook.generateSecret();
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Event types a webhook can subscribe to; ALL_EVENTS subscribes to each
+  static EVENTS = [
+    "order.created",
+    "order.status_changed",
+    "product.created",
+    "product.updated",
+    "product.deleted",
+    "product.low_stock",
+    "product.out_of_stock",
+    "user.created",
+    "user.updated",
+    "user.deleted",
+  ];
+
+  static ALL_EVENTS = "*";
+
+  // Sent by POST /api/webhooks/:id/ping, whatever the webhook subscribes to
+  static PING_EVENT = "webhook.ping";
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+  }
+
+  // Validation against schemas/WebhookInput
+  static validate(webhookData, options) {
+    const { value, errors } = schemaValidator.validate(
+      webhookData,
+      "WebhookInput",
+      options
+    );
+    return { isValid: errors.length === 0, errors, value };
+  }
+
+  // Business logic methods
+
+  subscribesTo(type) {
+    return (
+      this.events.includes(Webhook.ALL_EVENTS) || this.events.includes(type)
+    );
+  }
+
+  // Hex HMAC-SHA256 of "<timestamp>.<body>"; receivers compute the same to
+  // check a payload came from this API and was not replayed later
+  sign(timestamp, body) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  rotateSecret() {
+    this.secret = Webhook.generateSecret();
+    this.updatedAt = new Date();
+  }
+
+  // Transform for API response; the secret is only shown when it is made
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      description: this.description,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Update webhook data
+  update(newData) {
+    ["url", "events", "description", "isActive"].forEach((field) => {
+      if (newData[field] !== undefined) this[field] = newData[field];
+    });
+    this.updatedAt = new Date();
+  }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,73 @@
+// Webhook Delivery Model
+// One event sent, or still to be sent, to one webhook, with a log of every
+// attempt
+//
+// A delivery is pending until an attempt gets a 2xx response (succeeded) or
+// the last attempt allowed fails (failed). A failed attempt leaves
+// nextAttemptAt set when another one is due. A replay is a new delivery of
+// the same event (replayOf names the delivery replayed).
+
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id || null;
+    this.webhookId = data.webhookId;
+    this.eventId = data.eventId;
+    this.eventType = data.eventType;
+    this.payload = data.payload; // The event: { id, type, data, occurredAt }
+    this.status = data.status || WebhookDelivery.STATUS.PENDING;
+    this.attempts = data.attempts || [];
+    this.nextAttemptAt = data.nextAttemptAt || null;
+    this.replayOf = data.replayOf || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static STATUS = {
+    PENDING: "pending",
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+  };
+
+  // Business logic methods
+
+  // Log an attempt: { responseStatus, responseBody, error, durationMs }, with
+  // error null on success. nextAttemptAt is when to try again after a
+  // failure, or null to give up
+  recordAttempt(result, nextAttemptAt = null) {
+    this.attempts.push({
+      number: this.attempts.length + 1,
+      attemptedAt: new Date(),
+      ...result,
+    });
+
+    if (!result.error) {
+      this.status = WebhookDelivery.STATUS.SUCCEEDED;
+      this.nextAttemptAt = null;
+    } else {
+      this.status = nextAttemptAt
+        ? WebhookDelivery.STATUS.PENDING
+        : WebhookDelivery.STATUS.FAILED;
+      this.nextAttemptAt = nextAttemptAt;
+    }
+    this.updatedAt = new Date();
+  }
+
+  // Transform for API response
+  toJSON() {
+    return {
+      id: this.id,
+      webhookId: this.webhookId,
+      eventId: this.eventId,
+      eventType: this.eventType,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      nextAttemptAt: this.nextAttemptAt,
+      replayOf: this.replayOf,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
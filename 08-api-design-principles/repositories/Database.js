@@ -0,0 +1,112 @@
+// Database
+// Serializes access to a storage driver and provides transactions
+//
+// Operations run one at a time. Inside transaction() the work holds the lock
+// until it finishes, so a check-then-write sequence (e.g. "is there enough
+// stock? then decrement it") cannot interleave with another request. Any
+// error thrown by the work rolls back every write it made. Callbacks
+// registered with afterCommit() run once the outermost transaction commits
+// and are dropped when it rolls back.
+//
+// trackChanges() collects the committed updates and deletes of the work it
+// runs, each with the record as it was just before and just after the write
+// (see Repository), for the audit log.
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+class Database {
+  constructor(driver) {
+    this.driver = driver;
+    this.queue = Promise.resolve();
+    this.context = new AsyncLocalStorage();
+    this.changeLog = new AsyncLocalStorage();
+  }
+
+  // Run a single driver operation
+  run(operation) {
+    if (this.inTransaction()) {
+      return operation();
+    }
+    return this.enqueue(operation);
+  }
+
+  // Run work atomically; nested calls join the outer transaction
+  transaction(work) {
+    if (this.inTransaction()) {
+      return work();
+    }
+
+    const committed = [];
+    const result = this.enqueue(async () => {
+      await this.driver.connect();
+      await this.driver.begin();
+
+      try {
+        const store = { active: true, committed };
+        const value = await this.context.run(store, work);
+        await this.driver.commit();
+        return value;
+      } catch (error) {
+        await this.driver.rollback();
+        throw error;
+      }
+    });
+
+    // Run outside the lock, so callbacks may use the database again
+    return result.then((value) => {
+      committed.forEach((callback) => runCallback(callback));
+      return value;
+    });
+  }
+
+  // Run callback after the current transaction commits, or right away
+  // outside a transaction
+  afterCommit(callback) {
+    if (this.inTransaction()) {
+      this.context.getStore().committed.push(callback);
+    } else {
+      runCallback(callback);
+    }
+  }
+
+  // Run work(changes) with the writes it, and everything it starts, commits
+  // collected in changes: [{ collection, id, before, after }]
+  trackChanges(work) {
+    const changes = [];
+    return this.changeLog.run(changes, () => work(changes));
+  }
+
+  tracksChanges() {
+    return Boolean(this.changeLog.getStore());
+  }
+
+  // Add a write to the changes being tracked once it is committed
+  recordChange(change) {
+    const changes = this.changeLog.getStore();
+    if (changes) {
+      this.afterCommit(() => changes.push(change));
+    }
+  }
+
+  inTransaction() {
+    const store = this.context.getStore();
+    return Boolean(store && store.active);
+  }
+
+  enqueue(operation) {
+    const result = this.queue.then(() => operation());
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+// A failing callback cannot undo the commit, so its error is only logged
+function runCallback(callback) {
+  Promise.resolve()
+    .then(callback)
+    .catch((error) => {
+      console.error("After-commit callback failed:", error.message);
+    });
+}
+
+module.exports = Database;
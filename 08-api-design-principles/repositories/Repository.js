@@ -0,0 +1,131 @@
+// Repository
+// Stores and loads model instances through the shared database
+
+const DEFAULT_DATE_FIELDS = ["createdAt", "updatedAt"];
+
+class Repository {
+  constructor(database, name, options = {}) {
+    this.database = database;
+    this.driver = database.driver;
+    this.name = name;
+    this.model = options.model;
+    this.seed = options.seed || [];
+    this.dateFields = options.dateFields || DEFAULT_DATE_FIELDS;
+    this.initializing = null;
+  }
+
+  // Connect and seed the collection the first time it is created
+  ready() {
+    if (!this.initializing) {
+      this.initializing = this.database.run(async () => {
+        await this.driver.connect();
+        const created = await this.driver.ensureCollection(this.name);
+        if (created) {
+          for (const entity of this.seed) {
+            await this.driver.insert(this.name, this.serialize(entity));
+          }
+        }
+      });
+    }
+    return this.initializing;
+  }
+
+  async findAll() {
+    await this.ready();
+    const docs = await this.database.run(() => this.driver.all(this.name));
+    return docs.map((doc) => this.hydrate(doc));
+  }
+
+  async findById(id) {
+    const numericId = parseInt(id);
+    if (isNaN(numericId)) {
+      return null;
+    }
+
+    await this.ready();
+    const doc = await this.database.run(() =>
+      this.driver.get(this.name, numericId)
+    );
+    return doc ? this.hydrate(doc) : null;
+  }
+
+  async findOne(predicate) {
+    const entities = await this.findAll();
+    return entities.find(predicate) || null;
+  }
+
+  // Insert a new entity; the driver assigns the id
+  async insert(entity) {
+    await this.ready();
+    const id = await this.database.run(() =>
+      this.driver.insert(this.name, this.serialize(entity))
+    );
+    entity.id = id;
+    return entity;
+  }
+
+  // Persist changes made to an existing entity
+  async save(entity) {
+    await this.ready();
+    const doc = this.serialize(entity);
+    const updated = await this.database.run(async () => {
+      // The stored version is only needed when changes are tracked
+      const existing = this.database.tracksChanges()
+        ? await this.driver.get(this.name, entity.id)
+        : null;
+      const saved = await this.driver.update(this.name, entity.id, doc);
+      if (saved) {
+        this.recordChange(entity.id, existing, doc);
+      }
+      return saved;
+    });
+    if (!updated) {
+      throw new Error(`Cannot save missing ${this.name} record ${entity.id}`);
+    }
+    return entity;
+  }
+
+  // Remove an entity, returning it (or null when it did not exist)
+  async delete(id) {
+    const numericId = parseInt(id);
+    if (isNaN(numericId)) {
+      return null;
+    }
+
+    await this.ready();
+    const doc = await this.database.run(async () => {
+      const existing = await this.driver.get(this.name, numericId);
+      if (existing) {
+        await this.driver.remove(this.name, numericId);
+        this.recordChange(numericId, existing, null);
+      }
+      return existing;
+    });
+    return doc ? this.hydrate(doc) : null;
+  }
+
+  // Report a write to Database.trackChanges, as model instances
+  recordChange(id, before, after) {
+    this.database.recordChange({
+      collection: this.name,
+      id,
+      before: before ? this.hydrate(before) : null,
+      after: after ? this.hydrate(after) : null,
+    });
+  }
+
+  // Plain copy of every own field (toJSON() may hide fields such as passwords)
+  serialize(entity) {
+    return JSON.parse(JSON.stringify({ ...entity }));
+  }
+
+  hydrate(doc) {
+    const data = { ...doc };
+    this.dateFields.forEach((field) => {
+      if (data[field]) data[field] = new Date(data[field]);
+    });
+    return this.model ? new this.model(data) : data;
+  }
+}
+
+module.exports = Repository;
@@ -0,0 +1,151 @@
+const Database = require("./Database");
+const Repository = require("./Repository");
+const MemoryDriver = require("./drivers/MemoryDriver");
+const { createDriver } = require("./index");
+
+class Note {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  toJSON() {
+    const { secret, ...visible } = this;
+    return visible;
+  }
+}
+
+const createDatabase = () => new Database(new MemoryDriver());
+
+const createNotes = (options = {}, database = createDatabase()) =>
+  new Repository(database, "notes", { model: Note, ...options });
+
+describe("Repository", () => {
+  test("seeds a collection once, when it is created", async () => {
+    const database = createDatabase();
+    const seed = [new Note({ id: 1, text: "seeded" })];
+    const first = new Repository(database, "notes", { seed });
+    const second = new Repository(database, "notes", { seed });
+
+    await first.findAll();
+    await second.findAll();
+
+    expect(await second.findAll()).toHaveLength(1);
+  });
+
+  test("assigns ids and hydrates models and dates", async () => {
+    const notes = createNotes();
+    const createdAt = new Date("2024-01-01T00:00:00Z");
+
+    const first = await notes.insert(new Note({ text: "a", createdAt }));
+    const second = await notes.insert(new Note({ text: "b", createdAt }));
+    const loaded = await notes.findById(String(second.id));
+
+    expect([first.id, second.id]).toEqual([1, 2]);
+    expect(loaded).toBeInstanceOf(Note);
+    expect(loaded.createdAt).toEqual(createdAt);
+  });
+
+  test("stores every field, including those toJSON hides", async () => {
+    const notes = createNotes();
+    const { id } = await notes.insert(new Note({ text: "a", secret: "s" }));
+
+    expect((await notes.findById(id)).secret).toBe("s");
+  });
+
+  test("changes are only stored by save", async () => {
+    const notes = createNotes();
+    const note = await notes.insert(new Note({ text: "draft" }));
+
+    (await notes.findById(note.id)).text = "lost";
+    expect((await notes.findById(note.id)).text).toBe("draft");
+
+    note.text = "final";
+    await notes.save(note);
+    expect((await notes.findById(note.id)).text).toBe("final");
+  });
+
+  test("cannot save records that do not exist", async () => {
+    const notes = createNotes();
+
+    await expect(notes.save(new Note({ id: 9, text: "x" }))).rejects.toThrow(
+      "Cannot save missing notes record 9"
+    );
+  });
+
+  test("finds, and deletes, by id and predicate", async () => {
+    const notes = createNotes();
+    await notes.insert(new Note({ text: "a" }));
+    const b = await notes.insert(new Note({ text: "b" }));
+
+    expect((await notes.findOne((note) => note.text === "b")).id).toBe(b.id);
+    expect(await notes.findById("abc")).toBeNull();
+    expect((await notes.delete(b.id)).text).toBe("b");
+    expect(await notes.delete(b.id)).toBeNull();
+    expect(await notes.findAll()).toHaveLength(1);
+  });
+});
+
+describe("Database.transaction", () => {
+  test("rolls back every write of work that throws", async () => {
+    const database = createDatabase();
+    const notes = createNotes({}, database);
+    const note = await notes.insert(new Note({ text: "before" }));
+
+    await expect(
+      database.transaction(async () => {
+        note.text = "after";
+        await notes.save(note);
+        await notes.insert(new Note({ text: "new" }));
+        throw new Error("abort");
+      })
+    ).rejects.toThrow("abort");
+
+    expect((await notes.findAll()).map((n) => n.text)).toEqual(["before"]);
+  });
+
+  test("runs transactions one at a time", async () => {
+    const database = createDatabase();
+    const counters = createNotes({}, database);
+    const counter = await counters.insert(new Note({ count: 0 }));
+
+    // Read, wait, then write: interleaved increments would be lost
+    const increment = () =>
+      database.transaction(async () => {
+        const current = await counters.findById(counter.id);
+        await new Promise((resolve) => setImmediate(resolve));
+        current.count += 1;
+        await counters.save(current);
+      });
+    await Promise.all(Array.from({ length: 10 }, increment));
+
+    expect((await counters.findById(counter.id)).count).toBe(10);
+  });
+
+  test("nested transactions join the outer one", async () => {
+    const database = createDatabase();
+    const notes = createNotes({}, database);
+    // As createRepository does, so the collection outlives the rollback
+    await notes.ready();
+
+    await expect(
+      database.transaction(async () => {
+        await database.transaction(() => notes.insert(new Note({ text: "a" })));
+        throw new Error("abort");
+      })
+    ).rejects.toThrow("abort");
+
+    expect(await notes.findAll()).toEqual([]);
+  });
+});
+
+describe("createDriver", () => {
+  test("chooses the driver from the database URL", () => {
+    expect(createDriver("memory://")).toBeInstanceOf(MemoryDriver);
+    expect(() => createDriver("postgres://db")).toThrow(
+      "Unsupported database driver: postgres"
+    );
+    expect(() => createDriver("database.sqlite")).toThrow(
+      "Invalid database URL: database.sqlite"
+    );
+  });
+});
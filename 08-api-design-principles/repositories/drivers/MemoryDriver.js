@@ -0,0 +1,81 @@
+// Memory Driver
+// Keeps every collection in process memory (data is lost on restart)
+
+class MemoryDriver {
+  constructor() {
+    this.collections = new Map();
+    this.snapshot = null;
+  }
+
+  async connect() {}
+
+  // Returns true when the collection did not exist before (used for seeding)
+  async ensureCollection(name) {
+    if (this.collections.has(name)) {
+      return false;
+    }
+
+    this.collections.set(name, { rows: new Map(), nextId: 1 });
+    return true;
+  }
+
+  async all(name) {
+    const { rows } = this.collections.get(name);
+    return [...rows.values()].map((row) => clone(row));
+  }
+
+  async get(name, id) {
+    const row = this.collections.get(name).rows.get(id);
+    return row ? clone(row) : null;
+  }
+
+  async insert(name, doc) {
+    const collection = this.collections.get(name);
+    const id = doc.id || collection.nextId;
+
+    collection.rows.set(id, clone({ ...doc, id }));
+    collection.nextId = Math.max(collection.nextId, id + 1);
+    return id;
+  }
+
+  async update(name, id, doc) {
+    const { rows } = this.collections.get(name);
+    if (!rows.has(id)) {
+      return false;
+    }
+
+    rows.set(id, clone({ ...doc, id }));
+    return true;
+  }
+
+  async remove(name, id) {
+    return this.collections.get(name).rows.delete(id);
+  }
+
+  // Transactions keep a copy of every collection to restore on rollback
+  async begin() {
+    this.snapshot = new Map();
+    this.collections.forEach(({ rows, nextId }, name) => {
+      this.snapshot.set(name, { rows: new Map(rows), nextId });
+    });
+  }
+
+  async commit() {
+    this.snapshot = null;
+  }
+
+  async rollback() {
+    this.collections = this.snapshot;
+    this.snapshot = null;
+  }
+
+  async close() {}
+}
+
+// Stored rows are copies so callers must save changes explicitly,
+// exactly like they would with a real database
+function clone(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,287 @@
+// SQLite Driver
+// File-backed storage using sql.js (SQLite compiled to WebAssembly)
+//
+// Every collection is a table of JSON documents keyed by an autoincrement id.
+// The database file is re-read whenever another process has written to it,
+// so several instances of the API can share the same file.
+//
+// Each process holds the whole database in memory and writes it back as a
+// whole, so writers take turns: a write, or a transaction from begin() to
+// commit(), holds a lock file (<filename>.lock) and starts from the latest
+// file. The file is replaced by renaming a complete copy over it, so readers
+// never load a half-written file.
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const TABLE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// How long a writer waits for the lock, and how old a lock must be to count
+// as left behind by a process that died holding it
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 10;
+
+class SqliteDriver {
+  constructor({ filename }) {
+    this.filename = path.resolve(filename);
+    this.lockFilename = `${this.filename}.lock`;
+    this.SQL = null;
+    this.db = null;
+    this.loadedVersion = null;
+    this.connecting = null;
+    this.inTransaction = false;
+  }
+
+  connect() {
+    if (!this.connecting) {
+      this.connecting = initSqlJs().then((SQL) => {
+        this.SQL = SQL;
+        this.load();
+      });
+    }
+    return this.connecting;
+  }
+
+  async ensureCollection(name) {
+    const table = tableName(name);
+
+    return this.write(
+      () => {
+        const existing = this.db.exec(
+          "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+          [table]
+        );
+        if (existing.length > 0) {
+          return false;
+        }
+
+        this.db.run(
+          `CREATE TABLE ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL)`
+        );
+        return true;
+      },
+      (created) => created
+    );
+  }
+
+  async all(name) {
+    this.refresh();
+
+    const result = this.db.exec(
+      `SELECT id, data FROM ${tableName(name)} ORDER BY id`
+    );
+    if (result.length === 0) {
+      return [];
+    }
+    return result[0].values.map(([id, data]) => toDoc(id, data));
+  }
+
+  async get(name, id) {
+    this.refresh();
+
+    const result = this.db.exec(
+      `SELECT id, data FROM ${tableName(name)} WHERE id = ?`,
+      [id]
+    );
+    if (result.length === 0) {
+      return null;
+    }
+    const [row] = result[0].values;
+    return toDoc(row[0], row[1]);
+  }
+
+  async insert(name, doc) {
+    const { id, ...data } = doc;
+
+    return this.write(() => {
+      this.db.run(`INSERT INTO ${tableName(name)} (id, data) VALUES (?, ?)`, [
+        id || null,
+        JSON.stringify(data),
+      ]);
+      const [[insertedId]] = this.db.exec("SELECT last_insert_rowid()")[0]
+        .values;
+      return insertedId;
+    });
+  }
+
+  async update(name, id, doc) {
+    const { id: _, ...data } = doc;
+
+    return this.write(
+      () => {
+        this.db.run(`UPDATE ${tableName(name)} SET data = ? WHERE id = ?`, [
+          JSON.stringify(data),
+          id,
+        ]);
+        return this.db.getRowsModified() > 0;
+      },
+      (changed) => changed
+    );
+  }
+
+  async remove(name, id) {
+    return this.write(
+      () => {
+        this.db.run(`DELETE FROM ${tableName(name)} WHERE id = ?`, [id]);
+        return this.db.getRowsModified() > 0;
+      },
+      (removed) => removed
+    );
+  }
+
+  // Writes inside a transaction reach the file only on commit; the lock is
+  // held until then
+  async begin() {
+    await this.lock();
+    try {
+      this.refresh();
+      this.db.run("BEGIN");
+      this.inTransaction = true;
+    } catch (error) {
+      this.unlock();
+      throw error;
+    }
+  }
+
+  async commit() {
+    try {
+      this.db.run("COMMIT");
+      this.inTransaction = false;
+      this.persist();
+    } finally {
+      this.unlock();
+    }
+  }
+
+  async rollback() {
+    try {
+      this.db.run("ROLLBACK");
+      this.inTransaction = false;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Run a write operation. Outside a transaction it holds the lock, starts
+  // from the latest file and writes the file back when changed(result)
+  async write(operation, changed = () => true) {
+    if (this.inTransaction) {
+      return operation();
+    }
+
+    await this.lock();
+    try {
+      this.refresh();
+      const result = operation();
+      if (changed(result)) this.persist();
+      return result;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  // Wait for the lock file, taking over one left behind by a dead process
+  async lock() {
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFilename, String(process.pid), {
+          flag: "wx",
+        });
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+
+      if (this.lockIsStale()) {
+        fs.rmSync(this.lockFilename, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${this.lockFilename}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  unlock() {
+    fs.rmSync(this.lockFilename, { force: true });
+  }
+
+  lockIsStale() {
+    try {
+      const { mtimeMs } = fs.statSync(this.lockFilename);
+      return Date.now() - mtimeMs > LOCK_STALE_MS;
+    } catch (error) {
+      return false; // released meanwhile
+    }
+  }
+
+  // Load the database file (or start an empty database)
+  load() {
+    if (this.db) {
+      this.db.close();
+    }
+
+    if (fs.existsSync(this.filename)) {
+      this.db = new this.SQL.Database(fs.readFileSync(this.filename));
+      this.loadedVersion = this.fileVersion();
+    } else {
+      this.db = new this.SQL.Database();
+      this.loadedVersion = null;
+    }
+  }
+
+  // Pick up changes written by other processes since we last loaded
+  refresh() {
+    if (this.inTransaction || !fs.existsSync(this.filename)) {
+      return;
+    }
+    if (this.fileVersion() !== this.loadedVersion) {
+      this.load();
+    }
+  }
+
+  // Write the in-memory database back to disk
+  persist() {
+    if (this.inTransaction) {
+      return;
+    }
+
+    const temporary = `${this.filename}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, Buffer.from(this.db.export()));
+    fs.renameSync(temporary, this.filename);
+    this.loadedVersion = this.fileVersion();
+  }
+
+  // Every write replaces the file, so its inode changes even when two
+  // writes share a modification time
+  fileVersion() {
+    const { ino, mtimeMs, size } = fs.statSync(this.filename);
+    return `${ino}:${mtimeMs}:${size}`;
+  }
+}
+
+function tableName(name) {
+  if (!TABLE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid collection name: ${name}`);
+  }
+  return name;
+}
+
+function toDoc(id, data) {
+  return { ...JSON.parse(data), id };
+}
+
+module.exports = SqliteDriver;
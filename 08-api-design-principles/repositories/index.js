@@ -0,0 +1,64 @@
+// Repositories
+// Chooses the storage driver from config.database.url
+//
+//   memory://                     in-process storage, reset on every restart
+//   sqlite://./database.sqlite    SQLite database file (path relative to cwd)
+
+const config = require("../config/config");
+const Database = require("./Database");
+const Repository = require("./Repository");
+const MemoryDriver = require("./drivers/MemoryDriver");
+const SqliteDriver = require("./drivers/SqliteDriver");
+
+function createDriver(url) {
+  const match = /^([a-z]+):\/\/(.*)$/.exec(url || "");
+  if (!match) {
+    throw new Error(`Invalid database URL: ${url}`);
+  }
+
+  const [, scheme, location] = match;
+  switch (scheme) {
+    case "memory":
+      return new MemoryDriver();
+    case "sqlite":
+      return new SqliteDriver({ filename: location || "./database.sqlite" });
+    default:
+      throw new Error(`Unsupported database driver: ${scheme}`);
+  }
+}
+
+const database = new Database(createDriver(config.database.url));
+
+// Create a repository for a named collection
+function createRepository(name, options = {}) {
+  const repository = new Repository(database, name, options);
+
+  // Initialize now so seeding never ends up inside a transaction;
+  // a failure here is reported again on the repository's first use
+  repository.ready().catch(() => {});
+  return repository;
+}
+
+// Run work atomically across all repositories
+function transaction(work) {
+  return database.transaction(work);
+}
+
+// Run callback once the surrounding transaction commits (see Database)
+function afterCommit(callback) {
+  database.afterCommit(callback);
+}
+
+// Run work(changes) with the writes it commits collected (see Database)
+function trackChanges(work) {
+  return database.trackChanges(work);
+}
+
+module.exports = {
+  database,
+  createDriver,
+  createRepository,
+  transaction,
+  afterCommit,
+  trackChanges,
+};
@@ -0,0 +1,120 @@
+const express = require("express")
+const router = express.Router()
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const listQuery = require("../middleware/listQuery")
+const { validate, validatePagination } = require("../middleware/apiValidator")
+const apiKeyController = require("../controllers/apiKeyController")
+const auditController = require("../controllers/auditController")
+const roleController = require("../controllers/roleController")
+const apiKeyService = require("../services/apiKeyService")
+const auditService = require("../services/auditService")
+const { describe } = require("../utils/apiDocs")
+
+// Administration endpoints: the audit log, the roles users are given with their permissions, and the
+// activity of every API key
+
+// Shorthands for the filters of the audit log
+const auditFilters = [
+  { name: "actor", schema: { type: "integer" }, description: "Same as actorId" },
+  { name: "resource", schema: { type: "string" }, description: "Same as resourceType, e.g. products" },
+  { name: "startDate", schema: { type: "string", format: "date-time" } },
+  { name: "endDate", schema: { type: "string", format: "date-time" } },
+]
+
+// GET /api/admin/audit - Audit log, newest first
+describe(router, "GET /audit", {
+  summary: "List audit entries",
+  description: "Every POST, PUT, PATCH and DELETE call, with the fields it changed on users, products and orders",
+  response: "AuditEntry",
+  paginated: true,
+  query: auditFilters,
+})
+router.get(
+  "/audit",
+  authenticateToken,
+  requirePermission("audit:read"),
+  validatePagination,
+  listQuery(auditService.query),
+  auditController.getEntries,
+)
+
+// GET /api/admin/audit/export - Download the audit log
+describe(router, "GET /audit/export", {
+  summary: "Export audit entries",
+  description: "Streams the entries matching the filters of GET /admin/audit as NDJSON (one entry per line)",
+  query: auditFilters,
+})
+router.get(
+  "/audit/export",
+  authenticateToken,
+  requirePermission("audit:read"),
+  listQuery(auditService.query),
+  auditController.exportEntries,
+)
+
+// GET /api/admin/api-keys - Every API key with its usage
+describe(router, "GET /api-keys", {
+  summary: "List API key activity",
+  description:
+    "Every user's keys, revoked and expired ones included, with their requests today, per day over the " +
+    "last 30 days and in total, and when and from where they were last used. Sort by -requestsToday or " +
+    "-lastUsedAt for the busiest or most recent",
+  response: "ApiKey",
+  paginated: true,
+  query: [
+    { name: "owner", schema: { type: "integer" }, description: "Same as ownerId" },
+    { name: "usedSince", schema: { type: "string", format: "date-time" }, description: "lastUsedAt from" },
+  ],
+})
+router.get(
+  "/api-keys",
+  authenticateToken,
+  requirePermission("api-keys:manage:any"),
+  validatePagination,
+  listQuery(apiKeyService.query),
+  apiKeyController.getKeys,
+)
+
+// GET /api/admin/permissions - Every permission a role can hold
+describe(router, "GET /permissions", { summary: "List permissions", response: "Permission" })
+router.get("/permissions", authenticateToken, requirePermission("roles:manage"), roleController.getPermissions)
+
+// GET /api/admin/roles - List roles
+describe(router, "GET /roles", { summary: "List roles", response: "Role" })
+router.get("/roles", authenticateToken, requirePermission("roles:manage"), roleController.getRoles)
+
+// GET /api/admin/roles/:name - Get role by name
+describe(router, "GET /roles/:name", { summary: "Get role", response: "Role" })
+router.get("/roles/:name", authenticateToken, requirePermission("roles:manage"), roleController.getRoleByName)
+
+// POST /api/admin/roles - Create role
+describe(router, "POST /roles", { summary: "Create role", body: "RoleInput", response: "Role", errors: [409] })
+router.post(
+  "/roles",
+  authenticateToken,
+  requirePermission("roles:manage"),
+  validate("RoleInput"),
+  roleController.createRole,
+)
+
+// PATCH /api/admin/roles/:name - Change a role's description or permissions; applies to its users at once
+describe(router, "PATCH /roles/:name", {
+  summary: "Update role",
+  description: "Applies to every user of the role from their next request",
+  body: "RoleInput",
+  response: "Role",
+  errors: [409],
+})
+router.patch(
+  "/roles/:name",
+  authenticateToken,
+  requirePermission("roles:manage"),
+  validate("RoleInput", { partial: true }),
+  roleController.updateRole,
+)
+
+// DELETE /api/admin/roles/:name - Delete a role no user has
+describe(router, "DELETE /roles/:name", { summary: "Delete role", response: "Role", errors: [409] })
+router.delete("/roles/:name", authenticateToken, requirePermission("roles:manage"), roleController.deleteRole)
+
+module.exports = router
@@ -0,0 +1,94 @@
+const express = require("express")
+const router = express.Router()
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { validate, validatePagination } = require("../middleware/apiValidator")
+const apiKeyController = require("../controllers/apiKeyController")
+const apiKeyService = require("../services/apiKeyService")
+const { describe } = require("../utils/apiDocs")
+
+// API keys: long-lived credentials for machine clients, sent in the X-API-Key header. Users manage
+// their own keys; with api-keys:manage:any, those of every user (see also GET /admin/api-keys)
+
+// Owner of the key in the URL, for the api-keys:manage:own checks
+const keyOwner = (req) => apiKeyService.ownerOf(req.params.id)
+
+// GET /api/api-keys - List the signed-in user's keys
+describe(router, "GET /", {
+  summary: "List my API keys",
+  response: "ApiKey",
+  paginated: true,
+  query: [
+    { name: "status", schema: { type: "string", enum: ["active", "expired", "revoked"] } },
+    { name: "organization", schema: { type: "string" } },
+  ],
+})
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("api-keys:manage:own"),
+  validatePagination,
+  apiKeyController.getMyKeys,
+)
+
+// GET /api/api-keys/:id - Get key by ID
+describe(router, "GET /:id", { summary: "Get API key by ID", response: "ApiKey" })
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("api-keys:manage", { owner: keyOwner }),
+  apiKeyController.getKeyById,
+)
+
+// POST /api/api-keys - Issue a key. Not idempotent: a replay would have to store the key, which is only ever
+// kept as a hash
+describe(router, "POST /", {
+  summary: "Create API key",
+  description:
+    "The response holds the key; it is not shown again. Scopes must be allowed by the owner's role, " +
+    "and only those the role still allows apply on each request",
+  body: "ApiKeyInput",
+  response: "ApiKey",
+})
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("api-keys:manage:own"),
+  validate("ApiKeyInput"),
+  apiKeyController.createKey,
+)
+
+// PATCH /api/api-keys/:id - Rename a key or change its scopes, quota or expiry
+describe(router, "PATCH /:id", { summary: "Update API key", body: "ApiKeyInput", response: "ApiKey" })
+router.patch(
+  "/:id",
+  authenticateToken,
+  requirePermission("api-keys:manage", { owner: keyOwner }),
+  validate("ApiKeyInput", { partial: true }),
+  apiKeyController.updateKey,
+)
+
+// POST /api/api-keys/:id/rotate - Replace the key
+describe(router, "POST /:id/rotate", {
+  summary: "Rotate API key",
+  description: "The old key stops working at once; the new one is only shown in this response",
+  response: "ApiKey",
+  status: 200,
+  errors: [409],
+})
+router.post(
+  "/:id/rotate",
+  authenticateToken,
+  requirePermission("api-keys:manage", { owner: keyOwner }),
+  apiKeyController.rotateKey,
+)
+
+// DELETE /api/api-keys/:id - Revoke key; it is kept, with its usage, but no longer accepted
+describe(router, "DELETE /:id", { summary: "Revoke API key", response: "ApiKey" })
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("api-keys:manage", { owner: keyOwner }),
+  apiKeyController.revokeKey,
+)
+
+module.exports = router
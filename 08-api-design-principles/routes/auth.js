@@ -1,165 +1,84 @@
 const express = require("express")
 const router = express.Router()
-const bcrypt = require("bcrypt")
-const jwt = require("jsonwebtoken")
-
-// Mock user storage
-const users = [
-  {
-    id: 1,
-    name: "Admin User",
-    email: "admin@example.com",
-    password: "$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj/RK.s5uIoO", // secret123
-    role: "admin",
-    active: true,
-  },
-  {
-    id: 2,
-    name: "John Doe",
-    email: "john@example.com",
-    password: "$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj/RK.s5uIoO", // secret123
-    role: "user",
-    active: true,
-  },
-]
+const { authenticateToken } = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const { validate } = require("../middleware/apiValidator")
+const authController = require("../controllers/authController")
+const { describe } = require("../utils/apiDocs")
 
 // POST /api/auth/login - User authentication
-router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "MISSING_CREDENTIALS",
-          message: "Email and password are required",
-        },
-      })
-    }
-
-    const user = users.find((u) => u.email === email)
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "INVALID_CREDENTIALS",
-          message: "Invalid email or password",
-        },
-      })
-    }
-
-    const isValidPassword = await bcrypt.compare(password, user.password)
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "INVALID_CREDENTIALS",
-          message: "Invalid email or password",
-        },
-      })
-    }
-
-    if (!user.active) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: "ACCOUNT_DISABLED",
-          message: "Account has been disabled",
-        },
-      })
-    }
-
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || "fallback-secret",
-      { expiresIn: "1h" },
-    )
-
-    const { password: _, ...userWithoutPassword } = user
-
-    res.json({
-      success: true,
-      data: {
-        user: userWithoutPassword,
-        token,
-      },
-      message: "Login successful",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Login failed",
-      },
-    })
-  }
+describe(router, "POST /login", {
+  summary: "Log in",
+  response: "AuthResult",
+  status: 200,
+  errors: [401],
 })
+router.post("/login", validate("Credentials"), authController.login)
 
 // POST /api/auth/register - User registration
-router.post("/register", async (req, res) => {
-  try {
-    const { name, email, password } = req.body
+describe(router, "POST /register", {
+  summary: "Register a new account",
+  response: "AuthResult",
+  errors: [409],
+})
+router.post("/register", idempotency(), validate("Registration"), authController.register)
 
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "MISSING_FIELDS",
-          message: "Name, email, and password are required",
-        },
-      })
-    }
+// POST /api/auth/refresh - New access token for a refresh token
+describe(router, "POST /refresh", {
+  summary: "Refresh access token",
+  status: 200,
+  errors: [401],
+})
+router.post("/refresh", validate("RefreshTokenInput"), authController.refreshToken)
 
-    const existingUser = users.find((u) => u.email === email)
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "EMAIL_ALREADY_EXISTS",
-          message: "User with this email already exists",
-        },
-      })
-    }
+// POST /api/auth/logout - Invalidate a refresh token
+describe(router, "POST /logout", { summary: "Log out", status: 200 })
+router.post("/logout", validate("LogoutInput"), authController.logout)
 
-    const hashedPassword = await bcrypt.hash(password, 12)
-    const newUser = {
-      id: Math.max(...users.map((u) => u.id), 0) + 1,
-      name,
-      email,
-      password: hashedPassword,
-      role: "user",
-      active: true,
-    }
+// POST /api/auth/logout-all - Invalidate every refresh token of the user
+describe(router, "POST /logout-all", {
+  summary: "Log out everywhere",
+  description: "Access tokens already issued stay valid until they expire or are revoked",
+  status: 200,
+})
+router.post("/logout-all", authenticateToken, authController.logoutAll)
+
+// POST /api/auth/change-password - Change the user's password
+describe(router, "POST /change-password", { summary: "Change password", status: 200 })
+router.post("/change-password", authenticateToken, validate("PasswordChange"), authController.changePassword)
+
+// POST /api/auth/forgot-password - Mail a password reset token
+describe(router, "POST /forgot-password", {
+  summary: "Request password reset",
+  description:
+    "Mails a reset token (event user.password_reset_requested); it is never returned. " +
+    "Answers the same whether or not the email has an account",
+  status: 200,
+})
+router.post("/forgot-password", validate("PasswordResetRequest"), authController.forgotPassword)
 
-    users.push(newUser)
+// POST /api/auth/reset-password - Set a new password with a reset token
+describe(router, "POST /reset-password", {
+  summary: "Reset password",
+  description: "Each reset token works once; every refresh token of the user is invalidated",
+  status: 200,
+})
+router.post("/reset-password", validate("PasswordReset"), authController.resetPassword)
 
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email, role: newUser.role },
-      process.env.JWT_SECRET || "fallback-secret",
-      { expiresIn: "1h" },
-    )
+// POST /api/auth/verify-token - Check the access token sent in Authorization
+describe(router, "POST /verify-token", {
+  summary: "Verify access token",
+  status: 200,
+  errors: [401],
+})
+router.post("/verify-token", authController.verifyToken)
 
-    const { password: _, ...userWithoutPassword } = newUser
+// POST /api/auth/revoke-token - Revoke the access token sent in Authorization
+describe(router, "POST /revoke-token", { summary: "Revoke access token", status: 200 })
+router.post("/revoke-token", authenticateToken, authController.revokeToken)
 
-    res.status(201).json({
-      success: true,
-      data: {
-        user: userWithoutPassword,
-        token,
-      },
-      message: "Registration successful",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Registration failed",
-      },
-    })
-  }
-})
+// GET /api/auth/me - The signed-in user
+describe(router, "GET /me", { summary: "Get current user", response: "User" })
+router.get("/me", authenticateToken, authController.getCurrentUser)
 
 module.exports = router
@@ -0,0 +1,68 @@
+const express = require("express")
+const router = express.Router()
+const { authenticateToken, optionalAuth } = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const { validate } = require("../middleware/apiValidator")
+const cartController = require("../controllers/cartController")
+const { describe } = require("../utils/apiDocs")
+
+// Signed-in users reach their own cart; guests send the token of their cart in X-Cart-Token,
+// which is returned (in the header and as data.token) when their first item is added
+
+// GET /api/cart - The caller's cart
+describe(router, "GET /", {
+  summary: "Get cart",
+  description: "Guests send X-Cart-Token; without a cart an empty one is returned",
+  response: "Cart",
+})
+router.get("/", optionalAuth, cartController.getCart)
+
+// DELETE /api/cart - Remove every item
+describe(router, "DELETE /", { summary: "Empty cart", response: "Cart" })
+router.delete("/", optionalAuth, cartController.clearCart)
+
+// POST /api/cart/items - Add an item at its current price
+describe(router, "POST /items", {
+  summary: "Add item to cart",
+  description: "Creates the cart, and a guest cart token, when needed. Adding an item already in the cart adds to its quantity",
+  body: "CartItemInput",
+  response: "Cart",
+  status: 200,
+  errors: [409],
+})
+router.post("/items", optionalAuth, validate("CartItemInput"), cartController.addItem)
+
+// PATCH /api/cart/items/:itemId - Change the quantity of an item
+describe(router, "PATCH /items/:itemId", {
+  summary: "Update cart item",
+  body: "CartItemUpdate",
+  response: "Cart",
+  errors: [409],
+})
+router.patch("/items/:itemId", optionalAuth, validate("CartItemUpdate"), cartController.updateItem)
+
+// DELETE /api/cart/items/:itemId - Remove an item
+describe(router, "DELETE /items/:itemId", { summary: "Remove cart item", response: "Cart" })
+router.delete("/items/:itemId", optionalAuth, cartController.removeItem)
+
+// POST /api/cart/merge - Move the guest cart named by X-Cart-Token into the user's cart
+describe(router, "POST /merge", {
+  summary: "Merge guest cart",
+  description: "Also done on login when X-Cart-Token is sent",
+  response: "Cart",
+  status: 200,
+})
+router.post("/merge", authenticateToken, cartController.mergeCart)
+
+// POST /api/cart/checkout - Place an order for the cart and empty it
+describe(router, "POST /checkout", {
+  summary: "Check out cart",
+  description:
+    "Fails with CART_PRICE_CHANGED (409) when a price changed since the item was added; the cart then shows the new prices",
+  body: "CartCheckout",
+  response: "Order",
+  errors: [409],
+})
+router.post("/checkout", authenticateToken, idempotency(), validate("CartCheckout"), cartController.checkout)
+
+module.exports = router
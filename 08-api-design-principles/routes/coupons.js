@@ -0,0 +1,66 @@
+const express = require("express")
+const router = express.Router()
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const { validate, validatePagination } = require("../middleware/apiValidator")
+const couponController = require("../controllers/couponController")
+const { describe } = require("../utils/apiDocs")
+
+// Coupons and promotions are managed by admins; customers use a coupon by sending its code with an order
+
+// GET /api/coupons - List coupons
+describe(router, "GET /", {
+  summary: "List coupons",
+  response: "Coupon",
+  paginated: true,
+  query: [
+    { name: "code", schema: { type: "string" } },
+    { name: "type", schema: { type: "string", enum: ["percentage", "fixed"] } },
+    { name: "automatic", schema: { type: "boolean" } },
+    { name: "isActive", schema: { type: "boolean" } },
+    { name: "expiresAt[gte]", schema: { type: "string", format: "date-time" } },
+  ],
+})
+router.get("/", authenticateToken, requirePermission("coupons:read"), validatePagination, couponController.getCoupons)
+
+// GET /api/coupons/:id - Get coupon by ID
+describe(router, "GET /:id", { summary: "Get coupon by ID", response: "Coupon" })
+router.get("/:id", authenticateToken, requirePermission("coupons:read"), couponController.getCouponById)
+
+// POST /api/coupons - Create coupon or promotion
+describe(router, "POST /", {
+  summary: "Create coupon",
+  description: "An automatic coupon is a promotion, applied to every order it qualifies for",
+  body: "CouponInput",
+  response: "Coupon",
+  errors: [409],
+})
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("coupons:write"),
+  idempotency(),
+  validate("CouponInput"),
+  couponController.createCoupon,
+)
+
+// PATCH /api/coupons/:id - Update coupon
+describe(router, "PATCH /:id", {
+  summary: "Update coupon",
+  body: "CouponInput",
+  response: "Coupon",
+  errors: [409],
+})
+router.patch(
+  "/:id",
+  authenticateToken,
+  requirePermission("coupons:write"),
+  validate("CouponInput", { partial: true }),
+  couponController.updateCoupon,
+)
+
+// DELETE /api/coupons/:id - Delete coupon; orders keep their discounts
+describe(router, "DELETE /:id", { summary: "Delete coupon", response: "Coupon" })
+router.delete("/:id", authenticateToken, requirePermission("coupons:write"), couponController.deleteCoupon)
+
+module.exports = router
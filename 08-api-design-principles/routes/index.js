@@ -0,0 +1,7 @@
+// API Routers
+// One router per API version, keyed like config.api.versions
+
+module.exports = {
+  v1: require("./v1"),
+  v2: require("./v2"),
+}
@@ -0,0 +1,35 @@
+const express = require("express")
+const router = express.Router()
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { validatePagination } = require("../middleware/apiValidator")
+const inventoryController = require("../controllers/inventoryController")
+const { describe } = require("../utils/apiDocs")
+
+// GET /api/inventory/movements - Stock ledger, newest first
+describe(router, "GET /movements", {
+  summary: "List stock movements",
+  description: "Every change to stock with its reason and the user who made it",
+  response: "StockMovement",
+  paginated: true,
+  query: [
+    { name: "productId", schema: { type: "integer" } },
+    { name: "variantId", schema: { type: "integer" } },
+    { name: "reason", description: "e.g. reason[in]=order,refund", schema: { type: "string" } },
+    { name: "orderId", schema: { type: "integer" } },
+    { name: "actorId", schema: { type: "integer" } },
+    { name: "createdAt[gte]", schema: { type: "string", format: "date-time" } },
+  ],
+})
+router.get(
+  "/movements",
+  authenticateToken,
+  requirePermission("inventory:read"),
+  validatePagination,
+  inventoryController.getMovements,
+)
+
+// GET /api/inventory/low-stock - Products and variants at or below their threshold
+describe(router, "GET /low-stock", { summary: "List low-stock products", response: "LowStockItem" })
+router.get("/low-stock", authenticateToken, requirePermission("inventory:read"), inventoryController.getLowStock)
+
+module.exports = router
@@ -1,356 +1,219 @@
 const express = require("express")
 const router = express.Router()
-const { authenticateToken, requireRole } = require("../middleware/auth")
-const { validatePagination } = require("../middleware/validation")
-
-// In-memory storage for demo
-const orders = [
-  {
-    id: 1,
-    userId: 2,
-    items: [
-      {
-        productId: 1,
-        productName: "Laptop Pro 15",
-        price: 1299.99,
-        quantity: 1,
-        total: 1299.99,
-      },
-    ],
-    totalAmount: 1299.99,
-    status: "delivered",
-    shippingAddress: {
-      street: "123 Main St",
-      city: "New York",
-      state: "NY",
-      zipCode: "10001",
-      country: "USA",
-    },
-    paymentMethod: "credit_card",
-    createdAt: new Date("2023-06-01"),
-    updatedAt: new Date("2023-06-05"),
-  },
-  {
-    id: 2,
-    userId: 2,
-    items: [
-      {
-        productId: 2,
-        productName: "Wireless Headphones",
-        price: 299.99,
-        quantity: 1,
-        total: 299.99,
-      },
-    ],
-    totalAmount: 299.99,
-    status: "processing",
-    shippingAddress: {
-      street: "123 Main St",
-      city: "New York",
-      state: "NY",
-      zipCode: "10001",
-      country: "USA",
-    },
-    paymentMethod: "paypal",
-    createdAt: new Date("2023-08-15"),
-    updatedAt: new Date("2023-08-16"),
-  },
-]
-
-// GET /api/orders - List user orders
-router.get("/", authenticateToken, validatePagination, (req, res) => {
-  try {
-    const { page = 1, limit = 10, status, sort = "-createdAt" } = req.query
-
-    let userOrders = orders.filter((order) => order.userId === req.user.id)
-
-    // Apply status filter
-    if (status) {
-      userOrders = userOrders.filter((order) => order.status === status)
-    }
-
-    // Apply sorting
-    const sortFields = sort.split(",")
-    userOrders.sort((a, b) => {
-      for (const field of sortFields) {
-        const isDesc = field.startsWith("-")
-        const fieldName = isDesc ? field.slice(1) : field
-
-        let aVal = a[fieldName]
-        let bVal = b[fieldName]
-
-        if (fieldName === "createdAt" || fieldName === "updatedAt") {
-          aVal = new Date(aVal)
-          bVal = new Date(bVal)
-        } else if (fieldName === "totalAmount") {
-          aVal = Number.parseFloat(aVal)
-          bVal = Number.parseFloat(bVal)
-        }
-
-        if (aVal < bVal) return isDesc ? 1 : -1
-        if (aVal > bVal) return isDesc ? -1 : 1
-      }
-      return 0
-    })
-
-    // Apply pagination
-    const totalOrders = userOrders.length
-    const totalPages = Math.ceil(totalOrders / limit)
-    const startIndex = (page - 1) * limit
-    const endIndex = startIndex + limit
-    const paginatedOrders = userOrders.slice(startIndex, endIndex)
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const listQuery = require("../middleware/listQuery")
+const { etag, ifMatch } = require("../middleware/conditionalRequest")
+const { validate, validatePagination } = require("../middleware/apiValidator")
+const orderController = require("../controllers/orderController")
+const orderService = require("../services/orderService")
+const { describe } = require("../utils/apiDocs")
+
+// The user the order in the URL belongs to, for permissions scoped to own orders
+const orderOwner = async (req) => {
+  const order = await orderService.findOrderById(req.params.id)
+  return order && order.userId
+}
+
+// If-Match is checked against the order named in the URL
+const ifMatchOrder = ifMatch((req) => orderService.findOrderById(req.params.id))
+
+// GET /api/orders - List orders: the user's own, or every order with orders:read:any
+describe(router, "GET /", { summary: "List orders", description: "Customers see their own orders", response: "Order" })
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("orders:read:own"),
+  validatePagination,
+  listQuery(orderService.query),
+  orderController.getOrders,
+)
+
+// GET /api/orders/stats - Order statistics
+describe(router, "GET /stats", {
+  summary: "Get order statistics",
+  query: [{ name: "userId", schema: { type: "integer" }, description: "Only the orders of this user" }],
+})
+router.get("/stats", authenticateToken, requirePermission("stats:read"), orderController.getOrderStats)
 
-    res.json({
-      success: true,
-      data: paginatedOrders,
-      pagination: {
-        currentPage: Number.parseInt(page),
-        totalPages,
-        totalItems: totalOrders,
-        itemsPerPage: Number.parseInt(limit),
-        hasNext: page < totalPages,
-        hasPrev: page > 1,
-      },
-      meta: {
-        filters: { status },
-        sort,
-      },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to retrieve orders",
-      },
-    })
-  }
+// GET /api/orders/recent - Most recent orders
+describe(router, "GET /recent", {
+  summary: "Get recent orders",
+  response: "Order",
+  query: [{ name: "limit", schema: { type: "integer", minimum: 1, maximum: 50, default: 10 } }],
 })
+router.get("/recent", authenticateToken, requirePermission("orders:read:any"), orderController.getRecentOrders)
+
+// GET /api/orders/user/:userId - List the orders of a user
+describe(router, "GET /user/:userId", { summary: "List orders of a user", response: "Order" })
+router.get(
+  "/user/:userId",
+  authenticateToken,
+  requirePermission("orders:read:any"),
+  validatePagination,
+  listQuery(orderService.query),
+  orderController.getOrdersByUser,
+)
 
 // GET /api/orders/:id - Get order details
-router.get("/:id", authenticateToken, (req, res) => {
-  try {
-    const orderId = Number.parseInt(req.params.id)
-    const order = orders.find((o) => o.id === orderId)
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "ORDER_NOT_FOUND",
-          message: "Order not found",
-        },
-      })
-    }
-
-    // Check if user owns the order or is admin
-    if (order.userId !== req.user.id && req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: "ACCESS_DENIED",
-          message: "You do not have permission to view this order",
-        },
-      })
-    }
-
-    res.json({
-      success: true,
-      data: order,
-      message: "Order retrieved successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to retrieve order",
-      },
-    })
-  }
+describe(router, "GET /:id", { summary: "Get order by ID", response: "Order", errors: [403] })
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("orders:read", { owner: orderOwner }),
+  etag,
+  orderController.getOrderById,
+)
+
+// GET /api/orders/:id/history - Get order status history
+describe(router, "GET /:id/history", {
+  summary: "Get order status history",
+  response: "OrderHistory",
+  errors: [403],
+})
+router.get(
+  "/:id/history",
+  authenticateToken,
+  requirePermission("orders:read", { owner: orderOwner }),
+  orderController.getOrderHistory,
+)
+
+// GET /api/orders/:id/payments - Get payment ledger
+describe(router, "GET /:id/payments", {
+  summary: "Get payment ledger",
+  response: "PaymentSummary",
+  errors: [403],
+})
+router.get(
+  "/:id/payments",
+  authenticateToken,
+  requirePermission("orders:read", { owner: orderOwner }),
+  orderController.getPayments,
+)
+
+// POST /api/orders/:id/payments/captures - Capture payment
+describe(router, "POST /:id/payments/captures", {
+  summary: "Capture payment",
+  response: "Payment",
+  errors: [409],
 })
+router.post(
+  "/:id/payments/captures",
+  authenticateToken,
+  requirePermission("payments:write"),
+  idempotency(),
+  validate("CaptureInput"),
+  orderController.capturePayment,
+)
+
+// POST /api/orders/:id/payments/refunds - Refund payment
+describe(router, "POST /:id/payments/refunds", {
+  summary: "Refund payment",
+  response: "Payment",
+  errors: [409],
+})
+router.post(
+  "/:id/payments/refunds",
+  authenticateToken,
+  requirePermission("payments:write"),
+  idempotency(),
+  validate("RefundInput"),
+  orderController.refundPayment,
+)
 
 // POST /api/orders - Create new order
-router.post("/", authenticateToken, (req, res) => {
-  try {
-    const { items, shippingAddress, paymentMethod } = req.body
-
-    // Validation
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "INVALID_ORDER_ITEMS",
-          message: "Order must contain at least one item",
-        },
-      })
-    }
-
-    if (!shippingAddress) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "SHIPPING_ADDRESS_REQUIRED",
-          message: "Shipping address is required",
-        },
-      })
-    }
-
-    if (!paymentMethod) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "PAYMENT_METHOD_REQUIRED",
-          message: "Payment method is required",
-        },
-      })
-    }
-
-    // Calculate total amount (in real app, verify with product prices)
-    const totalAmount = items.reduce((sum, item) => {
-      return sum + item.price * item.quantity
-    }, 0)
-
-    const newOrder = {
-      id: Math.max(...orders.map((o) => o.id), 0) + 1,
-      userId: req.user.id,
-      items,
-      totalAmount,
-      status: "pending",
-      shippingAddress,
-      paymentMethod,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    }
-
-    orders.push(newOrder)
-
-    res.status(201).json({
-      success: true,
-      data: newOrder,
-      message: "Order created successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to create order",
-      },
-    })
-  }
+describe(router, "POST /", {
+  summary: "Place order",
+  description: "Placed for the signed-in user; with orders:create:any, for the user named in userId",
+  response: "Order",
+  errors: [409],
 })
-
-// PATCH /api/orders/:id/status - Update order status (admin only)
-router.patch("/:id/status", authenticateToken, requireRole("admin"), (req, res) => {
-  try {
-    const orderId = Number.parseInt(req.params.id)
-    const { status } = req.body
-
-    const validStatuses = ["pending", "processing", "shipped", "delivered", "cancelled"]
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "INVALID_STATUS",
-          message: `Status must be one of: ${validStatuses.join(", ")}`,
-        },
-      })
-    }
-
-    const orderIndex = orders.findIndex((o) => o.id === orderId)
-    if (orderIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "ORDER_NOT_FOUND",
-          message: "Order not found",
-        },
-      })
-    }
-
-    orders[orderIndex] = {
-      ...orders[orderIndex],
-      status,
-      updatedAt: new Date(),
-    }
-
-    res.json({
-      success: true,
-      data: orders[orderIndex],
-      message: "Order status updated successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to update order status",
-      },
-    })
-  }
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("orders:create:own"),
+  idempotency(),
+  validate("OrderInput"),
+  orderController.createOrder,
+)
+
+// PATCH /api/orders/:id/status - Update order status
+describe(router, "PATCH /:id/status", {
+  summary: "Update order status",
+  response: "Order",
+  errors: [409],
 })
+router.patch(
+  "/:id/status",
+  authenticateToken,
+  requirePermission("orders:update:any"),
+  validate("OrderStatusUpdate"),
+  ifMatchOrder,
+  etag,
+  orderController.updateOrderStatus,
+)
+
+// PATCH /api/orders/:id/payment - Set the payment status
+describe(router, "PATCH /:id/payment", {
+  summary: "Update payment status",
+  description: "paid and refunded record a capture or refund of the balance in the payment ledger",
+  body: "PaymentStatusUpdate",
+  response: "Order",
+  errors: [409],
+})
+router.patch(
+  "/:id/payment",
+  authenticateToken,
+  requirePermission("orders:update:any"),
+  validate("PaymentStatusUpdate"),
+  etag,
+  orderController.updatePaymentStatus,
+)
+
+// POST /api/orders/:id/items - Add an item to a pending order
+describe(router, "POST /:id/items", {
+  summary: "Add item to order",
+  description: "The order is priced again with the discounts it already has",
+  body: "OrderItemInput",
+  response: "Order",
+  status: 200,
+  errors: [403, 409],
+})
+router.post(
+  "/:id/items",
+  authenticateToken,
+  requirePermission("orders:update", { owner: orderOwner }),
+  validate("OrderItemInput"),
+  orderController.addItemToOrder,
+)
+
+// DELETE /api/orders/:id/items/:productId - Remove an item from a pending order
+describe(router, "DELETE /:id/items/:productId", {
+  summary: "Remove item from order",
+  response: "Order",
+  query: [{ name: "variantId", schema: { type: "integer" }, description: "For a product ordered in variants" }],
+  errors: [403, 409],
+})
+router.delete(
+  "/:id/items/:productId",
+  authenticateToken,
+  requirePermission("orders:update", { owner: orderOwner }),
+  orderController.removeItemFromOrder,
+)
 
 // DELETE /api/orders/:id - Cancel order
-router.delete("/:id", authenticateToken, (req, res) => {
-  try {
-    const orderId = Number.parseInt(req.params.id)
-    const orderIndex = orders.findIndex((o) => o.id === orderId)
-
-    if (orderIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "ORDER_NOT_FOUND",
-          message: "Order not found",
-        },
-      })
-    }
-
-    const order = orders[orderIndex]
-
-    // Check if user owns the order or is admin
-    if (order.userId !== req.user.id && req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: "ACCESS_DENIED",
-          message: "You do not have permission to cancel this order",
-        },
-      })
-    }
-
-    // Check if order can be cancelled
-    if (["shipped", "delivered"].includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "CANNOT_CANCEL_ORDER",
-          message: "Cannot cancel order that has been shipped or delivered",
-        },
-      })
-    }
-
-    orders[orderIndex] = {
-      ...order,
-      status: "cancelled",
-      updatedAt: new Date(),
-    }
-
-    res.json({
-      success: true,
-      data: orders[orderIndex],
-      message: "Order cancelled successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to cancel order",
-      },
-    })
-  }
+describe(router, "DELETE /:id", {
+  summary: "Cancel order",
+  body: "OrderCancellation",
+  response: "Order",
+  errors: [403, 409],
 })
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("orders:cancel", { owner: orderOwner }),
+  validate("OrderCancellation"),
+  orderController.cancelOrder,
+)
 
 module.exports = router
@@ -1,487 +1,187 @@
 const express = require("express")
 const router = express.Router()
-const { authenticateToken, requireRole } = require("../middleware/auth")
-const { validatePagination, validateProduct } = require("../middleware/validation")
-
-// In-memory storage for demo
-const products = [
-  {
-    id: 1,
-    name: "Laptop Pro 15",
-    description: "High-performance laptop with 16GB RAM and 512GB SSD",
-    price: 1299.99,
-    category: "electronics",
-    stock: 25,
-    images: ["/images/laptop-1.jpg", "/images/laptop-2.jpg"],
-    active: true,
-    createdAt: new Date("2023-01-15"),
-    updatedAt: new Date("2023-01-15"),
-  },
-  {
-    id: 2,
-    name: "Wireless Headphones",
-    description: "Premium noise-cancelling wireless headphones",
-    price: 299.99,
-    category: "electronics",
-    stock: 50,
-    images: ["/images/headphones-1.jpg"],
-    active: true,
-    createdAt: new Date("2023-02-01"),
-    updatedAt: new Date("2023-02-01"),
-  },
-  {
-    id: 3,
-    name: "Coffee Maker Deluxe",
-    description: "Programmable coffee maker with built-in grinder",
-    price: 199.99,
-    category: "home-kitchen",
-    stock: 15,
-    images: ["/images/coffee-maker-1.jpg"],
-    active: true,
-    createdAt: new Date("2023-03-10"),
-    updatedAt: new Date("2023-03-10"),
-  },
-  {
-    id: 4,
-    name: "Running Shoes",
-    description: "Lightweight running shoes with advanced cushioning",
-    price: 129.99,
-    category: "sports",
-    stock: 30,
-    images: ["/images/shoes-1.jpg"],
-    active: true,
-    createdAt: new Date("2023-04-05"),
-    updatedAt: new Date("2023-04-05"),
-  },
-  {
-    id: 5,
-    name: "Smartphone X",
-    description: "Latest smartphone with 128GB storage and triple camera",
-    price: 899.99,
-    category: "electronics",
-    stock: 20,
-    images: ["/images/phone-1.jpg", "/images/phone-2.jpg"],
-    active: true,
-    createdAt: new Date("2023-05-20"),
-    updatedAt: new Date("2023-05-20"),
-  },
-]
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const paginationHeaders = require("../middleware/paginationHeaders")
+const listQuery = require("../middleware/listQuery")
+const { etag, ifMatch } = require("../middleware/conditionalRequest")
+const { validate, validatePagination, validateProduct } = require("../middleware/apiValidator")
+const productController = require("../controllers/productController")
+const productService = require("../services/productService")
+const { describe } = require("../utils/apiDocs")
 
 // GET /api/products - List products with advanced filtering
-router.get("/", validatePagination, (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      "price[gte]": minPrice,
-      "price[lte]": maxPrice,
-      search,
-      sort = "id",
-      fields,
-      active = "true",
-    } = req.query
-
-    let filteredProducts = [...products]
-
-    // Apply active filter
-    if (active !== undefined) {
-      const isActive = active === "true"
-      filteredProducts = filteredProducts.filter((product) => product.active === isActive)
-    }
-
-    // Apply category filter
-    if (category) {
-      filteredProducts = filteredProducts.filter((product) => product.category.toLowerCase() === category.toLowerCase())
-    }
-
-    // Apply price range filters
-    if (minPrice) {
-      filteredProducts = filteredProducts.filter((product) => product.price >= Number.parseFloat(minPrice))
-    }
-
-    if (maxPrice) {
-      filteredProducts = filteredProducts.filter((product) => product.price <= Number.parseFloat(maxPrice))
-    }
-
-    // Apply search filter
-    if (search) {
-      const searchLower = search.toLowerCase()
-      filteredProducts = filteredProducts.filter(
-        (product) =>
-          product.name.toLowerCase().includes(searchLower) || product.description.toLowerCase().includes(searchLower),
-      )
-    }
-
-    // Apply sorting
-    const sortFields = sort.split(",")
-    filteredProducts.sort((a, b) => {
-      for (const field of sortFields) {
-        const isDesc = field.startsWith("-")
-        const fieldName = isDesc ? field.slice(1) : field
-
-        let aVal = a[fieldName]
-        let bVal = b[fieldName]
-
-        if (fieldName === "price") {
-          aVal = Number.parseFloat(aVal)
-          bVal = Number.parseFloat(bVal)
-        } else if (fieldName === "createdAt" || fieldName === "updatedAt") {
-          aVal = new Date(aVal)
-          bVal = new Date(bVal)
-        }
-
-        if (aVal < bVal) return isDesc ? 1 : -1
-        if (aVal > bVal) return isDesc ? -1 : 1
-      }
-      return 0
-    })
-
-    // Apply pagination
-    const totalProducts = filteredProducts.length
-    const totalPages = Math.ceil(totalProducts / limit)
-    const startIndex = (page - 1) * limit
-    const endIndex = startIndex + limit
-    const paginatedProducts = filteredProducts.slice(startIndex, endIndex)
-
-    // Apply field selection
-    let responseProducts = paginatedProducts
-    if (fields) {
-      const selectedFields = fields.split(",")
-      responseProducts = paginatedProducts.map((product) => {
-        const filteredProduct = {}
-        selectedFields.forEach((field) => {
-          if (product.hasOwnProperty(field)) {
-            filteredProduct[field] = product[field]
-          }
-        })
-        return filteredProduct
-      })
-    }
-
-    res.json({
-      success: true,
-      data: responseProducts,
-      pagination: {
-        currentPage: Number.parseInt(page),
-        totalPages,
-        totalItems: totalProducts,
-        itemsPerPage: Number.parseInt(limit),
-        hasNext: page < totalPages,
-        hasPrev: page > 1,
-      },
-      meta: {
-        filters: { category, minPrice, maxPrice, search, active },
-        sort,
-        fields: fields || "all",
-      },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to retrieve products",
-      },
-    })
-  }
-})
+describe(router, "GET /", { summary: "List products", response: "Product" })
+router.get("/", validatePagination, listQuery(productService.query), productController.getProducts)
 
 // GET /api/products/categories - Get product categories
-router.get("/categories", (req, res) => {
-  try {
-    const categories = [...new Set(products.map((p) => p.category))]
-    const categoriesWithCount = categories.map((category) => ({
-      name: category,
-      count: products.filter((p) => p.category === category && p.active).length,
-    }))
-
-    res.json({
-      success: true,
-      data: categoriesWithCount,
-      message: "Categories retrieved successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to retrieve categories",
-      },
-    })
-  }
+describe(router, "GET /categories", {
+  summary: "List product categories",
+  response: "ProductCategory",
 })
-
-// GET /api/products/search - Advanced product search
-router.get("/search", validatePagination, (req, res) => {
-  try {
-    const {
-      q: query,
-      category,
-      "price[gte]": minPrice,
-      "price[lte]": maxPrice,
-      page = 1,
-      limit = 10,
-      sort = "relevance",
-    } = req.query
-
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "SEARCH_QUERY_REQUIRED",
-          message: 'Search query parameter "q" is required',
-        },
-      })
-    }
-
-    let searchResults = [...products].filter((p) => p.active)
-    const searchLower = query.toLowerCase()
-
-    // Apply text search with relevance scoring
-    searchResults = searchResults
-      .map((product) => {
-        let relevanceScore = 0
-
-        // Name matches get higher score
-        if (product.name.toLowerCase().includes(searchLower)) {
-          relevanceScore += 10
-          if (product.name.toLowerCase().startsWith(searchLower)) {
-            relevanceScore += 5
-          }
-        }
-
-        // Description matches get lower score
-        if (product.description.toLowerCase().includes(searchLower)) {
-          relevanceScore += 3
-        }
-
-        // Category matches get medium score
-        if (product.category.toLowerCase().includes(searchLower)) {
-          relevanceScore += 5
-        }
-
-        return { ...product, relevanceScore }
-      })
-      .filter((product) => product.relevanceScore > 0)
-
-    // Apply additional filters
-    if (category) {
-      searchResults = searchResults.filter((product) => product.category.toLowerCase() === category.toLowerCase())
-    }
-
-    if (minPrice) {
-      searchResults = searchResults.filter((product) => product.price >= Number.parseFloat(minPrice))
-    }
-
-    if (maxPrice) {
-      searchResults = searchResults.filter((product) => product.price <= Number.parseFloat(maxPrice))
-    }
-
-    // Apply sorting
-    if (sort === "relevance") {
-      searchResults.sort((a, b) => b.relevanceScore - a.relevanceScore)
-    } else if (sort === "price") {
-      searchResults.sort((a, b) => a.price - b.price)
-    } else if (sort === "-price") {
-      searchResults.sort((a, b) => b.price - a.price)
-    } else if (sort === "name") {
-      searchResults.sort((a, b) => a.name.localeCompare(b.name))
-    }
-
-    // Remove relevanceScore from response
-    searchResults = searchResults.map(({ relevanceScore, ...product }) => product)
-
-    // Apply pagination
-    const totalResults = searchResults.length
-    const totalPages = Math.ceil(totalResults / limit)
-    const startIndex = (page - 1) * limit
-    const endIndex = startIndex + limit
-    const paginatedResults = searchResults.slice(startIndex, endIndex)
-
-    res.json({
-      success: true,
-      data: paginatedResults,
-      pagination: {
-        currentPage: Number.parseInt(page),
-        totalPages,
-        totalItems: totalResults,
-        itemsPerPage: Number.parseInt(limit),
-        hasNext: page < totalPages,
-        hasPrev: page > 1,
-      },
-      meta: {
-        query,
-        filters: { category, minPrice, maxPrice },
-        sort,
-      },
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Search failed",
-      },
-    })
-  }
+router.get("/categories", productController.getCategories)
+
+// GET /api/products/stats - Catalogue statistics
+describe(router, "GET /stats", { summary: "Get product statistics" })
+router.get("/stats", authenticateToken, requirePermission("stats:read"), productController.getProductStats)
+
+// GET /api/products/search - Full-text search with typo tolerance and facets
+describe(router, "GET /search", {
+  summary: "Search products",
+  description: "Ranked, typo-tolerant search; meta.facets counts matches by category, price bucket and stock",
+  response: "ProductSearchResult",
+  paginated: "offset",
+  query: [
+    { name: "q", required: true, schema: { type: "string", minLength: 2 } },
+    { name: "category", schema: { type: "string" } },
+    { name: "price[gte]", schema: { type: "number" } },
+    { name: "price[lte]", schema: { type: "number" } },
+    { name: "inStock", schema: { type: "boolean" } },
+    { name: "attributes[size]", description: "Any variant attribute; values comma-separated", schema: { type: "string" } },
+    { name: "fuzzy", description: "Tolerate typos in the query", schema: { type: "boolean", default: true } },
+    { name: "sort", schema: { type: "string", enum: ["relevance", "price", "-price", "name"], default: "relevance" } },
+  ],
 })
-
-// GET /api/products/:id - Get product details
-router.get("/:id", (req, res) => {
-  try {
-    const productId = Number.parseInt(req.params.id)
-    const product = products.find((p) => p.id === productId)
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "PRODUCT_NOT_FOUND",
-          message: "Product not found",
-        },
-      })
-    }
-
-    if (!product.active) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "PRODUCT_NOT_AVAILABLE",
-          message: "Product is not available",
-        },
-      })
-    }
-
-    res.json({
-      success: true,
-      data: product,
-      message: "Product retrieved successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to retrieve product",
-      },
-    })
-  }
+router.get(
+  "/search",
+  validate("ProductSearchQuery", { source: "query" }),
+  paginationHeaders,
+  productController.searchProducts,
+)
+
+// GET /api/products/export - Download the catalogue
+describe(router, "GET /export", {
+  summary: "Export products",
+  description: "Streams the products matching the filters of GET /products as CSV or NDJSON (one product per line)",
+  query: [{ name: "format", schema: { type: "string", enum: ["csv", "ndjson"], default: "csv" } }],
 })
-
-// POST /api/products - Create new product (admin only)
-router.post("/", authenticateToken, requireRole("admin"), validateProduct, (req, res) => {
-  try {
-    const { name, description, price, category, stock, images = [] } = req.body
-
-    const newProduct = {
-      id: Math.max(...products.map((p) => p.id), 0) + 1,
-      name,
-      description,
-      price: Number.parseFloat(price),
-      category: category.toLowerCase(),
-      stock: Number.parseInt(stock),
-      images,
-      active: true,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    }
-
-    products.push(newProduct)
-
-    res.status(201).json({
-      success: true,
-      data: newProduct,
-      message: "Product created successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to create product",
-      },
-    })
-  }
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("products:export"),
+  validate("ProductExportQuery", { source: "query", stripUnknown: false, allowUnknown: true }),
+  productController.exportProducts,
+)
+
+// POST /api/products/import - Create or update products in bulk
+describe(router, "POST /import", {
+  summary: "Import products",
+  description:
+    "Body is text/csv (header row naming the columns) or application/x-ndjson (one product per line). Rows whose SKU exists update that product, others create one; each row is applied on its own and failures are listed in the report",
+  status: 200,
+  response: "ProductImportReport",
+  errors: [400, 415],
+  query: [{ name: "dryRun", description: "Check every row without saving any", schema: { type: "boolean", default: false } }],
 })
+router.post(
+  "/import",
+  authenticateToken,
+  requirePermission("products:write"),
+  validate("ProductImportQuery", { source: "query" }),
+  productController.importProducts,
+)
 
-// PUT /api/products/:id - Update product (admin only)
-router.put("/:id", authenticateToken, requireRole("admin"), validateProduct, (req, res) => {
-  try {
-    const productId = Number.parseInt(req.params.id)
-    const productIndex = products.findIndex((p) => p.id === productId)
-
-    if (productIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "PRODUCT_NOT_FOUND",
-          message: "Product not found",
-        },
-      })
-    }
-
-    const { name, description, price, category, stock, images, active } = req.body
-
-    products[productIndex] = {
-      ...products[productIndex],
-      name,
-      description,
-      price: Number.parseFloat(price),
-      category: category.toLowerCase(),
-      stock: Number.parseInt(stock),
-      images: images || products[productIndex].images,
-      active: active !== undefined ? active : products[productIndex].active,
-      updatedAt: new Date(),
-    }
+// If-Match is checked against the product named in the URL
+const ifMatchProduct = ifMatch((req) => productService.findProductById(req.params.id))
 
-    res.json({
-      success: true,
-      data: products[productIndex],
-      message: "Product updated successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to update product",
-      },
-    })
-  }
+// GET /api/products/:id - Get product details
+describe(router, "GET /:id", { summary: "Get product by ID", response: "Product" })
+router.get("/:id", etag, productController.getProductById)
+
+// POST /api/products - Create new product
+describe(router, "POST /", { summary: "Create product", response: "Product", errors: [409] })
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("products:write"),
+  idempotency(),
+  validateProduct,
+  productController.createProduct,
+)
+
+// PUT /api/products/:id - Update product
+describe(router, "PUT /:id", { summary: "Update product", response: "Product", errors: [409] })
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("products:write"),
+  validateProduct,
+  ifMatchProduct,
+  etag,
+  productController.updateProduct,
+)
+
+// PATCH /api/products/:id - Update some fields of a product
+describe(router, "PATCH /:id", { summary: "Partially update product", response: "Product", errors: [409] })
+router.patch(
+  "/:id",
+  authenticateToken,
+  requirePermission("products:write"),
+  validate("ProductInput", { partial: true }),
+  ifMatchProduct,
+  etag,
+  productController.patchProduct,
+)
+
+// DELETE /api/products/:id - Delete product
+describe(router, "DELETE /:id", { summary: "Delete product", response: "Product" })
+router.delete("/:id", authenticateToken, requirePermission("products:write"), productController.deleteProduct)
+
+// PATCH /api/products/:id/stock - Restock or adjust stock
+describe(router, "PATCH /:id/stock", {
+  summary: "Adjust product stock",
+  description: "Adds quantity to the stock (negative to take out); recorded in the stock ledger",
+  response: "Product",
 })
-
-// DELETE /api/products/:id - Delete product (admin only)
-router.delete("/:id", authenticateToken, requireRole("admin"), (req, res) => {
-  try {
-    const productId = Number.parseInt(req.params.id)
-    const productIndex = products.findIndex((p) => p.id === productId)
-
-    if (productIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "PRODUCT_NOT_FOUND",
-          message: "Product not found",
-        },
-      })
-    }
-
-    products.splice(productIndex, 1)
-
-    res.json({
-      success: true,
-      message: "Product deleted successfully",
-    })
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: {
-        code: "INTERNAL_SERVER_ERROR",
-        message: "Failed to delete product",
-      },
-    })
-  }
+router.patch(
+  "/:id/stock",
+  authenticateToken,
+  requirePermission("products:write"),
+  validate("StockAdjustment"),
+  productController.updateStock,
+)
+
+// GET /api/products/:id/variants - List a product's variants
+describe(router, "GET /:id/variants", {
+  summary: "List product variants",
+  response: "ProductVariant",
+  query: [
+    { name: "attributes[size]", description: "Any attribute; values comma-separated", schema: { type: "string" } },
+  ],
+})
+router.get("/:id/variants", productController.getVariants)
+
+// POST /api/products/:id/variants - Add a variant
+describe(router, "POST /:id/variants", { summary: "Add product variant", response: "ProductVariant", errors: [409] })
+router.post(
+  "/:id/variants",
+  authenticateToken,
+  requirePermission("products:write"),
+  validate("ProductVariantInput"),
+  productController.createVariant,
+)
+
+// PATCH /api/products/:id/variants/:variantId - Update a variant
+describe(router, "PATCH /:id/variants/:variantId", {
+  summary: "Update product variant",
+  response: "ProductVariant",
+  errors: [409],
 })
+router.patch(
+  "/:id/variants/:variantId",
+  authenticateToken,
+  requirePermission("products:write"),
+  validate("ProductVariantInput", { partial: true }),
+  productController.updateVariant,
+)
+
+// DELETE /api/products/:id/variants/:variantId - Remove a variant
+describe(router, "DELETE /:id/variants/:variantId", { summary: "Delete product variant", response: "ProductVariant" })
+router.delete(
+  "/:id/variants/:variantId",
+  authenticateToken,
+  requirePermission("products:write"),
+  productController.deleteVariant,
+)
 
 module.exports = router
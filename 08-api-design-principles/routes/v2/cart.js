@@ -0,0 +1,15 @@
+// API v2 Cart
+// Serves the v1 cart routes; the order placed at checkout is returned in the
+// v2 shape (see ./orders). Carts themselves are the same in both versions.
+
+const express = require("express")
+const router = express.Router()
+const cartRoutes = require("../cart")
+const { presentOrders } = require("./orders")
+const { useSchemas } = require("../../utils/apiDocs")
+
+router.use("/checkout", presentOrders)
+router.use(cartRoutes)
+useSchemas(router, { Order: "OrderV2" })
+
+module.exports = router
@@ -0,0 +1,19 @@
+// API v2
+// Same resources as v1; orders are returned in the v2 shape (see ./orders),
+// also when placed from the cart (see ./cart)
+
+const express = require("express")
+const router = express.Router()
+
+router.use("/auth", require("../auth"))
+router.use("/users", require("../users"))
+router.use("/products", require("../products"))
+router.use("/orders", require("./orders"))
+router.use("/inventory", require("../inventory"))
+router.use("/coupons", require("../coupons"))
+router.use("/cart", require("./cart"))
+router.use("/webhooks", require("../webhooks"))
+router.use("/api-keys", require("../apiKeys"))
+router.use("/admin", require("../admin"))
+
+module.exports = router
@@ -0,0 +1,77 @@
+// API v2 Orders
+// Serves the v1 order routes and reshapes every order in the response:
+//
+//   {
+//     id, status, customerId,
+//     items: [{ productId, variantId, name, quantity, unitPrice, lineTotal }],
+//     total: { amount },
+//     pricing: { subtotal, discounts, discountTotal, shipping, taxRate, tax, total },
+//     payment: { method, status },
+//     addresses: { shipping, billing },
+//     notes, createdAt, updatedAt
+//   }
+//
+// Responses that are not orders (history, payments) pass through unchanged.
+
+const express = require("express")
+const router = express.Router()
+const orderRoutes = require("../orders")
+const { useSchemas } = require("../../utils/apiDocs")
+
+// Drops undefined values; returns undefined when nothing is left
+const compact = (object) => {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined)
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined
+}
+
+const toV2Item = (item) =>
+  compact({
+    productId: item.productId,
+    variantId: item.variantId,
+    name: item.productName || item.name,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    lineTotal: item.total !== undefined ? item.total : Math.round(item.price * item.quantity * 100) / 100,
+  })
+
+const toV2Order = (order) =>
+  compact({
+    id: order.id,
+    status: order.status,
+    customerId: order.userId,
+    items: order.items && order.items.map(toV2Item),
+    total: compact({ amount: order.totalAmount }),
+    pricing: order.pricing || undefined,
+    payment: compact({ method: order.paymentMethod, status: order.paymentStatus }),
+    addresses: compact({ shipping: order.shippingAddress, billing: order.billingAddress }),
+    notes: order.notes,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  }) || {}
+
+const isOrder = (value) => value !== null && typeof value === "object" && "id" in value
+
+const presentOrders = (req, res, next) => {
+  const originalJson = res.json
+  res.json = function (body) {
+    if (body && body.success && body.data) {
+      const { data } = body
+      if (Array.isArray(data)) {
+        body = { ...body, data: data.map((entry) => (isOrder(entry) ? toV2Order(entry) : entry)) }
+      } else if (isOrder(data)) {
+        body = { ...body, data: toV2Order(data) }
+      }
+    }
+
+    return originalJson.call(this, body)
+  }
+
+  next()
+}
+
+router.use(presentOrders, orderRoutes)
+useSchemas(router, { Order: "OrderV2" })
+
+module.exports = router
+// Also reshapes the order placed at cart checkout (see ./cart)
+module.exports.presentOrders = presentOrders
@@ -0,0 +1,128 @@
+const express = require("express")
+const router = express.Router()
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const { validate, validatePagination } = require("../middleware/apiValidator")
+const webhookController = require("../controllers/webhookController")
+const { describe } = require("../utils/apiDocs")
+
+// Webhooks are managed by admins; each one receives the events it subscribes to, signed with its secret
+
+// GET /api/webhooks - List webhooks
+describe(router, "GET /", {
+  summary: "List webhooks",
+  response: "Webhook",
+  paginated: true,
+  query: [
+    { name: "url", schema: { type: "string" } },
+    { name: "isActive", schema: { type: "boolean" } },
+  ],
+})
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  validatePagination,
+  webhookController.getWebhooks,
+)
+
+// GET /api/webhooks/:id - Get webhook by ID
+describe(router, "GET /:id", { summary: "Get webhook by ID", response: "Webhook" })
+router.get("/:id", authenticateToken, requirePermission("webhooks:manage"), webhookController.getWebhookById)
+
+// POST /api/webhooks - Register a webhook
+describe(router, "POST /", {
+  summary: "Create webhook",
+  description: "The response holds the signing secret; it is not shown again",
+  body: "WebhookInput",
+  response: "Webhook",
+})
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  idempotency(),
+  validate("WebhookInput"),
+  webhookController.createWebhook,
+)
+
+// PATCH /api/webhooks/:id - Update webhook
+describe(router, "PATCH /:id", { summary: "Update webhook", body: "WebhookInput", response: "Webhook" })
+router.patch(
+  "/:id",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  validate("WebhookInput", { partial: true }),
+  webhookController.updateWebhook,
+)
+
+// DELETE /api/webhooks/:id - Delete webhook; its delivery log is kept
+describe(router, "DELETE /:id", { summary: "Delete webhook", response: "Webhook" })
+router.delete("/:id", authenticateToken, requirePermission("webhooks:manage"), webhookController.deleteWebhook)
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+describe(router, "POST /:id/rotate-secret", {
+  summary: "Rotate webhook secret",
+  description: "The old secret stops working at once",
+  response: "Webhook",
+  status: 200,
+})
+router.post(
+  "/:id/rotate-secret",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  webhookController.rotateSecret,
+)
+
+// POST /api/webhooks/:id/ping - Send a webhook.ping event now
+describe(router, "POST /:id/ping", {
+  summary: "Ping webhook",
+  description: "Delivers a webhook.ping event whatever the webhook subscribes to; returns the delivery",
+  response: "WebhookDelivery",
+  status: 200,
+})
+router.post("/:id/ping", authenticateToken, requirePermission("webhooks:manage"), webhookController.pingWebhook)
+
+// GET /api/webhooks/:id/deliveries - Delivery log, newest first
+describe(router, "GET /:id/deliveries", {
+  summary: "List webhook deliveries",
+  response: "WebhookDelivery",
+  paginated: true,
+  query: [
+    { name: "status", schema: { type: "string", enum: ["pending", "succeeded", "failed"] } },
+    { name: "eventType", schema: { type: "string" } },
+    { name: "startDate", schema: { type: "string", format: "date-time" } },
+    { name: "endDate", schema: { type: "string", format: "date-time" } },
+  ],
+})
+router.get(
+  "/:id/deliveries",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  validatePagination,
+  webhookController.getDeliveries,
+)
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - Get delivery with its attempts
+describe(router, "GET /:id/deliveries/:deliveryId", { summary: "Get webhook delivery", response: "WebhookDelivery" })
+router.get(
+  "/:id/deliveries/:deliveryId",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  webhookController.getDeliveryById,
+)
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/replay - Send a delivery's event again
+describe(router, "POST /:id/deliveries/:deliveryId/replay", {
+  summary: "Replay webhook delivery",
+  description: "Sends the same event again as a new delivery, with its own retries; returns it after its first attempt",
+  response: "WebhookDelivery",
+})
+router.post(
+  "/:id/deliveries/:deliveryId/replay",
+  authenticateToken,
+  requirePermission("webhooks:manage"),
+  webhookController.replayDelivery,
+)
+
+module.exports = router
@@ -0,0 +1,89 @@
+// API Key Schemas
+
+const ApiKeyInput = {
+  type: "object",
+  properties: {
+    name: {
+      type: "string",
+      minLength: 1,
+      maxLength: 100,
+      example: "Warehouse sync",
+    },
+    scopes: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string" },
+      description:
+        "Permissions from GET /admin/permissions, other than api-keys:*; " +
+        "the key only has those its owner's role allows",
+      example: ["orders:read:own", "orders:create:own"],
+    },
+    dailyQuota: {
+      type: "integer",
+      minimum: 1,
+      description: "Requests per UTC day; defaults to API_KEY_DAILY_QUOTA",
+      example: 5000,
+    },
+    expiresAt: {
+      type: ["string", "null"],
+      format: "date-time",
+      description: "null for a key that does not expire",
+    },
+    organization: {
+      type: ["string", "null"],
+      maxLength: 100,
+      description: "Partner organisation the key was issued to",
+      example: "Acme Logistics",
+    },
+    ownerId: {
+      type: "integer",
+      description:
+        "User the key acts as; set when the key is issued, and only to " +
+        "another user with api-keys:manage:any. Defaults to the caller",
+    },
+  },
+  required: ["name", "scopes"],
+};
+
+const ApiKey = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    ...ApiKeyInput.properties,
+    key: {
+      type: "string",
+      readOnly: true,
+      description:
+        "The key, sent in the X-API-Key header; only returned when the key " +
+        "is issued or rotated",
+      example: "ak_3Vq0m0yJ9Xc1l8bS2Rk4nW7pZ5tH6fD0eG1aC2uY3iO",
+    },
+    prefix: {
+      type: "string",
+      description: "Start of the key, to tell keys apart",
+      example: "ak_3Vq0m0y",
+    },
+    status: { type: "string", enum: ["active", "expired", "revoked"] },
+    requestsToday: { type: "integer" },
+    totalRequests: { type: "integer" },
+    usage: {
+      type: "object",
+      description: "Requests per UTC day over the last 30 days",
+      example: { "2026-10-18": 4200, "2026-10-19": 120 },
+    },
+    lastUsedAt: { type: ["string", "null"], format: "date-time" },
+    lastUsedIp: { type: ["string", "null"] },
+    revokedAt: { type: ["string", "null"], format: "date-time" },
+    createdBy: {
+      type: ["integer", "null"],
+      description: "User who issued the key",
+    },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+module.exports = {
+  ApiKeyInput,
+  ApiKey,
+};
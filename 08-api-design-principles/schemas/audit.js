@@ -0,0 +1,50 @@
+// Audit Schemas
+
+const AuditChange = {
+  type: "object",
+  properties: {
+    field: { type: "string", example: "price" },
+    from: { description: "Value before the call; null when there was none" },
+    to: { description: "Value after the call; null when there is none" },
+  },
+};
+
+const AuditEntry = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    actorId: {
+      type: ["integer", "null"],
+      description: "User who made the call; null when anonymous",
+    },
+    actorRole: { type: ["string", "null"], example: "admin" },
+    apiKeyId: {
+      type: ["integer", "null"],
+      description: "API key the call was made with; null for access tokens",
+    },
+    action: {
+      type: "string",
+      description: "Route called",
+      example: "PATCH /products/:id",
+    },
+    method: { type: "string", enum: ["POST", "PUT", "PATCH", "DELETE"] },
+    path: { type: "string", example: "/api/v1/products/3" },
+    resourceType: { type: ["string", "null"], example: "products" },
+    resourceId: { type: ["integer", "null"], example: 3 },
+    statusCode: { type: "integer", example: 200 },
+    changes: {
+      type: ["array", "null"],
+      items: { $ref: "#/components/schemas/AuditChange" },
+      description:
+        "Fields changed by a successful PUT, PATCH or DELETE on a user, " +
+        "product or order; null for other calls",
+    },
+    ip: { type: ["string", "null"] },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+module.exports = {
+  AuditChange,
+  AuditEntry,
+};
@@ -0,0 +1,108 @@
+// Authentication Schemas
+
+const Credentials = {
+  type: "object",
+  properties: {
+    email: { type: "string", format: "email", example: "user@example.com" },
+    password: { type: "string", example: "password123" },
+  },
+  required: ["email", "password"],
+};
+
+const Registration = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 2, example: "John Doe" },
+    email: { type: "string", format: "email", example: "john@example.com" },
+    password: { type: "string", minLength: 6, example: "password123" },
+    confirmPassword: { type: "string", example: "password123" },
+  },
+  required: ["name", "email", "password", "confirmPassword"],
+};
+
+const AuthTokens = {
+  type: "object",
+  properties: {
+    accessToken: { type: "string" },
+    refreshToken: {
+      type: "string",
+      description: "Send to POST /auth/refresh for a new access token",
+    },
+    expiresIn: {
+      type: "integer",
+      description: "Seconds until the access token expires",
+      example: 3600,
+    },
+  },
+};
+
+const AuthResult = {
+  type: "object",
+  properties: {
+    user: { $ref: "#/components/schemas/User" },
+    tokens: { $ref: "#/components/schemas/AuthTokens" },
+    cart: {
+      $ref: "#/components/schemas/Cart",
+      description: "The user's cart, when a guest cart was sent in X-Cart-Token",
+    },
+  },
+};
+
+const RefreshTokenInput = {
+  type: "object",
+  properties: {
+    refreshToken: { type: "string" },
+  },
+  required: ["refreshToken"],
+};
+
+const LogoutInput = {
+  type: "object",
+  properties: {
+    refreshToken: {
+      type: "string",
+      description: "The refresh token to invalidate",
+    },
+  },
+};
+
+const PasswordChange = {
+  type: "object",
+  properties: {
+    currentPassword: { type: "string", example: "password123" },
+    newPassword: { type: "string", minLength: 6, example: "newpassword456" },
+  },
+  required: ["currentPassword", "newPassword"],
+};
+
+const PasswordResetRequest = {
+  type: "object",
+  properties: {
+    email: { type: "string", format: "email", example: "john@example.com" },
+  },
+  required: ["email"],
+};
+
+const PasswordReset = {
+  type: "object",
+  properties: {
+    token: {
+      type: "string",
+      description: "Mailed after POST /auth/forgot-password",
+    },
+    newPassword: { type: "string", minLength: 6, example: "newpassword456" },
+  },
+  required: ["token", "newPassword"],
+};
+
+module.exports = {
+  Credentials,
+  Registration,
+  AuthTokens,
+  AuthResult,
+  RefreshTokenInput,
+  LogoutInput,
+  PasswordChange,
+  PasswordResetRequest,
+  PasswordReset,
+};
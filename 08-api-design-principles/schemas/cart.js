@@ -0,0 +1,80 @@
+// Cart Schemas
+
+const { OrderInput } = require("./order");
+
+const CartItem = {
+  type: "object",
+  properties: {
+    id: { type: "integer", example: 1 },
+    productId: { type: "integer", example: 2 },
+    variantId: { type: ["integer", "null"] },
+    sku: { type: "string", example: "MOU001" },
+    name: { type: "string", example: "Wireless Mouse" },
+    price: {
+      type: "number",
+      description: "Price when the item was added",
+      example: 29.99,
+    },
+    quantity: { type: "integer", minimum: 1, example: 2 },
+    addedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const Cart = {
+  type: "object",
+  properties: {
+    id: { type: ["integer", "null"] },
+    userId: { type: ["integer", "null"] },
+    token: {
+      type: ["string", "null"],
+      description: "Guest carts only: send it back in X-Cart-Token",
+    },
+    items: { type: "array", items: { $ref: "#/components/schemas/CartItem" } },
+    itemCount: { type: "integer", example: 2 },
+    subtotal: { type: "number", example: 59.98 },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+// POST /api/cart/items
+const CartItemInput = {
+  type: "object",
+  properties: {
+    productId: { type: "integer", example: 2 },
+    variantId: {
+      type: "integer",
+      description: "Required for products with variants",
+    },
+    quantity: { type: "integer", minimum: 1, default: 1, example: 2 },
+  },
+  required: ["productId"],
+};
+
+// PATCH /api/cart/items/{itemId}
+const CartItemUpdate = {
+  type: "object",
+  properties: {
+    quantity: { type: "integer", minimum: 1, example: 3 },
+  },
+  required: ["quantity"],
+};
+
+// POST /api/cart/checkout
+const CartCheckout = {
+  type: "object",
+  properties: {
+    shippingAddress: OrderInput.properties.shippingAddress,
+    paymentMethod: OrderInput.properties.paymentMethod,
+    couponCode: OrderInput.properties.couponCode,
+  },
+  required: ["shippingAddress", "paymentMethod"],
+};
+
+module.exports = {
+  Cart,
+  CartItem,
+  CartItemInput,
+  CartItemUpdate,
+  CartCheckout,
+};
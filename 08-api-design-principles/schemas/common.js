@@ -0,0 +1,86 @@
+// Common Schemas
+// Envelope pieces and parameters shared by every resource
+
+// RFC 7807 problem details, plus the original success/error envelope
+const ErrorResponse = {
+  type: "object",
+  properties: {
+    type: {
+      type: "string",
+      format: "uri",
+      example: "https://api.example.com/problems/validation-error",
+    },
+    title: { type: "string", example: "Bad Request" },
+    status: { type: "integer", example: 400 },
+    detail: { type: "string" },
+    instance: { type: "string", example: "/api/v1/products" },
+    code: { type: "string", example: "VALIDATION_ERROR" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string", example: "items[0].quantity" },
+          message: { type: "string" },
+        },
+      },
+    },
+    details: {},
+    success: { type: "boolean", const: false },
+    error: {
+      type: "object",
+      properties: {
+        code: { type: "string", example: "VALIDATION_ERROR" },
+        message: { type: "string" },
+        details: {},
+      },
+      required: ["code", "message"],
+    },
+  },
+  required: ["type", "title", "status", "code", "success", "error"],
+};
+
+const Pagination = {
+  type: "object",
+  properties: {
+    currentPage: { type: "integer" },
+    totalPages: { type: "integer" },
+    totalItems: { type: "integer" },
+    itemsPerPage: { type: "integer" },
+    hasNextPage: { type: "boolean" },
+    hasPrevPage: { type: "boolean" },
+    nextCursor: { type: ["string", "null"] },
+    prevCursor: { type: ["string", "null"] },
+  },
+};
+
+const PaginationQuery = {
+  type: "object",
+  properties: {
+    page: { type: "integer", minimum: 1, default: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+    cursor: {
+      type: "string",
+      description: "Cursor from a previous page (replaces page)",
+    },
+  },
+};
+
+const Address = {
+  type: "object",
+  properties: {
+    street: { type: "string", example: "123 Main St" },
+    city: { type: "string", example: "New York" },
+    state: { type: "string", example: "NY" },
+    zipCode: { type: "string", example: "10001" },
+    country: { type: "string", example: "USA" },
+  },
+  required: ["street", "city", "zipCode", "country"],
+};
+
+module.exports = {
+  Error: ErrorResponse,
+  Pagination,
+  PaginationQuery,
+  Address,
+};
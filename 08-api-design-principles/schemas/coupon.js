@@ -0,0 +1,67 @@
+// Coupon Schemas
+
+const CouponInput = {
+  type: "object",
+  properties: {
+    code: {
+      type: "string",
+      pattern: "^[A-Za-z0-9_-]+$",
+      minLength: 3,
+      maxLength: 32,
+      description: "Matched ignoring case and stored in upper case",
+      example: "SAVE10",
+    },
+    description: { type: "string", maxLength: 200, example: "10% off" },
+    type: { type: "string", enum: ["percentage", "fixed"] },
+    value: {
+      type: "number",
+      exclusiveMinimum: 0,
+      description: "Percentage (at most 100) or amount taken off",
+      example: 10,
+    },
+    categories: {
+      type: "array",
+      items: { type: "string", minLength: 1 },
+      description: "Product categories it applies to; empty for every item",
+      example: ["electronics"],
+    },
+    minSubtotal: {
+      type: "number",
+      minimum: 0,
+      description: "Subtotal of the items it applies to needed to use it",
+      example: 50,
+    },
+    automatic: {
+      type: "boolean",
+      description: "A promotion: applied to every order without a code",
+    },
+    startsAt: { type: ["string", "null"], format: "date-time" },
+    expiresAt: { type: ["string", "null"], format: "date-time" },
+    usageLimit: {
+      type: ["integer", "null"],
+      minimum: 1,
+      description: "Orders it may be used on; null for no limit",
+    },
+    isActive: { type: "boolean" },
+  },
+  required: ["code", "type", "value"],
+};
+
+const Coupon = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    ...CouponInput.properties,
+    usageCount: {
+      type: "integer",
+      description: "Orders it is used on; cancelling an order gives it back",
+    },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+module.exports = {
+  Coupon,
+  CouponInput,
+};
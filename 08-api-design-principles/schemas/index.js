@@ -0,0 +1,18 @@
+// Schemas
+// JSON Schema definitions of every resource, keyed by name. Used for request
+// and model validation (utils/schemaValidator) and the API docs (utils/apiDocs)
+
+module.exports = {
+  ...require("./common"),
+  ...require("./auth"),
+  ...require("./user"),
+  ...require("./product"),
+  ...require("./order"),
+  ...require("./inventory"),
+  ...require("./cart"),
+  ...require("./coupon"),
+  ...require("./webhook"),
+  ...require("./audit"),
+  ...require("./role"),
+  ...require("./apiKey"),
+};
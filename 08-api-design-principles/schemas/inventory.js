@@ -0,0 +1,79 @@
+// Inventory Schemas
+
+const StockMovement = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    productId: { type: "integer" },
+    variantId: { type: ["integer", "null"] },
+    sku: { type: "string" },
+    quantity: {
+      type: "integer",
+      description: "Signed: negative when stock was taken",
+      example: -2,
+    },
+    stockAfter: { type: "integer", example: 23 },
+    reason: {
+      type: "string",
+      enum: [
+        "initial",
+        "order",
+        "order_cancelled",
+        "order_item_removed",
+        "refund",
+        "restock",
+        "adjustment",
+        "variant_removed",
+      ],
+    },
+    orderId: { type: ["integer", "null"] },
+    actorId: {
+      type: ["integer", "null"],
+      description: "User who made the change",
+    },
+    note: { type: "string" },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+// PATCH /api/products/{id}/stock
+const StockAdjustment = {
+  type: "object",
+  properties: {
+    quantity: {
+      type: "integer",
+      description: "Added to the stock; negative to take stock out",
+      example: 20,
+    },
+    variantId: {
+      type: "integer",
+      description: "Required for products with variants",
+    },
+    reason: {
+      type: "string",
+      enum: ["restock", "adjustment"],
+      description: "Defaults to restock when adding, adjustment otherwise",
+    },
+    note: { type: "string", maxLength: 500, example: "Supplier delivery" },
+  },
+  required: ["quantity"],
+};
+
+// A product, or variant, at or below its low-stock threshold
+const LowStockItem = {
+  type: "object",
+  properties: {
+    productId: { type: "integer" },
+    variantId: { type: ["integer", "null"] },
+    sku: { type: "string" },
+    name: { type: "string" },
+    stock: { type: "integer" },
+    threshold: { type: "integer" },
+  },
+};
+
+module.exports = {
+  StockMovement,
+  StockAdjustment,
+  LowStockItem,
+};
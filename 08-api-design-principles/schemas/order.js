@@ -0,0 +1,291 @@
+// Order Schemas
+
+// An item of POST /api/orders or POST /api/orders/{id}/items; what it sells
+// for is the catalogue's business (see OrderItem)
+const OrderItemInput = {
+  type: "object",
+  properties: {
+    productId: { type: "integer", example: 2 },
+    variantId: {
+      type: "integer",
+      description: "Required for products with variants",
+    },
+    quantity: { type: "integer", minimum: 1, example: 2 },
+  },
+  required: ["productId", "quantity"],
+};
+
+const OrderItem = {
+  type: "object",
+  properties: {
+    ...OrderItemInput.properties,
+    sku: { type: "string", readOnly: true, example: "MOU001" },
+    name: { type: "string", readOnly: true, example: "Wireless Mouse" },
+    price: {
+      type: "number",
+      readOnly: true,
+      description: "The catalogue price when the item was ordered",
+      example: 29.99,
+    },
+    category: {
+      type: "string",
+      readOnly: true,
+      description: "The product's category, set when the item is ordered",
+    },
+  },
+};
+
+// A coupon or promotion applied to an order (see models/Coupon)
+const OrderDiscount = {
+  type: "object",
+  properties: {
+    couponId: { type: "integer" },
+    code: { type: "string", example: "SAVE10" },
+    description: { type: "string" },
+    type: { type: "string", enum: ["percentage", "fixed"] },
+    value: { type: "number", example: 10 },
+    categories: { type: "array", items: { type: "string" } },
+    minSubtotal: { type: "number" },
+    amount: { type: "number", description: "Taken off", example: 5.99 },
+  },
+};
+
+// How totalAmount was reached (see utils/pricing)
+const OrderPricing = {
+  type: "object",
+  properties: {
+    subtotal: { type: "number", example: 59.98 },
+    discounts: {
+      type: "array",
+      items: { $ref: "#/components/schemas/OrderDiscount" },
+    },
+    discountTotal: { type: "number", example: 5.99 },
+    shipping: { type: "number", example: 5.99 },
+    taxRate: { type: "number", example: 0.08875 },
+    tax: { type: "number", example: 4.79 },
+    total: { type: "number", example: 64.77 },
+  },
+};
+
+const Order = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    userId: { type: "integer" },
+    items: { type: "array", items: { $ref: "#/components/schemas/OrderItem" } },
+    status: {
+      type: "string",
+      enum: [
+        "pending",
+        "confirmed",
+        "processing",
+        "shipped",
+        "delivered",
+        "cancelled",
+      ],
+    },
+    totalAmount: { type: "number" },
+    pricing: {
+      $ref: "#/components/schemas/OrderPricing",
+      description:
+        "Orders placed before pricing was recorded show their subtotal and " +
+        "total, with no discounts, shipping or tax",
+    },
+    shippingAddress: { $ref: "#/components/schemas/Address" },
+    billingAddress: { $ref: "#/components/schemas/Address" },
+    paymentMethod: { type: "string" },
+    paymentStatus: {
+      type: "string",
+      enum: ["pending", "paid", "partially_refunded", "refunded", "failed"],
+    },
+    notes: { type: "string" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+// Response shape of /api/v2 (see routes/v2/orders)
+const OrderV2 = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    status: Order.properties.status,
+    customerId: { type: "integer" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          productId: { type: "integer" },
+          variantId: { type: "integer" },
+          name: { type: "string" },
+          quantity: { type: "integer" },
+          unitPrice: { type: "number" },
+          lineTotal: { type: "number" },
+        },
+      },
+    },
+    total: { type: "object", properties: { amount: { type: "number" } } },
+    pricing: Order.properties.pricing,
+    payment: {
+      type: "object",
+      properties: {
+        method: { type: "string" },
+        status: Order.properties.paymentStatus,
+      },
+    },
+    addresses: {
+      type: "object",
+      properties: {
+        shipping: { $ref: "#/components/schemas/Address" },
+        billing: { $ref: "#/components/schemas/Address" },
+      },
+    },
+    notes: { type: "string" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const OrderInput = {
+  type: "object",
+  properties: {
+    userId: { type: "integer", example: 1 },
+    items: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/components/schemas/OrderItemInput" },
+    },
+    shippingAddress: { $ref: "#/components/schemas/Address" },
+    paymentMethod: {
+      type: "string",
+      enum: ["credit_card", "debit_card", "paypal", "bank_transfer"],
+      example: "credit_card",
+    },
+    couponCode: { type: "string", maxLength: 32, example: "SAVE10" },
+  },
+  required: ["items", "shippingAddress", "paymentMethod"],
+};
+
+const OrderStatusUpdate = {
+  type: "object",
+  properties: {
+    status: { ...Order.properties.status, example: "confirmed" },
+    reason: { type: "string", example: "Payment verified" },
+  },
+  required: ["status"],
+};
+
+const PaymentStatusUpdate = {
+  type: "object",
+  properties: {
+    paymentStatus: { ...Order.properties.paymentStatus, example: "failed" },
+  },
+  required: ["paymentStatus"],
+};
+
+const OrderCancellation = {
+  type: "object",
+  properties: {
+    reason: { type: "string", example: "Customer requested cancellation" },
+  },
+};
+
+const OrderHistory = {
+  type: "object",
+  properties: {
+    orderId: { type: "integer" },
+    status: Order.properties.status,
+    allowedTransitions: { type: "array", items: { type: "string" } },
+    history: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          from: { type: ["string", "null"] },
+          to: { type: "string" },
+          changedBy: { type: ["integer", "null"] },
+          reason: { type: ["string", "null"] },
+          changedAt: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+};
+
+const Payment = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    type: { type: "string", enum: ["capture", "refund"] },
+    amount: { type: "number" },
+    items: { type: "array", items: { type: "object" } },
+    reason: { type: ["string", "null"] },
+    createdBy: { type: ["integer", "null"] },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+const PaymentSummary = {
+  type: "object",
+  properties: {
+    orderId: { type: "integer" },
+    paymentStatus: Order.properties.paymentStatus,
+    totalAmount: { type: "number" },
+    amountPaid: { type: "number" },
+    amountRefunded: { type: "number" },
+    netPaid: { type: "number" },
+    balanceDue: { type: "number" },
+    refundableItems: { type: "array", items: { type: "object" } },
+    payments: {
+      type: "array",
+      items: { $ref: "#/components/schemas/Payment" },
+    },
+  },
+};
+
+const CaptureInput = {
+  type: "object",
+  properties: {
+    amount: { type: "number", exclusiveMinimum: 0, example: 50 },
+  },
+};
+
+const RefundInput = {
+  type: "object",
+  properties: {
+    amount: { type: "number", exclusiveMinimum: 0 },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          productId: { type: "integer", example: 2 },
+          variantId: { type: "integer" },
+          quantity: { type: "integer", minimum: 1, example: 1 },
+        },
+        required: ["productId", "quantity"],
+      },
+    },
+    reason: { type: "string", example: "Damaged in transit" },
+    restock: { type: "boolean", default: true },
+  },
+};
+
+module.exports = {
+  OrderItemInput,
+  OrderItem,
+  OrderDiscount,
+  OrderPricing,
+  Order,
+  OrderV2,
+  OrderInput,
+  OrderStatusUpdate,
+  PaymentStatusUpdate,
+  OrderCancellation,
+  OrderHistory,
+  Payment,
+  PaymentSummary,
+  CaptureInput,
+  RefundInput,
+};
@@ -0,0 +1,247 @@
+// Product Schemas
+
+const ProductVariant = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    sku: { type: "string" },
+    price: {
+      type: ["number", "null"],
+      description: "null: sold at the product's price",
+    },
+    attributes: { type: "object" },
+    stock: { type: "integer" },
+  },
+};
+
+const Product = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    name: { type: "string" },
+    description: { type: "string" },
+    price: { type: "number" },
+    category: { type: "string" },
+    stock: { type: "integer" },
+    sku: { type: "string" },
+    images: { type: "array", items: { type: "string" } },
+    specifications: { type: "object" },
+    variants: {
+      type: "array",
+      items: { $ref: "#/components/schemas/ProductVariant" },
+    },
+    lowStockThreshold: {
+      type: ["integer", "null"],
+      description: "null: the configured default",
+    },
+    isActive: { type: "boolean" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const ProductInput = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 2, example: "Laptop Pro" },
+    description: {
+      type: "string",
+      minLength: 10,
+      example: "High-performance laptop",
+    },
+    price: { type: "number", exclusiveMinimum: 0, example: 1299.99 },
+    category: { type: "string", minLength: 2, example: "electronics" },
+    stock: { type: "integer", minimum: 0, example: 50 },
+    sku: { type: "string", minLength: 1, example: "LAP001" },
+    images: { type: "array", items: { type: "string" } },
+    specifications: { type: "object" },
+    variants: {
+      type: "array",
+      description: "Only on create; later through /products/{id}/variants",
+      items: { $ref: "#/components/schemas/ProductVariantInput" },
+    },
+    lowStockThreshold: {
+      type: ["integer", "null"],
+      minimum: 0,
+      description: "Stock at or below which product.low_stock is raised",
+      example: 10,
+    },
+    isActive: { type: "boolean" },
+  },
+  required: ["name", "description", "price", "category", "stock", "sku"],
+};
+
+const ProductVariantInput = {
+  type: "object",
+  properties: {
+    sku: { type: "string", minLength: 1, example: "TSH001-M-BLU" },
+    price: { type: "number", exclusiveMinimum: 0 },
+    attributes: {
+      type: "object",
+      description: "String values, e.g. size and colour",
+      example: { size: "M", colour: "blue" },
+    },
+    stock: { type: "integer", minimum: 0, default: 0, example: 12 },
+  },
+  required: ["sku", "attributes"],
+};
+
+const ProductCategory = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    count: { type: "integer", description: "Active products" },
+  },
+};
+
+// GET /api/products/search; price[gte] / price[lte] or minPrice / maxPrice
+const ProductSearchQuery = {
+  type: "object",
+  properties: {
+    q: { type: "string", minLength: 2, maxLength: 200, example: "laptop" },
+    category: { type: "string" },
+    price: {
+      type: "object",
+      properties: { gte: { type: "number" }, lte: { type: "number" } },
+      additionalProperties: false,
+    },
+    minPrice: { type: "number" },
+    maxPrice: { type: "number" },
+    inStock: { type: "boolean" },
+    attributes: {
+      type: "object",
+      description: "attributes[size]=M,L: a variant with one of the values",
+    },
+    fuzzy: {
+      type: "boolean",
+      default: true,
+      description: "Tolerate typos in the query",
+    },
+    sort: {
+      type: "string",
+      enum: ["relevance", "price", "-price", "name"],
+      default: "relevance",
+    },
+    page: { type: "integer", minimum: 1, default: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+  },
+  required: ["q"],
+};
+
+// A search match: the product, its relevance score and the matched text of
+// name, sku, category and description marked with <mark> (HTML-escaped)
+const ProductSearchResult = {
+  type: "object",
+  properties: {
+    ...Product.properties,
+    score: { type: "number" },
+    highlights: {
+      type: "object",
+      properties: {
+        name: { type: "string", example: "<mark>Laptop</mark> Pro" },
+        sku: { type: "string" },
+        category: { type: "string" },
+        description: { type: "string" },
+      },
+    },
+  },
+};
+
+const facetCounts = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: { value: {}, count: { type: "integer" } },
+  },
+};
+
+// meta.facets of a search: matches per filter value, each facet ignoring its
+// own filter
+const ProductSearchFacets = {
+  type: "object",
+  properties: {
+    category: facetCounts,
+    price: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          from: { type: "number" },
+          to: { type: ["number", "null"] },
+          count: { type: "integer" },
+        },
+      },
+    },
+    inStock: facetCounts,
+  },
+};
+
+// POST /api/products/import
+const ProductImportQuery = {
+  type: "object",
+  properties: {
+    dryRun: {
+      type: "boolean",
+      default: false,
+      description: "Check every row without saving any",
+    },
+  },
+};
+
+const ProductImportReport = {
+  type: "object",
+  properties: {
+    dryRun: { type: "boolean" },
+    total: { type: "integer", description: "Rows read, header excluded" },
+    created: { type: "integer" },
+    updated: { type: "integer" },
+    failed: { type: "integer" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          row: {
+            type: "integer",
+            description: "NDJSON line, or CSV row with the header as row 1",
+          },
+          sku: { type: ["string", "null"] },
+          code: { type: "string", example: "VALIDATION_ERROR" },
+          message: { type: "string" },
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                field: { type: "string", example: "price" },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// GET /api/products/export; also takes the filters of GET /api/products
+const ProductExportQuery = {
+  type: "object",
+  properties: {
+    format: { type: "string", enum: ["csv", "ndjson"], default: "csv" },
+  },
+};
+
+module.exports = {
+  ProductVariant,
+  Product,
+  ProductInput,
+  ProductVariantInput,
+  ProductCategory,
+  ProductSearchQuery,
+  ProductSearchResult,
+  ProductSearchFacets,
+  ProductImportQuery,
+  ProductImportReport,
+  ProductExportQuery,
+};
@@ -0,0 +1,54 @@
+// Role Schemas
+
+const Permission = {
+  type: "object",
+  properties: {
+    name: { type: "string", example: "orders:read:own" },
+    description: { type: "string", example: "List and read one's own orders" },
+  },
+};
+
+const RoleInput = {
+  type: "object",
+  properties: {
+    name: {
+      type: "string",
+      pattern: "^[a-z][a-z0-9_-]*$",
+      maxLength: 50,
+      description: "Set when the role is created; roles are not renamed",
+      example: "support",
+    },
+    description: {
+      type: "string",
+      maxLength: 200,
+      example: "Customer support",
+    },
+    permissions: {
+      type: "array",
+      items: { type: "string" },
+      description: 'Names from GET /admin/permissions, or "*" for every one',
+      example: ["users:read:any", "orders:read:any"],
+    },
+  },
+  required: ["name", "permissions"],
+};
+
+const Role = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    ...RoleInput.properties,
+    builtIn: {
+      type: "boolean",
+      description: "admin and user: cannot be deleted",
+    },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+module.exports = {
+  Permission,
+  RoleInput,
+  Role,
+};
@@ -0,0 +1,50 @@
+// User Schemas
+
+const User = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    name: { type: "string" },
+    email: { type: "string", format: "email" },
+    role: { type: "string", example: "user" },
+    isActive: { type: "boolean" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const UserInput = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 2, example: "John Doe" },
+    email: { type: "string", format: "email", example: "john@example.com" },
+    password: { type: "string", minLength: 6, example: "password123" },
+    role: {
+      type: "string",
+      description: "Name of a role (GET /admin/roles); user by default",
+      example: "user",
+    },
+    isActive: { type: "boolean" },
+  },
+  required: ["name", "email", "password"],
+};
+
+const UserUpdate = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 2, example: "John Smith" },
+    email: { type: "string", format: "email", example: "john@example.com" },
+    role: {
+      type: "string",
+      description: "Name of a role (GET /admin/roles)",
+      example: "moderator",
+    },
+    isActive: { type: "boolean" },
+  },
+};
+
+module.exports = {
+  User,
+  UserInput,
+  UserUpdate,
+};
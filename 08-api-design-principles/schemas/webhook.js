@@ -0,0 +1,115 @@
+// Webhook Schemas
+
+const WebhookInput = {
+  type: "object",
+  properties: {
+    url: {
+      type: "string",
+      format: "uri",
+      pattern: "^https?://",
+      maxLength: 2000,
+      example: "https://crm.example.com/hooks/shop",
+    },
+    events: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "string",
+        enum: [
+          "*",
+          "order.created",
+          "order.status_changed",
+          "product.created",
+          "product.updated",
+          "product.deleted",
+          "product.low_stock",
+          "product.out_of_stock",
+          "user.created",
+          "user.updated",
+          "user.deleted",
+        ],
+      },
+      description: 'Event types to receive; "*" for every type',
+      example: ["order.created", "order.status_changed"],
+    },
+    description: { type: "string", maxLength: 200, example: "CRM sync" },
+    isActive: { type: "boolean" },
+  },
+  required: ["url", "events"],
+};
+
+const Webhook = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    ...WebhookInput.properties,
+    secret: {
+      type: "string",
+      readOnly: true,
+      description:
+        "Key of the X-Webhook-Signature HMAC; only returned when the " +
+        "webhook is created or its secret rotated",
+    },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const WebhookAttempt = {
+  type: "object",
+  properties: {
+    number: { type: "integer" },
+    attemptedAt: { type: "string", format: "date-time" },
+    responseStatus: { type: ["integer", "null"], example: 500 },
+    responseBody: {
+      type: ["string", "null"],
+      description: "Start of the response body",
+    },
+    error: {
+      type: ["string", "null"],
+      description: "Why the attempt failed; null when it succeeded",
+      example: "HTTP 500",
+    },
+    durationMs: { type: "integer" },
+  },
+};
+
+const WebhookDelivery = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    webhookId: { type: "integer" },
+    eventId: {
+      type: "string",
+      description: "Same for every delivery of one event",
+    },
+    eventType: { type: "string", example: "order.status_changed" },
+    payload: {
+      type: "object",
+      description: "The body POSTed: { id, type, data, occurredAt }",
+    },
+    status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+    attempts: {
+      type: "array",
+      items: { $ref: "#/components/schemas/WebhookAttempt" },
+    },
+    nextAttemptAt: {
+      type: ["string", "null"],
+      format: "date-time",
+      description: "When a pending delivery is tried again",
+    },
+    replayOf: {
+      type: ["integer", "null"],
+      description: "The delivery this one replays",
+    },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+module.exports = {
+  WebhookInput,
+  Webhook,
+  WebhookAttempt,
+  WebhookDelivery,
+};
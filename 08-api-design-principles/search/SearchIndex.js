@@ -0,0 +1,217 @@
+// Search Index
+// In-memory inverted index with field boosts, typo tolerance and prefix
+// matching of the last query word
+//
+//   const index = new SearchIndex({ fields: { name: 3, description: 1 } });
+//   index.add({ id: 1, name: "Coffee Maker", description: "..." });
+//   index.search("cofee");
+//   // [{ id: 1, score: 2.4, terms: ["coffee"] }]
+//
+// With a load function, ready() fills the index from it once; documents
+// added or removed while it loads are applied after it, so a write is never
+// overwritten by an older copy.
+//
+// Every query word has to match a document, exactly or within the allowed
+// number of typos (see maxEdits); fuzzy and prefix matches score less than
+// exact ones. Scores are TF-IDF weighted by the boost of the field matched.
+
+const analyzer = require("./analyzer");
+
+// Query words need this many letters before a typo is tolerated
+const FUZZY_MIN_LENGTH = 4;
+const PREFIX_MIN_LENGTH = 2;
+
+const PREFIX_WEIGHT = 0.6;
+const TYPO_WEIGHT = 0.5;
+
+class SearchIndex {
+  // fields: { fieldName: boost }; ref: the id property of documents;
+  // load: async () => [document], the initial contents
+  constructor({ fields, ref = "id", load = async () => [] }) {
+    this.fields = fields;
+    this.ref = ref;
+    this.load = load;
+    this.loading = null;
+    this.pending = null;
+    this.clear();
+  }
+
+  // Resolves once the initial contents are indexed; a failed load is
+  // retried by the next call
+  ready() {
+    if (!this.loading) {
+      this.pending = [];
+      this.loading = Promise.resolve()
+        .then(() => this.load())
+        .then((documents) => {
+          documents.forEach((document) => this.index(document));
+          this.pending.forEach((change) => change());
+          this.pending = null;
+        })
+        .catch((error) => {
+          this.loading = null;
+          this.pending = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  clear() {
+    // term -> Map(id -> { field: occurrences })
+    this.postings = new Map();
+    // id -> [term] (to remove a document without scanning every term)
+    this.documents = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // Index a document, replacing an earlier version with the same id
+  add(document) {
+    if (this.pending) {
+      this.pending.push(() => this.index(document));
+    } else {
+      this.index(document);
+    }
+  }
+
+  remove(id) {
+    if (this.pending) {
+      this.pending.push(() => this.unindex(id));
+    } else {
+      this.unindex(id);
+    }
+  }
+
+  index(document) {
+    const id = document[this.ref];
+    this.unindex(id);
+
+    const terms = new Set();
+    for (const field of Object.keys(this.fields)) {
+      for (const term of analyzer.terms(document[field])) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        const entries = this.postings.get(term);
+        const counts = entries.get(id) || {};
+        counts[field] = (counts[field] || 0) + 1;
+        entries.set(id, counts);
+        terms.add(term);
+      }
+    }
+
+    this.documents.set(id, [...terms]);
+  }
+
+  unindex(id) {
+    for (const term of this.documents.get(id) || []) {
+      const entries = this.postings.get(term);
+      entries.delete(id);
+      if (entries.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.documents.delete(id);
+  }
+
+  // [{ id, score, terms }] best first; terms are the index terms matched,
+  // for highlighting. fuzzy: false turns typo tolerance off.
+  search(query, { fuzzy = true } = {}) {
+    const words = analyzer.terms(query);
+    if (words.length === 0) return [];
+
+    let results = null;
+    words.forEach((word, position) => {
+      const isLast = position === words.length - 1;
+      const matches = this.expand(word, { fuzzy, prefix: isLast });
+      const scores = this.score(matches);
+
+      if (results === null) {
+        results = scores;
+        return;
+      }
+      // Keep documents that matched every word so far
+      for (const [id, result] of results) {
+        const next = scores.get(id);
+        if (next) {
+          result.score += next.score;
+          next.terms.forEach((term) => result.terms.add(term));
+        } else {
+          results.delete(id);
+        }
+      }
+    });
+
+    return [...results.entries()]
+      .map(([id, { score, terms }]) => ({
+        id,
+        score: Math.round(score * 1000) / 1000,
+        terms: [...terms],
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Index terms a query word matches: [{ term, weight }]
+  expand(word, { fuzzy, prefix }) {
+    const maxEdits = fuzzy ? this.maxEdits(word) : 0;
+    const matches = [];
+
+    for (const term of this.postings.keys()) {
+      if (term === word) {
+        matches.push({ term, weight: 1 });
+      } else if (
+        prefix &&
+        word.length >= PREFIX_MIN_LENGTH &&
+        term.startsWith(word)
+      ) {
+        matches.push({ term, weight: PREFIX_WEIGHT });
+      } else if (maxEdits > 0) {
+        const edits = analyzer.distance(word, term, maxEdits);
+        if (edits <= maxEdits) {
+          matches.push({ term, weight: TYPO_WEIGHT / edits });
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  // One typo from four letters, two from eight
+  maxEdits(word) {
+    if (word.length < FUZZY_MIN_LENGTH || /\d/.test(word)) return 0;
+    return word.length >= 8 ? 2 : 1;
+  }
+
+  // id -> { score, terms } for the best matching term of every document
+  score(matches) {
+    const scores = new Map();
+
+    for (const { term, weight } of matches) {
+      const entries = this.postings.get(term);
+      const idf = Math.log(1 + this.documents.size / entries.size);
+
+      for (const [id, counts] of entries) {
+        const boost = Object.entries(counts).reduce(
+          (sum, [field, count]) => sum + this.fields[field] * Math.sqrt(count),
+          0
+        );
+        const score = boost * idf * weight;
+
+        const current = scores.get(id);
+        if (!current) {
+          scores.set(id, { score, terms: new Set([term]) });
+        } else {
+          current.score = Math.max(current.score, score);
+          current.terms.add(term);
+        }
+      }
+    }
+
+    return scores;
+  }
+}
+
+module.exports = SearchIndex;
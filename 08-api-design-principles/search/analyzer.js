@@ -0,0 +1,144 @@
+// Analyzer
+// Turns text into index terms: tokens are lowercased, stripped of accents,
+// filtered for stop words and stemmed, so "Coffee Makers" and "coffee maker"
+// produce the same terms
+//
+//   analyzer.analyze("Ergonomic Wireless Mice");
+//   // [{ term: "ergonomic", start: 0, end: 9 }, { term: "wireless", ... },
+//   //  { term: "mouse", ... }]
+//
+// start/end are offsets into the original text, used to highlight matches.
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+// Plurals the suffix rules get wrong
+const IRREGULAR = {
+  mice: "mouse",
+  children: "child",
+  men: "man",
+  women: "woman",
+  feet: "foot",
+  teeth: "tooth",
+};
+
+const analyzer = {
+  // [{ term, start, end }] for every indexable word of text
+  analyze(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+
+    while ((match = pattern.exec(String(text || ""))) !== null) {
+      const word = this.normalize(match[0]);
+      if (STOP_WORDS.has(word)) continue;
+
+      tokens.push({
+        term: this.stem(word),
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+
+    return tokens;
+  },
+
+  // Terms of text, in order (duplicates kept)
+  terms(text) {
+    return this.analyze(text).map((token) => token.term);
+  },
+
+  normalize(word) {
+    return word
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase();
+  },
+
+  // Light English stemmer: folds plurals and the common -ing, -ed and -ly
+  // endings. Words of four letters or fewer, and SKUs or other words with
+  // digits, are kept as they are.
+  stem(word) {
+    if (IRREGULAR[word]) return IRREGULAR[word];
+    if (word.length <= 4 || /\d/.test(word)) return word;
+
+    let stem = word;
+    if (/ies$/.test(stem)) {
+      stem = stem.slice(0, -3) + "y";
+    } else if (/(ss|[sxz]|[cs]h)es$/.test(stem)) {
+      stem = stem.slice(0, -2);
+    } else if (/[^su]s$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+
+    const suffix = /(ing|ed|ly)$/.exec(stem);
+    if (suffix && /[aeiouy]/.test(stem.slice(0, suffix.index))) {
+      const base = stem.slice(0, suffix.index);
+      if (base.length >= 3) {
+        // "shipped" -> "ship", but "installed" -> "install"
+        stem = /([^aeiouls])\1$/.test(base) ? base.slice(0, -1) : base;
+      }
+    }
+
+    return stem;
+  },
+
+  // Damerau-Levenshtein distance (adjacent transpositions count as one
+  // edit), or max + 1 as soon as the distance is known to exceed max
+  distance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let best = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          row[j] + 1,
+          current[j - 1] + 1,
+          row[j - 1] + cost
+        );
+        if (
+          previous &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          current[j] = Math.min(current[j], previous[j - 2] + 1);
+        }
+        best = Math.min(best, current[j]);
+      }
+
+      if (best > max) return max + 1;
+      previous = row;
+      row = current;
+    }
+
+    return row[b.length];
+  },
+};
+
+module.exports = analyzer;
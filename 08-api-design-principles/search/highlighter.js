@@ -0,0 +1,81 @@
+// Highlighter
+// Marks the words of a text that produced matched index terms
+//
+//   highlighter.highlight("Automatic coffee maker", ["coffee"]);
+//   // "Automatic <mark>coffee</mark> maker"
+//
+// Output is HTML: the text is escaped, so it is safe to render as is.
+
+const analyzer = require("./analyzer");
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const highlighter = {
+  // The whole text with matches marked, or null if nothing matched
+  highlight(text, terms, { tag = "mark" } = {}) {
+    const matches = this.matches(text, terms);
+    if (matches.length === 0) return null;
+
+    return this.mark(String(text), matches, 0, String(text).length, tag);
+  },
+
+  // A window of about `length` characters around the first match, with
+  // matches marked; null if nothing matched
+  snippet(text, terms, { length = 160, tag = "mark" } = {}) {
+    const matches = this.matches(text, terms);
+    if (matches.length === 0) return null;
+
+    const source = String(text);
+    if (source.length <= length) {
+      return this.mark(source, matches, 0, source.length, tag);
+    }
+
+    // Start a little before the first match, on a word boundary
+    let start = Math.max(0, matches[0].start - Math.floor(length / 4));
+    start = start > 0 ? source.lastIndexOf(" ", start) + 1 : 0;
+    let end = Math.min(source.length, start + length);
+    if (end < source.length) {
+      const space = source.lastIndexOf(" ", end);
+      end = space > matches[0].end ? space : end;
+    }
+
+    const inside = matches.filter((m) => m.start >= start && m.end <= end);
+    return (
+      (start > 0 ? "…" : "") +
+      this.mark(source, inside, start, end, tag) +
+      (end < source.length ? "…" : "")
+    );
+  },
+
+  // Tokens of text whose term was matched: [{ start, end }]
+  matches(text, terms) {
+    const matched = new Set(terms);
+    return analyzer.analyze(text).filter((token) => matched.has(token.term));
+  },
+
+  mark(text, matches, start, end, tag) {
+    let result = "";
+    let position = start;
+
+    for (const match of matches) {
+      const word = escape(text.slice(match.start, match.end));
+      result += escape(text.slice(position, match.start));
+      result += `<${tag}>${word}</${tag}>`;
+      position = match.end;
+    }
+
+    return result + escape(text.slice(position, end));
+  },
+};
+
+function escape(text) {
+  return text.replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+module.exports = highlighter;
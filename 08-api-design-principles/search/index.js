@@ -0,0 +1,16 @@
+// Search
+// Full-text search building blocks (see services/productService)
+//
+//   analyzer      tokenizing, stemming and typo distance
+//   SearchIndex   inverted index with field boosts and fuzzy matching
+//   highlighter   marked-up snippets of matched text
+
+const analyzer = require("./analyzer");
+const highlighter = require("./highlighter");
+const SearchIndex = require("./SearchIndex");
+
+module.exports = {
+  analyzer,
+  highlighter,
+  SearchIndex,
+};
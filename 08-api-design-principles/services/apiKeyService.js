@@ -0,0 +1,296 @@
+// API Key Service
+// API keys: issued to users (or, through a user, to a partner organisation),
+// rotated, revoked, and checked on every request that sends one (see
+// middleware/auth)
+//
+// A key allows its scopes narrowed to what its owner's role allows at the
+// time of the request, and at most dailyQuota requests per UTC day. Revoked
+// keys are kept, with their usage, for the admin listing.
+
+const config = require("../config/config");
+const ApiKey = require("../models/ApiKey");
+const { createRepository, transaction } = require("../repositories");
+const {
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  QuotaExceededError,
+  ValidationError,
+} = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+const permissionUtils = require("../utils/permissions");
+const queryParser = require("../utils/queryParser");
+const roleService = require("./roleService");
+const userService = require("./userService");
+
+const keys = createRepository("apiKeys", {
+  model: ApiKey,
+  dateFields: [
+    "createdAt",
+    "updatedAt",
+    "lastUsedAt",
+    "expiresAt",
+    "revokedAt",
+  ],
+});
+
+// Filters, sorting and fields accepted by findKeys (see utils/queryParser)
+const apiKeyQuery = {
+  filters: {
+    id: "number",
+    name: "string",
+    ownerId: "number",
+    organization: "string",
+    prefix: "string",
+    status: { type: "string", values: Object.values(ApiKey.STATUS) },
+    dailyQuota: "number",
+    requestsToday: "number",
+    totalRequests: "number",
+    lastUsedAt: "date",
+    expiresAt: "date",
+    createdAt: "date",
+  },
+  aliases: {
+    owner: ["ownerId", "eq"],
+    usedSince: ["lastUsedAt", "gte"],
+  },
+  defaultSort: "id",
+};
+
+const apiKeyService = {
+  // Find keys with filtering, sorting and pagination
+  async findKeys(options = {}) {
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, apiKeyQuery);
+
+    const filteredKeys = queryParser.applyFilters(
+      await keys.findAll(),
+      filters
+    );
+
+    filteredKeys.sort(queryParser.comparator(sort));
+
+    const toResponse = (apiKey) =>
+      queryParser.selectFields(apiKey.toJSON(), fields);
+
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredKeys, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        apiKeys: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalApiKeys: filteredKeys.length,
+        },
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const paginatedKeys = filteredKeys.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredKeys.length;
+    const hasPrevPage = page > 1;
+
+    return {
+      apiKeys: paginatedKeys.map(toResponse),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filteredKeys.length / limit),
+        totalApiKeys: filteredKeys.length,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedKeys, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
+      },
+    };
+  },
+
+  // Find the keys acting as a user
+  async findKeysByOwner(ownerId, options = {}) {
+    return await this.findKeys({ ...options, ownerId });
+  },
+
+  // Find key by ID
+  async findKeyById(id) {
+    const apiKey = await keys.findById(id);
+    return apiKey ? apiKey.toJSON() : null;
+  },
+
+  // ID of the user the key acts as; null when there is no such key
+  async ownerOf(id) {
+    const apiKey = await keys.findById(id);
+    return apiKey ? apiKey.ownerId : null;
+  },
+
+  // Issue a key acting as keyData.ownerId; the response is the only one
+  // showing the key
+  async createKey(keyData, createdBy) {
+    const validation = ApiKey.validate(keyData);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    const { value } = validation;
+    await assertScopesAllowed(value.ownerId, value.scopes);
+
+    const apiKey = new ApiKey({
+      ...value,
+      id: null,
+      dailyQuota: value.dailyQuota || config.apiKeys.defaultDailyQuota,
+      createdBy,
+    });
+    const key = apiKey.issue();
+    await keys.insert(apiKey);
+    return { ...apiKey.toJSON(), key };
+  },
+
+  // Update a key's name, organisation, scopes, quota or expiry (partial)
+  async updateKey(id, keyData) {
+    const validation = ApiKey.validate(keyData, { partial: true });
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    return transaction(async () => {
+      const apiKey = await keys.findById(id);
+      if (!apiKey) {
+        throw new NotFoundError("API key");
+      }
+
+      const { value } = validation;
+      if (value.ownerId !== undefined && value.ownerId !== apiKey.ownerId) {
+        throw new ValidationError([
+          { path: "ownerId", message: "API keys cannot change owner" },
+        ]);
+      }
+      if (value.scopes !== undefined) {
+        await assertScopesAllowed(apiKey.ownerId, value.scopes);
+      }
+
+      apiKey.update(value);
+      await keys.save(apiKey);
+      return apiKey.toJSON();
+    });
+  },
+
+  // Replace the key of an unrevoked API key; the old key stops working at
+  // once, and the usage of the day carries over
+  async rotateKey(id) {
+    return transaction(async () => {
+      const apiKey = await keys.findById(id);
+      if (!apiKey) {
+        throw new NotFoundError("API key");
+      }
+      if (apiKey.status === ApiKey.STATUS.REVOKED) {
+        throw new ConflictError(
+          "Revoked API keys cannot be rotated",
+          "API_KEY_REVOKED"
+        );
+      }
+
+      const key = apiKey.issue();
+      await keys.save(apiKey);
+      return { ...apiKey.toJSON(), key };
+    });
+  },
+
+  // Revoke a key for good; revoking it again changes nothing
+  async revokeKey(id) {
+    return transaction(async () => {
+      const apiKey = await keys.findById(id);
+      if (!apiKey) {
+        return null;
+      }
+
+      apiKey.revoke();
+      await keys.save(apiKey);
+      return apiKey.toJSON();
+    });
+  },
+
+  // Check the key of a request and count the request against its quota.
+  // Returns { user, permissions, apiKey, quota }; quota is { limit,
+  // remaining, resetAt } after this request
+  async authenticate(key, ip) {
+    const keyHash = ApiKey.hash(key);
+
+    return transaction(async () => {
+      const apiKey = await keys.findOne((entry) => entry.keyHash === keyHash);
+      const user = apiKey
+        ? await userService.findUserById(apiKey.ownerId)
+        : null;
+
+      if (!user) {
+        throw new AuthenticationError("Invalid API key", "INVALID_API_KEY");
+      }
+      if (apiKey.status === ApiKey.STATUS.REVOKED) {
+        throw new AuthenticationError(
+          "API key has been revoked",
+          "API_KEY_REVOKED"
+        );
+      }
+      if (apiKey.status === ApiKey.STATUS.EXPIRED) {
+        throw new AuthenticationError(
+          "API key has expired",
+          "API_KEY_EXPIRED"
+        );
+      }
+      if (!user.isActive) {
+        throw new AuthenticationError(
+          "Account is deactivated",
+          "ACCOUNT_DEACTIVATED"
+        );
+      }
+
+      const now = new Date();
+      const quota = apiKey.quotaAt(now);
+      if (quota.remaining === 0) {
+        throw new QuotaExceededError(quota.limit, quota.resetAt);
+      }
+
+      apiKey.recordRequest(now, ip, config.apiKeys.usageHistoryDays);
+      await keys.save(apiKey);
+
+      return {
+        user,
+        permissions: permissionUtils.intersect(
+          await roleService.permissionsOf(user.role),
+          apiKey.scopes
+        ),
+        apiKey: apiKey.toJSON(),
+        quota: { ...quota, remaining: quota.remaining - 1 },
+      };
+    });
+  },
+};
+
+// Keys are only issued to existing users, for scopes their role allows
+async function assertScopesAllowed(ownerId, scopes) {
+  const owner = await userService.findUserById(ownerId);
+  if (!owner) {
+    throw new ValidationError([
+      { path: "ownerId", message: `User ${ownerId} does not exist` },
+    ]);
+  }
+
+  const granted = await roleService.permissionsOf(owner.role);
+  const errors = scopes
+    .map((scope, index) => ({ scope, index }))
+    .filter(({ scope }) => !permissionUtils.allows(granted, scope))
+    .map(({ scope, index }) => ({
+      path: `scopes[${index}]`,
+      message: `The ${owner.role} role does not allow ${scope}`,
+    }));
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+apiKeyService.query = apiKeyQuery;
+
+module.exports = apiKeyService;
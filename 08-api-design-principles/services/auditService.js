@@ -0,0 +1,133 @@
+// Audit Service
+// The audit log: a record of every mutating API call, written by
+// middleware/audit and read by admins
+//
+// Entries are only ever added; nothing in the API changes or removes them.
+
+const AuditEntry = require("../models/AuditEntry");
+const { createRepository } = require("../repositories");
+const paginationUtils = require("../utils/paginationUtils");
+const queryParser = require("../utils/queryParser");
+
+const entries = createRepository("auditLog", {
+  model: AuditEntry,
+  dateFields: ["createdAt"],
+});
+
+// Entries read per page while exporting
+const EXPORT_PAGE_SIZE = 100;
+
+// Filters, sorting and fields accepted by findEntries (see utils/queryParser)
+const auditQuery = {
+  filters: {
+    id: "number",
+    actorId: "number",
+    actorRole: "string",
+    apiKeyId: "number",
+    action: "string",
+    method: { type: "string", values: ["POST", "PUT", "PATCH", "DELETE"] },
+    path: "string",
+    resourceType: "string",
+    resourceId: "number",
+    statusCode: "number",
+    createdAt: "date",
+  },
+  aliases: {
+    actor: ["actorId", "eq"],
+    resource: ["resourceType", "eq"],
+    startDate: ["createdAt", "gte"],
+    endDate: ["createdAt", "lte"],
+  },
+  defaultSort: "-createdAt",
+};
+
+const auditService = {
+  // Add an entry: { actorId, actorRole, apiKeyId, action, method, path,
+  // resourceType, resourceId, statusCode, changes, ip }
+  async record(entryData) {
+    const entry = new AuditEntry({ ...entryData, id: null });
+    await entries.insert(entry);
+    return entry.toJSON();
+  },
+
+  // Find entries with filtering, sorting and pagination, newest first by
+  // default
+  async findEntries(options = {}) {
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, auditQuery);
+
+    const filteredEntries = queryParser.applyFilters(
+      await entries.findAll(),
+      filters
+    );
+
+    filteredEntries.sort(queryParser.comparator(sort));
+
+    const toResponse = (entry) =>
+      queryParser.selectFields(entry.toJSON(), fields);
+
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredEntries, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        entries: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalEntries: filteredEntries.length,
+        },
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const paginatedEntries = filteredEntries.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredEntries.length;
+    const hasPrevPage = page > 1;
+
+    return {
+      entries: paginatedEntries.map(toResponse),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filteredEntries.length / limit),
+        totalEntries: filteredEntries.length,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedEntries, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
+      },
+    };
+  },
+
+  // Yields every entry findEntries(options) matches as NDJSON, one line per
+  // entry, reading the log a page at a time
+  async *exportEntries(options = {}) {
+    // Paged here, and entries are always exported whole
+    const { cursor, fields, ...filters } = options;
+    let page = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const result = await auditService.findEntries({
+        ...filters,
+        page,
+        limit: EXPORT_PAGE_SIZE,
+      });
+
+      for (const entry of result.entries) {
+        yield `${JSON.stringify(entry)}\n`;
+      }
+
+      hasNextPage = result.pagination.hasNextPage;
+      page++;
+    }
+  },
+};
+
+auditService.query = auditQuery;
+
+module.exports = auditService;
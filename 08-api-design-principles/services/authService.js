@@ -1,43 +1,53 @@
 // Auth Service
 // Business logic for authentication operations
 
-const User = require("../models/User");
+const crypto = require("crypto");
+const config = require("../config/config");
+const { createRepository, transaction } = require("../repositories");
+const eventBus = require("../utils/eventBus");
 const userService = require("./userService");
-
-// In-memory storage for tokens (replace with Redis or database in production)
-let refreshTokens = new Set();
-let blacklistedTokens = new Set();
+const {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Refresh tokens issued and access tokens revoked before they expire, kept
+// in the database so they survive restarts and are shared by every instance.
+// Tokens are stored as SHA-256 hashes; records are dropped once the token
+// they hold has expired anyway
+const refreshTokens = createRepository("refreshTokens", {
+  dateFields: ["createdAt", "expiresAt"],
+});
+const revokedTokens = createRepository("revokedTokens", {
+  dateFields: ["createdAt", "expiresAt"],
+});
 
 const authService = {
   // User login
   async login(email, password) {
-    if (!email || !password) {
-      throw new Error("Email and password are required");
-    }
+    requireFields({ email, password });
 
-    // In a real app, you would hash the password and compare
-    // For demo purposes, we'll do a simple check
-    const users = await userService.findUsers({ limit: 1000 });
-    const user = users.users.find((u) => u.email === email);
+    const user = await userService.findUserByCredentials(email, password);
 
     if (!user) {
-      throw new Error("Invalid credentials");
+      throw new AuthenticationError(
+        "Invalid credentials",
+        "INVALID_CREDENTIALS"
+      );
     }
 
-    if (!user.isActive) {
-      throw new Error("Account is deactivated");
-    }
-
-    // In production, compare hashed passwords
-    // const isValidPassword = await bcrypt.compare(password, user.password);
-    // For demo, we'll assume password is valid if user exists
+    assertActive(user);
 
     // Generate tokens (in production, use JWT or similar)
     const accessToken = this.generateAccessToken(user);
     const refreshToken = this.generateRefreshToken(user);
 
-    // Store refresh token
-    refreshTokens.add(refreshToken);
+    await storeToken(refreshTokens, refreshToken, { userId: user.id });
 
     return {
       user: {
@@ -58,31 +68,32 @@ const authService = {
   async register(userData) {
     const { name, email, password, confirmPassword } = userData;
 
-    if (!name || !email || !password || !confirmPassword) {
-      throw new Error("All fields are required");
-    }
+    requireFields({ name, email, password, confirmPassword });
 
     if (password !== confirmPassword) {
-      throw new Error("Passwords do not match");
+      throw new ValidationError([
+        { path: "confirmPassword", message: "Passwords do not match" },
+      ]);
     }
 
-    if (password.length < 6) {
-      throw new Error("Password must be at least 6 characters long");
-    }
+    assertPasswordLength(password, "password");
 
     // Check if user already exists
     const users = await userService.findUsers({ limit: 1000 });
     const existingUser = users.users.find((u) => u.email === email);
 
     if (existingUser) {
-      throw new Error("User with this email already exists");
+      throw new ConflictError(
+        "User with this email already exists",
+        "EMAIL_ALREADY_EXISTS"
+      );
     }
 
     // Create new user
     const newUser = await userService.createUser({
       name,
       email,
-      password, // In production, hash this password
+      password, // Stored hashed (see models/User)
       role: "user",
     });
 
@@ -90,8 +101,7 @@ const authService = {
     const accessToken = this.generateAccessToken(newUser);
     const refreshToken = this.generateRefreshToken(newUser);
 
-    // Store refresh token
-    refreshTokens.add(refreshToken);
+    await storeToken(refreshTokens, refreshToken, { userId: newUser.id });
 
     return {
       user: {
@@ -110,43 +120,42 @@ const authService = {
 
   // Refresh access token
   async refreshToken(refreshToken) {
-    if (!refreshToken) {
-      throw new Error("Refresh token is required");
+    requireFields({ refreshToken });
+
+    const invalid = new AuthenticationError(
+      "Invalid refresh token",
+      "INVALID_REFRESH_TOKEN"
+    );
+    if (!(await findToken(refreshTokens, refreshToken))) {
+      throw invalid;
     }
 
-    if (!refreshTokens.has(refreshToken)) {
-      throw new Error("Invalid refresh token");
-    }
-
-    try {
-      // In production, verify JWT token
-      const decoded = this.verifyToken(refreshToken);
-      const user = await userService.findUserById(decoded.userId);
+    // In production, verify JWT token
+    const decoded = this.verifyToken(refreshToken);
+    const user = await userService.findUserById(decoded.userId);
 
-      if (!user) {
-        throw new Error("User not found");
-      }
+    if (!user) {
+      throw invalid;
+    }
 
-      if (!user.isActive) {
-        throw new Error("Account is deactivated");
-      }
+    assertActive(user);
 
-      // Generate new access token
-      const newAccessToken = this.generateAccessToken(user);
+    // Generate new access token
+    const newAccessToken = this.generateAccessToken(user);
 
-      return {
-        accessToken: newAccessToken,
-        expiresIn: 3600,
-      };
-    } catch (error) {
-      throw new Error("Invalid refresh token");
-    }
+    return {
+      accessToken: newAccessToken,
+      expiresIn: 3600,
+    };
   },
 
   // User logout
   async logout(refreshToken) {
-    if (refreshToken) {
-      refreshTokens.delete(refreshToken);
+    const record = refreshToken
+      ? await findToken(refreshTokens, refreshToken)
+      : null;
+    if (record) {
+      await refreshTokens.delete(record.id);
     }
 
     return { message: "Logged out successfully" };
@@ -154,123 +163,136 @@ const authService = {
 
   // Logout from all devices
   async logoutAll(userId) {
-    // In production, you would invalidate all refresh tokens for this user
-    // For demo, we'll remove all tokens (this affects all users)
-    refreshTokens.clear();
+    const all = await refreshTokens.findAll();
+    for (const record of all.filter((r) => r.userId === userId)) {
+      await refreshTokens.delete(record.id);
+    }
 
     return { message: "Logged out from all devices" };
   },
 
   // Change password
   async changePassword(userId, currentPassword, newPassword) {
-    if (!currentPassword || !newPassword) {
-      throw new Error("Current password and new password are required");
-    }
-
-    if (newPassword.length < 6) {
-      throw new Error("New password must be at least 6 characters long");
-    }
+    requireFields({ currentPassword, newPassword });
+    assertPasswordLength(newPassword, "newPassword");
 
     const user = await userService.findUserById(userId);
     if (!user) {
-      throw new Error("User not found");
+      throw new NotFoundError("User");
     }
 
-    // In production, verify current password
-    // const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-    // if (!isValidPassword) {
-    //   throw new Error('Current password is incorrect');
-    // }
+    const verified = await userService.findUserByCredentials(
+      user.email,
+      currentPassword
+    );
+    if (!verified) {
+      throw new ValidationError([
+        { path: "currentPassword", message: "Current password is incorrect" },
+      ]);
+    }
 
-    // Update password
-    // const hashedPassword = await bcrypt.hash(newPassword, 10);
     await userService.updateUser(userId, { password: newPassword });
 
     return { message: "Password changed successfully" };
   },
 
-  // Reset password (would typically involve email verification)
-  async resetPassword(email) {
-    const users = await userService.findUsers({ limit: 1000 });
-    const user = users.users.find((u) => u.email === email);
+  // Start a password reset. The token only ever leaves the API by mail: it
+  // is published as user.password_reset_requested for the mailer, never
+  // returned. The answer is the same whether or not the email has an account
+  async requestPasswordReset(email) {
+    requireFields({ email });
 
-    if (!user) {
-      // Don't reveal that user doesn't exist
-      return {
-        message:
-          "If an account with this email exists, a password reset link has been sent",
-      };
-    }
+    const user = await userService.findUserByEmail(email);
 
-    // Generate reset token
-    const resetToken = this.generateResetToken(user);
+    if (user && user.isActive) {
+      const stamp = await userService.findPasswordStamp(user.id);
+      const resetToken = this.generateResetToken(user, stamp);
 
-    // In production, send email with reset link
-    // await emailService.sendPasswordResetEmail(user.email, resetToken);
+      eventBus.publish("user.password_reset_requested", {
+        userId: user.id,
+        email: user.email,
+        name: user.name,
+        resetToken,
+        expiresAt: new Date(this.verifyToken(resetToken).exp * 1000),
+      });
+    }
 
     return {
       message:
         "If an account with this email exists, a password reset link has been sent",
-      resetToken, // Only for demo purposes
     };
   },
 
-  // Verify reset token and update password
-  async verifyResetToken(token, newPassword) {
-    if (!token || !newPassword) {
-      throw new Error("Reset token and new password are required");
-    }
-
-    if (newPassword.length < 6) {
-      throw new Error("New password must be at least 6 characters long");
-    }
+  // Set a new password with a reset token. A token works once: it carries
+  // the stamp of the password it replaces. Every refresh token of the user is
+  // invalidated
+  async resetPassword(token, newPassword) {
+    requireFields({ token, newPassword });
+    assertPasswordLength(newPassword, "newPassword");
 
+    let decoded = null;
     try {
-      const decoded = this.verifyToken(token);
-      const user = await userService.findUserById(decoded.userId);
+      decoded = this.verifyToken(token);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) throw error;
+    }
 
-      if (!user) {
-        throw new Error("User not found");
+    const userId = await transaction(async () => {
+      const stamp =
+        decoded && decoded.type === "reset"
+          ? await userService.findPasswordStamp(decoded.userId)
+          : null;
+
+      if (!stamp || !decoded.pwd || !safeEqual(decoded.pwd, stamp)) {
+        throw new AppError(
+          "Invalid or expired reset token",
+          400,
+          "INVALID_RESET_TOKEN"
+        );
       }
 
-      // Update password
       await userService.updateUser(decoded.userId, { password: newPassword });
+      return decoded.userId;
+    });
 
-      return { message: "Password reset successfully" };
-    } catch (error) {
-      throw new Error("Invalid or expired reset token");
-    }
+    await this.logoutAll(userId);
+
+    return { message: "Password reset successfully" };
   },
 
   // Verify access token
   async verifyAccessToken(token) {
     if (!token) {
-      throw new Error("Access token is required");
+      throw new AuthenticationError(
+        "Access token is required",
+        "TOKEN_REQUIRED"
+      );
     }
 
-    if (blacklistedTokens.has(token)) {
-      throw new Error("Token has been revoked");
+    if (await findToken(revokedTokens, token)) {
+      throw new AuthenticationError("Token has been revoked", "TOKEN_REVOKED");
     }
 
-    try {
-      const decoded = this.verifyToken(token);
-      const user = await userService.findUserById(decoded.userId);
+    // Refresh and reset tokens are not accepted in place of access tokens
+    const decoded = this.verifyToken(token);
+    const user =
+      decoded.type === "access"
+        ? await userService.findUserById(decoded.userId)
+        : null;
 
-      if (!user) {
-        throw new Error("User not found");
-      }
+    if (!user) {
+      throw new AuthenticationError(
+        "Invalid or expired access token",
+        "INVALID_TOKEN"
+      );
+    }
 
-      if (!user.isActive) {
-        throw new Error("Account is deactivated");
-      }
+    assertActive(user);
 
-      return user;
-    } catch (error) {
-      throw new Error("Invalid or expired access token");
-    }
+    return user;
   },
 
-  // Generate access token (simplified - use JWT in production)
+  // Generate access token
   generateAccessToken(user) {
     const payload = {
       userId: user.id,
@@ -281,11 +303,10 @@ const authService = {
       exp: Math.floor(Date.now() / 1000) + 3600, // 1 hour
     };
 
-    // In production, use JWT
-    return Buffer.from(JSON.stringify(payload)).toString("base64");
+    return signToken(payload);
   },
 
-  // Generate refresh token (simplified - use JWT in production)
+  // Generate refresh token
   generateRefreshToken(user) {
     const payload = {
       userId: user.id,
@@ -294,44 +315,135 @@ const authService = {
       exp: Math.floor(Date.now() / 1000) + 7 * 24 * 3600, // 7 days
     };
 
-    // In production, use JWT
-    return Buffer.from(JSON.stringify(payload)).toString("base64");
+    return signToken(payload);
   },
 
-  // Generate reset token (simplified - use JWT in production)
-  generateResetToken(user) {
+  // Generate reset token, valid until the password stamped changes
+  generateResetToken(user, passwordStamp) {
     const payload = {
       userId: user.id,
       type: "reset",
+      pwd: passwordStamp,
       iat: Math.floor(Date.now() / 1000),
       exp: Math.floor(Date.now() / 1000) + 3600, // 1 hour
     };
 
-    // In production, use JWT
-    return Buffer.from(JSON.stringify(payload)).toString("base64");
+    return signToken(payload);
   },
 
-  // Verify token (simplified - use JWT in production)
+  // Verify token
   verifyToken(token) {
+    const [body, signature] = String(token).split(".");
+    if (!signature || !safeEqual(signature, sign(body))) {
+      throw new AuthenticationError("Invalid token", "INVALID_TOKEN");
+    }
+
+    let decoded;
     try {
-      const decoded = JSON.parse(Buffer.from(token, "base64").toString());
+      decoded = JSON.parse(Buffer.from(body, "base64url").toString());
+    } catch (error) {
+      throw new AuthenticationError("Invalid token", "INVALID_TOKEN");
+    }
 
-      // Check expiration
-      if (decoded.exp < Math.floor(Date.now() / 1000)) {
-        throw new Error("Token expired");
-      }
+    if (!decoded || typeof decoded !== "object") {
+      throw new AuthenticationError("Invalid token", "INVALID_TOKEN");
+    }
 
-      return decoded;
-    } catch (error) {
-      throw new Error("Invalid token");
+    // Check expiration
+    if (decoded.exp < Math.floor(Date.now() / 1000)) {
+      throw new AuthenticationError("Token expired", "TOKEN_EXPIRED");
     }
+
+    return decoded;
   },
 
   // Revoke token
   async revokeToken(token) {
-    blacklistedTokens.add(token);
+    if (!(await findToken(revokedTokens, token))) {
+      await storeToken(revokedTokens, token);
+    }
     return { message: "Token revoked successfully" };
   },
 };
 
+// Tokens are "<payload>.<signature>": the base64url JSON payload and its
+// HMAC-SHA256 with config.auth.jwt.secret, so they cannot be forged
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+function sign(body) {
+  return crypto
+    .createHmac("sha256", config.auth.jwt.secret)
+    .update(body)
+    .digest("base64url");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Store a record of a valid token until the token expires, dropping the
+// expired records of the same kind
+async function storeToken(repository, token, data = {}) {
+  const { exp } = authService.verifyToken(token);
+
+  const all = await repository.findAll();
+  for (const record of all.filter((r) => r.expiresAt <= new Date())) {
+    await repository.delete(record.id);
+  }
+
+  await repository.insert({
+    ...data,
+    tokenHash: hashToken(token),
+    createdAt: new Date(),
+    expiresAt: new Date(exp * 1000),
+  });
+}
+
+async function findToken(repository, token) {
+  const tokenHash = hashToken(token);
+  return repository.findOne(
+    (record) => record.tokenHash === tokenHash && record.expiresAt > new Date()
+  );
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Throws a ValidationError naming every missing field
+function requireFields(fields) {
+  const errors = Object.entries(fields)
+    .filter(([, value]) => !value)
+    .map(([path]) => ({ path, message: `${path} is required` }));
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+function assertPasswordLength(password, path) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError([
+      {
+        path,
+        message: `${path} must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      },
+    ]);
+  }
+}
+
+function assertActive(user) {
+  if (!user.isActive) {
+    throw new AuthenticationError(
+      "Account is deactivated",
+      "ACCOUNT_DEACTIVATED"
+    );
+  }
+}
+
 module.exports = authService;
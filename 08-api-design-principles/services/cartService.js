@@ -0,0 +1,238 @@
+// Cart Service
+// Server-side shopping carts and their checkout into orders
+//
+// A cart is found by its owner: { userId } for a signed-in user, or
+// { token } for a guest. The first item added creates the cart; a guest
+// cart gets a random token, which the guest sends back to reach the cart
+// (config.cart.tokenHeader). An unknown token starts a new guest cart.
+//
+// Adding or changing an item checks the stock available at that moment,
+// but stock is only reserved when the cart is checked out: checkout places
+// an order through orderService.createOrder and empties the cart.
+
+const crypto = require("crypto");
+const Cart = require("../models/Cart");
+const orderService = require("./orderService");
+const productService = require("./productService");
+const { createRepository, transaction } = require("../repositories");
+const {
+  InsufficientStockError,
+  NotFoundError,
+  PriceChangedError,
+  ValidationError,
+} = require("../utils/errors");
+
+const carts = createRepository("carts", { model: Cart });
+
+const cartService = {
+  // The owner's cart; an empty, unsaved one when there is none yet
+  async getCart(owner) {
+    const cart = await findCart(owner);
+    return (cart || new Cart({ userId: owner.userId })).toJSON();
+  },
+
+  // Add quantity of a product (or one of its variants). A new line takes
+  // the current price as its snapshot
+  async addItem(owner, { productId, variantId = null, quantity = 1 }) {
+    return transaction(async () => {
+      const cart = (await findCart(owner)) || newCart(owner);
+      const { stock, ...details } = await productService.lookupItem(
+        productId,
+        variantId
+      );
+
+      const line = cart.findLine(details.productId, details.variantId);
+      assertInStock(details, stock, (line ? line.quantity : 0) + quantity);
+
+      cart.addItem(details, quantity);
+      if (cart.id) {
+        await carts.save(cart);
+      } else {
+        await carts.insert(cart);
+      }
+      return cart.toJSON();
+    });
+  },
+
+  // Change the quantity of a line; its price snapshot is kept
+  async updateItem(owner, itemId, { quantity }) {
+    return transaction(async () => {
+      const { cart, item } = await findItem(owner, itemId);
+      const { stock, ...details } = await productService.lookupItem(
+        item.productId,
+        item.variantId
+      );
+      assertInStock(details, stock, quantity);
+
+      cart.updateItem(item.id, { quantity });
+      await carts.save(cart);
+      return cart.toJSON();
+    });
+  },
+
+  async removeItem(owner, itemId) {
+    return transaction(async () => {
+      const { cart, item } = await findItem(owner, itemId);
+
+      cart.removeItem(item.id);
+      await carts.save(cart);
+      return cart.toJSON();
+    });
+  },
+
+  // Remove every item; a guest keeps the token of the emptied cart
+  async clearCart(owner) {
+    return transaction(async () => {
+      const cart = await findCart(owner);
+      if (!cart) {
+        return new Cart({ userId: owner.userId }).toJSON();
+      }
+
+      cart.clear();
+      await carts.save(cart);
+      return cart.toJSON();
+    });
+  },
+
+  // Move the items of a guest cart into the user's cart (on login). Lines
+  // of the same item add up and keep the user's price snapshot; stock is
+  // checked again at checkout. Returns the user's cart, or null when the
+  // token names no guest cart
+  async mergeGuestCart(userId, token) {
+    return transaction(async () => {
+      const guestCart = await findCart({ token });
+      if (!guestCart) return null;
+
+      const cart = (await findCart({ userId })) || newCart({ userId });
+      guestCart.items.forEach(({ id, quantity, addedAt, ...details }) => {
+        cart.addItem(details, quantity);
+      });
+
+      if (cart.id) {
+        await carts.save(cart);
+      } else {
+        await carts.insert(cart);
+      }
+      await carts.delete(guestCart.id);
+      return cart.toJSON();
+    });
+  },
+
+  // Place an order for the user's cart and empty it.
+  // details: { shippingAddress, paymentMethod, couponCode } as in
+  // POST /api/orders.
+  // When a price has changed since an item was added, the cart takes the
+  // new prices and PriceChangedError is thrown instead, so the customer
+  // can review the cart and check out again
+  async checkout(userId, { shippingAddress, paymentMethod, couponCode }) {
+    const result = await transaction(async () => {
+      const cart = await findCart({ userId });
+      if (!cart || cart.isEmpty()) {
+        throw new ValidationError([
+          { path: "items", message: "The cart is empty" },
+        ]);
+      }
+
+      const changes = await refreshPrices(cart);
+      if (changes.length > 0) {
+        await carts.save(cart);
+        return { changes };
+      }
+
+      const order = await orderService.createOrder({
+        userId,
+        items: cart.items.map((item) => ({
+          productId: item.productId,
+          ...(item.variantId !== null && { variantId: item.variantId }),
+          quantity: item.quantity,
+        })),
+        shippingAddress,
+        paymentMethod,
+        couponCode,
+      });
+      await carts.delete(cart.id);
+      return { order };
+    });
+
+    // Thrown once the new prices are saved
+    if (result.changes) {
+      throw new PriceChangedError(result.changes);
+    }
+    return result.order;
+  },
+};
+
+// The cart of a user, or the guest cart of a token
+async function findCart({ userId = null, token = null }) {
+  if (userId) {
+    return carts.findOne((cart) => cart.userId === userId);
+  }
+  if (token) {
+    return carts.findOne(
+      (cart) => cart.userId === null && cart.token === token
+    );
+  }
+  return null;
+}
+
+function newCart({ userId = null }) {
+  return new Cart({
+    userId,
+    token: userId ? null : crypto.randomUUID(),
+  });
+}
+
+async function findItem(owner, itemId) {
+  const cart = await findCart(owner);
+  const item = cart ? cart.findItem(itemId) : null;
+  if (!item) {
+    throw new NotFoundError("Cart item");
+  }
+  return { cart, item };
+}
+
+function assertInStock(details, stock, quantity) {
+  if (stock >= quantity) return;
+
+  throw new InsufficientStockError([
+    {
+      productId: details.productId,
+      ...(details.variantId !== null && {
+        variantId: details.variantId,
+        sku: details.sku,
+      }),
+      name: details.name,
+      requested: quantity,
+      available: stock,
+    },
+  ]);
+}
+
+// Bring every price snapshot up to date, returning the lines that changed
+async function refreshPrices(cart) {
+  const changes = [];
+
+  for (const [index, item] of cart.items.entries()) {
+    const { price } = await productService.lookupItem(
+      item.productId,
+      item.variantId,
+      `items[${index}].`
+    );
+    if (price === item.price) continue;
+
+    changes.push({
+      itemId: item.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      sku: item.sku,
+      name: item.name,
+      oldPrice: item.price,
+      newPrice: price,
+    });
+    cart.updateItem(item.id, { price });
+  }
+
+  return changes;
+}
+
+module.exports = cartService;
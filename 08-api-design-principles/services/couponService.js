@@ -0,0 +1,260 @@
+// Coupon Service
+// Coupons and promotions (automatic coupons), and the discounts they give
+// orders
+//
+// orderService asks discountsFor() which discounts an order gets, prices
+// the order with them (see utils/pricing) and redeems them when the order
+// is stored; cancelling the order releases them again.
+
+const Coupon = require("../models/Coupon");
+const { createRepository, transaction } = require("../repositories");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+const pricing = require("../utils/pricing");
+const queryParser = require("../utils/queryParser");
+
+// Sample data, inserted the first time the coupons collection is created
+const seedCoupons = [
+  new Coupon({
+    id: 1,
+    code: "SAVE10",
+    description: "10% off your order",
+    type: Coupon.TYPE.PERCENTAGE,
+    value: 10,
+  }),
+  new Coupon({
+    id: 2,
+    code: "WELCOME5",
+    description: "5 off orders of 25 or more",
+    type: Coupon.TYPE.FIXED,
+    value: 5,
+    minSubtotal: 25,
+    usageLimit: 100,
+  }),
+  new Coupon({
+    id: 3,
+    code: "FURNITURE15",
+    description: "15% off furniture",
+    type: Coupon.TYPE.PERCENTAGE,
+    value: 15,
+    categories: ["furniture"],
+    automatic: true,
+  }),
+];
+
+const coupons = createRepository("coupons", {
+  model: Coupon,
+  seed: seedCoupons,
+});
+
+// Filters, sorting and fields accepted by findCoupons (see utils/queryParser)
+const couponQuery = {
+  filters: {
+    id: "number",
+    code: "string",
+    type: { type: "string", values: Object.values(Coupon.TYPE) },
+    value: "number",
+    automatic: "boolean",
+    isActive: "boolean",
+    usageCount: "number",
+    expiresAt: "date",
+    createdAt: "date",
+  },
+  defaultSort: "code",
+};
+
+const couponService = {
+  // Find coupons with filtering, sorting and pagination
+  async findCoupons(options = {}) {
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, couponQuery);
+
+    const filteredCoupons = queryParser.applyFilters(
+      await coupons.findAll(),
+      filters
+    );
+
+    filteredCoupons.sort(queryParser.comparator(sort));
+
+    const toResponse = (coupon) =>
+      queryParser.selectFields(coupon.toJSON(), fields);
+
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredCoupons, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        coupons: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalCoupons: filteredCoupons.length,
+        },
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const paginatedCoupons = filteredCoupons.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredCoupons.length;
+    const hasPrevPage = page > 1;
+
+    return {
+      coupons: paginatedCoupons.map(toResponse),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filteredCoupons.length / limit),
+        totalCoupons: filteredCoupons.length,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedCoupons, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
+      },
+    };
+  },
+
+  // Find coupon by ID
+  async findCouponById(id) {
+    const coupon = await coupons.findById(id);
+    return coupon ? coupon.toJSON() : null;
+  },
+
+  // Create new coupon; codes are unique ignoring case
+  async createCoupon(couponData) {
+    const validation = Coupon.validate(couponData);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    return transaction(async () => {
+      const coupon = new Coupon({ ...validation.value, id: null });
+      await assertCodeAvailable(coupon.code);
+
+      await coupons.insert(coupon);
+      return coupon.toJSON();
+    });
+  },
+
+  // Update coupon (partial)
+  async updateCoupon(id, couponData) {
+    const validation = Coupon.validate(couponData, { partial: true });
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    return transaction(async () => {
+      const coupon = await coupons.findById(id);
+      if (!coupon) {
+        throw new NotFoundError("Coupon");
+      }
+
+      const errors = Coupon.ruleErrors({ ...coupon, ...validation.value });
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
+
+      coupon.update(validation.value);
+      await assertCodeAvailable(coupon.code, coupon.id);
+      await coupons.save(coupon);
+      return coupon.toJSON();
+    });
+  },
+
+  // Delete coupon; orders keep the discounts they were given
+  async deleteCoupon(id) {
+    const coupon = await coupons.delete(id);
+    return coupon ? coupon.toJSON() : null;
+  },
+
+  // Discounts an order of items gets: the promotions it qualifies for and
+  // the coupon of couponCode. items need their category. Throws a
+  // ValidationError (couponCode) when the coupon cannot be used
+  async discountsFor(items, couponCode = null) {
+    const now = new Date();
+    const all = await coupons.findAll();
+
+    const discounts = all
+      .filter(
+        (coupon) =>
+          coupon.automatic &&
+          coupon.unavailableReason(now) === null &&
+          pricing.discountAmount(coupon, items) > 0
+      )
+      .map((coupon) => coupon.toDiscount());
+
+    if (couponCode === null || couponCode === undefined) {
+      return discounts;
+    }
+
+    const code = Coupon.normalizeCode(couponCode);
+    const coupon = all.find((c) => c.code === code);
+    const reason = coupon
+      ? coupon.unavailableReason(now) || notApplicableReason(coupon, items)
+      : "is not valid";
+    if (reason) {
+      throw new ValidationError([
+        { path: "couponCode", message: `Coupon ${code} ${reason}` },
+      ]);
+    }
+
+    // A promotion given by its code is applied once
+    if (!discounts.some((discount) => discount.couponId === coupon.id)) {
+      discounts.push(coupon.toDiscount());
+    }
+    return discounts;
+  },
+
+  // Count an order's use of its discounts; call it in the transaction that
+  // asked discountsFor() and stores the order, so usage limits hold
+  async redeem(discounts) {
+    for (const discount of discounts) {
+      const coupon = await coupons.findById(discount.couponId);
+      if (!coupon) continue;
+
+      coupon.usageCount++;
+      await coupons.save(coupon);
+    }
+  },
+
+  // Give back the uses of a cancelled order's discounts
+  async release(discounts) {
+    for (const discount of discounts) {
+      const coupon = await coupons.findById(discount.couponId);
+      if (!coupon || coupon.usageCount === 0) continue;
+
+      coupon.usageCount--;
+      await coupons.save(coupon);
+    }
+  },
+};
+
+async function assertCodeAvailable(code, ownId = null) {
+  const existing = await coupons.findOne((coupon) => coupon.code === code);
+  if (existing && existing.id !== ownId) {
+    throw new ConflictError(
+      "Coupon with this code already exists",
+      "COUPON_CODE_EXISTS"
+    );
+  }
+}
+
+// Why a coupon gives the items nothing, or null when it applies
+function notApplicableReason(coupon, items) {
+  const eligible = pricing.eligibleSubtotal(coupon, items);
+  if (eligible === 0) {
+    return "does not apply to any item in the order";
+  }
+  if (eligible < coupon.minSubtotal) {
+    return `needs a subtotal of at least ${coupon.minSubtotal}`;
+  }
+  return null;
+}
+
+module.exports = couponService;
@@ -0,0 +1,177 @@
+// Inventory Service
+// Ledger of stock movements and low-stock alerts
+//
+// productService records a movement for every change it makes to stock,
+// inside the transaction making the change. When a movement takes a product
+// (or a variant, for products with variants) to or below its low-stock
+// threshold, an event is published once the change is committed:
+//
+//   product.low_stock     stock fell to or below the threshold
+//   product.out_of_stock  stock fell to zero
+//
+// with data { productId, variantId, sku, name, stock, threshold, movementId }.
+// Subscribe through utils/eventBus, e.g. to send an email.
+
+const config = require("../config/config");
+const StockMovement = require("../models/StockMovement");
+const { afterCommit, createRepository } = require("../repositories");
+const eventBus = require("../utils/eventBus");
+const paginationUtils = require("../utils/paginationUtils");
+const queryParser = require("../utils/queryParser");
+
+const movements = createRepository("stockMovements", {
+  model: StockMovement,
+});
+
+const EVENTS = {
+  LOW_STOCK: "product.low_stock",
+  OUT_OF_STOCK: "product.out_of_stock",
+};
+
+// Filters, sorting and fields accepted by findMovements (see utils/queryParser)
+const movementQuery = {
+  filters: {
+    id: "number",
+    productId: "number",
+    variantId: "number",
+    sku: "string",
+    quantity: "number",
+    reason: { type: "string", values: Object.values(StockMovement.REASON) },
+    orderId: "number",
+    actorId: "number",
+    createdAt: "date",
+  },
+  aliases: {
+    startDate: ["createdAt", "gte"],
+    endDate: ["createdAt", "lte"],
+  },
+  defaultSort: "-createdAt",
+};
+
+const inventoryService = {
+  EVENTS,
+
+  // Record stock changes already applied to product (saved or not: only
+  // the resulting stock is read). changes: [{ variant, quantity }] with
+  // variant null for a product without variants, and stockAfter when the
+  // stock is no longer on the product; zero changes are skipped.
+  // context: { reason, actorId, orderId, note }
+  async record(product, changes, context) {
+    const { reason, actorId = null, orderId = null, note = "" } = context;
+    const recorded = [];
+
+    for (const { variant = null, quantity, stockAfter } of changes) {
+      if (!quantity) continue;
+
+      const movement = new StockMovement({
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        sku: variant ? variant.sku : product.sku,
+        quantity,
+        stockAfter:
+          stockAfter !== undefined ? stockAfter : (variant || product).stock,
+        reason,
+        orderId,
+        actorId,
+        note,
+      });
+      await movements.insert(movement);
+      recorded.push(movement);
+
+      // Stock that moved off the product (a removed variant) cannot run low
+      if (stockAfter === undefined) {
+        alertIfLow(product, movement);
+      }
+    }
+
+    return recorded.map((movement) => movement.toJSON());
+  },
+
+  // Stock at or below which a product counts as low
+  thresholdFor(product) {
+    return product.lowStockThreshold !== null &&
+      product.lowStockThreshold !== undefined
+      ? product.lowStockThreshold
+      : config.inventory.lowStockThreshold;
+  },
+
+  // Query the ledger, newest first by default
+  async findMovements(options = {}) {
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, movementQuery);
+
+    const filteredMovements = queryParser.applyFilters(
+      await movements.findAll(),
+      filters
+    );
+
+    filteredMovements.sort(queryParser.comparator(sort));
+
+    const toResponse = (movement) =>
+      queryParser.selectFields(movement.toJSON(), fields);
+
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredMovements, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        movements: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalMovements: filteredMovements.length,
+        },
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const paginatedMovements = filteredMovements.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredMovements.length;
+    const hasPrevPage = page > 1;
+
+    return {
+      movements: paginatedMovements.map(toResponse),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filteredMovements.length / limit),
+        totalMovements: filteredMovements.length,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedMovements, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
+      },
+    };
+  },
+};
+
+// Publish an event (after commit) when the movement crossed the threshold;
+// stock already below it raises nothing until it has recovered
+function alertIfLow(product, movement) {
+  const threshold = inventoryService.thresholdFor(product);
+  const before = movement.stockAfter - movement.quantity;
+
+  let type = null;
+  if (movement.stockAfter <= 0 && before > 0) {
+    type = EVENTS.OUT_OF_STOCK;
+  } else if (movement.stockAfter <= threshold && before > threshold) {
+    type = EVENTS.LOW_STOCK;
+  }
+  if (!type) return;
+
+  const data = {
+    productId: product.id,
+    variantId: movement.variantId,
+    sku: movement.sku,
+    name: product.name,
+    stock: movement.stockAfter,
+    threshold,
+    movementId: movement.id,
+  };
+  afterCommit(() => eventBus.publish(type, data));
+}
+
+module.exports = inventoryService;
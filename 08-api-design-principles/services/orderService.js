@@ -1,11 +1,33 @@
 // Order Service
 // Business logic for order operations
+//
+// Publishes order.created with data { order } and, for every change of
+// status (cancelling included), order.status_changed with data
+// { order, from, to, changedBy, reason } once committed (see utils/eventBus).
+// Shipped orders also publish order.shipped for the mailer.
 
 const Order = require("../models/Order");
+const StockMovement = require("../models/StockMovement");
+const couponService = require("./couponService");
 const productService = require("./productService");
-
-// In-memory storage for demonstration (replace with database in production)
-let orders = [
+const userService = require("./userService");
+const {
+  afterCommit,
+  createRepository,
+  transaction,
+} = require("../repositories");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const etag = require("../utils/etag");
+const eventBus = require("../utils/eventBus");
+const paginationUtils = require("../utils/paginationUtils");
+const queryParser = require("../utils/queryParser");
+
+// Sample data, inserted the first time the orders collection is created
+const seedOrders = [
   new Order({
     id: 1,
     userId: 1,
@@ -31,6 +53,17 @@ let orders = [
     },
     paymentMethod: "credit_card",
     paymentStatus: "paid",
+    payments: [
+      {
+        id: 1,
+        type: "capture",
+        amount: 1359.97,
+        items: [],
+        reason: "",
+        createdBy: 1,
+        createdAt: new Date("2024-01-01"),
+      },
+    ],
     notes: "Please deliver to front door",
     createdAt: new Date("2024-01-01"),
   }),
@@ -56,101 +89,281 @@ let orders = [
     },
     paymentMethod: "paypal",
     paymentStatus: "paid",
+    payments: [
+      {
+        id: 1,
+        type: "capture",
+        amount: 89.99,
+        items: [],
+        reason: "",
+        createdBy: 2,
+        createdAt: new Date("2024-01-02"),
+      },
+    ],
     createdAt: new Date("2024-01-02"),
   }),
 ];
 
-let nextOrderId = 3;
-
-const orderService = {
-  // Get all orders with pagination and filtering
-  async findOrders(options = {}) {
-    const {
-      page = 1,
-      limit = 10,
-      userId = "",
-      status = "",
-      paymentStatus = "",
-      sort = "-createdAt",
-      startDate = "",
-      endDate = "",
-    } = options;
-
-    let filteredOrders = [...orders];
-
-    // Apply user filter
-    if (userId) {
-      filteredOrders = filteredOrders.filter(
-        (order) => order.userId === parseInt(userId)
-      );
-    }
+const orders = createRepository("orders", { model: Order, seed: seedOrders });
 
-    // Apply status filter
-    if (status) {
-      filteredOrders = filteredOrders.filter(
-        (order) => order.status === status
-      );
-    }
+const EVENTS = {
+  CREATED: "order.created",
+  STATUS_CHANGED: "order.status_changed",
+  SHIPPED: "order.shipped",
+};
 
-    // Apply payment status filter
-    if (paymentStatus) {
-      filteredOrders = filteredOrders.filter(
-        (order) => order.paymentStatus === paymentStatus
-      );
+// Put the stock back when an order is cancelled; this runs inside the
+// cancelling transaction, so a failed restock leaves the order untouched.
+// Refunded items were restocked by their refund, so only the rest go back
+Order.lifecycle.onEnter(
+  Order.STATUS.CANCELLED,
+  async ({ order, changedBy }) => {
+    await productService.releaseStock(order.getRefundableItems(), {
+      reason: StockMovement.REASON.ORDER_CANCELLED,
+      orderId: order.id,
+      actorId: changedBy,
+    });
+    // The order no longer counts towards its coupons' usage limits
+    await couponService.release(order.pricing ? order.pricing.discounts : []);
+  }
+);
+
+// Tell the customer their order is on its way: order.shipped carries
+// { order, email, name } for the mailer's shipping confirmation. It runs once
+// the change is stored, so a failure here never holds up the shipment.
+// Like user.password_reset_requested, it is not delivered to webhooks
+Order.lifecycle.afterEnter(Order.STATUS.SHIPPED, async ({ order }) => {
+  const user = await userService.findUserById(order.userId);
+  if (!user) return;
+
+  eventBus.publish(EVENTS.SHIPPED, {
+    order: order.toJSON(),
+    email: user.email,
+    name: user.name,
+  });
+});
+
+// A line item as the catalogue sells it: name, SKU and price come from the
+// product (or variant), whatever the client sent, and the category is kept
+// for discounts scoped to categories. path names the fields in errors
+async function priceItem({ productId, variantId, quantity }, path = "") {
+  const { sku, name, price, ...details } = await productService.lookupItem(
+    productId,
+    variantId,
+    path
+  );
+  const product = await productService.findProductById(details.productId);
+
+  return {
+    productId: details.productId,
+    ...(details.variantId && { variantId: details.variantId }),
+    sku,
+    name,
+    price,
+    quantity,
+    category: product.category,
+  };
+}
+
+// Change status, store the order and run the lifecycle hooks; must be
+// called inside a transaction. Returns the context for after-hooks.
+async function applyTransition(order, newStatus, { changedBy, reason }) {
+  const from = order.status;
+  order.updateStatus(newStatus, { changedBy, reason });
+  await orders.save(order);
+
+  const context = { order, from, to: newStatus, changedBy, reason };
+  await Order.lifecycle.runEnterHooks(context);
+
+  const data = {
+    order: order.toJSON(),
+    from,
+    to: newStatus,
+    changedBy,
+    reason,
+  };
+  afterCommit(() => eventBus.publish(EVENTS.STATUS_CHANGED, data));
+  return context;
+}
+
+// Record a capture on an order and store it
+async function recordCapture(order, { amount, createdBy = null }) {
+  if (order.status === Order.STATUS.CANCELLED) {
+    throw new ConflictError(
+      "Cannot capture payment for a cancelled order",
+      "ORDER_CANCELLED"
+    );
+  }
+
+  const payment = order.recordPayment({
+    type: Order.PAYMENT_TYPE.CAPTURE,
+    amount:
+      amount === undefined ? order.getPaymentSummary().balanceDue : amount,
+    createdBy,
+  });
+  await orders.save(order);
+  return payment;
+}
+
+// Record a refund on an order and store it.
+// - no amount and no items: refund everything still refundable
+// - items only: refund their value at the ordered price
+// - amount (with or without items): refund exactly that amount
+// Refunded items go back into stock unless restock is false; items of a
+// cancelled order were already restocked when it was cancelled.
+async function recordRefund(
+  order,
+  { amount, items, reason = "", restock = true, createdBy = null }
+) {
+  let refundItems = items || [];
+  let refundAmount = amount;
+
+  if (amount === undefined && !items) {
+    refundItems = order
+      .getRefundableItems()
+      .map(({ price, ...item }) => item);
+    refundAmount = order.getPaymentSummary().netPaid;
+
+    if (refundAmount === 0) {
+      throw new ConflictError("Nothing left to refund", "NOTHING_TO_REFUND");
     }
+  } else if (amount === undefined) {
+    refundAmount = refundItems.reduce((total, item) => {
+      const line = order.findItem(item.productId, item.variantId);
+      return total + (line ? line.price * item.quantity : 0);
+    }, 0);
+  }
+
+  const payment = order.recordPayment({
+    type: Order.PAYMENT_TYPE.REFUND,
+    amount: refundAmount,
+    items: refundItems,
+    reason,
+    createdBy,
+  });
+  await orders.save(order);
+
+  if (
+    restock &&
+    payment.items.length > 0 &&
+    order.status !== Order.STATUS.CANCELLED
+  ) {
+    await productService.releaseStock(payment.items, {
+      reason: StockMovement.REASON.REFUND,
+      orderId: order.id,
+      actorId: createdBy,
+      note: reason,
+    });
+  }
+
+  return payment;
+}
+
+function paymentView(order) {
+  return {
+    orderId: order.id,
+    paymentStatus: order.paymentStatus,
+    ...order.getPaymentSummary(),
+    refundableItems: order.getRefundableItems(),
+    payments: order.payments,
+  };
+}
+
+// Filters, sorting and fields accepted by findOrders (see utils/queryParser)
+const orderQuery = {
+  filters: {
+    id: "number",
+    userId: "number",
+    status: { type: "string", values: Object.values(Order.STATUS) },
+    paymentStatus: {
+      type: "string",
+      values: Object.values(Order.PAYMENT_STATUS),
+    },
+    paymentMethod: "string",
+    totalAmount: "number",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  selectable: [
+    "id",
+    "userId",
+    "items",
+    "status",
+    "totalAmount",
+    "shippingAddress",
+    "billingAddress",
+    "paymentMethod",
+    "paymentStatus",
+    "notes",
+    "createdAt",
+    "updatedAt",
+  ],
+  aliases: {
+    startDate: ["createdAt", "gte"],
+    endDate: ["createdAt", "lte"],
+  },
+  defaultSort: "-createdAt",
+};
 
-    // Apply date range filter
-    if (startDate) {
-      const start = new Date(startDate);
-      filteredOrders = filteredOrders.filter(
-        (order) => new Date(order.createdAt) >= start
-      );
-    }
+const orderService = {
+  // Get all orders with pagination and filtering
+  async findOrders(options = {}) {
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, orderQuery);
 
-    if (endDate) {
-      const end = new Date(endDate);
-      filteredOrders = filteredOrders.filter(
-        (order) => new Date(order.createdAt) <= end
-      );
-    }
+    const filteredOrders = queryParser.applyFilters(
+      await orders.findAll(),
+      filters
+    );
 
     // Apply sorting
-    const [sortField, sortOrder] = sort.startsWith("-")
-      ? [sort.slice(1), "desc"]
-      : [sort, "asc"];
-    filteredOrders.sort((a, b) => {
-      let aValue = a[sortField];
-      let bValue = b[sortField];
-
-      if (sortField === "createdAt" || sortField === "updatedAt") {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
-      }
-
-      if (aValue < bValue) return sortOrder === "asc" ? -1 : 1;
-      if (aValue > bValue) return sortOrder === "asc" ? 1 : -1;
-      return 0;
-    });
+    filteredOrders.sort(queryParser.comparator(sort));
+
+    const toResponse = (order) =>
+      queryParser.selectFields(order.toJSON(), fields);
+
+    // Apply cursor pagination
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredOrders, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        orders: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalOrders: filteredOrders.length,
+        },
+      };
+    }
 
     // Apply pagination
     const offset = (page - 1) * limit;
     const paginatedOrders = filteredOrders.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredOrders.length;
+    const hasPrevPage = page > 1;
 
     return {
-      orders: paginatedOrders.map((order) => order.toJSON()),
+      orders: paginatedOrders.map(toResponse),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(filteredOrders.length / limit),
         totalOrders: filteredOrders.length,
-        hasNextPage: offset + limit < filteredOrders.length,
-        hasPrevPage: page > 1,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedOrders, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
       },
     };
   },
 
   // Find order by ID
   async findOrderById(id) {
-    const order = orders.find((o) => o.id === parseInt(id));
+    const order = await orders.findById(id);
     return order ? order.toJSON() : null;
   },
 
@@ -158,109 +371,174 @@ const orderService = {
   async createOrder(orderData) {
     const validation = Order.validate(orderData);
     if (!validation.isValid) {
-      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+      throw new ValidationError(validation.errors);
     }
 
-    // Validate product availability and prices
-    for (const item of orderData.items) {
-      const product = await productService.findProductById(item.productId);
-      if (!product) {
-        throw new Error(`Product with ID ${item.productId} not found`);
-      }
-      if (product.stock < item.quantity) {
-        throw new Error(`Insufficient stock for product ${product.name}`);
+    const { couponCode, ...orderFields } = validation.value;
+    const newOrder = new Order({
+      ...orderFields,
+      id: null,
+    });
+
+    newOrder.recordStatusChange(null, newOrder.status, {
+      changedBy: newOrder.userId,
+      reason: "Order placed",
+    });
+
+    // Price the order, store it, reserve its stock and redeem its discounts
+    // as one unit: if any item is short, the order is not stored either.
+    // The insert comes before the reservation so the stock ledger can name
+    // the order.
+    return transaction(async () => {
+      const items = [];
+      for (const [index, item] of newOrder.items.entries()) {
+        items.push(await priceItem(item, `items[${index}].`));
       }
-    }
+      newOrder.items = items;
+      newOrder.calculateTotal(
+        await couponService.discountsFor(newOrder.items, couponCode)
+      );
 
-    const newOrder = new Order({
-      ...orderData,
-      id: nextOrderId++,
+      await orders.insert(newOrder);
+      await productService.reserveStock(newOrder.items, {
+        orderId: newOrder.id,
+        actorId: newOrder.userId,
+      });
+      await couponService.redeem(newOrder.pricing.discounts);
+
+      const data = { order: newOrder.toJSON() };
+      afterCommit(() => eventBus.publish(EVENTS.CREATED, data));
+      return newOrder.toJSON();
     });
+  },
 
-    // Calculate total amount
-    newOrder.calculateTotal();
+  // Update order status (transitions are defined by Order.lifecycle).
+  // ifMatch: If-Match header the caller sent, for the order in
+  // representation (API version); a stale ETag is rejected
+  async updateOrderStatus(
+    id,
+    newStatus,
+    { changedBy = null, reason = "", ifMatch, representation } = {}
+  ) {
+    const transition = await transaction(async () => {
+      const order = await orders.findById(id);
+      if (!order) {
+        throw new NotFoundError("Order");
+      }
+      etag.assertMatch(ifMatch, order.toJSON(), representation);
 
-    // Update product stock
-    for (const item of orderData.items) {
-      await productService.updateStock(item.productId, -item.quantity);
-    }
+      return applyTransition(order, newStatus, { changedBy, reason });
+    });
 
-    orders.push(newOrder);
-    return newOrder.toJSON();
+    await Order.lifecycle.runAfterHooks(transition);
+    return transition.order.toJSON();
   },
 
-  // Update order status
-  async updateOrderStatus(id, newStatus) {
-    const order = orders.find((o) => o.id === parseInt(id));
+  // Get the status history of an order
+  async getOrderHistory(id) {
+    const order = await orders.findById(id);
     if (!order) {
-      throw new Error("Order not found");
+      return null;
     }
 
-    // Validate status transition
-    const validTransitions = {
-      pending: ["confirmed", "cancelled"],
-      confirmed: ["processing", "cancelled"],
-      processing: ["shipped", "cancelled"],
-      shipped: ["delivered"],
-      delivered: [],
-      cancelled: [],
+    return {
+      orderId: order.id,
+      status: order.status,
+      allowedTransitions: Order.lifecycle.allowedTransitions(order.status),
+      history: order.statusHistory,
     };
+  },
 
-    if (!validTransitions[order.status].includes(newStatus)) {
-      throw new Error(`Cannot transition from ${order.status} to ${newStatus}`);
-    }
+  // Update payment status; "paid" captures the balance due and
+  // "refunded" refunds everything, other statuses follow Order rules
+  async updatePaymentStatus(id, newPaymentStatus, { createdBy = null } = {}) {
+    return transaction(async () => {
+      const order = await orders.findById(id);
+      if (!order) {
+        throw new NotFoundError("Order");
+      }
+
+      if (newPaymentStatus === Order.PAYMENT_STATUS.PAID) {
+        await recordCapture(order, { createdBy });
+      } else if (newPaymentStatus === Order.PAYMENT_STATUS.REFUNDED) {
+        await recordRefund(order, { createdBy });
+      } else {
+        order.updatePaymentStatus(newPaymentStatus);
+        await orders.save(order);
+      }
+
+      return order.toJSON();
+    });
+  },
 
-    order.updateStatus(newStatus);
+  // Get the payment ledger of an order
+  async getPayments(id) {
+    const order = await orders.findById(id);
+    return order ? paymentView(order) : null;
+  },
 
-    // If order is cancelled, restore product stock
-    if (newStatus === "cancelled") {
-      for (const item of order.items) {
-        await productService.updateStock(item.productId, item.quantity);
+  // Capture a payment; amount defaults to the balance due
+  async capturePayment(id, data = {}) {
+    return transaction(async () => {
+      const order = await orders.findById(id);
+      if (!order) {
+        throw new NotFoundError("Order");
       }
-    }
 
-    return order.toJSON();
+      await recordCapture(order, data);
+      return paymentView(order);
+    });
   },
 
-  // Update payment status
-  async updatePaymentStatus(id, newPaymentStatus) {
-    const order = orders.find((o) => o.id === parseInt(id));
-    if (!order) {
-      throw new Error("Order not found");
-    }
+  // Refund a payment (see recordRefund above for the options)
+  async refundPayment(id, data = {}) {
+    return transaction(async () => {
+      const order = await orders.findById(id);
+      if (!order) {
+        throw new NotFoundError("Order");
+      }
 
-    order.updatePaymentStatus(newPaymentStatus);
-    return order.toJSON();
+      await recordRefund(order, data);
+      return paymentView(order);
+    });
   },
 
   // Cancel order
-  async cancelOrder(id, reason = "") {
-    const order = orders.find((o) => o.id === parseInt(id));
-    if (!order) {
-      throw new Error("Order not found");
-    }
+  async cancelOrder(id, reason = "", changedBy = null) {
+    const transition = await transaction(async () => {
+      const order = await orders.findById(id);
+      if (!order) {
+        throw new NotFoundError("Order");
+      }
 
-    if (order.status === "delivered") {
-      throw new Error("Cannot cancel delivered order");
-    }
+      if (order.status === Order.STATUS.CANCELLED) {
+        throw new ConflictError(
+          "Order is already cancelled",
+          "ORDER_ALREADY_CANCELLED"
+        );
+      }
 
-    if (order.status === "cancelled") {
-      throw new Error("Order is already cancelled");
-    }
+      if (!Order.lifecycle.can(order.status, Order.STATUS.CANCELLED)) {
+        throw new ConflictError(
+          `Cannot cancel ${order.status} order`,
+          "CANNOT_CANCEL_ORDER"
+        );
+      }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await productService.updateStock(item.productId, item.quantity);
-    }
+      if (reason) {
+        order.notes = order.notes
+          ? `${order.notes}\nCancellation reason: ${reason}`
+          : `Cancellation reason: ${reason}`;
+      }
 
-    order.updateStatus("cancelled");
-    if (reason) {
-      order.notes = order.notes
-        ? `${order.notes}\nCancellation reason: ${reason}`
-        : `Cancellation reason: ${reason}`;
-    }
+      return applyTransition(order, Order.STATUS.CANCELLED, {
+        changedBy,
+        reason,
+      });
+    });
 
-    return order.toJSON();
+    await Order.lifecycle.runAfterHooks(transition);
+    return transition.order.toJSON();
   },
 
   // Get orders by user
@@ -270,10 +548,12 @@ const orderService = {
 
   // Get order statistics
   async getOrderStats(userId = null) {
-    let ordersToAnalyze = orders;
+    let ordersToAnalyze = await orders.findAll();
 
     if (userId) {
-      ordersToAnalyze = orders.filter((o) => o.userId === parseInt(userId));
+      ordersToAnalyze = ordersToAnalyze.filter(
+        (o) => o.userId === parseInt(userId)
+      );
     }
 
     const totalOrders = ordersToAnalyze.length;
@@ -303,60 +583,79 @@ const orderService = {
 
   // Get recent orders
   async getRecentOrders(limit = 10) {
-    const sortedOrders = [...orders].sort(
+    const sortedOrders = (await orders.findAll()).sort(
       (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
     );
     return sortedOrders.slice(0, limit).map((order) => order.toJSON());
   },
 
-  // Add item to order (if order is still pending)
-  async addItemToOrder(orderId, item) {
-    const order = orders.find((o) => o.id === parseInt(orderId));
-    if (!order) {
-      throw new Error("Order not found");
-    }
-
-    if (order.status !== "pending") {
-      throw new Error("Cannot modify confirmed order");
-    }
+  // Add item to order (if order is still pending); actorId: the user
+  // making the change, for the stock ledger
+  async addItemToOrder(orderId, item, { actorId = null } = {}) {
+    return transaction(async () => {
+      const order = await orders.findById(orderId);
+      if (!order) {
+        throw new NotFoundError("Order");
+      }
 
-    // Validate product availability
-    const product = await productService.findProductById(item.productId);
-    if (!product) {
-      throw new Error(`Product with ID ${item.productId} not found`);
-    }
-    if (product.stock < item.quantity) {
-      throw new Error(`Insufficient stock for product ${product.name}`);
-    }
+      if (order.status !== "pending") {
+        throw new ConflictError(
+          "Cannot modify confirmed order",
+          "ORDER_NOT_MODIFIABLE"
+        );
+      }
 
-    order.addItem(item);
-    await productService.updateStock(item.productId, -item.quantity);
+      // Priced again with the discounts the order already has
+      const line = await priceItem(item);
+      order.addItem(line);
+      await productService.reserveStock([line], { orderId: order.id, actorId });
+      await orders.save(order);
 
-    return order.toJSON();
+      return order.toJSON();
+    });
   },
 
-  // Remove item from order (if order is still pending)
-  async removeItemFromOrder(orderId, productId) {
-    const order = orders.find((o) => o.id === parseInt(orderId));
-    if (!order) {
-      throw new Error("Order not found");
-    }
+  // Remove item from order (if order is still pending); variantId names
+  // the line of a product ordered in several variants
+  async removeItemFromOrder(
+    orderId,
+    productId,
+    variantId = null,
+    { actorId = null } = {}
+  ) {
+    return transaction(async () => {
+      const order = await orders.findById(orderId);
+      if (!order) {
+        throw new NotFoundError("Order");
+      }
 
-    if (order.status !== "pending") {
-      throw new Error("Cannot modify confirmed order");
-    }
+      if (order.status !== "pending") {
+        throw new ConflictError(
+          "Cannot modify confirmed order",
+          "ORDER_NOT_MODIFIABLE"
+        );
+      }
 
-    const item = order.items.find((i) => i.productId === parseInt(productId));
-    if (!item) {
-      throw new Error("Item not found in order");
-    }
+      const item = order.findItem(productId, variantId);
+      if (!item) {
+        throw new NotFoundError("Order item", "Item not found in order");
+      }
 
-    // Restore product stock
-    await productService.updateStock(productId, item.quantity);
+      // Restore product stock
+      await productService.releaseStock([item], {
+        reason: StockMovement.REASON.ORDER_ITEM_REMOVED,
+        orderId: order.id,
+        actorId,
+      });
 
-    order.removeItem(parseInt(productId));
-    return order.toJSON();
+      order.removeItem(productId, variantId);
+      await orders.save(order);
+      return order.toJSON();
+    });
   },
 };
 
+// Also parsed by the order list routes, see middleware/listQuery
+orderService.query = orderQuery;
+
 module.exports = orderService;
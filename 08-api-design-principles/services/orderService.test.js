@@ -0,0 +1,201 @@
+const Order = require("../models/Order");
+const orderService = require("./orderService");
+const productService = require("./productService");
+const eventBus = require("../utils/eventBus");
+
+const shippingAddress = {
+  street: "123 Main St",
+  city: "New York",
+  zipCode: "10001",
+  country: "USA",
+};
+
+const placeOrder = (items, userId = 1) =>
+  orderService.createOrder({
+    userId,
+    items,
+    shippingAddress,
+    paymentMethod: "credit_card",
+  });
+
+const stockOf = async (productId) =>
+  (await productService.findProductById(productId)).stock;
+
+describe("orderService.createOrder", () => {
+  test("concurrent orders never oversell", async () => {
+    const before = await stockOf(3);
+    const attempts = Array.from({ length: 10 }, () =>
+      placeOrder([{ productId: 3, quantity: 3 }])
+    );
+
+    const results = await Promise.allSettled(attempts);
+    const placed = results.filter((result) => result.status === "fulfilled");
+
+    expect(placed).toHaveLength(Math.floor(before / 3));
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach(({ reason }) => {
+        expect(reason.code).toBe("INSUFFICIENT_STOCK");
+      });
+    expect(await stockOf(3)).toBe(before % 3);
+  });
+
+  test("an order that cannot be stocked is not stored", async () => {
+    const { orders: before } = await orderService.findOrders({ limit: 100 });
+
+    await expect(
+      placeOrder([
+        { productId: 1, quantity: 1 },
+        { productId: 2, quantity: 10000 },
+      ])
+    ).rejects.toMatchObject({ code: "INSUFFICIENT_STOCK" });
+
+    const { orders: after } = await orderService.findOrders({ limit: 100 });
+    expect(after).toHaveLength(before.length);
+  });
+
+  test("prices lines from the catalogue", async () => {
+    const order = await placeOrder([
+      { productId: 2, quantity: 2, price: 0.01, name: "Free mouse" },
+    ]);
+
+    expect(order.items).toEqual([
+      expect.objectContaining({
+        productId: 2,
+        name: "Wireless Mouse",
+        price: 29.99,
+        quantity: 2,
+      }),
+    ]);
+  });
+});
+
+describe("orderService lifecycle", () => {
+  test("cancelling an order puts its stock back", async () => {
+    const before = await stockOf(2);
+    const order = await placeOrder([{ productId: 2, quantity: 3 }]);
+
+    const cancelled = await orderService.cancelOrder(order.id, "", 1);
+
+    expect(cancelled.status).toBe("cancelled");
+    expect(await stockOf(2)).toBe(before);
+  });
+
+  test("a failing hook leaves the order untouched", async () => {
+    const order = await placeOrder([{ productId: 2, quantity: 1 }]);
+    const remove = Order.lifecycle.onEnter("confirmed", () => {
+      throw new Error("Payment provider down");
+    });
+
+    await expect(
+      orderService.updateOrderStatus(order.id, "confirmed")
+    ).rejects.toThrow("Payment provider down");
+    remove();
+
+    const { status, history } = await orderService.getOrderHistory(order.id);
+    expect(status).toBe("pending");
+    expect(history).toHaveLength(1);
+  });
+
+  test("after hooks run once the change is stored", async () => {
+    const order = await placeOrder([{ productId: 2, quantity: 1 }]);
+    const seen = [];
+    const remove = Order.lifecycle.afterEnter("confirmed", async (context) => {
+      const stored = await orderService.findOrderById(context.order.id);
+      seen.push([context.from, context.to, stored.status]);
+    });
+
+    await orderService.updateOrderStatus(order.id, "confirmed");
+    remove();
+
+    expect(seen).toEqual([["pending", "confirmed", "confirmed"]]);
+  });
+
+  test("shipping an order publishes order.shipped for the mailer", async () => {
+    const order = await placeOrder([{ productId: 2, quantity: 1 }]);
+    const published = [];
+    const remove = eventBus.subscribe("order.shipped", (event) =>
+      published.push(event.data)
+    );
+
+    for (const status of ["confirmed", "processing", "shipped"]) {
+      await orderService.updateOrderStatus(order.id, status);
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+    remove();
+
+    expect(published).toEqual([
+      expect.objectContaining({
+        order: expect.objectContaining({ id: order.id, status: "shipped" }),
+        email: "john@example.com",
+        name: expect.any(String),
+      }),
+    ]);
+  });
+});
+
+describe("orderService refunds", () => {
+  test("refunded items are restocked once, by the refund", async () => {
+    const before = await stockOf(2);
+    const order = await placeOrder([{ productId: 2, quantity: 3 }]);
+    await orderService.capturePayment(order.id);
+
+    const ledger = await orderService.refundPayment(order.id, {
+      items: [{ productId: 2, quantity: 1 }],
+      reason: "Damaged",
+    });
+
+    expect(ledger.payments[1]).toMatchObject({
+      type: "refund",
+      amount: 29.99,
+      items: [{ productId: 2, quantity: 1 }],
+    });
+    expect(ledger.paymentStatus).toBe("partially_refunded");
+    expect(await stockOf(2)).toBe(before - 2);
+
+    await orderService.cancelOrder(order.id, "Changed my mind", 1);
+
+    expect(await stockOf(2)).toBe(before);
+  });
+
+  test("refunds can leave the stock alone", async () => {
+    const before = await stockOf(2);
+    const order = await placeOrder([{ productId: 2, quantity: 2 }]);
+    await orderService.capturePayment(order.id);
+
+    await orderService.refundPayment(order.id, {
+      items: [{ productId: 2, quantity: 2 }],
+      restock: false,
+    });
+
+    expect(await stockOf(2)).toBe(before - 2);
+  });
+
+  test("a full refund pays back all that is left", async () => {
+    const order = await placeOrder([{ productId: 2, quantity: 2 }]);
+    await orderService.capturePayment(order.id);
+    const { netPaid } = await orderService.refundPayment(order.id, {
+      items: [{ productId: 2, quantity: 1 }],
+    });
+
+    const ledger = await orderService.refundPayment(order.id);
+
+    expect(ledger.payments[2]).toMatchObject({
+      amount: netPaid,
+      items: [{ productId: 2, quantity: 1 }],
+    });
+    expect(ledger.paymentStatus).toBe("refunded");
+    await expect(orderService.refundPayment(order.id)).rejects.toMatchObject({
+      code: "NOTHING_TO_REFUND",
+    });
+  });
+
+  test("cancelled orders cannot be charged", async () => {
+    const order = await placeOrder([{ productId: 2, quantity: 1 }]);
+    await orderService.cancelOrder(order.id);
+
+    await expect(orderService.capturePayment(order.id)).rejects.toMatchObject({
+      code: "ORDER_CANCELLED",
+    });
+  });
+});
@@ -1,10 +1,33 @@
 // Product Service
 // Business logic for product operations
+//
+// Publishes product.created, product.updated (including its variants) and
+// product.deleted with data { product } once the change is committed (see
+// utils/eventBus); stock alerts come from inventoryService.
 
 const Product = require("../models/Product");
-
-// In-memory storage for demonstration (replace with database in production)
-let products = [
+const StockMovement = require("../models/StockMovement");
+const inventoryService = require("./inventoryService");
+const { cache } = require("../cache");
+const {
+  afterCommit,
+  createRepository,
+  transaction,
+} = require("../repositories");
+const { highlighter, SearchIndex } = require("../search");
+const {
+  ConflictError,
+  InsufficientStockError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const etag = require("../utils/etag");
+const eventBus = require("../utils/eventBus");
+const paginationUtils = require("../utils/paginationUtils");
+const queryParser = require("../utils/queryParser");
+
+// Sample data, inserted the first time the products collection is created
+const seedProducts = [
   new Product({
     id: 1,
     name: "Laptop Pro",
@@ -41,240 +64,894 @@ let products = [
     specifications: { capacity: "12 cups", features: "Timer, Auto-shut off" },
     createdAt: new Date("2024-01-03"),
   }),
+  new Product({
+    id: 4,
+    name: "Classic T-Shirt",
+    description: "Organic cotton crew-neck t-shirt",
+    price: 19.99,
+    category: "clothing",
+    stock: 45,
+    sku: "TSH001",
+    images: ["tshirt1.jpg"],
+    variants: [
+      {
+        id: 1,
+        sku: "TSH001-S-BLU",
+        price: null,
+        attributes: { size: "S", colour: "blue" },
+        stock: 10,
+      },
+      {
+        id: 2,
+        sku: "TSH001-M-BLU",
+        price: null,
+        attributes: { size: "M", colour: "blue" },
+        stock: 20,
+      },
+      {
+        id: 3,
+        sku: "TSH001-XL-BLK",
+        price: 22.99,
+        attributes: { size: "XL", colour: "black" },
+        stock: 15,
+      },
+    ],
+    createdAt: new Date("2024-01-04"),
+  }),
 ];
 
-let nextProductId = 4;
+const products = createRepository("products", {
+  model: Product,
+  seed: seedProducts,
+});
+
+// Cached reads (findProducts, getCategories, getProductStats,
+// searchProducts); every write that changes products or their stock
+// invalidates it
+const CACHE_NAMESPACE = "products";
+
+const EVENTS = {
+  CREATED: "product.created",
+  UPDATED: "product.updated",
+  DELETED: "product.deleted",
+};
+
+// Full-text index for searchProducts, loaded from the repository by the first
+// search and updated by every write that changes a product's text. Boosts
+// rank a match in the name above one in the description.
+const searchIndex = new SearchIndex({
+  fields: { name: 3, sku: 2.5, category: 2, attributes: 1.5, description: 1 },
+  load: async () => (await products.findAll()).map(searchDocument),
+});
+
+// Price facet buckets: [from, to)
+const PRICE_BUCKETS = [0, 50, 100, 500, 1000, Infinity];
+
+// Filters, sorting and fields accepted by findProducts (see utils/queryParser)
+const productQuery = {
+  filters: {
+    id: "number",
+    name: "string",
+    category: "string",
+    price: "number",
+    stock: "number",
+    sku: "string",
+    isActive: "boolean",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  selectable: [
+    "id",
+    "name",
+    "description",
+    "price",
+    "category",
+    "stock",
+    "sku",
+    "images",
+    "specifications",
+    "isActive",
+    "createdAt",
+    "updatedAt",
+  ],
+  aliases: {
+    minPrice: ["price", "gte"],
+    maxPrice: ["price", "lte"],
+  },
+  params: ["search", "inStock", "attributes"],
+  defaultSort: "id",
+};
 
 const productService = {
-  // Get all products with pagination and filtering
+  // Get all products with pagination and filtering (cached)
   async findProducts(options = {}) {
-    const {
-      page = 1,
-      limit = 10,
-      search = "",
-      category = "",
-      minPrice = 0,
-      maxPrice = Infinity,
-      sort = "id",
-      inStock = "",
-    } = options;
-
-    let filteredProducts = [...products];
-
-    // Apply search filter
-    if (search) {
-      filteredProducts = filteredProducts.filter(
-        (product) =>
-          product.name.toLowerCase().includes(search.toLowerCase()) ||
-          product.description.toLowerCase().includes(search.toLowerCase()) ||
-          product.sku.toLowerCase().includes(search.toLowerCase())
+    return cache.wrap(CACHE_NAMESPACE, ["findProducts", options], async () => {
+      const { page = 1, limit = 10, cursor = "" } = options;
+      const { filters, sort, fields, params } = queryParser.parse(
+        options,
+        productQuery
       );
-    }
 
-    // Apply category filter
-    if (category) {
-      filteredProducts = filteredProducts.filter(
-        (product) => product.category === category
+      let filteredProducts = queryParser.applyFilters(
+        await products.findAll(),
+        filters
       );
-    }
 
-    // Apply price range filter
-    filteredProducts = filteredProducts.filter(
-      (product) => product.price >= minPrice && product.price <= maxPrice
-    );
+      // Apply search filter
+      if (params.search) {
+        const search = String(params.search).toLowerCase();
+        filteredProducts = filteredProducts.filter(
+          (product) =>
+            product.name.toLowerCase().includes(search) ||
+            product.description.toLowerCase().includes(search) ||
+            product.sku.toLowerCase().includes(search)
+        );
+      }
+
+      // Apply variant attribute filter (attributes[size]=M,L)
+      if (params.attributes && typeof params.attributes === "object") {
+        filteredProducts = filteredProducts.filter(
+          (product) => product.variantsMatching(params.attributes).length > 0
+        );
+      }
 
-    // Apply stock filter
-    if (inStock !== "") {
-      if (inStock === "true") {
+      // Apply stock filter
+      if (params.inStock === "true") {
         filteredProducts = filteredProducts.filter(
           (product) => product.stock > 0
         );
-      } else if (inStock === "false") {
+      } else if (params.inStock === "false") {
         filteredProducts = filteredProducts.filter(
           (product) => product.stock === 0
         );
       }
-    }
 
-    // Apply sorting
-    const [sortField, sortOrder] = sort.startsWith("-")
-      ? [sort.slice(1), "desc"]
-      : [sort, "asc"];
-    filteredProducts.sort((a, b) => {
-      let aValue = a[sortField];
-      let bValue = b[sortField];
-
-      if (aValue < bValue) return sortOrder === "asc" ? -1 : 1;
-      if (aValue > bValue) return sortOrder === "asc" ? 1 : -1;
-      return 0;
-    });
-
-    // Apply pagination
-    const offset = (page - 1) * limit;
-    const paginatedProducts = filteredProducts.slice(offset, offset + limit);
+      // Apply sorting
+      filteredProducts.sort(queryParser.comparator(sort));
+
+      const toResponse = (product) =>
+        queryParser.selectFields(product.toJSON(), fields);
+
+      // Apply cursor pagination
+      if (cursor) {
+        const result = paginationUtils.paginateByCursor(filteredProducts, {
+          cursor,
+          limit,
+          sort,
+        });
+
+        return {
+          products: result.items.map(toResponse),
+          pagination: {
+            ...result.pagination,
+            totalProducts: filteredProducts.length,
+          },
+        };
+      }
 
-    return {
-      products: paginatedProducts.map((product) => product.toJSON()),
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(filteredProducts.length / limit),
-        totalProducts: filteredProducts.length,
-        hasNextPage: offset + limit < filteredProducts.length,
-        hasPrevPage: page > 1,
-      },
-    };
+      // Apply pagination
+      const offset = (page - 1) * limit;
+      const paginatedProducts = filteredProducts.slice(offset, offset + limit);
+      const hasNextPage = offset + limit < filteredProducts.length;
+      const hasPrevPage = page > 1;
+
+      return {
+        products: paginatedProducts.map(toResponse),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(filteredProducts.length / limit),
+          totalProducts: filteredProducts.length,
+          hasNextPage,
+          hasPrevPage,
+          ...paginationUtils.pageCursors(paginatedProducts, sort, {
+            hasNextPage,
+            hasPrevPage,
+          }),
+        },
+      };
+    });
   },
 
   // Find product by ID
   async findProductById(id) {
-    const product = products.find((p) => p.id === parseInt(id));
+    const product = await products.findById(id);
+    return product ? product.toJSON() : null;
+  },
+
+  // Find product by its own SKU (not a variant's); uncached
+  async findProductBySku(sku) {
+    const product = await products.findOne((p) => p.sku === sku);
     return product ? product.toJSON() : null;
   },
 
-  // Create new product
-  async createProduct(productData) {
+  // Create new product; its opening stock is the first ledger entry.
+  // actorId: the user creating it
+  async createProduct(productData, { actorId = null } = {}) {
     const validation = Product.validate(productData);
     if (!validation.isValid) {
-      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
-    }
-
-    // Check if SKU already exists
-    const existingProduct = products.find((p) => p.sku === productData.sku);
-    if (existingProduct) {
-      throw new Error("SKU already exists");
+      throw new ValidationError(validation.errors);
     }
-
-    const newProduct = new Product({
-      ...productData,
-      id: nextProductId++,
+    const { variants = [], ...data } = validation.value;
+
+    return transaction(async () => {
+      // SKUs must be unique across products and variants
+      await assertSkusAvailable([data.sku, ...variants.map((v) => v.sku)]);
+
+      const newProduct = new Product({ ...data, id: null });
+      variants.forEach((variant, index) => {
+        assertAttributesAvailable(newProduct, variant.attributes, {
+          path: `variants[${index}].attributes`,
+        });
+        newProduct.addVariant(variant);
+      });
+
+      await products.insert(newProduct);
+      await inventoryService.record(
+        newProduct,
+        newProduct.hasVariants()
+          ? newProduct.variants.map((v) => ({ variant: v, quantity: v.stock }))
+          : [{ variant: null, quantity: newProduct.stock }],
+        { reason: StockMovement.REASON.INITIAL, actorId }
+      );
+      reindex(newProduct);
+      await cache.invalidate(CACHE_NAMESPACE);
+      publish(EVENTS.CREATED, newProduct);
+      return newProduct.toJSON();
     });
-
-    products.push(newProduct);
-    return newProduct.toJSON();
   },
 
   // Update product
-  async updateProduct(id, productData) {
-    const product = products.find((p) => p.id === parseInt(id));
-    if (!product) {
-      throw new Error("Product not found");
-    }
-
-    // Validate only provided fields
-    const fieldsToValidate = { ...product };
-    Object.keys(productData).forEach((key) => {
-      if (productData[key] !== undefined) {
-        fieldsToValidate[key] = productData[key];
+  // ifMatch: If-Match header the caller sent, for the product in
+  // representation (API version); a stale ETag is rejected.
+  // actorId: the user making the change, for the ledger
+  async updateProduct(
+    id,
+    productData,
+    { ifMatch, representation, actorId = null } = {}
+  ) {
+    return transaction(async () => {
+      const product = await products.findById(id);
+      if (!product) {
+        throw new NotFoundError("Product");
       }
-    });
+      etag.assertMatch(ifMatch, product.toJSON(), representation);
 
-    const validation = Product.validate(fieldsToValidate);
-    if (!validation.isValid) {
-      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
-    }
+      // Validate only provided fields
+      const validation = Product.validate(productData, { partial: true });
+      if (!validation.isValid) {
+        throw new ValidationError(validation.errors);
+      }
+      const changes = validation.value;
+
+      // Variants, and the stock of a product with variants, change through
+      // the variant methods below
+      const errors = [];
+      if (changes.variants !== undefined) {
+        errors.push({
+          path: "variants",
+          message: "variants are changed through /products/{id}/variants",
+        });
+      }
+      if (
+        changes.stock !== undefined &&
+        changes.stock !== product.stock &&
+        product.hasVariants()
+      ) {
+        errors.push({
+          path: "stock",
+          message: "stock of a product with variants is set per variant",
+        });
+      }
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
 
-    // Check if SKU already exists (excluding current product)
-    if (productData.sku && productData.sku !== product.sku) {
-      const existingProduct = products.find(
-        (p) => p.sku === productData.sku && p.id !== product.id
-      );
-      if (existingProduct) {
-        throw new Error("SKU already exists");
+      // Check if SKU already exists (excluding current product)
+      if (changes.sku && changes.sku !== product.sku) {
+        await assertSkusAvailable(
+          [changes.sku],
+          (p, variant) => p.id === product.id && !variant
+        );
       }
-    }
 
-    product.update(productData);
-    return product.toJSON();
+      const stockBefore = product.stock;
+      product.update(changes);
+      await products.save(product);
+      await inventoryService.record(
+        product,
+        [{ variant: null, quantity: product.stock - stockBefore }],
+        { reason: StockMovement.REASON.ADJUSTMENT, actorId }
+      );
+      reindex(product);
+      await cache.invalidate(CACHE_NAMESPACE);
+      publish(EVENTS.UPDATED, product);
+      return product.toJSON();
+    });
   },
 
   // Delete product
   async deleteProduct(id) {
-    const productIndex = products.findIndex((p) => p.id === parseInt(id));
-    if (productIndex === -1) {
-      throw new Error("Product not found");
+    const deletedProduct = await products.delete(id);
+    if (!deletedProduct) {
+      throw new NotFoundError("Product");
     }
 
-    const deletedProduct = products.splice(productIndex, 1)[0];
+    searchIndex.remove(deletedProduct.id);
+    await cache.invalidate(CACHE_NAMESPACE);
+    publish(EVENTS.DELETED, deletedProduct);
     return deletedProduct.toJSON();
   },
 
-  // Get product categories
+  // Get product categories (cached)
   async getCategories() {
-    const categories = [...new Set(products.map((p) => p.category))];
-    return categories.map((category) => ({
-      name: category,
-      count: products.filter((p) => p.category === category).length,
-    }));
+    return cache.wrap(CACHE_NAMESPACE, ["categories"], async () => {
+      const allProducts = await products.findAll();
+      const categories = [...new Set(allProducts.map((p) => p.category))];
+      return categories.map((category) => ({
+        name: category,
+        count: allProducts.filter((p) => p.category === category).length,
+      }));
+    });
   },
 
-  // Search products
+  // Full-text search of active products (cached). Results are ranked by
+  // relevance unless sorted otherwise, and carry highlighted matches; facets
+  // count the matches by category, price bucket and availability.
+  // attributes ({ size: "M,L" }) keeps products with a matching variant.
   async searchProducts(query, options = {}) {
-    const {
-      category = "",
-      minPrice = 0,
-      maxPrice = Infinity,
-      sort = "relevance",
-    } = options;
-
-    let results = products.filter((product) => {
-      const matchesQuery =
-        product.name.toLowerCase().includes(query.toLowerCase()) ||
-        product.description.toLowerCase().includes(query.toLowerCase()) ||
-        product.sku.toLowerCase().includes(query.toLowerCase());
-
-      const matchesCategory = !category || product.category === category;
-      const matchesPrice =
-        product.price >= minPrice && product.price <= maxPrice;
-
-      return matchesQuery && matchesCategory && matchesPrice;
+    return cache.wrap(CACHE_NAMESPACE, ["search", query, options], async () => {
+      const {
+        category = "",
+        minPrice = 0,
+        maxPrice = Infinity,
+        inStock,
+        attributes = null,
+        fuzzy = true,
+        sort = "relevance",
+        page = 1,
+        limit = 10,
+      } = options;
+
+      await searchIndex.ready();
+      const hits = searchIndex.search(query, { fuzzy });
+      const byId = new Map((await products.findAll()).map((p) => [p.id, p]));
+
+      const matches = hits
+        .map((hit) => ({ ...hit, product: byId.get(hit.id) }))
+        .filter(({ product }) => product && product.isActive);
+
+      const filters = {
+        category: (product) =>
+          !category ||
+          product.category.toLowerCase() === category.toLowerCase(),
+        price: (product) =>
+          product.price >= minPrice && product.price <= maxPrice,
+        inStock: (product) =>
+          inStock === undefined || inStock === product.isInStock(),
+        attributes: (product) =>
+          !attributes || product.variantsMatching(attributes).length > 0,
+      };
+      // A facet ignores its own filter, so its counts say what choosing
+      // another value would return
+      const matching = (except) =>
+        matches.filter(({ product }) =>
+          Object.entries(filters).every(
+            ([name, test]) => name === except || test(product)
+          )
+        );
+
+      const results = matching();
+      results.sort(searchComparator(sort));
+
+      const offset = (page - 1) * limit;
+      const totalPages = Math.ceil(results.length / limit);
+
+      return {
+        query,
+        results: results.slice(offset, offset + limit).map(toSearchResult),
+        totalFound: results.length,
+        facets: {
+          category: countBy(matching("category"), (p) => p.category),
+          price: priceFacet(matching("price")),
+          inStock: countBy(matching("inStock"), (p) => p.isInStock()),
+        },
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: results.length,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      };
     });
+  },
 
-    // Sort results
-    if (sort === "price-asc") {
-      results.sort((a, b) => a.price - b.price);
-    } else if (sort === "price-desc") {
-      results.sort((a, b) => b.price - a.price);
-    } else if (sort === "name") {
-      results.sort((a, b) => a.name.localeCompare(b.name));
-    }
+  // Update product stock; products with variants need the variant.
+  // movement: { reason, actorId, orderId, note } for the ledger; reason
+  // defaults to a restock for additions and an adjustment otherwise
+  async updateStock(id, quantity, variantId = null, movement = {}) {
+    return transaction(async () => {
+      const product = await products.findById(id);
+      if (!product) {
+        throw new NotFoundError("Product");
+      }
 
-    return {
-      query,
-      results: results.map((product) => product.toJSON()),
-      totalFound: results.length,
-    };
+      const variant = resolveVariant(product, variantId);
+      product.updateStock(quantity, variant && variant.id);
+      await products.save(product);
+      await inventoryService.record(product, [{ variant, quantity }], {
+        reason:
+          quantity > 0
+            ? StockMovement.REASON.RESTOCK
+            : StockMovement.REASON.ADJUSTMENT,
+        ...movement,
+      });
+      await cache.invalidate(CACHE_NAMESPACE);
+      return product.toJSON();
+    });
   },
 
-  // Update product stock
-  async updateStock(id, quantity) {
-    const product = products.find((p) => p.id === parseInt(id));
+  // Reserve stock for every line item, or for none of them.
+  // movement: { orderId, actorId, note } of the order taking the stock
+  async reserveStock(items, movement = {}) {
+    return transaction(async () => {
+      // The same product or variant may appear on several lines
+      const requested = new Map();
+      items.forEach((item, index) => {
+        const productId = parseInt(item.productId);
+        const variantId = isMissing(item.variantId)
+          ? null
+          : parseInt(item.variantId);
+        const key = `${productId}:${variantId}`;
+        const line = requested.get(key) || {
+          productId,
+          variantId,
+          index,
+          quantity: 0,
+        };
+        line.quantity += item.quantity;
+        requested.set(key, line);
+      });
+
+      // Variants of one product share the product record
+      const loaded = new Map();
+      const reservations = [];
+      const shortages = [];
+
+      for (const line of requested.values()) {
+        const { productId, variantId, index, quantity } = line;
+        if (!loaded.has(productId)) {
+          loaded.set(productId, await products.findById(productId));
+        }
+        const product = loaded.get(productId);
+        if (!product) {
+          throw new ValidationError([
+            {
+              path: `items[${index}].productId`,
+              message: `Product with ID ${productId} not found`,
+            },
+          ]);
+        }
+
+        const variant = resolveVariant(
+          product,
+          variantId,
+          `items[${index}].variantId`
+        );
+        if (!product.isInStock(quantity, variantId)) {
+          shortages.push({
+            productId,
+            ...(variant && { variantId, sku: variant.sku }),
+            name: product.name,
+            requested: quantity,
+            available: variant ? variant.stock : product.stock,
+          });
+        }
+        reservations.push({ product, variantId, quantity });
+      }
+
+      if (shortages.length > 0) {
+        throw new InsufficientStockError(shortages);
+      }
+
+      for (const { product, variantId, quantity } of reservations) {
+        product.updateStock(-quantity, variantId);
+      }
+      for (const product of loaded.values()) {
+        await products.save(product);
+      }
+      for (const { product, variantId, quantity } of reservations) {
+        await inventoryService.record(
+          product,
+          [{ variant: product.findVariant(variantId), quantity: -quantity }],
+          { reason: StockMovement.REASON.ORDER, ...movement }
+        );
+      }
+      await cache.invalidate(CACHE_NAMESPACE);
+
+      return [...loaded.values()].map((product) => product.toJSON());
+    });
+  },
+
+  // Put stock back for line items (cancelled orders, removed items).
+  // movement: { reason, orderId, actorId, note }; reason defaults to a
+  // cancelled order
+  async releaseStock(items, movement = {}) {
+    return transaction(async () => {
+      for (const item of items) {
+        await this.updateStock(item.productId, item.quantity, item.variantId, {
+          reason: StockMovement.REASON.ORDER_CANCELLED,
+          ...movement,
+        });
+      }
+    });
+  },
+
+  // Add a variant to a product. The first variant replaces the product's
+  // own stock: from then on stock is kept per variant.
+  async addVariant(productId, variantData, { actorId = null } = {}) {
+    return transaction(async () => {
+      const product = await products.findById(productId);
+      if (!product) {
+        throw new NotFoundError("Product");
+      }
+
+      const validation = Product.validateVariant(variantData);
+      if (!validation.isValid) {
+        throw new ValidationError(validation.errors);
+      }
+
+      await assertSkusAvailable([validation.value.sku]);
+      assertAttributesAvailable(product, validation.value.attributes);
+
+      const ownStock = product.hasVariants() ? 0 : product.stock;
+      const variant = product.addVariant(validation.value);
+      await saveVariantChange(product);
+      await inventoryService.record(
+        product,
+        [{ variant: null, quantity: -ownStock, stockAfter: 0 }],
+        {
+          reason: StockMovement.REASON.ADJUSTMENT,
+          actorId,
+          note: "Product stock replaced by variant stock",
+        }
+      );
+      await inventoryService.record(
+        product,
+        [{ variant, quantity: variant.stock }],
+        { reason: StockMovement.REASON.INITIAL, actorId }
+      );
+      return variant;
+    });
+  },
+
+  // Update a variant (partial)
+  async updateVariant(
+    productId,
+    variantId,
+    variantData,
+    { actorId = null } = {}
+  ) {
+    return transaction(async () => {
+      const { product, variant } = await findVariant(productId, variantId);
+
+      const validation = Product.validateVariant(variantData, {
+        partial: true,
+      });
+      if (!validation.isValid) {
+        throw new ValidationError(validation.errors);
+      }
+      const changes = validation.value;
+
+      if (changes.sku && changes.sku !== variant.sku) {
+        await assertSkusAvailable(
+          [changes.sku],
+          (p, v) => p.id === product.id && v && v.id === variant.id
+        );
+      }
+      if (changes.attributes) {
+        assertAttributesAvailable(product, changes.attributes, {
+          except: variant,
+        });
+      }
+
+      const stockBefore = variant.stock;
+      product.updateVariant(variant.id, changes);
+      await saveVariantChange(product);
+      await inventoryService.record(
+        product,
+        [{ variant, quantity: variant.stock - stockBefore }],
+        { reason: StockMovement.REASON.ADJUSTMENT, actorId }
+      );
+      return product.findVariant(variant.id);
+    });
+  },
+
+  // Remove a variant; its stock goes with it
+  async deleteVariant(productId, variantId, { actorId = null } = {}) {
+    return transaction(async () => {
+      const { product, variant } = await findVariant(productId, variantId);
+
+      product.removeVariant(variant.id);
+      await saveVariantChange(product);
+      await inventoryService.record(
+        product,
+        [{ variant, quantity: -variant.stock, stockAfter: 0 }],
+        { reason: StockMovement.REASON.VARIANT_REMOVED, actorId }
+      );
+      return variant;
+    });
+  },
+
+  // Variants of a product, optionally only those with the given attributes
+  async getVariants(productId, attributes = null) {
+    const product = await products.findById(productId);
     if (!product) {
-      throw new Error("Product not found");
+      throw new NotFoundError("Product");
     }
 
-    product.updateStock(quantity);
-    return product.toJSON();
+    return attributes && typeof attributes === "object"
+      ? product.variantsMatching(attributes)
+      : product.variants;
   },
 
-  // Get product statistics
-  async getProductStats() {
-    const totalProducts = products.length;
-    const inStockProducts = products.filter((p) => p.stock > 0).length;
-    const outOfStockProducts = totalProducts - inStockProducts;
-    const totalValue = products.reduce((sum, p) => sum + p.price * p.stock, 0);
-    const avgPrice =
-      totalProducts > 0
-        ? products.reduce((sum, p) => sum + p.price, 0) / totalProducts
-        : 0;
+  // What a line item of the product (or variant) sells as right now:
+  // { productId, variantId, sku, name, price, stock }. Uncached, as carts
+  // check it against their price snapshots. path names the fields in errors
+  async lookupItem(productId, variantId = null, path = "") {
+    const product = await products.findById(productId);
+    if (!product || !product.isActive) {
+      throw new ValidationError([
+        {
+          path: `${path}productId`,
+          message: `Product with ID ${productId} is not available`,
+        },
+      ]);
+    }
 
+    const variant = resolveVariant(product, variantId, `${path}variantId`);
     return {
-      totalProducts,
-      inStockProducts,
-      outOfStockProducts,
-      totalValue,
-      averagePrice: parseFloat(avgPrice.toFixed(2)),
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      sku: variant ? variant.sku : product.sku,
+      name: product.name,
+      price: product.priceOf(variant),
+      stock: variant ? variant.stock : product.stock,
     };
   },
+
+  // Active products, or variants, whose stock is at or below their
+  // low-stock threshold, emptiest first (cached)
+  async getLowStock() {
+    return cache.wrap(CACHE_NAMESPACE, ["lowStock"], async () => {
+      const low = [];
+      for (const product of await products.findAll()) {
+        if (!product.isActive) continue;
+
+        const threshold = inventoryService.thresholdFor(product);
+        const levels = product.hasVariants() ? product.variants : [null];
+        levels.forEach((variant) => {
+          const stock = variant ? variant.stock : product.stock;
+          if (stock > threshold) return;
+          low.push({
+            productId: product.id,
+            variantId: variant ? variant.id : null,
+            sku: variant ? variant.sku : product.sku,
+            name: product.name,
+            stock,
+            threshold,
+          });
+        });
+      }
+
+      return low.sort((a, b) => a.stock - b.stock || a.productId - b.productId);
+    });
+  },
+
+  // Get product statistics (cached)
+  async getProductStats() {
+    return cache.wrap(CACHE_NAMESPACE, ["stats"], async () => {
+      const allProducts = await products.findAll();
+      const totalProducts = allProducts.length;
+      const inStockProducts = allProducts.filter((p) => p.stock > 0).length;
+      const outOfStockProducts = totalProducts - inStockProducts;
+      const totalValue = allProducts.reduce(
+        (sum, p) => sum + p.stockValue(),
+        0
+      );
+      const avgPrice =
+        totalProducts > 0
+          ? allProducts.reduce((sum, p) => sum + p.price, 0) / totalProducts
+          : 0;
+
+      return {
+        totalProducts,
+        inStockProducts,
+        outOfStockProducts,
+        totalValue,
+        averagePrice: parseFloat(avgPrice.toFixed(2)),
+      };
+    });
+  },
 };
 
+function isMissing(value) {
+  return value === undefined || value === null || value === "";
+}
+
+// The variant a stock change or line item refers to: products with variants
+// need one, products without must not name one
+function resolveVariant(product, variantId, path = "variantId") {
+  const fail = (message) => {
+    throw new ValidationError([{ path, message }]);
+  };
+
+  if (!product.hasVariants()) {
+    if (!isMissing(variantId)) {
+      fail(`Product ${product.id} has no variants`);
+    }
+    return null;
+  }
+  if (isMissing(variantId)) {
+    fail(`${path} is required: product ${product.id} has variants`);
+  }
+
+  const variant = product.findVariant(variantId);
+  if (!variant) {
+    fail(`Product ${product.id} has no variant ${variantId}`);
+  }
+  return variant;
+}
+
+async function findVariant(productId, variantId) {
+  const product = await products.findById(productId);
+  if (!product) {
+    throw new NotFoundError("Product");
+  }
+
+  const variant = product.findVariant(variantId);
+  if (!variant) {
+    throw new NotFoundError("Product variant");
+  }
+  return { product, variant };
+}
+
+async function saveVariantChange(product) {
+  await products.save(product);
+  reindex(product);
+  await cache.invalidate(CACHE_NAMESPACE);
+  publish(EVENTS.UPDATED, product);
+}
+
+// Publish a product event once the change is committed
+function publish(type, product) {
+  const data = { product: product.toJSON() };
+  afterCommit(() => eventBus.publish(type, data));
+}
+
+// SKUs are unique across products and variants. isOwn(product, variant)
+// names the SKUs being replaced (variant is null for a product's own SKU).
+async function assertSkusAvailable(skus, isOwn = () => false) {
+  const taken = new Set();
+  for (const product of await products.findAll()) {
+    if (!isOwn(product, null)) taken.add(product.sku);
+    product.variants
+      .filter((variant) => !isOwn(product, variant))
+      .forEach((variant) => taken.add(variant.sku));
+  }
+
+  for (const sku of skus) {
+    if (taken.has(sku)) {
+      throw new ConflictError(
+        `SKU ${sku} already exists`,
+        "SKU_ALREADY_EXISTS"
+      );
+    }
+    taken.add(sku);
+  }
+}
+
+// Two variants of a product cannot have the same attributes
+function assertAttributesAvailable(
+  product,
+  attributes,
+  { except = null, path = "attributes" } = {}
+) {
+  const existing = product.findVariantByAttributes(attributes);
+  if (existing && existing !== except) {
+    const error = new ConflictError(
+      "A variant with these attributes already exists",
+      "VARIANT_ALREADY_EXISTS"
+    );
+    error.details = { path, variantId: existing.id };
+    throw error;
+  }
+}
+
+// Update the search index once the change commits, so a write that is rolled
+// back never shows up in search results
+function reindex(product) {
+  const document = searchDocument(product);
+  afterCommit(() => searchIndex.add(document));
+}
+
+// What the search index sees of a product: variant SKUs and attribute
+// values are searchable along with the product's own fields
+function searchDocument(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    sku: [product.sku, ...product.variants.map((v) => v.sku)].join(" "),
+    category: product.category,
+    attributes: product.variants
+      .flatMap((variant) => Object.values(variant.attributes))
+      .join(" "),
+    description: product.description,
+  };
+}
+
+// Orders search matches; ties keep the relevance order
+function searchComparator(sort) {
+  const bySort = {
+    price: (a, b) => a.product.price - b.product.price,
+    "-price": (a, b) => b.product.price - a.product.price,
+    name: (a, b) => a.product.name.localeCompare(b.product.name),
+  };
+  const byRelevance = (a, b) => b.score - a.score || a.id - b.id;
+  const compare = bySort[sort];
+
+  return compare ? (a, b) => compare(a, b) || byRelevance(a, b) : byRelevance;
+}
+
+// Product with its relevance score and the matched text marked up
+function toSearchResult({ product, score, terms }) {
+  const highlights = {
+    name: highlighter.highlight(product.name, terms),
+    sku: highlighter.highlight(product.sku, terms),
+    category: highlighter.highlight(product.category, terms),
+    description: highlighter.snippet(product.description, terms),
+  };
+
+  return {
+    ...product.toJSON(),
+    score,
+    highlights: Object.fromEntries(
+      Object.entries(highlights).filter(([, value]) => value !== null)
+    ),
+  };
+}
+
+// [{ value, count }] of matches, most common first
+function countBy(matches, valueOf) {
+  const counts = new Map();
+  matches.forEach(({ product }) => {
+    const value = valueOf(product);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort(
+      (a, b) => b.count - a.count || String(a.value).localeCompare(b.value)
+    );
+}
+
+// [{ from, to, count }] for every PRICE_BUCKETS range; to is null for the last
+function priceFacet(matches) {
+  return PRICE_BUCKETS.slice(0, -1).map((from, index) => {
+    const to = PRICE_BUCKETS[index + 1];
+    return {
+      from,
+      to: to === Infinity ? null : to,
+      count: matches.filter(
+        ({ product }) => product.price >= from && product.price < to
+      ).length,
+    };
+  });
+}
+
+// The list route parses the same query (middleware/listQuery) for its docs
+productService.query = productQuery;
+
 module.exports = productService;
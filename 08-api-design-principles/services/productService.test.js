@@ -0,0 +1,89 @@
+const productService = require("./productService");
+const { InsufficientStockError } = require("../utils/errors");
+
+const stockOf = async (productId, variantId = null) => {
+  const product = await productService.findProductById(productId);
+  if (variantId === null) return product.stock;
+  return product.variants.find((variant) => variant.id === variantId).stock;
+};
+
+describe("productService.reserveStock", () => {
+  test("concurrent reservations never oversell", async () => {
+    // Coffee Maker: 25 in stock, enough for 8 reservations of 3
+    const attempts = Array.from({ length: 10 }, () =>
+      productService.reserveStock([{ productId: 3, quantity: 3 }])
+    );
+
+    const results = await Promise.allSettled(attempts);
+    const rejected = results.filter((result) => result.status === "rejected");
+
+    expect(results.length - rejected.length).toBe(8);
+    rejected.forEach(({ reason }) => {
+      expect(reason).toBeInstanceOf(InsufficientStockError);
+    });
+    expect(await stockOf(3)).toBe(1);
+  });
+
+  test("concurrent reservations of one variant never oversell", async () => {
+    const before = await stockOf(4, 1);
+    const attempts = Array.from({ length: before + 5 }, () =>
+      productService.reserveStock([{ productId: 4, variantId: 1, quantity: 1 }])
+    );
+
+    const results = await Promise.allSettled(attempts);
+
+    expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(
+      before
+    );
+    expect(await stockOf(4, 1)).toBe(0);
+  });
+
+  test("reserves every line or none of them", async () => {
+    const laptops = await stockOf(1);
+
+    await expect(
+      productService.reserveStock([
+        { productId: 1, quantity: 1 },
+        { productId: 2, quantity: 10000 },
+      ])
+    ).rejects.toMatchObject({
+      code: "INSUFFICIENT_STOCK",
+      details: [
+        expect.objectContaining({ productId: 2, requested: 10000 }),
+      ],
+    });
+    expect(await stockOf(1)).toBe(laptops);
+  });
+
+  test("adds up lines of the same product", async () => {
+    const mice = await stockOf(2);
+
+    await expect(
+      productService.reserveStock([
+        { productId: 2, quantity: mice },
+        { productId: 2, quantity: 1 },
+      ])
+    ).rejects.toMatchObject({
+      details: [expect.objectContaining({ requested: mice + 1 })],
+    });
+    expect(await stockOf(2)).toBe(mice);
+  });
+
+  test("releaseStock puts reserved stock back", async () => {
+    const mice = await stockOf(2);
+
+    await productService.reserveStock([{ productId: 2, quantity: 4 }]);
+    await productService.releaseStock([{ productId: 2, quantity: 4 }]);
+
+    expect(await stockOf(2)).toBe(mice);
+  });
+
+  test("unknown products are a validation error", async () => {
+    await expect(
+      productService.reserveStock([{ productId: 999, quantity: 1 }])
+    ).rejects.toMatchObject({
+      code: "VALIDATION_ERROR",
+      errors: [expect.objectContaining({ path: "items[0].productId" })],
+    });
+  });
+});
@@ -0,0 +1,344 @@
+// Product Transfer Service
+// Bulk import and export of products as CSV or NDJSON, built on
+// productService so imported rows get the same validation, SKU checks and
+// stock ledger entries as products created through the API
+//
+// An import is read as a stream and applied row by row: a row whose SKU
+// names an existing product updates it, any other row creates a product.
+// Each row commits on its own, so a bad row is reported without undoing the
+// others; a dry run checks every row the same way and rolls each one back.
+//
+// CSV columns are named by the header row (see CSV_COLUMNS); images are
+// separated by "|", specifications are a JSON object and variants a JSON
+// array. Empty cells are left out, so an update keeps the current value.
+// NDJSON lines are product objects as in POST /api/products. Variants of an
+// existing product are matched by SKU: those the row names are updated or
+// added, the others kept.
+
+const readline = require("readline");
+const productService = require("./productService");
+const { transaction } = require("../repositories");
+const { AppError, ValidationError } = require("../utils/errors");
+const csv = require("../utils/csv");
+
+const FORMATS = ["csv", "ndjson"];
+
+// Columns written by a CSV export, in order; import reads the same names
+// and ignores id, createdAt and updatedAt
+const CSV_COLUMNS = [
+  "id",
+  "sku",
+  "name",
+  "description",
+  "category",
+  "price",
+  "stock",
+  "lowStockThreshold",
+  "isActive",
+  "images",
+  "specifications",
+  "variants",
+  "createdAt",
+  "updatedAt",
+];
+
+const IMAGE_SEPARATOR = "|";
+
+// CSV columns holding JSON, with the type they must decode to
+const JSON_COLUMNS = {
+  specifications: "object",
+  variants: "array",
+};
+
+// Products fetched per page while exporting
+const EXPORT_PAGE_SIZE = 100;
+
+// Thrown to roll back a dry-run row once it has been checked
+const DRY_RUN = Symbol("dryRun");
+
+const productTransferService = {
+  FORMATS,
+
+  // Import products from a stream of CSV or NDJSON. Returns a report:
+  // { dryRun, total, created, updated, failed, errors } where errors are
+  // [{ row, sku, code, message, errors: [{ field, message }] }] and row is
+  // the NDJSON line, or the CSV row counting the header as row 1
+  async importProducts(stream, { format, dryRun = false, actorId = null }) {
+    if (stream.setEncoding) stream.setEncoding("utf8");
+    const rows = format === "csv" ? csvRows(stream) : ndjsonRows(stream);
+
+    const report = {
+      dryRun,
+      total: 0,
+      created: 0,
+      updated: 0,
+      failed: 0,
+      errors: [],
+    };
+    // SKU -> row, to reject a product appearing twice in one import
+    const seen = new Map();
+
+    for await (const { row, data, error } of rows) {
+      report.total++;
+      const sku = data && typeof data.sku === "string" ? data.sku : null;
+
+      try {
+        if (error) throw error;
+        if (sku && seen.has(sku)) {
+          throw new ValidationError([
+            {
+              path: "sku",
+              message: `SKU ${sku} already appears on row ${seen.get(sku)}`,
+            },
+          ]);
+        }
+        if (sku) seen.set(sku, row);
+
+        const action = await importRow(data, { dryRun, actorId });
+        report[action]++;
+      } catch (rowError) {
+        if (!(rowError instanceof AppError)) throw rowError;
+
+        report.failed++;
+        report.errors.push({
+          row,
+          sku,
+          code: rowError.code,
+          message: rowError.message,
+          // Field errors read as in an error response
+          ...(rowError.errors && {
+            errors: rowError.errors.map(({ path, message }) => ({
+              field: path,
+              message,
+            })),
+          }),
+        });
+      }
+    }
+
+    return report;
+  },
+
+  // Yields the export of every product findProducts(options) matches, line
+  // by line, reading the catalogue a page at a time. The first line is the
+  // CSV header, sent once the first page is read (so invalid filters fail
+  // before any output).
+  async *exportProducts(options = {}, format = "csv") {
+    // Paged here, and products are always exported whole
+    const { cursor, fields, ...filters } = options;
+    let page = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const result = await productService.findProducts({
+        ...filters,
+        page,
+        limit: EXPORT_PAGE_SIZE,
+      });
+      if (page === 1 && format === "csv") {
+        yield csv.formatRow(CSV_COLUMNS);
+      }
+
+      for (const product of result.products) {
+        yield format === "csv"
+          ? csv.formatRow(CSV_COLUMNS.map((column) => csvCell(product, column)))
+          : `${JSON.stringify(product)}\n`;
+      }
+
+      hasNextPage = result.pagination.hasNextPage;
+      page++;
+    }
+  },
+};
+
+// Create or update the product of one row (rolled back on a dry run);
+// returns "created" or "updated"
+async function importRow(data, { dryRun, actorId }) {
+  let action = null;
+
+  try {
+    await transaction(async () => {
+      const existing = data.sku
+        ? await productService.findProductBySku(data.sku)
+        : null;
+
+      if (existing) {
+        // Variants first, so the stock column is checked against their sum
+        const { variants, ...changes } = data;
+        if (variants !== undefined) {
+          await importVariants(existing, variants, { actorId });
+        }
+        await productService.updateProduct(existing.id, changes, { actorId });
+        action = "updated";
+      } else {
+        await productService.createProduct(data, { actorId });
+        action = "created";
+      }
+
+      if (dryRun) throw DRY_RUN;
+    });
+  } catch (error) {
+    if (error !== DRY_RUN) throw error;
+  }
+
+  return action;
+}
+
+// Update the variants of product with the same SKU as one of variants, and
+// add the others
+async function importVariants(product, variants, { actorId }) {
+  if (!Array.isArray(variants)) {
+    throw new ValidationError([
+      { path: "variants", message: "variants must be an array" },
+    ]);
+  }
+
+  for (const variant of variants) {
+    const current = product.variants.find(
+      (v) => variant && v.sku === variant.sku
+    );
+    if (current) {
+      await productService.updateVariant(product.id, current.id, variant, {
+        actorId,
+      });
+    } else {
+      await productService.addVariant(product.id, variant, { actorId });
+    }
+  }
+}
+
+// { row, data } per CSV record, or { row, error } for one that cannot be
+// read; the first record is the header
+async function* csvRows(stream) {
+  let header = null;
+  let row = 0;
+
+  for await (const record of csv.parse(stream)) {
+    row++;
+    if (!header) {
+      header = record.map((name) => name.trim());
+      if (!header.includes("sku")) {
+        throw new ValidationError([
+          { path: "header", message: "The CSV header must name a sku column" },
+        ]);
+      }
+      continue;
+    }
+
+    if (record.length !== header.length) {
+      yield {
+        row,
+        error: invalidLine(
+          `Row has ${record.length} fields, the header ${header.length}`
+        ),
+      };
+      continue;
+    }
+
+    const values = Object.fromEntries(
+      header.map((column, index) => [column, csv.unguard(record[index])])
+    );
+    yield fromCsv(row, values);
+  }
+}
+
+// Product data of a CSV record: empty cells are left out and the list and
+// JSON columns decoded
+function fromCsv(row, values) {
+  const data = {};
+  for (const [column, value] of Object.entries(values)) {
+    if (value.trim() === "") continue;
+    data[column] = value;
+  }
+  delete data.id;
+  delete data.createdAt;
+  delete data.updatedAt;
+
+  if (data.images !== undefined) {
+    data.images = data.images
+      .split(IMAGE_SEPARATOR)
+      .map((image) => image.trim())
+      .filter(Boolean);
+  }
+  for (const [column, type] of Object.entries(JSON_COLUMNS)) {
+    if (data[column] === undefined) continue;
+
+    let value;
+    try {
+      value = JSON.parse(data[column]);
+    } catch (error) {
+      value = undefined;
+    }
+    const decoded =
+      type === "array"
+        ? Array.isArray(value)
+        : Boolean(value) && typeof value === "object" && !Array.isArray(value);
+    if (!decoded) {
+      return {
+        row,
+        data,
+        error: new ValidationError([
+          { path: column, message: `${column} must be a JSON ${type}` },
+        ]),
+      };
+    }
+    data[column] = value;
+  }
+
+  return { row, data };
+}
+
+// { row, data } per non-blank NDJSON line, or { row, error }
+async function* ndjsonRows(stream) {
+  const lines = readline.createInterface({
+    input: stream,
+    crlfDelay: Infinity,
+  });
+  let row = 0;
+
+  for await (const line of lines) {
+    row++;
+    if (line.trim() === "") continue;
+
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (error) {
+      yield { row, error: invalidLine("Line is not valid JSON") };
+      continue;
+    }
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      yield { row, error: invalidLine("Line must be a JSON object") };
+      continue;
+    }
+    yield { row, data };
+  }
+}
+
+function invalidLine(message) {
+  return new ValidationError([{ path: "row", message }]);
+}
+
+function csvCell(product, column) {
+  const value = product[column];
+  if (column === "images") return (value || []).join(IMAGE_SEPARATOR);
+  if (column === "specifications") return JSON.stringify(value || {});
+  // As in POST /api/products: without ids, and price only when overridden
+  if (column === "variants") {
+    return value && value.length > 0
+      ? JSON.stringify(
+          value.map(({ sku, price, attributes, stock }) => ({
+            sku,
+            ...(price !== null && price !== undefined && { price }),
+            attributes,
+            stock,
+          }))
+        )
+      : "";
+  }
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+module.exports = productTransferService;
@@ -0,0 +1,188 @@
+// Role Service
+// Roles and their permissions, managed by admins at runtime
+//
+// middleware/auth reads the permissions of the signed-in user's role on
+// every request, so a change to a role applies to its users at once.
+
+const Role = require("../models/Role");
+const { createRepository, transaction } = require("../repositories");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const permissionUtils = require("../utils/permissions");
+
+// Roles of a new installation, inserted the first time the roles collection
+// is created
+const seedRoles = [
+  new Role({
+    id: 1,
+    name: Role.DEFAULT,
+    description: "Customer",
+    permissions: [
+      "users:read:own",
+      "orders:read:own",
+      "orders:create:own",
+      "orders:update:own",
+      "orders:cancel:own",
+      "api-keys:manage:own",
+    ],
+  }),
+  new Role({
+    id: 2,
+    name: "moderator",
+    description: "Catalogue manager",
+    permissions: [
+      "users:read:own",
+      "orders:read:any",
+      "orders:create:own",
+      "orders:update:own",
+      "orders:cancel:own",
+      "products:write",
+      "products:export",
+      "inventory:read",
+      "api-keys:manage:own",
+    ],
+  }),
+  new Role({
+    id: 3,
+    name: Role.ADMIN,
+    description: "Administrator",
+    permissions: [permissionUtils.ALL_PERMISSIONS],
+  }),
+];
+
+const roles = createRepository("roles", {
+  model: Role,
+  seed: seedRoles,
+});
+
+const roleService = {
+  // Every permission a role can hold, with what it allows
+  listPermissions() {
+    return Object.entries(permissionUtils.PERMISSIONS).map(
+      ([name, description]) => ({ name, description })
+    );
+  },
+
+  // Every role, by name
+  async findRoles() {
+    const all = await roles.findAll();
+    return all
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((role) => role.toJSON());
+  },
+
+  async findRoleByName(name) {
+    const role = await findByName(name);
+    return role ? role.toJSON() : null;
+  },
+
+  // Permissions of the role named; none for a role that does not exist
+  async permissionsOf(name) {
+    const role = await findByName(name);
+    return role ? role.permissions : [];
+  },
+
+  async roleExists(name) {
+    return (await findByName(name)) !== null;
+  },
+
+  // Create new role; names are unique
+  async createRole(roleData) {
+    const validation = Role.validate(roleData);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    return transaction(async () => {
+      if (await findByName(validation.value.name)) {
+        throw new ConflictError(
+          "Role with this name already exists",
+          "ROLE_NAME_EXISTS"
+        );
+      }
+
+      const role = new Role({ id: null, name: validation.value.name });
+      role.update(validation.value);
+      await roles.insert(role);
+      return role.toJSON();
+    });
+  },
+
+  // Update a role's description and permissions (partial)
+  async updateRole(name, roleData) {
+    const validation = Role.validate(roleData, { partial: true });
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    return transaction(async () => {
+      const role = await findByName(name);
+      if (!role) {
+        throw new NotFoundError("Role");
+      }
+
+      const { value } = validation;
+      if (value.name !== undefined && value.name !== role.name) {
+        throw new ValidationError([
+          { path: "name", message: "Roles cannot be renamed" },
+        ]);
+      }
+      if (
+        role.name === Role.ADMIN &&
+        value.permissions !== undefined &&
+        !value.permissions.includes(permissionUtils.ALL_PERMISSIONS)
+      ) {
+        throw new ConflictError(
+          `The ${Role.ADMIN} role always holds every permission`,
+          "ROLE_PROTECTED"
+        );
+      }
+
+      role.update(value);
+      await roles.save(role);
+      return role.toJSON();
+    });
+  },
+
+  // Delete a role no user has; built-in roles are kept
+  async deleteRole(name) {
+    // Required here: userService checks roles through this service
+    const userService = require("./userService");
+
+    return transaction(async () => {
+      const role = await findByName(name);
+      if (!role) {
+        return null;
+      }
+      if (role.isBuiltIn()) {
+        throw new ConflictError(
+          `The ${role.name} role is built in and cannot be deleted`,
+          "ROLE_PROTECTED"
+        );
+      }
+
+      const { pagination } = await userService.findUsers({
+        role: role.name,
+        limit: 1,
+      });
+      if (pagination.totalUsers > 0) {
+        throw new ConflictError(
+          `${pagination.totalUsers} user(s) still have the ${role.name} role`,
+          "ROLE_IN_USE"
+        );
+      }
+
+      await roles.delete(role.id);
+      return role.toJSON();
+    });
+  },
+};
+
+async function findByName(name) {
+  return roles.findOne((role) => role.name === name);
+}
+
+module.exports = roleService;
@@ -1,15 +1,35 @@
 // User Service
 // Business logic for user operations
+//
+// Publishes user.created, user.updated and user.deleted with data { user }
+// (never the password) once the change is committed, see utils/eventBus.
 
 const User = require("../models/User");
+const {
+  afterCommit,
+  createRepository,
+  transaction,
+} = require("../repositories");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const etag = require("../utils/etag");
+const eventBus = require("../utils/eventBus");
+const paginationUtils = require("../utils/paginationUtils");
+const passwordUtils = require("../utils/password");
+const queryParser = require("../utils/queryParser");
+const roleService = require("./roleService");
 
-// In-memory storage for demonstration (replace with database in production)
-let users = [
+// Sample data, inserted the first time the users collection is created;
+// every sample user has the password "password123"
+const seedUsers = [
   new User({
     id: 1,
     name: "John Doe",
     email: "john@example.com",
-    password: "hashedpassword123",
+    password: passwordUtils.hash("password123"),
     role: "user",
     createdAt: new Date("2024-01-01"),
   }),
@@ -17,7 +37,7 @@ let users = [
     id: 2,
     name: "Jane Smith",
     email: "jane@example.com",
-    password: "hashedpassword456",
+    password: passwordUtils.hash("password123"),
     role: "admin",
     createdAt: new Date("2024-01-02"),
   }),
@@ -25,159 +45,218 @@ let users = [
     id: 3,
     name: "Bob Johnson",
     email: "bob@example.com",
-    password: "hashedpassword789",
+    password: passwordUtils.hash("password123"),
     role: "user",
     isActive: false,
     createdAt: new Date("2024-01-03"),
   }),
 ];
 
-let nextUserId = 4;
+const users = createRepository("users", {
+  model: User,
+  seed: seedUsers,
+});
+
+const EVENTS = {
+  CREATED: "user.created",
+  UPDATED: "user.updated",
+  DELETED: "user.deleted",
+};
+
+// Filters, sorting and fields accepted by findUsers (see utils/queryParser)
+const userQuery = {
+  filters: {
+    id: "number",
+    name: "string",
+    email: "string",
+    role: "string",
+    isActive: "boolean",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  params: ["search"],
+  defaultSort: "id",
+};
 
 const userService = {
   // Get all users with pagination and filtering
   async findUsers(options = {}) {
-    const {
-      page = 1,
-      limit = 10,
-      search = "",
-      sort = "id",
-      role = "",
-      isActive = "",
-    } = options;
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields, params } = queryParser.parse(
+      options,
+      userQuery
+    );
 
-    let filteredUsers = [...users];
+    let filteredUsers = queryParser.applyFilters(
+      await users.findAll(),
+      filters
+    );
 
     // Apply search filter
-    if (search) {
+    if (params.search) {
+      const search = String(params.search).toLowerCase();
       filteredUsers = filteredUsers.filter(
         (user) =>
-          user.name.toLowerCase().includes(search.toLowerCase()) ||
-          user.email.toLowerCase().includes(search.toLowerCase())
+          user.name.toLowerCase().includes(search) ||
+          user.email.toLowerCase().includes(search)
       );
     }
 
-    // Apply role filter
-    if (role) {
-      filteredUsers = filteredUsers.filter((user) => user.role === role);
-    }
+    // Apply sorting
+    filteredUsers.sort(queryParser.comparator(sort));
 
-    // Apply active status filter
-    if (isActive !== "") {
-      filteredUsers = filteredUsers.filter(
-        (user) => user.isActive === (isActive === "true")
-      );
-    }
+    const toResponse = (user) =>
+      queryParser.selectFields(user.toJSON(), fields);
 
-    // Apply sorting
-    const [sortField, sortOrder] = sort.startsWith("-")
-      ? [sort.slice(1), "desc"]
-      : [sort, "asc"];
-    filteredUsers.sort((a, b) => {
-      let aValue = a[sortField];
-      let bValue = b[sortField];
-
-      if (aValue < bValue) return sortOrder === "asc" ? -1 : 1;
-      if (aValue > bValue) return sortOrder === "asc" ? 1 : -1;
-      return 0;
-    });
+    // Apply cursor pagination
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredUsers, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        users: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalUsers: filteredUsers.length,
+        },
+      };
+    }
 
     // Apply pagination
     const offset = (page - 1) * limit;
     const paginatedUsers = filteredUsers.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredUsers.length;
+    const hasPrevPage = page > 1;
 
     return {
-      users: paginatedUsers.map((user) => user.toJSON()),
+      users: paginatedUsers.map(toResponse),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(filteredUsers.length / limit),
         totalUsers: filteredUsers.length,
-        hasNextPage: offset + limit < filteredUsers.length,
-        hasPrevPage: page > 1,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedUsers, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
       },
     };
   },
 
   // Find user by ID
   async findUserById(id) {
-    const user = users.find((u) => u.id === parseInt(id));
+    const user = await users.findById(id);
     return user ? user.toJSON() : null;
   },
 
+  // Find user by email
+  async findUserByEmail(email) {
+    const user = await users.findOne((u) => u.email === email);
+    return user ? user.toJSON() : null;
+  },
+
+  // Stamp of the user's current password (see User.passwordStamp); null
+  // when there is no such user
+  async findPasswordStamp(id) {
+    const user = await users.findById(id);
+    return user ? user.passwordStamp() : null;
+  },
+
+  // Find the user with this email and password; null when either is wrong
+  async findUserByCredentials(email, password) {
+    const user = await users.findOne((u) => u.email === email);
+    return user && user.checkPassword(password) ? user.toJSON() : null;
+  },
+
   // Create new user
   async createUser(userData) {
     const validation = User.validate(userData);
     if (!validation.isValid) {
-      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+      throw new ValidationError(validation.errors);
     }
 
     // Check if email already exists
-    const existingUser = users.find((u) => u.email === userData.email);
+    const existingUser = await users.findOne(
+      (u) => u.email === validation.value.email
+    );
     if (existingUser) {
-      throw new Error("Email already exists");
+      throw new ConflictError("Email already exists", "EMAIL_ALREADY_EXISTS");
     }
+    await assertRoleExists(validation.value.role);
 
     const newUser = new User({
-      ...userData,
-      id: nextUserId++,
+      ...validation.value,
+      id: null,
     });
+    newUser.setPassword(validation.value.password);
 
-    users.push(newUser);
+    await users.insert(newUser);
+    publish(EVENTS.CREATED, newUser);
     return newUser.toJSON();
   },
 
   // Update user
-  async updateUser(id, userData) {
-    const user = users.find((u) => u.id === parseInt(id));
-    if (!user) {
-      throw new Error("User not found");
-    }
-
-    // Validate only provided fields
-    const fieldsToValidate = {};
-    if (userData.name) fieldsToValidate.name = userData.name;
-    if (userData.email) fieldsToValidate.email = userData.email;
-    if (userData.password) fieldsToValidate.password = userData.password;
+  // ifMatch: If-Match header the caller sent, for the user in
+  // representation (API version); a stale ETag is rejected
+  async updateUser(id, userData, { ifMatch, representation } = {}) {
+    return transaction(async () => {
+      const user = await users.findById(id);
+      if (!user) {
+        throw new NotFoundError("User");
+      }
+      etag.assertMatch(ifMatch, user.toJSON(), representation);
 
-    if (Object.keys(fieldsToValidate).length > 0) {
-      const validation = User.validate({ ...user, ...fieldsToValidate });
+      // Validate only provided fields
+      const validation = User.validate(userData, { partial: true });
       if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+        throw new ValidationError(validation.errors);
       }
-    }
+      const changes = validation.value;
 
-    // Check if email already exists (excluding current user)
-    if (userData.email && userData.email !== user.email) {
-      const existingUser = users.find(
-        (u) => u.email === userData.email && u.id !== user.id
-      );
-      if (existingUser) {
-        throw new Error("Email already exists");
+      // Check if email already exists (excluding current user)
+      if (changes.email && changes.email !== user.email) {
+        const existingUser = await users.findOne(
+          (u) => u.email === changes.email && u.id !== user.id
+        );
+        if (existingUser) {
+          throw new ConflictError(
+            "Email already exists",
+            "EMAIL_ALREADY_EXISTS"
+          );
+        }
       }
-    }
+      await assertRoleExists(changes.role);
 
-    user.update(userData);
-    return user.toJSON();
+      user.update(changes);
+      await users.save(user);
+      publish(EVENTS.UPDATED, user);
+      return user.toJSON();
+    });
   },
 
   // Delete user
   async deleteUser(id) {
-    const userIndex = users.findIndex((u) => u.id === parseInt(id));
-    if (userIndex === -1) {
-      throw new Error("User not found");
+    const deletedUser = await users.delete(id);
+    if (!deletedUser) {
+      throw new NotFoundError("User");
     }
 
-    const deletedUser = users.splice(userIndex, 1)[0];
+    publish(EVENTS.DELETED, deletedUser);
     return deletedUser.toJSON();
   },
 
   // Get user statistics
   async getUserStats() {
-    const totalUsers = users.length;
-    const activeUsers = users.filter((u) => u.isActive).length;
+    const allUsers = await users.findAll();
+    const totalUsers = allUsers.length;
+    const activeUsers = allUsers.filter((u) => u.isActive).length;
     const inactiveUsers = totalUsers - activeUsers;
-    const adminUsers = users.filter((u) => u.role === "admin").length;
-    const regularUsers = users.filter((u) => u.role === "user").length;
+    const adminUsers = allUsers.filter((u) => u.role === "admin").length;
+    const regularUsers = allUsers.filter((u) => u.role === "user").length;
 
     return {
       totalUsers,
@@ -189,4 +268,21 @@ const userService = {
   },
 };
 
+// Users can only be given roles that exist (see roleService)
+async function assertRoleExists(role) {
+  if (role !== undefined && !(await roleService.roleExists(role))) {
+    throw new ValidationError([
+      { path: "role", message: `Role ${role} does not exist` },
+    ]);
+  }
+}
+
+function publish(type, user) {
+  const data = { user: user.toJSON() };
+  afterCommit(() => eventBus.publish(type, data));
+}
+
+// Shared with GET /api/users (middleware/listQuery)
+userService.query = userQuery;
+
 module.exports = userService;
@@ -0,0 +1,442 @@
+// Webhook Service
+// Webhook subscriptions and the delivery of domain events to them
+//
+// start() subscribes to every event on the event bus (see utils/eventBus).
+// Each event goes to every active webhook subscribed to its type as a
+// delivery: a signed POST of the event, logged attempt by attempt. A failed
+// attempt (network error, timeout or non-2xx response) is tried again with
+// exponential backoff until config.webhooks.maxAttempts attempts were made.
+// Pending deliveries are stored, so a restart resumes their retries.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { createRepository, transaction } = require("../repositories");
+const eventBus = require("../utils/eventBus");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+const paginationUtils = require("../utils/paginationUtils");
+const queryParser = require("../utils/queryParser");
+
+const webhooks = createRepository("webhooks", { model: Webhook });
+
+const deliveries = createRepository("webhookDeliveries", {
+  model: WebhookDelivery,
+  dateFields: ["createdAt", "updatedAt", "nextAttemptAt"],
+});
+
+// Longest part of a response body kept in the delivery log
+const RESPONSE_BODY_LIMIT = 500;
+
+// Timers of scheduled retries, by delivery ID
+const retryTimers = new Map();
+
+// Filters, sorting and fields accepted by findWebhooks (see utils/queryParser)
+const webhookQuery = {
+  filters: {
+    id: "number",
+    url: "string",
+    isActive: "boolean",
+    createdAt: "date",
+  },
+  defaultSort: "id",
+};
+
+// Filters, sorting and fields accepted by findDeliveries
+const deliveryQuery = {
+  filters: {
+    id: "number",
+    eventId: "string",
+    eventType: "string",
+    status: {
+      type: "string",
+      values: Object.values(WebhookDelivery.STATUS),
+    },
+    replayOf: "number",
+    createdAt: "date",
+  },
+  aliases: {
+    startDate: ["createdAt", "gte"],
+    endDate: ["createdAt", "lte"],
+  },
+  defaultSort: "-createdAt",
+};
+
+const webhookService = {
+  // Deliver events from now on, and resume the retries of pending
+  // deliveries left by an earlier run
+  async start() {
+    eventBus.subscribe("*", (event) => webhookService.dispatch(event));
+
+    const all = await deliveries.findAll();
+    all
+      .filter((delivery) => delivery.status === WebhookDelivery.STATUS.PENDING)
+      .forEach(scheduleAttempt);
+  },
+
+  // Find webhooks with filtering, sorting and pagination
+  async findWebhooks(options = {}) {
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, webhookQuery);
+
+    const filteredWebhooks = queryParser.applyFilters(
+      await webhooks.findAll(),
+      filters
+    );
+
+    filteredWebhooks.sort(queryParser.comparator(sort));
+
+    const toResponse = (webhook) =>
+      queryParser.selectFields(webhook.toJSON(), fields);
+
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredWebhooks, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        webhooks: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalWebhooks: filteredWebhooks.length,
+        },
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const paginatedWebhooks = filteredWebhooks.slice(offset, offset + limit);
+    const hasNextPage = offset + limit < filteredWebhooks.length;
+    const hasPrevPage = page > 1;
+
+    return {
+      webhooks: paginatedWebhooks.map(toResponse),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filteredWebhooks.length / limit),
+        totalWebhooks: filteredWebhooks.length,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedWebhooks, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
+      },
+    };
+  },
+
+  // Find webhook by ID
+  async findWebhookById(id) {
+    const webhook = await webhooks.findById(id);
+    return webhook ? webhook.toJSON() : null;
+  },
+
+  // Create new webhook; the response is the only one showing its secret
+  async createWebhook(webhookData) {
+    const validation = Webhook.validate(webhookData);
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    const webhook = new Webhook({ ...validation.value, id: null });
+    await webhooks.insert(webhook);
+    return { ...webhook.toJSON(), secret: webhook.secret };
+  },
+
+  // Update webhook (partial)
+  async updateWebhook(id, webhookData) {
+    const validation = Webhook.validate(webhookData, { partial: true });
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors);
+    }
+
+    return transaction(async () => {
+      const webhook = await webhooks.findById(id);
+      if (!webhook) {
+        throw new NotFoundError("Webhook");
+      }
+
+      webhook.update(validation.value);
+      await webhooks.save(webhook);
+      return webhook.toJSON();
+    });
+  },
+
+  // Delete webhook; its delivery log is kept and its pending deliveries
+  // fail on their next attempt
+  async deleteWebhook(id) {
+    const webhook = await webhooks.delete(id);
+    return webhook ? webhook.toJSON() : null;
+  },
+
+  // Replace the signing secret; the old one stops working at once
+  async rotateSecret(id) {
+    return transaction(async () => {
+      const webhook = await webhooks.findById(id);
+      if (!webhook) {
+        throw new NotFoundError("Webhook");
+      }
+
+      webhook.rotateSecret();
+      await webhooks.save(webhook);
+      return { ...webhook.toJSON(), secret: webhook.secret };
+    });
+  },
+
+  // Send a webhook.ping event to the webhook now, whatever its events, and
+  // return the delivery with the attempt's outcome
+  async ping(id) {
+    const webhook = await webhooks.findById(id);
+    if (!webhook) {
+      throw new NotFoundError("Webhook");
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      type: Webhook.PING_EVENT,
+      data: { webhook: webhook.toJSON() },
+      occurredAt: new Date().toISOString(),
+    };
+    const delivery = await createDelivery(webhook, event);
+    return webhookService.attemptDelivery(delivery.id);
+  },
+
+  // Deliveries to a webhook with filtering, sorting and pagination, newest
+  // first by default
+  async findDeliveries(webhookId, options = {}) {
+    const webhook = await webhooks.findById(webhookId);
+    if (!webhook) {
+      throw new NotFoundError("Webhook");
+    }
+
+    const { page = 1, limit = 10, cursor = "" } = options;
+    const { filters, sort, fields } = queryParser.parse(options, deliveryQuery);
+
+    const webhookDeliveries = (await deliveries.findAll()).filter(
+      (delivery) => delivery.webhookId === webhook.id
+    );
+    const filteredDeliveries = queryParser.applyFilters(
+      webhookDeliveries,
+      filters
+    );
+
+    filteredDeliveries.sort(queryParser.comparator(sort));
+
+    const toResponse = (delivery) =>
+      queryParser.selectFields(delivery.toJSON(), fields);
+
+    if (cursor) {
+      const result = paginationUtils.paginateByCursor(filteredDeliveries, {
+        cursor,
+        limit,
+        sort,
+      });
+
+      return {
+        deliveries: result.items.map(toResponse),
+        pagination: {
+          ...result.pagination,
+          totalDeliveries: filteredDeliveries.length,
+        },
+      };
+    }
+
+    const offset = (page - 1) * limit;
+    const paginatedDeliveries = filteredDeliveries.slice(
+      offset,
+      offset + limit
+    );
+    const hasNextPage = offset + limit < filteredDeliveries.length;
+    const hasPrevPage = page > 1;
+
+    return {
+      deliveries: paginatedDeliveries.map(toResponse),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(filteredDeliveries.length / limit),
+        totalDeliveries: filteredDeliveries.length,
+        hasNextPage,
+        hasPrevPage,
+        ...paginationUtils.pageCursors(paginatedDeliveries, sort, {
+          hasNextPage,
+          hasPrevPage,
+        }),
+      },
+    };
+  },
+
+  // Find a delivery of a webhook by ID
+  async findDeliveryById(webhookId, deliveryId) {
+    const delivery = await deliveries.findById(deliveryId);
+    if (!delivery || String(delivery.webhookId) !== String(webhookId)) {
+      return null;
+    }
+    return delivery.toJSON();
+  },
+
+  // Send a delivery's event again as a new delivery, with its own attempts
+  // and retries, and return it after its first attempt. Any delivery can be
+  // replayed, e.g. once a receiver that kept failing is fixed
+  async replayDelivery(webhookId, deliveryId) {
+    const original = await deliveries.findById(deliveryId);
+    if (!original || String(original.webhookId) !== String(webhookId)) {
+      throw new NotFoundError("Delivery");
+    }
+
+    const webhook = await webhooks.findById(webhookId);
+    if (!webhook) {
+      throw new NotFoundError("Webhook");
+    }
+
+    const delivery = await createDelivery(webhook, original.payload, {
+      replayOf: original.id,
+    });
+    return webhookService.attemptDelivery(delivery.id);
+  },
+
+  // Hand an event from the event bus to every active webhook subscribed to
+  // its type. Only the types in Webhook.EVENTS are delivered
+  async dispatch(event) {
+    if (!Webhook.EVENTS.includes(event.type)) return;
+
+    const subscribed = (await webhooks.findAll()).filter(
+      (webhook) => webhook.isActive && webhook.subscribesTo(event.type)
+    );
+
+    for (const webhook of subscribed) {
+      const delivery = await createDelivery(webhook, event);
+      await webhookService.attemptDelivery(delivery.id);
+    }
+  },
+
+  // Make the next attempt of a pending delivery, log it and schedule the
+  // retry it needs. Returns the delivery
+  async attemptDelivery(deliveryId) {
+    clearRetry(deliveryId);
+
+    const delivery = await deliveries.findById(deliveryId);
+    if (!delivery) {
+      return null;
+    }
+    if (delivery.status !== WebhookDelivery.STATUS.PENDING) {
+      return delivery.toJSON();
+    }
+
+    const webhook = await webhooks.findById(delivery.webhookId);
+    if (!webhook || !webhook.isActive) {
+      // Not worth retrying: nothing would be sent
+      delivery.recordAttempt({
+        responseStatus: null,
+        responseBody: null,
+        error: webhook ? "Webhook is disabled" : "Webhook was deleted",
+        durationMs: 0,
+      });
+    } else {
+      const result = await send(webhook, delivery);
+      const attemptsMade = delivery.attempts.length + 1;
+      const nextAttemptAt =
+        result.error && attemptsMade < config.webhooks.maxAttempts
+          ? new Date(Date.now() + retryDelay(attemptsMade))
+          : null;
+      delivery.recordAttempt(result, nextAttemptAt);
+    }
+
+    await deliveries.save(delivery);
+    if (delivery.status === WebhookDelivery.STATUS.PENDING) {
+      scheduleAttempt(delivery);
+    }
+    return delivery.toJSON();
+  },
+};
+
+async function createDelivery(webhook, event, options = {}) {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook.id,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+    replayOf: options.replayOf || null,
+  });
+  await deliveries.insert(delivery);
+  return delivery;
+}
+
+// POST a delivery's event to the webhook's URL, signed with its secret.
+// Redirects are not followed: the URL registered is the one trusted
+async function send(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `Webhooks/${config.api.version}`,
+        "X-Webhook-Event": delivery.eventType,
+        "X-Webhook-Delivery": String(delivery.id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${webhook.sign(timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    });
+    const responseBody = await response.text();
+
+    return {
+      responseStatus: response.status,
+      responseBody: responseBody.slice(0, RESPONSE_BODY_LIMIT),
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      responseStatus: null,
+      responseBody: null,
+      error:
+        error.name === "TimeoutError"
+          ? `Timed out after ${config.webhooks.timeoutMs}ms`
+          : (error.cause && error.cause.message) || error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+// Delay before the attempt after attempt number attemptsMade
+function retryDelay(attemptsMade) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.webhooks;
+  return Math.min(retryBaseDelayMs * 2 ** (attemptsMade - 1), retryMaxDelayMs);
+}
+
+function scheduleAttempt(delivery) {
+  clearRetry(delivery.id);
+
+  const delay = Math.max(
+    0,
+    (delivery.nextAttemptAt ? delivery.nextAttemptAt.getTime() : 0) -
+      Date.now()
+  );
+  const timer = setTimeout(() => {
+    retryTimers.delete(delivery.id);
+    webhookService.attemptDelivery(delivery.id).catch((error) => {
+      console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+    });
+  }, delay);
+
+  // Pending retries do not keep the process alive
+  timer.unref();
+  retryTimers.set(delivery.id, timer);
+}
+
+function clearRetry(deliveryId) {
+  const key = Number(deliveryId);
+  if (retryTimers.has(key)) {
+    clearTimeout(retryTimers.get(key));
+    retryTimers.delete(key);
+  }
+}
+
+module.exports = webhookService;
@@ -0,0 +1,425 @@
+// API Docs
+// Generates an OpenAPI 3.1 document and a Postman collection from the routers
+//
+// Routes are described next to their definition:
+//
+//   describe(router, "GET /:id", {
+//     summary: "Get product by ID",
+//     response: "Product", // schema name from schemas/
+//   });
+//
+// Accepted fields: summary, description, tags, body, response, query (extra
+// OpenAPI query parameters), status (success code, defaults to 201 for POST
+// and 200 otherwise), errors (extra error status codes) and paginated
+// ("offset" for list routes paged without cursors). Authentication,
+// permissions, pagination, list filters, Idempotency-Key and ETag support are
+// read from the `apiDoc` property of the route's middleware, so the documents
+// follow the code.
+
+const config = require("../config/config");
+const schemas = require("../schemas");
+const queryParser = require("./queryParser");
+
+const POSTMAN_SCHEMA =
+  "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+
+const ERROR_DESCRIPTIONS = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  409: "Conflict",
+  412: "Precondition Failed",
+  415: "Unsupported Media Type",
+  422: "Unprocessable Entity",
+  429: "Too Many Requests",
+};
+
+// Attach documentation to a route; route is "METHOD /path" as registered
+function describe(router, route, doc) {
+  router.apiDocs = router.apiDocs || {};
+  router.apiDocs[route] = doc;
+}
+
+// Document responses of a router (and the routers below it) with other
+// schemas, e.g. { Order: "OrderV2" }
+function useSchemas(router, replacements) {
+  router.apiSchemas = replacements;
+}
+
+// Flatten a router into [{ method, path, doc, schemaNames }]
+function collectRoutes(router, prefix = "", schemaNames = {}) {
+  const names = { ...schemaNames, ...router.apiSchemas };
+  const routes = [];
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const { path, methods, stack } = layer.route;
+      const fromMiddleware = Object.assign(
+        {},
+        ...stack.map((entry) => entry.handle.apiDoc || {})
+      );
+
+      for (const method of Object.keys(methods)) {
+        const doc = (router.apiDocs || {})[`${method.toUpperCase()} ${path}`];
+        routes.push({
+          method,
+          path: path === "/" ? prefix || "/" : prefix + path,
+          doc: { ...fromMiddleware, ...doc },
+          schemaNames: names,
+        });
+      }
+    } else if (layer.handle.stack) {
+      routes.push(
+        ...collectRoutes(layer.handle, prefix + mountPath(layer), names)
+      );
+    }
+  }
+
+  return routes;
+}
+
+// Path a router was mounted on, recovered from its Express layer
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return "";
+
+  return layer.regexp.source
+    .replace(/^\^/, "")
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/\\\//g, "/");
+}
+
+// "/orders/:id" -> "Orders"
+function tagFor({ path, doc }) {
+  if (doc.tags) return doc.tags[0];
+  const segment = path.split("/").filter(Boolean)[0] || "default";
+  return segment.charAt(0).toUpperCase() + segment.slice(1);
+}
+
+function pathParams(path) {
+  return (path.match(/:\w+/g) || []).map((param) => param.slice(1));
+}
+
+// OpenAPI 3.1
+
+function toOpenApi(router, { info, serverUrl }) {
+  const paths = {};
+
+  for (const route of collectRoutes(router)) {
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = toOperation(route);
+  }
+
+  return {
+    openapi: "3.1.0",
+    info,
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: config.apiKeys.header,
+        },
+      },
+    },
+  };
+}
+
+function toOperation(route) {
+  const { method, path, doc, schemaNames } = route;
+  const ref = (name) => ({
+    $ref: `#/components/schemas/${schemaNames[name] || name}`,
+  });
+  const isList = Boolean(doc.paginated || doc.listQuery);
+
+  const parameters = [
+    ...pathParams(path).map((name) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: /id$/i.test(name) ? "integer" : "string" },
+    })),
+    ...(doc.paginated ? paginationParameters(doc.paginated) : []),
+    ...(doc.listQuery ? listQueryParameters(doc.listQuery) : []),
+    ...(doc.query || []).map((param) => ({ in: "query", ...param })),
+    ...(doc.idempotent ? [idempotencyParameter()] : []),
+    ...(doc.etag && method === "get" ? [ifNoneMatchParameter()] : []),
+    ...(doc.conditional ? [ifMatchParameter()] : []),
+  ];
+
+  const successStatus = doc.status || (method === "post" ? 201 : 200);
+  const responses = {
+    [successStatus]: {
+      description: "Successful response",
+      ...(doc.etag && { headers: { ETag: etagHeader() } }),
+      content: {
+        "application/json": {
+          schema: envelope(doc.response && ref(doc.response), isList),
+        },
+      },
+    },
+  };
+  if (doc.etag && method === "get") {
+    responses[304] = {
+      description: "Not Modified: If-None-Match names the current ETag",
+      headers: { ETag: etagHeader() },
+    };
+  }
+
+  for (const status of errorStatuses(route)) {
+    responses[status] = {
+      description: ERROR_DESCRIPTIONS[status] || "Error",
+      content: { "application/problem+json": { schema: ref("Error") } },
+    };
+  }
+
+  return {
+    tags: [tagFor(route)],
+    summary: doc.summary || `${method.toUpperCase()} ${path}`,
+    ...(doc.description && { description: doc.description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(doc.body && {
+      requestBody: {
+        required: true,
+        content: { "application/json": { schema: ref(doc.body) } },
+      },
+    }),
+    responses,
+    // Either credential; optional authentication also allows anonymous calls
+    ...(doc.auth && {
+      security:
+        doc.auth === "optional"
+          ? [{ bearerAuth: [] }, { apiKeyAuth: [] }, {}]
+          : [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+    }),
+    ...(doc.permission && { "x-required-permission": doc.permission }),
+  };
+}
+
+function envelope(dataSchema = {}, isList) {
+  const properties = {
+    success: { type: "boolean", const: true },
+    data: isList ? { type: "array", items: dataSchema } : dataSchema,
+    message: { type: "string" },
+  };
+  if (isList) {
+    properties.pagination = { $ref: "#/components/schemas/Pagination" };
+  }
+  return { type: "object", properties };
+}
+
+function errorStatuses({ path, doc }) {
+  const statuses = new Set(doc.errors || []);
+  if (doc.body || doc.query || doc.listQuery || doc.paginated) {
+    statuses.add(400);
+  }
+  if (doc.auth) {
+    statuses.add(401);
+    statuses.add(429); // API key quota
+  }
+  if (doc.permission) statuses.add(403);
+  if (pathParams(path).length > 0) statuses.add(404);
+  if (doc.idempotent) {
+    statuses.add(409);
+    statuses.add(422);
+  }
+  if (doc.conditional) statuses.add(412);
+  return [...statuses].sort();
+}
+
+// paginated: "offset" leaves out cursor, for routes paged by number only
+function paginationParameters(paginated) {
+  const { properties } = schemas.PaginationQuery;
+  const names = Object.keys(properties).filter(
+    (name) => paginated !== "offset" || name !== "cursor"
+  );
+  return names.map((name) => {
+    const { description, ...schema } = properties[name];
+    return { name, in: "query", ...(description && { description }), schema };
+  });
+}
+
+function listQueryParameters(schema) {
+  const sortable = schema.sortable || Object.keys(schema.filters);
+  const selectable = schema.selectable || Object.keys(schema.filters);
+
+  const filters = Object.entries(schema.filters).map(([name, spec]) => {
+    const { type, values } = typeof spec === "string" ? { type: spec } : spec;
+    const operators = queryParser.operatorsFor(type).join(", ");
+    return {
+      name,
+      in: "query",
+      description: `Filter by ${name}, or ${name}[op] with op: ${operators}`,
+      schema: {
+        type: type === "date" ? "string" : type,
+        ...(type === "date" && { format: "date-time" }),
+        ...(values && { enum: values }),
+      },
+    };
+  });
+
+  return [
+    ...filters,
+    ...(schema.params || []).map((name) => ({
+      name,
+      in: "query",
+      schema: { type: "string" },
+    })),
+    {
+      name: "sort",
+      in: "query",
+      description: `Comma-separated, "-" descending: ${sortable.join(", ")}`,
+      schema: { type: "string", default: schema.defaultSort },
+    },
+    {
+      name: "fields",
+      in: "query",
+      description: `Comma-separated fields to return: ${selectable.join(", ")}`,
+      schema: { type: "string" },
+    },
+  ];
+}
+
+function idempotencyParameter() {
+  return {
+    name: "Idempotency-Key",
+    in: "header",
+    description: "Makes the request safe to retry",
+    schema: { type: "string", maxLength: 255 },
+  };
+}
+
+function ifNoneMatchParameter() {
+  return {
+    name: "If-None-Match",
+    in: "header",
+    description: "ETag of a cached copy; answered with 304 if still current",
+    schema: { type: "string" },
+  };
+}
+
+function ifMatchParameter() {
+  return {
+    name: "If-Match",
+    in: "header",
+    description: "ETag of the version being changed; 412 if it is stale",
+    schema: { type: "string" },
+  };
+}
+
+function etagHeader() {
+  return {
+    description: "Strong entity tag of the returned resource",
+    schema: { type: "string" },
+  };
+}
+
+// Postman collection (v2.1)
+
+function toPostman(router, { name, description, baseUrl }) {
+  const folders = {};
+
+  for (const route of collectRoutes(router)) {
+    const tag = tagFor(route);
+    folders[tag] = folders[tag] || [];
+    folders[tag].push(toPostmanItem(route));
+  }
+
+  return {
+    info: { name, description, schema: POSTMAN_SCHEMA },
+    auth: { type: "noauth" },
+    variable: [
+      { key: "baseUrl", value: baseUrl },
+      { key: "token", value: "" },
+      { key: "etag", value: "" },
+    ],
+    item: Object.entries(folders).map(([folder, item]) => ({
+      name: folder,
+      item,
+    })),
+  };
+}
+
+function toPostmanItem({ method, path, doc }) {
+  const header = [];
+  if (doc.body) {
+    header.push({ key: "Content-Type", value: "application/json" });
+  }
+  if (doc.idempotent) {
+    header.push({ key: "Idempotency-Key", value: "{{$guid}}" });
+  }
+  if (doc.conditional) {
+    header.push({ key: "If-Match", value: "{{etag}}", disabled: true });
+  }
+
+  return {
+    name: doc.summary || `${method.toUpperCase()} ${path}`,
+    request: {
+      method: method.toUpperCase(),
+      header,
+      url: {
+        raw: `{{baseUrl}}${path}`,
+        host: ["{{baseUrl}}"],
+        path: path.split("/").filter(Boolean),
+        variable: pathParams(path).map((key) => ({ key, value: "1" })),
+      },
+      auth: doc.auth
+        ? {
+            type: "bearer",
+            bearer: [{ key: "token", value: "{{token}}", type: "string" }],
+          }
+        : { type: "noauth" },
+      ...(doc.body && {
+        body: {
+          mode: "raw",
+          raw: JSON.stringify(exampleFor(schemas[doc.body]) || {}, null, 2),
+          options: { raw: { language: "json" } },
+        },
+      }),
+      ...(doc.description && { description: doc.description }),
+    },
+  };
+}
+
+// Example value built from `example`s and required properties of a schema
+function exampleFor(schema) {
+  if (!schema) return undefined;
+  if (schema.$ref) {
+    return exampleFor(schemas[schema.$ref.split("/").pop()]);
+  }
+  if (schema.example !== undefined) return schema.example;
+
+  if (schema.type === "object" && schema.properties) {
+    const required = schema.required || [];
+    const example = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const value = exampleFor(property);
+      if (value !== undefined) {
+        example[name] = value;
+      } else if (required.includes(name)) {
+        example[name] = property.enum ? property.enum[0] : "";
+      }
+    }
+    return Object.keys(example).length > 0 ? example : undefined;
+  }
+
+  if (schema.type === "array") {
+    const item = exampleFor(schema.items);
+    return item !== undefined ? [item] : undefined;
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  describe,
+  useSchemas,
+  collectRoutes,
+  toOpenApi,
+  toPostman,
+};
@@ -0,0 +1,112 @@
+// CSV
+// Streaming reader and row writer for comma-separated values (RFC 4180)
+//
+//   for await (const record of csv.parse(req)) {
+//     // ["LAP001", "Laptop Pro", "1299.99"]
+//   }
+//   csv.formatRow(["LAP001", 'Laptop "Pro"']); // 'LAP001,"Laptop ""Pro"""\r\n'
+//
+// Quoted fields may contain commas, doubled quotes and line breaks; blank
+// lines are skipped.
+//
+// Text a spreadsheet would run as a formula is written with a ' in front;
+// csv.unguard() takes it off again, so exported files import unchanged.
+
+// Spreadsheets run cells starting with these as formulas; cells already
+// starting with ' before one of them are guarded too, so unguard() cannot
+// mistake them for guarded ones
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+const GUARDED = /^'+[=+\-@\t\r]/;
+
+// Numbers are not formulas, negative ones included
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const csv = {
+  // Yields every record of a stream (or other async iterable) of text
+  // chunks as an array of fields
+  async *parse(stream) {
+    let record = [];
+    let field = "";
+    let quoted = false; // inside a quoted field
+    let quoteSeen = false; // a quote inside a quoted field: "" or the end
+
+    const endField = () => {
+      record.push(field);
+      field = "";
+    };
+    const endRecord = () => {
+      endField();
+      const complete = record;
+      record = [];
+      // A blank line is a single empty field
+      return complete.length === 1 && complete[0] === "" ? null : complete;
+    };
+
+    for await (const chunk of stream) {
+      const records = [];
+
+      for (const char of String(chunk)) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (char === '"') {
+            field += char;
+            continue;
+          }
+          quoted = false;
+        }
+
+        if (quoted) {
+          if (char === '"') {
+            quoteSeen = true;
+          } else {
+            field += char;
+          }
+        } else if (char === '"' && field === "") {
+          quoted = true;
+        } else if (char === ",") {
+          endField();
+        } else if (char === "\n") {
+          const complete = endRecord();
+          if (complete) records.push(complete);
+        } else if (char !== "\r") {
+          field += char;
+        }
+      }
+
+      yield* records;
+    }
+
+    if (field !== "" || record.length > 0 || quoted) {
+      const complete = endRecord();
+      if (complete) yield complete;
+    }
+  },
+
+  // One CSV line, CRLF-terminated. null and undefined become empty fields;
+  // text a spreadsheet would run as a formula is prefixed with '
+  formatRow(values) {
+    return (
+      values
+        .map((value) => {
+          if (value === null || value === undefined) return "";
+          let text = String(value);
+          if (
+            typeof value === "string" &&
+            FORMULA_START.test(text) &&
+            !NUMBER.test(text)
+          ) {
+            text = `'${text}`;
+          }
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",") + "\r\n"
+    );
+  },
+
+  // A field as it was before formatRow guarded it against formulas
+  unguard(field) {
+    return GUARDED.test(field) ? field.slice(1) : field;
+  },
+};
+
+module.exports = csv;
@@ -0,0 +1,155 @@
+// Custom Error Classes
+// Services throw these instead of plain Errors; middleware/errorHandler maps
+// statusCode and code (a stable, machine-readable identifier) to an RFC 7807
+// problem response, so callers never have to match on messages.
+
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = "APPLICATION_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// errors: [{ path, message }] - rendered as the VALIDATION_ERROR details
+class ValidationError extends AppError {
+  constructor(errors, message = "Validation failed") {
+    super(message, 400, "VALIDATION_ERROR");
+    this.errors = errors;
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(
+    message = "Authentication required",
+    code = "AUTHENTICATION_FAILED"
+  ) {
+    super(message, 401, code);
+  }
+}
+
+// Signed in, but not allowed to (see middleware/auth)
+class ForbiddenError extends AppError {
+  constructor(message = "Access denied", code = "ACCESS_DENIED") {
+    super(message, 403, code);
+  }
+}
+
+// new NotFoundError("Order") -> 404 ORDER_NOT_FOUND "Order not found"
+class NotFoundError extends AppError {
+  constructor(resource = "Resource", message = `${resource} not found`) {
+    const code = `${resource.toUpperCase().replace(/\W+/g, "_")}_NOT_FOUND`;
+    super(message, 404, code);
+    this.resource = resource;
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Resource conflict", code = "CONFLICT") {
+    super(message, 409, code);
+  }
+}
+
+// A state change the current state does not allow (see utils/stateMachine)
+class InvalidTransitionError extends ConflictError {
+  constructor(from, to, allowed = []) {
+    super(
+      `Cannot transition from ${from} to ${to}`,
+      "INVALID_STATUS_TRANSITION"
+    );
+    this.details = { from, to, allowedTransitions: allowed };
+  }
+}
+
+// If-Match named a version that is no longer current (see utils/etag)
+class PreconditionFailedError extends AppError {
+  constructor(currentETag) {
+    super(
+      "The resource has been modified since it was retrieved",
+      412,
+      "PRECONDITION_FAILED"
+    );
+    this.details = { currentETag };
+  }
+}
+
+// The request body is in a format the endpoint does not read
+class UnsupportedMediaTypeError extends AppError {
+  constructor(supported = []) {
+    super(
+      `Content-Type must be one of: ${supported.join(", ")}`,
+      415,
+      "UNSUPPORTED_MEDIA_TYPE"
+    );
+    this.details = { supported };
+  }
+}
+
+// The request names an API version that does not exist (see
+// middleware/apiVersion)
+class UnsupportedApiVersionError extends AppError {
+  constructor(version, supported = []) {
+    super(
+      `Unsupported API version: ${version}`,
+      400,
+      "UNSUPPORTED_API_VERSION"
+    );
+    this.details = { supportedVersions: supported };
+  }
+}
+
+// An API key used up its requests for the day (see services/apiKeyService);
+// details: { limit, resetAt }
+class QuotaExceededError extends AppError {
+  constructor(limit, resetAt) {
+    super(
+      `Daily quota of ${limit} requests exceeded`,
+      429,
+      "QUOTA_EXCEEDED"
+    );
+    this.details = { limit, resetAt };
+  }
+}
+
+// items: [{ productId, variantId, sku, name, requested, available }]
+// (variantId and sku only for variants)
+class InsufficientStockError extends ConflictError {
+  constructor(items) {
+    super(
+      `Insufficient stock for ${items.length} item(s)`,
+      "INSUFFICIENT_STOCK"
+    );
+    this.details = items;
+  }
+}
+
+// Cart items whose price is no longer the one they were added at:
+// [{ itemId, productId, variantId, sku, name, oldPrice, newPrice }]
+class PriceChangedError extends ConflictError {
+  constructor(items) {
+    super(
+      `The price of ${items.length} item(s) has changed`,
+      "CART_PRICE_CHANGED"
+    );
+    this.details = items;
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  InvalidTransitionError,
+  InsufficientStockError,
+  PriceChangedError,
+  PreconditionFailedError,
+  QuotaExceededError,
+  UnsupportedApiVersionError,
+  UnsupportedMediaTypeError,
+};
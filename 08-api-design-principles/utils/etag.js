@@ -0,0 +1,61 @@
+// ETag Utilities
+// Strong entity tags for single resources and the If-Match / If-None-Match
+// comparisons of RFC 9110.
+//
+// A tag is a hash of the resource's content and of the representation it is
+// sent in (the API version: v1 and v2 orders have different bodies), so any
+// change to the resource changes it, however close two writes are.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const { PreconditionFailedError } = require("./errors");
+
+const etag = {
+  // '"<hash>"' for a resource (as its model's toJSON() returns it) sent in
+  // representation
+  forResource(resource, representation = config.api.defaultVersion) {
+    const hash = crypto
+      .createHash("sha1")
+      .update(`${representation}\n${JSON.stringify(resource)}`)
+      .digest("base64url")
+      .slice(0, 27);
+    return `"${hash}"`;
+  },
+
+  // '"a", W/"b"' -> ['"a"', 'W/"b"']; "*" stays "*"
+  parse(header) {
+    if (!header) return [];
+    return header
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  },
+
+  // If-Match uses the strong comparison: weak tags never match
+  ifMatch(header, tag) {
+    return this.parse(header).some(
+      (candidate) => candidate === "*" || candidate === tag
+    );
+  },
+
+  // If-None-Match uses the weak comparison
+  ifNoneMatch(header, tag) {
+    const opaque = (value) => value.replace(/^W\//, "");
+    return this.parse(header).some(
+      (candidate) => candidate === "*" || opaque(candidate) === opaque(tag)
+    );
+  },
+
+  // Throws a PreconditionFailedError unless an If-Match header (if any)
+  // names the current version of resource in representation
+  assertMatch(header, resource, representation) {
+    if (header === undefined) return;
+
+    const current = this.forResource(resource, representation);
+    if (!this.ifMatch(header, current)) {
+      throw new PreconditionFailedError(current);
+    }
+  },
+};
+
+module.exports = etag;
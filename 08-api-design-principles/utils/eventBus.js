@@ -0,0 +1,64 @@
+// Event Bus
+// Domain events published by the services, for subscribers such as email
+// alerts or webhook delivery
+//
+//   eventBus.subscribe("product.low_stock", async (event) => {
+//     await mailer.send(...);
+//   });
+//   eventBus.subscribe("*", (event) => console.log(event.type));
+//
+// Events are { id, type, data, occurredAt }. Services publish once the change
+// is committed (see afterCommit in repositories/), so subscribers never see a
+// change that was rolled back. Subscribers run asynchronously; a failing
+// subscriber is logged and affects neither the change nor other subscribers.
+
+const crypto = require("crypto");
+
+const ANY_EVENT = "*";
+
+const eventBus = {
+  subscribers: new Map(),
+
+  // Returns a function that removes the subscriber again
+  subscribe(type, handler) {
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, []);
+    }
+    this.subscribers.get(type).push(handler);
+
+    return () => {
+      const handlers = this.subscribers.get(type) || [];
+      this.subscribers.set(
+        type,
+        handlers.filter((h) => h !== handler)
+      );
+    };
+  },
+
+  publish(type, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      occurredAt: new Date().toISOString(),
+    };
+
+    const handlers = [
+      ...(this.subscribers.get(type) || []),
+      ...(this.subscribers.get(ANY_EVENT) || []),
+    ];
+    handlers.forEach((handler) => {
+      setImmediate(async () => {
+        try {
+          await handler(event);
+        } catch (error) {
+          console.error(`Subscriber to ${type} failed:`, error.message);
+        }
+      });
+    });
+
+    return event;
+  },
+};
+
+module.exports = eventBus;
@@ -1,5 +1,15 @@
 // Pagination Utilities
 // Helper functions for handling pagination logic
+//
+// Two modes are supported: offset paging (?page=&limit=) and cursor paging
+// (?cursor=&limit=). Cursors are opaque, HMAC-signed tokens holding the sort
+// key of the first or last item of a page, so paging stays stable while
+// records are added or removed between requests.
+
+const crypto = require("crypto");
+const config = require("../config/config");
+const { AppError } = require("./errors");
+const queryParser = require("./queryParser");
 
 const paginationUtils = {
   // Calculate pagination metadata
@@ -22,37 +32,50 @@ const paginationUtils = {
     };
   },
 
+  // URL of the current request without its query string
+  requestUrl(req) {
+    const path = req.path === "/" ? "" : req.path;
+    return `${req.protocol}://${req.get("host")}${req.baseUrl}${path}`;
+  },
+
+  // URL of the current request with params set and omit removed. The other
+  // query parameters are kept as sent: once parsed, price[gte]=10 is an
+  // object and status=a&status=b an array, neither of which URLSearchParams
+  // can write back
+  requestUrlWith(req, params, omit = []) {
+    const [, search = ""] = req.originalUrl.split("?");
+    const query = new URLSearchParams(search);
+    omit.forEach((name) => query.delete(name));
+    Object.entries(params).forEach(([name, value]) => query.set(name, value));
+    return `${this.requestUrl(req)}?${query}`;
+  },
+
   // Generate pagination links
+  // Only currentPage and totalPages are required, so any list response's
+  // pagination block can be passed in
   generatePaginationLinks(req, pagination) {
-    const baseUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}${
-      req.path
-    }`;
-    const queryParams = { ...req.query };
+    const link = (page) => this.requestUrlWith(req, { page }, ["cursor"]);
 
     const links = {};
 
     // First page link
     if (pagination.currentPage > 1) {
-      queryParams.page = 1;
-      links.first = `${baseUrl}?${new URLSearchParams(queryParams).toString()}`;
+      links.first = link(1);
     }
 
     // Previous page link
-    if (pagination.hasPrevPage) {
-      queryParams.page = pagination.prevPage;
-      links.prev = `${baseUrl}?${new URLSearchParams(queryParams).toString()}`;
+    if (pagination.currentPage > 1) {
+      links.prev = link(pagination.currentPage - 1);
     }
 
     // Next page link
-    if (pagination.hasNextPage) {
-      queryParams.page = pagination.nextPage;
-      links.next = `${baseUrl}?${new URLSearchParams(queryParams).toString()}`;
+    if (pagination.currentPage < pagination.totalPages) {
+      links.next = link(pagination.currentPage + 1);
     }
 
     // Last page link
     if (pagination.currentPage < pagination.totalPages) {
-      queryParams.page = pagination.totalPages;
-      links.last = `${baseUrl}?${new URLSearchParams(queryParams).toString()}`;
+      links.last = link(pagination.totalPages);
     }
 
     return links;
@@ -100,6 +123,159 @@ const paginationUtils = {
     };
   },
 
+  // Apply cursor pagination to an array sorted by queryParser.comparator
+  paginateByCursor(array, { cursor, limit, sort }) {
+    const itemsPerPage = Math.min(Math.max(1, parseInt(limit) || 10), 100);
+    const { key, direction } = this.decodeCursor(cursor, sort);
+    const compareToKey = (item) =>
+      queryParser.compareKeys(queryParser.sortKey(item, sort), key, sort);
+
+    let start;
+    let end;
+    if (direction === "next") {
+      start = array.findIndex((item) => compareToKey(item) > 0);
+      if (start === -1) start = array.length;
+      end = Math.min(start + itemsPerPage, array.length);
+    } else {
+      end = array.findIndex((item) => compareToKey(item) >= 0);
+      if (end === -1) end = array.length;
+      start = Math.max(0, end - itemsPerPage);
+    }
+
+    const items = array.slice(start, end);
+    const hasNextPage = end < array.length;
+    const hasPrevPage = start > 0;
+
+    return {
+      items,
+      pagination: {
+        itemsPerPage,
+        hasNextPage,
+        hasPrevPage,
+        ...this.pageCursors(items, sort, { hasNextPage, hasPrevPage }),
+      },
+    };
+  },
+
+  // Cursors pointing after the last and before the first item of a page
+  pageCursors(items, sort, { hasNextPage, hasPrevPage }) {
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      nextCursor:
+        hasNextPage && last
+          ? this.encodeCursor({
+              sort,
+              key: queryParser.sortKey(last, sort),
+              direction: "next",
+            })
+          : null,
+      prevCursor:
+        hasPrevPage && first
+          ? this.encodeCursor({
+              sort,
+              key: queryParser.sortKey(first, sort),
+              direction: "prev",
+            })
+          : null,
+    };
+  },
+
+  encodeCursor({ sort, key, direction }) {
+    const payload = Buffer.from(
+      JSON.stringify({ s: sort, k: key, d: direction })
+    ).toString("base64url");
+    return `${payload}.${this.signCursor(payload)}`;
+  },
+
+  // Throws a 400 error for tampered cursors or cursors issued for another sort
+  decodeCursor(cursor, sort) {
+    const [payload, signature] = String(cursor).split(".");
+    const expected = this.signCursor(payload || "");
+
+    if (
+      !signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new AppError("Invalid pagination cursor", 400, "INVALID_CURSOR");
+    }
+
+    const { s, k, d } = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf8")
+    );
+    if (s !== sort) {
+      throw new AppError(
+        `Cursor was issued for sort "${s}", not "${sort}"`,
+        400,
+        "INVALID_CURSOR"
+      );
+    }
+
+    return { key: k, direction: d };
+  },
+
+  signCursor(payload) {
+    return crypto
+      .createHmac("sha256", config.pagination.cursorSecret)
+      .update(payload)
+      .digest("base64url");
+  },
+
+  // Generate cursor links, keeping the other query parameters
+  generateCursorLinks(req, pagination) {
+    const link = (params) =>
+      this.requestUrlWith(req, params, ["page", "cursor"]);
+
+    const links = {};
+
+    if (pagination.hasPrevPage) {
+      links.first = link({});
+    }
+    if (pagination.prevCursor) {
+      links.prev = link({ cursor: pagination.prevCursor });
+    }
+    if (pagination.nextCursor) {
+      links.next = link({ cursor: pagination.nextCursor });
+    }
+
+    return links;
+  },
+
+  // { next: url, prev: url } -> '<url>; rel="next", <url>; rel="prev"'
+  formatLinkHeader(links) {
+    return Object.entries(links)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+      .join(", ");
+  },
+
+  // Add a Link header when there is anything to link to; appended so other
+  // links (such as the successor API version) are kept
+  setLinkHeader(res, links) {
+    if (Object.keys(links).length > 0) {
+      res.append("Link", this.formatLinkHeader(links));
+    }
+  },
+
+  // Link and X-Total-Count headers for a page- or cursor-paginated list
+  setPaginationHeaders(
+    req,
+    res,
+    pagination,
+    totalItems = pagination.totalItems
+  ) {
+    const links =
+      pagination.currentPage === undefined
+        ? this.generateCursorLinks(req, pagination)
+        : this.generatePaginationLinks(req, pagination);
+    this.setLinkHeader(res, links);
+
+    if (totalItems !== undefined) {
+      res.set("X-Total-Count", String(totalItems));
+    }
+  },
+
   // Get default pagination values
   getDefaultPagination() {
     return {
@@ -0,0 +1,212 @@
+const paginationUtils = require("./paginationUtils");
+const queryParser = require("./queryParser");
+
+// 10 items, the prices repeating so the sort needs its id tie-breaker
+const items = Array.from({ length: 10 }, (_, index) => ({
+  id: index + 1,
+  price: (index % 4) * 10,
+}));
+
+const sorted = (sort) => [...items].sort(queryParser.comparator(sort));
+const ids = (page) => page.items.map((item) => item.id);
+
+const firstPage = (array, sort, limit) => {
+  const items = array.slice(0, limit);
+  const hasNextPage = limit < array.length;
+  return {
+    items,
+    pagination: paginationUtils.pageCursors(items, sort, {
+      hasNextPage,
+      hasPrevPage: false,
+    }),
+  };
+};
+
+describe("paginationUtils cursors", () => {
+  test("pages forward and back through every item once", () => {
+    const sort = "-price";
+    const array = sorted(sort);
+    const pages = [firstPage(array, sort, 4)];
+
+    while (pages[pages.length - 1].pagination.nextCursor) {
+      const { nextCursor } = pages[pages.length - 1].pagination;
+      pages.push(
+        paginationUtils.paginateByCursor(array, {
+          cursor: nextCursor,
+          limit: 4,
+          sort,
+        })
+      );
+    }
+
+    // Ties are broken by id, descending like the price
+    expect(pages.map(ids)).toEqual([
+      [8, 4, 7, 3],
+      [10, 6, 2, 9],
+      [5, 1],
+    ]);
+    expect(pages[2].pagination).toMatchObject({
+      hasNextPage: false,
+      hasPrevPage: true,
+      nextCursor: null,
+    });
+
+    const back = paginationUtils.paginateByCursor(array, {
+      cursor: pages[2].pagination.prevCursor,
+      limit: 4,
+      sort,
+    });
+    expect(ids(back)).toEqual([10, 6, 2, 9]);
+  });
+
+  test("pages stay stable when items are added before the cursor", () => {
+    const sort = "id";
+    const page = firstPage(sorted(sort), sort, 3);
+
+    const next = paginationUtils.paginateByCursor(
+      [{ id: 0, price: 0 }, ...sorted(sort)],
+      { cursor: page.pagination.nextCursor, limit: 3, sort }
+    );
+
+    expect(ids(next)).toEqual([4, 5, 6]);
+  });
+
+  test("cursors are opaque and signed", () => {
+    const cursor = paginationUtils.encodeCursor({
+      sort: "id",
+      key: [3, 3],
+      direction: "next",
+    });
+
+    expect(cursor).not.toContain('"k"');
+    expect(paginationUtils.decodeCursor(cursor, "id")).toEqual({
+      key: [3, 3],
+      direction: "next",
+    });
+  });
+
+  test("rejects tampered cursors", () => {
+    const cursor = paginationUtils.encodeCursor({
+      sort: "id",
+      key: [3, 3],
+      direction: "next",
+    });
+    const [, signature] = cursor.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ s: "id", k: [0, 0], d: "next" })
+    ).toString("base64url");
+
+    for (const bad of [`${forged}.${signature}`, "abc", "", forged]) {
+      expect(() => paginationUtils.decodeCursor(bad, "id")).toThrow(
+        expect.objectContaining({ statusCode: 400, code: "INVALID_CURSOR" })
+      );
+    }
+  });
+
+  test("rejects cursors issued for another sort", () => {
+    const cursor = paginationUtils.encodeCursor({
+      sort: "-price",
+      key: [10, 3],
+      direction: "next",
+    });
+
+    expect(() => paginationUtils.decodeCursor(cursor, "price")).toThrow(
+      'Cursor was issued for sort "-price", not "price"'
+    );
+  });
+
+  test("limits pages to 100 items", () => {
+    const sort = "id";
+    const many = Array.from({ length: 150 }, (_, index) => ({
+      id: index + 1,
+    }));
+    const cursor = paginationUtils.encodeCursor({
+      sort,
+      key: [0],
+      direction: "next",
+    });
+
+    const page = paginationUtils.paginateByCursor(many, {
+      cursor,
+      limit: 500,
+      sort,
+    });
+
+    expect(page.items).toHaveLength(100);
+    expect(page.pagination.itemsPerPage).toBe(100);
+  });
+});
+
+describe("paginationUtils headers", () => {
+  const createRequest = (search) => ({
+    protocol: "http",
+    get: () => "api.test",
+    baseUrl: "/api/products",
+    path: "/",
+    originalUrl: `/api/products?${search}`,
+  });
+  const createResponse = () => {
+    const headers = {};
+    return {
+      headers,
+      set: (name, value) => (headers[name] = value),
+      append: (name, value) => (headers[name] = value),
+    };
+  };
+
+  test("links the pages around the current one", () => {
+    const res = createResponse();
+
+    paginationUtils.setPaginationHeaders(
+      createRequest("limit=5&category=books&page=2"),
+      res,
+      { currentPage: 2, totalPages: 3, totalItems: 12 }
+    );
+
+    const url = "http://api.test/api/products?limit=5&category=books";
+    expect(res.headers.Link).toBe(
+      [
+        `<${url}&page=1>; rel="first"`,
+        `<${url}&page=1>; rel="prev"`,
+        `<${url}&page=3>; rel="next"`,
+        `<${url}&page=3>; rel="last"`,
+      ].join(", ")
+    );
+    expect(res.headers["X-Total-Count"]).toBe("12");
+  });
+
+  test("links cursor pages without a total", () => {
+    const res = createResponse();
+
+    paginationUtils.setPaginationHeaders(
+      createRequest("cursor=old&limit=5"),
+      res,
+      { hasPrevPage: true, prevCursor: "p", nextCursor: "n" }
+    );
+
+    const url = "http://api.test/api/products?limit=5";
+    expect(res.headers.Link).toBe(
+      [
+        `<${url}>; rel="first"`,
+        `<${url}&cursor=p>; rel="prev"`,
+        `<${url}&cursor=n>; rel="next"`,
+      ].join(", ")
+    );
+    expect(res.headers["X-Total-Count"]).toBeUndefined();
+  });
+
+  test("keeps operator filters and repeated parameters as sent", () => {
+    const res = createResponse();
+
+    paginationUtils.setPaginationHeaders(
+      createRequest("limit=1&price[gte]=10&status=a&status=b&page=2"),
+      res,
+      { currentPage: 2, totalPages: 3 }
+    );
+
+    expect(res.headers.Link).toContain(
+      "<http://api.test/api/products?limit=1&price%5Bgte%5D=10&status=a" +
+        '&status=b&page=3>; rel="next"'
+    );
+  });
+});
@@ -0,0 +1,36 @@
+// Password Utilities
+// Salted scrypt hashes for stored passwords, as "scrypt$<salt>$<hash>"
+// (base64url). Uses Node's crypto only, so no native module is needed.
+
+const crypto = require("crypto");
+
+const KEY_LENGTH = 32;
+
+const password = {
+  hash(plain) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(plain), salt, KEY_LENGTH);
+    return `scrypt$${salt.toString("base64url")}$${hash.toString(
+      "base64url"
+    )}`;
+  },
+
+  // Whether plain is the password of stored; anything that is not a hash
+  // made by hash() never matches
+  verify(plain, stored) {
+    const [scheme, salt, hash] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, "base64url");
+    if (expected.length !== KEY_LENGTH) return false;
+
+    const actual = crypto.scryptSync(
+      String(plain),
+      Buffer.from(salt, "base64url"),
+      KEY_LENGTH
+    );
+    return crypto.timingSafeEqual(actual, expected);
+  },
+};
+
+module.exports = password;
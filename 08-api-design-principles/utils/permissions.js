@@ -0,0 +1,93 @@
+// Permissions
+// What a role can be allowed to do, and how a role's permissions are matched
+// against the permission a route requires (see requirePermission in
+// middleware/auth)
+//
+//   products:write     an action on a resource
+//   orders:read:own    ... only on the records of the user
+//   orders:read:any    ... on every record; also allows orders:read:own
+//   *                  everything
+//
+// Which records are the user's is declared by the route, e.g.
+// requirePermission("orders:read", { owner: (req) => ... }).
+
+const ALL_PERMISSIONS = "*";
+
+const PERMISSIONS = {
+  "users:read:own": "Read one's own account",
+  "users:read:any": "List and read every account",
+  "users:write": "Create, update and delete accounts",
+  "products:write":
+    "Create, update and delete products, their variants and stock; import",
+  "products:export": "Export the catalogue",
+  "inventory:read": "Read the stock ledger and low-stock products",
+  "orders:read:own": "List and read one's own orders",
+  "orders:read:any": "List and read every order",
+  "orders:create:own": "Place orders",
+  "orders:create:any": "Place orders for other users",
+  "orders:update:own": "Change the items of one's own pending orders",
+  "orders:update:any":
+    "Change the items, status and payment status of every order",
+  "orders:cancel:own": "Cancel one's own orders",
+  "orders:cancel:any": "Cancel every order",
+  "payments:write": "Capture and refund payments",
+  "coupons:read": "List and read coupons and promotions",
+  "coupons:write": "Create, update and delete coupons and promotions",
+  "stats:read": "Read user, product and order statistics",
+  "webhooks:manage": "Manage webhooks and their deliveries",
+  "audit:read": "Read and export the audit log",
+  "roles:manage": "Manage roles and their permissions",
+  "api-keys:manage:own": "Issue, rotate and revoke one's own API keys",
+  "api-keys:manage:any":
+    "Issue API keys for any user or organisation; list every key's activity",
+};
+
+const OWN_SCOPE = ":own";
+const ANY_SCOPE = ":any";
+
+const permissions = {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+
+  // Whether a permission can be granted to a role
+  isKnown(permission) {
+    return permission === ALL_PERMISSIONS || permission in PERMISSIONS;
+  },
+
+  // Whether the granted permissions include permission, directly, through
+  // its :any form (for an :own permission) or through "*"
+  allows(granted = [], permission) {
+    if (granted.includes(ALL_PERMISSIONS) || granted.includes(permission)) {
+      return true;
+    }
+
+    return (
+      permission.endsWith(OWN_SCOPE) &&
+      granted.includes(permission.slice(0, -OWN_SCOPE.length) + ANY_SCOPE)
+    );
+  },
+
+  // The permissions both sets allow: what an API key scoped to scopes may do
+  // for a user holding granted. A scope granted only in its :own form is
+  // narrowed to it
+  intersect(granted = [], scopes = []) {
+    return scopes.flatMap((scope) => {
+      if (this.allows(granted, scope)) return [scope];
+
+      const own = scope.endsWith(ANY_SCOPE)
+        ? scope.slice(0, -ANY_SCOPE.length) + OWN_SCOPE
+        : null;
+      return own && this.allows(granted, own) ? [own] : [];
+    });
+  },
+
+  // The :own and :any forms of a scoped permission ("orders:read")
+  scopes(permission) {
+    return {
+      own: permission + OWN_SCOPE,
+      any: permission + ANY_SCOPE,
+    };
+  },
+};
+
+module.exports = permissions;
@@ -0,0 +1,64 @@
+const permissions = require("./permissions");
+
+describe("permissions.allows", () => {
+  test("allows granted permissions", () => {
+    expect(permissions.allows(["products:write"], "products:write")).toBe(true);
+    expect(permissions.allows(["products:write"], "coupons:write")).toBe(false);
+    expect(permissions.allows([], "products:write")).toBe(false);
+  });
+
+  test("* allows everything", () => {
+    expect(permissions.allows(["*"], "roles:manage")).toBe(true);
+    expect(permissions.allows(["*"], "orders:read:own")).toBe(true);
+  });
+
+  test(":any allows :own, not the other way round", () => {
+    expect(permissions.allows(["orders:read:any"], "orders:read:own")).toBe(
+      true
+    );
+    expect(permissions.allows(["orders:read:own"], "orders:read:any")).toBe(
+      false
+    );
+    expect(permissions.allows(["orders:read:any"], "orders:update:own")).toBe(
+      false
+    );
+  });
+});
+
+describe("permissions.intersect", () => {
+  test("keeps the scopes the role allows", () => {
+    expect(
+      permissions.intersect(
+        ["products:write", "orders:read:any"],
+        ["products:write", "orders:read:own", "coupons:write"]
+      )
+    ).toEqual(["products:write", "orders:read:own"]);
+  });
+
+  test("narrows :any scopes to :own when only that is granted", () => {
+    expect(
+      permissions.intersect(["orders:read:own"], ["orders:read:any"])
+    ).toEqual(["orders:read:own"]);
+  });
+
+  test("* allows every scope", () => {
+    expect(
+      permissions.intersect(["*"], ["orders:read:any", "stats:read"])
+    ).toEqual(["orders:read:any", "stats:read"]);
+  });
+});
+
+describe("permissions catalogue", () => {
+  test("knows the declared permissions and *", () => {
+    expect(permissions.isKnown("orders:read:own")).toBe(true);
+    expect(permissions.isKnown("*")).toBe(true);
+    expect(permissions.isKnown("orders:read")).toBe(false);
+  });
+
+  test("scopes names the :own and :any forms", () => {
+    expect(permissions.scopes("orders:read")).toEqual({
+      own: "orders:read:own",
+      any: "orders:read:any",
+    });
+  });
+});
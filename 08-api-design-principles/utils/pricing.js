@@ -0,0 +1,112 @@
+// Pricing
+// The pricing pipeline of an order, from its line items to the total:
+//
+//   subtotal   sum of price x quantity
+//   discounts  each on the items of its categories (every item when it has
+//              none), once they add up to its minSubtotal; together never
+//              more than the subtotal
+//   shipping   fee of the shipping country, free from freeOver
+//   tax        rate of the shipping state or country, on the discounted
+//              subtotal
+//   total      subtotal - discounts + shipping + tax
+//
+// Discounts are the rules of coupons and promotions (see models/Coupon):
+// { couponId, code, description, type, value, categories, minSubtotal }.
+// Tax rates and shipping fees come from config.pricing.
+
+const config = require("../config/config");
+
+const pricing = {
+  // The breakdown of items shipped to shippingAddress:
+  // { subtotal, discounts, discountTotal, shipping, taxRate, tax, total }
+  // where discounts are the given rules, each with the amount it takes off
+  calculate(items, { discounts = [], shippingAddress } = {}) {
+    const subtotal = roundMoney(
+      items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    );
+
+    const applied = discounts.map((discount) => ({
+      ...discount,
+      amount: pricing.discountAmount(discount, items),
+    }));
+    const discountTotal = Math.min(
+      subtotal,
+      roundMoney(applied.reduce((sum, discount) => sum + discount.amount, 0))
+    );
+    const discounted = roundMoney(subtotal - discountTotal);
+
+    const shipping =
+      items.length > 0 ? shippingFee(shippingAddress, discounted) : 0;
+    const taxRate = pricing.taxRate(shippingAddress);
+    const tax = roundMoney(discounted * taxRate);
+
+    return {
+      subtotal,
+      discounts: applied,
+      discountTotal,
+      shipping,
+      taxRate,
+      tax,
+      total: roundMoney(discounted + shipping + tax),
+    };
+  },
+
+  // Subtotal of the items a discount applies to
+  eligibleSubtotal(discount, items) {
+    const categories = (discount.categories || []).map((category) =>
+      category.toLowerCase()
+    );
+    const eligible = items.filter(
+      (item) =>
+        categories.length === 0 ||
+        categories.includes(String(item.category).toLowerCase())
+    );
+    return roundMoney(
+      eligible.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    );
+  },
+
+  // What a discount takes off the items; 0 below its minSubtotal
+  discountAmount(discount, items) {
+    const eligible = pricing.eligibleSubtotal(discount, items);
+    if (eligible === 0 || eligible < (discount.minSubtotal || 0)) return 0;
+
+    return discount.type === "percentage"
+      ? roundMoney((eligible * discount.value) / 100)
+      : Math.min(discount.value, eligible);
+  },
+
+  // Tax rate of the address's state, or of its country
+  taxRate(address) {
+    const rates = config.pricing.taxRates;
+    const countryRate = lookup(rates, address && address.country);
+    if (typeof countryRate === "number") return countryRate;
+
+    const stateRate = lookup(countryRate, address.state);
+    return typeof stateRate === "number" ? stateRate : 0;
+  },
+};
+
+function shippingFee(address, discounted) {
+  const { fees, freeOver } = config.pricing.shipping;
+  if (freeOver !== null && discounted >= freeOver) return 0;
+
+  const fee = lookup(fees, address && address.country);
+  return typeof fee === "number" ? fee : 0;
+}
+
+// The entry of a name, ignoring case, or the default entry
+function lookup(table, name) {
+  if (!table || typeof table !== "object") return undefined;
+
+  const key = Object.keys(table).find(
+    (entry) => name && entry.toLowerCase() === String(name).toLowerCase()
+  );
+  return key !== undefined ? table[key] : table.default;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = pricing;
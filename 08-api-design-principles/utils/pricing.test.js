@@ -0,0 +1,61 @@
+const pricing = require("./pricing");
+
+const items = [
+  { productId: 1, category: "Books", price: 20, quantity: 2 },
+  { productId: 2, category: "Clothing", price: 10, quantity: 1 },
+];
+const newYork = { country: "USA", state: "ny" };
+
+describe("pricing.calculate", () => {
+  test("adds shipping and the state's tax to the subtotal", () => {
+    expect(pricing.calculate(items, { shippingAddress: newYork })).toEqual({
+      subtotal: 50,
+      discounts: [],
+      discountTotal: 0,
+      shipping: 5.99,
+      taxRate: 0.08875,
+      tax: 4.44,
+      total: 60.43,
+    });
+  });
+
+  test("applies discounts to their categories before tax", () => {
+    const discounts = [
+      { code: "BOOKS10", type: "percentage", value: 10, categories: ["books"] },
+      { code: "FIVE", type: "fixed", value: 5, minSubtotal: 60 },
+    ];
+
+    const breakdown = pricing.calculate(items, {
+      discounts,
+      shippingAddress: { country: "GBR" },
+    });
+
+    expect(breakdown.discounts.map((discount) => discount.amount)).toEqual([
+      4, 0,
+    ]);
+    expect(breakdown).toMatchObject({
+      discountTotal: 4,
+      shipping: 19.99,
+      tax: 9.2,
+      total: 75.19,
+    });
+  });
+
+  test("discounts never take off more than the subtotal", () => {
+    const breakdown = pricing.calculate(items, {
+      discounts: [{ code: "ALL", type: "fixed", value: 80 }],
+      shippingAddress: newYork,
+    });
+
+    expect(breakdown).toMatchObject({ discountTotal: 50, tax: 0, total: 5.99 });
+  });
+
+  test("shipping is free from the configured subtotal", () => {
+    const breakdown = pricing.calculate(
+      [{ productId: 1, price: 100, quantity: 1 }],
+      { shippingAddress: { country: "CAN" } }
+    );
+
+    expect(breakdown).toMatchObject({ shipping: 0, tax: 5, total: 105 });
+  });
+});
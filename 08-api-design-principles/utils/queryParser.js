@@ -0,0 +1,317 @@
+// Query Parser
+// Shared filter, sort and field-selection language for list endpoints
+//
+//   ?status=pending                            equality
+//   ?price[gte]=10&price[lt]=100               eq, ne, gt, gte, lt, lte
+//   ?status[in]=pending,confirmed              in, nin (comma-separated)
+//   ?createdAt[between]=2024-01-01,2024-02-01  inclusive range
+//   ?name[like]=lap                            substring
+//   ?sort=-createdAt,name                      "-" sorts descending
+//   ?fields=id,name,price                      sparse fieldsets
+//
+// String comparisons ignore case. Each resource describes what it allows:
+//
+//   {
+//     filters: { price: "number", status: { type: "string", values: [...] } },
+//     sortable: [...],    // defaults to the filter fields
+//     selectable: [...],  // defaults to the filter fields
+//     aliases: { minPrice: ["price", "gte"] },
+//     params: ["search"], // passed through untouched
+//     defaults: { isActive: "true" },
+//     defaultSort: "id",
+//   }
+
+const { ValidationError } = require("./errors");
+
+const RESERVED_PARAMS = ["page", "limit", "cursor", "sort", "fields"];
+
+const OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "like"],
+  number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "between"],
+  date: ["eq", "ne", "gt", "gte", "lt", "lte", "between"],
+  boolean: ["eq", "ne"],
+};
+
+const LIST_OPERATORS = ["in", "nin", "between"];
+
+// "price[gte]" as sent when the query string is not parsed into objects
+const BRACKET_KEY = /^(\w+)\[(\w+)\]$/;
+
+const queryParser = {
+  // Returns { filters: [{ field, operator, value }], sort, fields, params }
+  // and throws a ValidationError listing every invalid parameter
+  parse(query = {}, schema) {
+    const errors = [];
+    const filters = [];
+    const params = {};
+
+    for (const [key, raw] of Object.entries(query)) {
+      if (raw === undefined || raw === null || raw === "") continue;
+      if (RESERVED_PARAMS.includes(key)) continue;
+
+      if ((schema.params || []).includes(key)) {
+        params[key] = raw;
+        continue;
+      }
+
+      const alias = schema.aliases && schema.aliases[key];
+      const bracket = BRACKET_KEY.exec(key);
+
+      if (alias) {
+        const [field, operator] = alias;
+        this.addFilter(filters, errors, schema, field, operator, raw, key);
+      } else if (bracket) {
+        const [, field, operator] = bracket;
+        this.addFilter(filters, errors, schema, field, operator, raw, key);
+      } else if (raw && typeof raw === "object" && !Array.isArray(raw)) {
+        for (const [operator, value] of Object.entries(raw)) {
+          const path = `${key}[${operator}]`;
+          this.addFilter(filters, errors, schema, key, operator, value, path);
+        }
+      } else if (Array.isArray(raw)) {
+        // ?status=pending&status=confirmed
+        const list = raw.join(",");
+        this.addFilter(filters, errors, schema, key, "in", list, key);
+      } else {
+        this.addFilter(filters, errors, schema, key, "eq", raw, key);
+      }
+    }
+
+    // Defaults only apply to fields the query does not filter on
+    for (const [field, raw] of Object.entries(schema.defaults || {})) {
+      if (!filters.some((filter) => filter.field === field)) {
+        this.addFilter(filters, errors, schema, field, "eq", raw, field);
+      }
+    }
+
+    const sort = this.parseSortParam(query.sort, schema, errors);
+    const fields = this.parseFieldsParam(query.fields, schema, errors);
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors, "Invalid query parameters");
+    }
+
+    return { filters, sort, fields, params };
+  },
+
+  addFilter(filters, errors, schema, field, operator, raw, path) {
+    const spec = schema.filters[field];
+    if (!spec) {
+      errors.push({ path, message: `Cannot filter by "${field}"` });
+      return;
+    }
+
+    const { type, values } = typeof spec === "string" ? { type: spec } : spec;
+    if (!OPERATORS[type].includes(operator)) {
+      errors.push({
+        path,
+        message: `Operator "${operator}" is not supported for ${field}`,
+      });
+      return;
+    }
+
+    if (typeof raw === "object") {
+      errors.push({ path, message: `${path} must be a single value` });
+      return;
+    }
+
+    const isList = LIST_OPERATORS.includes(operator);
+    const parts = isList
+      ? String(raw)
+          .split(",")
+          .map((part) => part.trim())
+          .filter(Boolean)
+      : [String(raw)];
+
+    if (operator === "between" && parts.length !== 2) {
+      errors.push({ path, message: `${path} needs exactly two values` });
+      return;
+    }
+
+    const coerced = [];
+    for (const part of parts) {
+      const value = this.coerce(part, type);
+      if (value === undefined) {
+        errors.push({ path, message: `${path} must be a valid ${type}` });
+        return;
+      }
+      if (values && !values.includes(value)) {
+        errors.push({
+          path,
+          message: `${path} must be one of: ${values.join(", ")}`,
+        });
+        return;
+      }
+      coerced.push(value);
+    }
+
+    filters.push({ field, operator, value: isList ? coerced : coerced[0] });
+  },
+
+  // Operators a filter of the given type accepts
+  operatorsFor(type) {
+    return OPERATORS[type] || [];
+  },
+
+  // Returns undefined for values that do not match the type
+  coerce(value, type) {
+    switch (type) {
+      case "number": {
+        const number = Number(value);
+        return value.trim() === "" || isNaN(number) ? undefined : number;
+      }
+      case "boolean":
+        return value === "true" ? true : value === "false" ? false : undefined;
+      case "date": {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? undefined : date;
+      }
+      default:
+        return value;
+    }
+  },
+
+  // Validates and normalizes "-createdAt, name" to "-createdAt,name"
+  parseSortParam(sort, schema, errors) {
+    if (sort !== undefined && typeof sort !== "string") {
+      errors.push({ path: "sort", message: "sort must be a single value" });
+      return schema.defaultSort;
+    }
+
+    const sortable = schema.sortable || Object.keys(schema.filters);
+    const fields = (sort || schema.defaultSort)
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+
+    for (const field of fields) {
+      const name = field.replace(/^-/, "");
+      if (!sortable.includes(name)) {
+        errors.push({ path: "sort", message: `Cannot sort by "${name}"` });
+      }
+    }
+
+    return fields.join(",");
+  },
+
+  parseFieldsParam(fields, schema, errors) {
+    if (fields === undefined || fields === "") return null;
+    if (typeof fields !== "string") {
+      errors.push({ path: "fields", message: "fields must be a single value" });
+      return null;
+    }
+
+    const selectable = schema.selectable || Object.keys(schema.filters);
+    const selected = fields
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+
+    for (const field of selected) {
+      if (!selectable.includes(field)) {
+        errors.push({ path: "fields", message: `Unknown field "${field}"` });
+      }
+    }
+
+    return selected;
+  },
+
+  // Apply parsed filters to an array
+  applyFilters(items, filters) {
+    return items.filter((item) =>
+      filters.every((filter) => this.matches(item[filter.field], filter))
+    );
+  },
+
+  matches(value, { operator, value: expected }) {
+    const actual = this.normalize(value);
+    const target = Array.isArray(expected)
+      ? expected.map((entry) => this.normalize(entry))
+      : this.normalize(expected);
+
+    switch (operator) {
+      case "eq":
+        return actual === target;
+      case "ne":
+        return actual !== target;
+      case "gt":
+        return actual > target;
+      case "gte":
+        return actual >= target;
+      case "lt":
+        return actual < target;
+      case "lte":
+        return actual <= target;
+      case "in":
+        return target.includes(actual);
+      case "nin":
+        return !target.includes(actual);
+      case "between":
+        return actual >= target[0] && actual <= target[1];
+      case "like":
+        return actual != null && String(actual).includes(target);
+      default:
+        return false;
+    }
+  },
+
+  // Dates compare by timestamp, strings ignore case
+  normalize(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === "string") return value.toLowerCase();
+    return value;
+  },
+
+  // "-createdAt,name" -> [{ field: "createdAt", order: "desc" }, ...]
+  parseSort(sort) {
+    return sort
+      .split(",")
+      .filter(Boolean)
+      .map((field) =>
+        field.startsWith("-")
+          ? { field: field.slice(1), order: "desc" }
+          : { field, order: "asc" }
+      );
+  },
+
+  // [...sort values, id] - ties are broken by id so every key is unique
+  sortKey(item, sort) {
+    return [
+      ...this.parseSort(sort).map(({ field }) => this.normalize(item[field])),
+      item.id,
+    ];
+  },
+
+  // The id follows the direction of the first sort field
+  compareKeys(a, b, sort) {
+    const fields = this.parseSort(sort);
+    const orders = [...fields.map(({ order }) => order), fields[0].order];
+
+    for (let i = 0; i < orders.length; i++) {
+      const direction = orders[i] === "desc" ? -1 : 1;
+      if (a[i] < b[i]) return -direction;
+      if (a[i] > b[i]) return direction;
+    }
+    return 0;
+  },
+
+  // Comparator for Array.prototype.sort
+  comparator(sort) {
+    return (a, b) =>
+      this.compareKeys(this.sortKey(a, sort), this.sortKey(b, sort), sort);
+  },
+
+  // Keep only the selected fields of an item
+  selectFields(item, fields) {
+    if (!fields) return item;
+
+    return fields.reduce((selected, field) => {
+      if (Object.prototype.hasOwnProperty.call(item, field)) {
+        selected[field] = item[field];
+      }
+      return selected;
+    }, {});
+  },
+};
+
+module.exports = queryParser;
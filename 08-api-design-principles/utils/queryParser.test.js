@@ -0,0 +1,161 @@
+const queryParser = require("./queryParser");
+const { ValidationError } = require("./errors");
+
+const schema = {
+  filters: {
+    id: "number",
+    name: "string",
+    price: "number",
+    status: { type: "string", values: ["active", "archived"] },
+    isFeatured: "boolean",
+    createdAt: "date",
+  },
+  sortable: ["id", "name", "price", "createdAt"],
+  aliases: { minPrice: ["price", "gte"] },
+  params: ["search"],
+  defaults: { status: "active" },
+  defaultSort: "id",
+};
+
+const parseErrors = (query) => {
+  try {
+    queryParser.parse(query, schema);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error.errors;
+  }
+  throw new Error("Expected a ValidationError");
+};
+
+describe("queryParser.parse", () => {
+  test("parses equality, operators, aliases and lists", () => {
+    const { filters, params } = queryParser.parse(
+      {
+        name: "Laptop",
+        "price[lt]": "100",
+        minPrice: "10",
+        id: ["1", "2"],
+        createdAt: { between: "2024-01-01,2024-02-01" },
+        isFeatured: "true",
+        search: "wireless",
+        page: "2",
+      },
+      schema
+    );
+
+    expect(filters).toEqual([
+      { field: "name", operator: "eq", value: "Laptop" },
+      { field: "price", operator: "lt", value: 100 },
+      { field: "price", operator: "gte", value: 10 },
+      { field: "id", operator: "in", value: [1, 2] },
+      {
+        field: "createdAt",
+        operator: "between",
+        value: [new Date("2024-01-01"), new Date("2024-02-01")],
+      },
+      { field: "isFeatured", operator: "eq", value: true },
+      { field: "status", operator: "eq", value: "active" },
+    ]);
+    expect(params).toEqual({ search: "wireless" });
+  });
+
+  test("defaults do not apply to fields the query filters on", () => {
+    const { filters } = queryParser.parse({ "status[in]": "archived" }, schema);
+
+    expect(filters).toEqual([
+      { field: "status", operator: "in", value: ["archived"] },
+    ]);
+  });
+
+  test("normalizes sort and fields", () => {
+    const { sort, fields } = queryParser.parse(
+      { sort: "-price, name", fields: "id,name" },
+      schema
+    );
+
+    expect(sort).toBe("-price,name");
+    expect(fields).toEqual(["id", "name"]);
+    expect(queryParser.parse({}, schema)).toMatchObject({
+      sort: "id",
+      fields: null,
+    });
+  });
+
+  test("reports every invalid parameter at once", () => {
+    expect(
+      parseErrors({
+        colour: "red",
+        "price[like]": "1",
+        "price[gt]": "cheap",
+        status: "deleted",
+        "createdAt[between]": "2024-01-01",
+        sort: "-colour",
+        fields: "id,secret",
+      })
+    ).toEqual([
+      { path: "colour", message: 'Cannot filter by "colour"' },
+      {
+        path: "price[like]",
+        message: 'Operator "like" is not supported for price',
+      },
+      { path: "price[gt]", message: "price[gt] must be a valid number" },
+      { path: "status", message: "status must be one of: active, archived" },
+      {
+        path: "createdAt[between]",
+        message: "createdAt[between] needs exactly two values",
+      },
+      { path: "sort", message: 'Cannot sort by "colour"' },
+      { path: "fields", message: 'Unknown field "secret"' },
+    ]);
+  });
+
+  test("rejects repeated sort and fields parameters", () => {
+    expect(parseErrors({ sort: ["id", "name"], fields: ["id"] })).toEqual([
+      { path: "sort", message: "sort must be a single value" },
+      { path: "fields", message: "fields must be a single value" },
+    ]);
+  });
+});
+
+describe("queryParser filtering and sorting", () => {
+  const items = [
+    { id: 1, name: "laptop", price: 1299, createdAt: new Date("2024-01-01") },
+    { id: 2, name: "Mouse", price: 29, createdAt: new Date("2024-01-02") },
+    { id: 3, name: "Monitor", price: 299, createdAt: new Date("2024-01-02") },
+    { id: 4, name: "mousepad", price: 29, createdAt: new Date("2024-01-03") },
+  ];
+
+  // Without the default status filter, which these items do not have
+  const unfiltered = { ...schema, defaults: {} };
+  const filter = (query) =>
+    queryParser
+      .applyFilters(items, queryParser.parse(query, unfiltered).filters)
+      .map((item) => item.id);
+
+  test("string comparisons ignore case", () => {
+    expect(filter({ name: "MOUSE" })).toEqual([2]);
+    expect(filter({ "name[like]": "mo" })).toEqual([2, 3, 4]);
+  });
+
+  test("compares numbers and dates", () => {
+    expect(filter({ "price[between]": "29,299" })).toEqual([2, 3, 4]);
+    expect(filter({ "price[nin]": "29" })).toEqual([1, 3]);
+    expect(filter({ "createdAt[gte]": "2024-01-02" })).toEqual([2, 3, 4]);
+  });
+
+  test("sorts by several fields and breaks ties by id", () => {
+    const sorted = (sort) =>
+      [...items].sort(queryParser.comparator(sort)).map((item) => item.id);
+
+    expect(sorted("price")).toEqual([2, 4, 3, 1]);
+    expect(sorted("-price")).toEqual([1, 3, 4, 2]);
+    expect(sorted("-createdAt,name")).toEqual([4, 3, 2, 1]);
+  });
+
+  test("selects fields that exist", () => {
+    expect(queryParser.selectFields(items[0], ["id", "secret"])).toEqual({
+      id: 1,
+    });
+    expect(queryParser.selectFields(items[0], null)).toBe(items[0]);
+  });
+});
@@ -0,0 +1,259 @@
+// Schema Validator
+// Validates and normalizes data against the JSON Schemas in schemas/
+//
+//   const { value, errors } = schemaValidator.validate(body, "ProductInput");
+//
+// Supported keywords: type, properties, required, additionalProperties, items,
+// enum, const, default, minLength, maxLength, pattern, format (email, uri,
+// date-time), minimum, maximum, exclusiveMinimum, exclusiveMaximum, minItems,
+// maxItems and $ref to "#/components/schemas/<Name>".
+//
+// Options (defaults come from config.validation):
+//   coerce        turn "12" into 12 and "true" into true where the schema asks
+//   stripUnknown  drop properties the schema does not declare
+//   allowUnknown  keep undeclared properties instead of rejecting them
+//   abortEarly    stop at the first error
+//   partial       ignore `required` and defaults (partial updates)
+//
+// Errors are [{ path, message }] with paths like "items[0].quantity".
+
+const config = require("../config/config");
+const schemas = require("../schemas");
+const { ValidationError } = require("./errors");
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[a-z][a-z\d+.-]*:\/\/\S+$/i,
+  "date-time":
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/,
+};
+
+// Thrown to unwind once the first error is recorded with abortEarly
+const ABORT = Symbol("abort");
+
+const schemaValidator = {
+  // Returns { value, errors }; value is the coerced, stripped copy of data
+  validate(data, schema, options = {}) {
+    const settings = { ...config.validation, ...options };
+    const errors = [];
+
+    let value;
+    try {
+      value = this.check(data, this.resolve(schema), "", errors, settings);
+    } catch (error) {
+      if (error !== ABORT) throw error;
+    }
+
+    return { value, errors };
+  },
+
+  // Returns the normalized value or throws a ValidationError
+  assert(data, schema, options = {}) {
+    const { value, errors } = this.validate(data, schema, options);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+    return value;
+  },
+
+  // Accepts a schema object, a schema name or a $ref
+  resolve(schema) {
+    const name = typeof schema === "string" ? schema : schema && schema.$ref;
+    if (!name) return schema;
+
+    const resolved = schemas[name.split("/").pop()];
+    if (!resolved) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+    return resolved;
+  },
+
+  check(value, schema, path, errors, options) {
+    schema = this.resolve(schema);
+    const label = path || "body";
+    const fail = (message) => {
+      errors.push({ path: label, message });
+      if (options.abortEarly) throw ABORT;
+      return value;
+    };
+
+    const types = [].concat(schema.type || []);
+    if (options.coerce && typeof value === "string") {
+      value = this.coerce(value, types);
+    }
+
+    if (types.length > 0 && !types.some((type) => this.is(value, type))) {
+      return fail(`${label} must be ${this.describeTypes(types)}`);
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      return fail(`${label} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(`${label} must be one of: ${schema.enum.join(", ")}`);
+    }
+
+    if (typeof value === "string") {
+      this.checkString(value, schema, label, fail);
+    } else if (typeof value === "number") {
+      this.checkNumber(value, schema, label, fail);
+    } else if (Array.isArray(value)) {
+      return this.checkArray(value, schema, path, errors, options, fail);
+    } else if (value && typeof value === "object") {
+      return this.checkObject(value, schema, path, errors, options);
+    }
+
+    return value;
+  },
+
+  checkString(value, schema, label, fail) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`${label} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`${label} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`${label} has an invalid format`);
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`${label} must be a valid ${schema.format}`);
+    }
+  },
+
+  checkNumber(value, schema, label, fail) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`${label} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`${label} must be at most ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`${label} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail(`${label} must be less than ${schema.exclusiveMaximum}`);
+    }
+  },
+
+  checkArray(value, schema, path, errors, options, fail) {
+    const label = path || "body";
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`${label} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`${label} must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (!schema.items) return value;
+
+    const itemOptions = { ...options, partial: false };
+    return value.map((item, index) =>
+      this.check(item, schema.items, `${path}[${index}]`, errors, itemOptions)
+    );
+  },
+
+  checkObject(value, schema, path, errors, options) {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : "";
+    const result = {};
+
+    if (!options.partial) {
+      for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) {
+          const field = prefix + name;
+          errors.push({ path: field, message: `${field} is required` });
+          if (options.abortEarly) throw ABORT;
+        }
+      }
+    }
+
+    // Nested objects are validated in full, partial only applies to the root
+    const nested = { ...options, partial: false };
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (value[name] !== undefined) {
+        result[name] = this.check(
+          value[name],
+          propertySchema,
+          prefix + name,
+          errors,
+          nested
+        );
+      } else if (!options.partial && propertySchema.default !== undefined) {
+        result[name] = propertySchema.default;
+      }
+    }
+
+    // Objects without declared properties (e.g. specifications) are free-form
+    if (!schema.properties) return { ...value };
+
+    const allowUnknown =
+      schema.additionalProperties !== false && options.allowUnknown;
+    for (const name of Object.keys(value)) {
+      if (name in properties) continue;
+
+      if (options.stripUnknown) continue;
+      if (allowUnknown) {
+        result[name] = value[name];
+        continue;
+      }
+      const field = prefix + name;
+      errors.push({ path: field, message: `${field} is not allowed` });
+      if (options.abortEarly) throw ABORT;
+    }
+
+    return result;
+  },
+
+  is(value, type) {
+    switch (type) {
+      case "null":
+        return value === null;
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return (
+          value !== null && typeof value === "object" && !Array.isArray(value)
+        );
+      default:
+        return typeof value === type;
+    }
+  },
+
+  // Query strings and form posts only carry strings
+  coerce(value, types) {
+    const trimmed = value.trim();
+    if (
+      (types.includes("number") || types.includes("integer")) &&
+      trimmed !== "" &&
+      !isNaN(trimmed)
+    ) {
+      return Number(trimmed);
+    }
+    if (types.includes("boolean") && (value === "true" || value === "false")) {
+      return value === "true";
+    }
+    return value;
+  },
+
+  // ["integer", "null"] -> "an integer or null"
+  describeTypes(types) {
+    return types
+      .map((type) => {
+        if (type === "null") return type;
+        return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+      })
+      .join(" or ");
+  },
+};
+
+module.exports = schemaValidator;
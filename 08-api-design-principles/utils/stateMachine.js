@@ -0,0 +1,98 @@
+// State Machine
+// Declarative transitions between states with hooks on entering a state
+//
+// Hooks registered with onEnter() run as part of the change (for example
+// inside the same database transaction) and may abort it by throwing.
+// Hooks registered with afterEnter() run once the change is stored;
+// their failures are logged and never undo the transition.
+
+const { AppError, InvalidTransitionError } = require("./errors");
+
+const ANY_STATE = "*";
+
+class StateMachine {
+  constructor({ initial, transitions }) {
+    this.initial = initial;
+    this.transitions = transitions;
+    this.enterHooks = [];
+    this.afterHooks = [];
+  }
+
+  get states() {
+    return Object.keys(this.transitions);
+  }
+
+  isValidState(state) {
+    return Object.prototype.hasOwnProperty.call(this.transitions, state);
+  }
+
+  allowedTransitions(from) {
+    return this.isValidState(from) ? [...this.transitions[from]] : [];
+  }
+
+  can(from, to) {
+    return this.allowedTransitions(from).includes(to);
+  }
+
+  assertTransition(from, to) {
+    if (!this.isValidState(to)) {
+      throw new AppError(`Invalid status: ${to}`, 400, "INVALID_STATUS");
+    }
+    if (!this.can(from, to)) {
+      throw new InvalidTransitionError(from, to, this.allowedTransitions(from));
+    }
+  }
+
+  // Register a hook for entering `state` ("*" for every state);
+  // returns a function that removes the hook again
+  onEnter(state, hook) {
+    return this.addHook(this.enterHooks, state, hook);
+  }
+
+  afterEnter(state, hook) {
+    return this.addHook(this.afterHooks, state, hook);
+  }
+
+  // context: { from, to, ... } - passed to every matching hook
+  async runEnterHooks(context) {
+    for (const hook of this.hooksFor(this.enterHooks, context.to)) {
+      await hook(context);
+    }
+  }
+
+  async runAfterHooks(context) {
+    for (const hook of this.hooksFor(this.afterHooks, context.to)) {
+      try {
+        await hook(context);
+      } catch (error) {
+        console.error(
+          `Hook for ${context.from} -> ${context.to} failed:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  addHook(list, state, hook) {
+    if (state !== ANY_STATE && !this.isValidState(state)) {
+      throw new Error(`Unknown state: ${state}`);
+    }
+
+    const entry = { state, hook };
+    list.push(entry);
+    return () => {
+      const index = list.indexOf(entry);
+      if (index !== -1) list.splice(index, 1);
+    };
+  }
+
+  hooksFor(list, state) {
+    return list
+      .filter((entry) => entry.state === ANY_STATE || entry.state === state)
+      .map((entry) => entry.hook);
+  }
+}
+
+StateMachine.ANY_STATE = ANY_STATE;
+
+module.exports = StateMachine;
@@ -0,0 +1,167 @@
+const StateMachine = require("./stateMachine");
+const { AppError, InvalidTransitionError } = require("./errors");
+const Order = require("../models/Order");
+
+const createMachine = () =>
+  new StateMachine({
+    initial: "draft",
+    transitions: {
+      draft: ["published", "archived"],
+      published: ["archived"],
+      archived: [],
+    },
+  });
+
+describe("StateMachine", () => {
+  test("allows only the declared transitions", () => {
+    const machine = createMachine();
+
+    expect(machine.states).toEqual(["draft", "published", "archived"]);
+    expect(machine.can("draft", "published")).toBe(true);
+    expect(machine.can("published", "draft")).toBe(false);
+    expect(machine.can("unknown", "draft")).toBe(false);
+    expect(machine.allowedTransitions("archived")).toEqual([]);
+  });
+
+  test("allowedTransitions returns a copy", () => {
+    const machine = createMachine();
+
+    machine.allowedTransitions("draft").push("draft");
+
+    expect(machine.allowedTransitions("draft")).toEqual([
+      "published",
+      "archived",
+    ]);
+  });
+
+  test("rejects unknown states with 400 INVALID_STATUS", () => {
+    const machine = createMachine();
+
+    expect(() => machine.assertTransition("draft", "deleted")).toThrow(
+      expect.objectContaining({ statusCode: 400, code: "INVALID_STATUS" })
+    );
+  });
+
+  test("rejects undeclared transitions with the allowed ones", () => {
+    const machine = createMachine();
+
+    let error;
+    try {
+      machine.assertTransition("published", "draft");
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(InvalidTransitionError);
+    expect(error.statusCode).toBe(409);
+    expect(error.details).toEqual({
+      from: "published",
+      to: "draft",
+      allowedTransitions: ["archived"],
+    });
+  });
+
+  test("runs the hooks of the state entered and of every state", async () => {
+    const machine = createMachine();
+    const calls = [];
+    machine.onEnter("archived", ({ to }) => calls.push(`archived:${to}`));
+    machine.onEnter(StateMachine.ANY_STATE, ({ to }) => calls.push(`*:${to}`));
+
+    await machine.runEnterHooks({ from: "draft", to: "published" });
+    await machine.runEnterHooks({ from: "published", to: "archived" });
+
+    expect(calls).toEqual(["*:published", "archived:archived", "*:archived"]);
+  });
+
+  test("enter hook failures abort the change", async () => {
+    const machine = createMachine();
+    machine.onEnter("published", () => {
+      throw new AppError("Not ready", 409, "NOT_READY");
+    });
+
+    await expect(
+      machine.runEnterHooks({ from: "draft", to: "published" })
+    ).rejects.toMatchObject({ code: "NOT_READY" });
+  });
+
+  test("after hook failures are logged, not thrown", async () => {
+    const machine = createMachine();
+    const calls = [];
+    const log = jest.spyOn(console, "error").mockImplementation(() => {});
+    machine.afterEnter("published", () => {
+      throw new Error("webhook down");
+    });
+    machine.afterEnter("published", () => calls.push("second"));
+
+    await machine.runAfterHooks({ from: "draft", to: "published" });
+
+    expect(calls).toEqual(["second"]);
+    expect(log).toHaveBeenCalledWith(
+      "Hook for draft -> published failed:",
+      "webhook down"
+    );
+    log.mockRestore();
+  });
+
+  test("hooks can be removed", async () => {
+    const machine = createMachine();
+    const hook = jest.fn();
+    const remove = machine.onEnter("published", hook);
+
+    remove();
+    remove();
+    await machine.runEnterHooks({ from: "draft", to: "published" });
+
+    expect(hook).not.toHaveBeenCalled();
+  });
+
+  test("hooks cannot be registered for unknown states", () => {
+    const machine = createMachine();
+
+    expect(() => machine.onEnter("deleted", () => {})).toThrow(
+      "Unknown state: deleted"
+    );
+  });
+});
+
+describe("Order lifecycle", () => {
+  const order = (status) =>
+    new Order({ id: 1, userId: 1, status, items: [], statusHistory: [] });
+
+  test("moves an order forward and records the change", () => {
+    const pending = order("pending");
+
+    pending.updateStatus("confirmed", { changedBy: 2, reason: "Paid" });
+
+    expect(pending.status).toBe("confirmed");
+    expect(pending.statusHistory).toEqual([
+      expect.objectContaining({
+        from: "pending",
+        to: "confirmed",
+        changedBy: 2,
+        reason: "Paid",
+      }),
+    ]);
+  });
+
+  test.each([
+    ["pending", "shipped"],
+    ["shipped", "cancelled"],
+    ["delivered", "cancelled"],
+    ["cancelled", "pending"],
+  ])("does not allow %s -> %s", (from, to) => {
+    const current = order(from);
+
+    expect(() => current.updateStatus(to)).toThrow(InvalidTransitionError);
+    expect(current.status).toBe(from);
+    expect(current.statusHistory).toEqual([]);
+  });
+
+  test("orders can be cancelled until they ship", () => {
+    const cancellable = Order.lifecycle.states.filter((status) =>
+      Order.lifecycle.can(status, "cancelled")
+    );
+
+    expect(cancellable).toEqual(["pending", "confirmed", "processing"]);
+  });
+});
@@ -25,7 +25,7 @@ const validationUtils = {
 
   // Phone number validation (basic)
   isValidPhone(phone) {
-    const phoneRegex = /^\+?[\d\s\-\(\)]+$/;
+    const phoneRegex = /^\+?[\d\s\-()]+$/;
     return phoneRegex.test(phone) && phone.replace(/\D/g, "").length >= 10;
   },
 